@@ -1,7 +1,6 @@
 require('dotenv').config();
 const { DataStorage } = require('../src/utils');
 const fs = require('fs').promises;
-const path = require('path');
 
 async function debugXMRIssue() {
     console.log('🔍 Debugging XMR Storage Issue...');
@@ -10,7 +9,7 @@ async function debugXMRIssue() {
     
     try {
         console.log('\n📊 Step 1: Check XMR file status...');
-        const xmrFilePath = path.join(process.cwd(), 'data', 'pairs', 'xmr_history.json');
+        const xmrFilePath = dataStorage.getFilePath('XMR/USDT');
         
         try {
             const stats = await fs.stat(xmrFilePath);
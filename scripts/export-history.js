@@ -0,0 +1,161 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const config = require('config');
+const { HistoryExporter } = require('../src/export');
+const { TechnicalStrategies, IndicatorRegistry } = require('../src/strategies/technical');
+const { CandleAggregator } = require('../src/data/aggregators');
+const { StorageRegistry, ConfigManager, PairSymbol } = require('../src/utils');
+
+// Exports every stored pair and timeframe to one file each, e.g. exports/kas-usdt_5m.csv. Indicator
+// columns use the parameters configured through the API (runtime config).
+// Usage: node scripts/export-history.js [--out=exports] [--format=csv|jsonl|columns] [--indicators=rsi,macd]
+//        [--pairs=KAS/USDT,RVN/USDT] [--timeframes=5m,1h] [--from=2024-01-01] [--to=2024-02-01] [--data-dir=data/pairs]
+function parseArgs(argv) {
+    const args = { out: 'exports', format: 'csv', indicators: [], pairs: null, timeframes: null, from: null, to: null };
+    
+    for (const arg of argv) {
+        const [key, value] = arg.replace(/^--/, '').split('=');
+        
+        if (!value) {
+            throw new Error(`Missing value for --${key}`);
+        } else if (key === 'out' || key === 'data-dir') {
+            args[key] = value;
+        } else if (key === 'format') {
+            if (!HistoryExporter.isFormat(value)) {
+                throw new Error(`Unknown format: ${value}. Available: ${Object.keys(HistoryExporter.FORMATS).join(', ')}`);
+            }
+            args.format = value;
+        } else if (key === 'indicators' || key === 'pairs' || key === 'timeframes') {
+            args[key] = value.split(',').map(item => item.trim()).filter(Boolean);
+        } else if (key === 'from' || key === 'to') {
+            const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+            if (!Number.isFinite(time)) {
+                throw new Error(`Invalid value for --${key}: ${value}`);
+            }
+            args[key] = time;
+        } else {
+            throw new Error(`Unknown option --${key}`);
+        }
+    }
+    
+    if (args.pairs) {
+        args.pairs = args.pairs.map(pair => PairSymbol.normalize(pair) || pair);
+    }
+    
+    return args;
+}
+
+function createStorage(args) {
+    if (args['data-dir']) {
+        return StorageRegistry.create({ backend: 'json', dataDir: args['data-dir'] });
+    }
+    return StorageRegistry.create(config.has('trading.storage') ? config.util.toObject(config.get('trading.storage')) : {});
+}
+
+// Read the runtime file directly: ConfigManager.loadConfig() creates or migrates it, which an export should not do
+async function loadIndicatorConfig() {
+    try {
+        const runtime = JSON.parse(await fs.promises.readFile(new ConfigManager().configPath, 'utf8'));
+        return runtime.indicators || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function createExporter(indicatorConfig, pair, indicators) {
+    const strategies = new TechnicalStrategies(TechnicalStrategies.resolveConfig(indicatorConfig, pair));
+    const names = indicators.map(name => {
+        const resolved = strategies.resolveIndicatorName(name);
+        if (!resolved) {
+            throw new Error(`Unknown indicator: ${name}. Available: ${Object.keys(strategies.indicators).join(', ')}`);
+        }
+        return resolved;
+    });
+    
+    return new HistoryExporter({ technicalStrategies: strategies, indicators: [...new Set(names)] });
+}
+
+// base: { timeframe, intervalMs } of the base candle series, which is stored without a timeframe
+async function exportSeries(storage, exporter, args, pair, timeframe, base) {
+    const intervalMs = timeframe ? CandleAggregator.getIntervalMs(timeframe) : base.intervalMs;
+    
+    // Indicators need the bars before `from` to have values at the start of the range
+    const history = await storage.loadPairData(pair, timeframe, {
+        from: args.from === null ? null : args.from - exporter.getWarmupBars() * intervalMs,
+        to: args.to
+    });
+    if (!history || history.closes.length === 0) {
+        return null;
+    }
+    
+    const label = timeframe || base.timeframe;
+    const file = path.join(args.out, `${PairSymbol.toFileKey(pair)}_${label}.${HistoryExporter.FORMATS[args.format].extension}`);
+    const output = fs.createWriteStream(file);
+    
+    try {
+        const rows = await exporter.write(output, history, args.format, { from: args.from, to: args.to }, { pair, timeframe: label });
+        await new Promise((resolve, reject) => {
+            output.on('error', reject);
+            output.end(resolve);
+        });
+        return { file, rows };
+    } catch (error) {
+        output.destroy();
+        throw error;
+    }
+}
+
+async function runExport() {
+    console.log('📤 Exporting stored history...');
+    
+    let storage = null;
+    try {
+        const args = parseArgs(process.argv.slice(2));
+        storage = createStorage(args);
+        
+        const candleInterval = config.has('trading.candleInterval') ? config.get('trading.candleInterval') : 300000;
+        const base = { timeframe: CandleAggregator.getTimeframeForInterval(candleInterval) || 'base', intervalMs: candleInterval };
+        IndicatorRegistry.loadPlugins(config.has('trading.indicatorPlugins') ? config.util.toObject(config.get('trading.indicatorPlugins')) : {});
+        const indicatorConfig = await loadIndicatorConfig();
+        
+        const stored = await storage.listStoredPairs();
+        const pairs = args.pairs ? args.pairs.filter(pair => stored.includes(pair)) : stored;
+        if (pairs.length === 0) {
+            console.log(`⚠️ No stored pairs to export${args.pairs ? ` (requested ${args.pairs.join(', ')})` : ''}`);
+            return;
+        }
+        
+        fs.mkdirSync(args.out, { recursive: true });
+        console.log(`📊 ${pairs.length} pairs stored in ${storage.name}, writing ${args.format} to ${args.out}`);
+        
+        let files = 0;
+        let totalRows = 0;
+        
+        for (const pair of pairs) {
+            const exporter = createExporter(indicatorConfig, pair, args.indicators);
+            const timeframes = [null, ...await storage.listStoredTimeframes(pair)]
+                .filter(timeframe => !args.timeframes || args.timeframes.includes(timeframe || base.timeframe));
+            
+            for (const timeframe of timeframes) {
+                const result = await exportSeries(storage, exporter, args, pair, timeframe, base);
+                if (!result) continue;
+                
+                files++;
+                totalRows += result.rows;
+                console.log(`✅ ${pair} ${timeframe || base.timeframe}: ${result.rows} rows → ${result.file}`);
+            }
+        }
+        
+        console.log(`\n📋 Exported ${totalRows} rows to ${files} files`);
+    } catch (error) {
+        console.error('❌ Export failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        if (storage) {
+            await storage.close();
+        }
+    }
+}
+
+runExport();
@@ -0,0 +1,88 @@
+require('dotenv').config();
+const config = require('config');
+const { StorageRegistry } = require('../src/utils');
+
+// Copies every stored pair and timeframe from one storage backend to another, e.g. from the JSON
+// files to SQLite before switching trading.storage.backend. Target options come from
+// trading.storage when it names the same backend.
+// Usage: node scripts/migrate-storage.js [--from=json] [--to=sqlite] [--path=./data/market-data.db]
+function parseArgs(argv) {
+    const args = { from: 'json', to: 'sqlite' };
+    
+    for (const arg of argv) {
+        const [key, value] = arg.replace(/^--/, '').split('=');
+        if (['from', 'to', 'path', 'data-dir'].includes(key) && value) {
+            args[key] = value;
+        } else {
+            throw new Error(`Unknown option --${key}`);
+        }
+    }
+    
+    [args.from, args.to].forEach(backend => {
+        if (!StorageRegistry.has(backend)) {
+            throw new Error(`Unknown storage backend: ${backend}. Available: ${StorageRegistry.getNames().join(', ')}`);
+        }
+    });
+    if (args.from === args.to) {
+        throw new Error('--from and --to must be different backends');
+    }
+    
+    return args;
+}
+
+function backendConfig(backend, args) {
+    const configured = config.has('trading.storage') ? config.util.toObject(config.get('trading.storage')) : {};
+    const options = configured.backend === backend ? { ...configured } : { backend };
+    
+    if (args.path && backend === 'sqlite') options.path = args.path;
+    if (args['data-dir'] && backend === 'json') options.dataDir = args['data-dir'];
+    return options;
+}
+
+async function migrateStorage() {
+    console.log('🚚 Migrating stored history...');
+    
+    let source = null;
+    let target = null;
+    
+    try {
+        const args = parseArgs(process.argv.slice(2));
+        source = StorageRegistry.create(backendConfig(args.from, args));
+        target = StorageRegistry.create(backendConfig(args.to, args));
+        
+        const pairs = await source.listStoredPairs();
+        console.log(`📊 ${pairs.length} pairs stored in ${args.from}`);
+        
+        let series = 0;
+        let bars = 0;
+        let failed = 0;
+        
+        for (const pair of pairs) {
+            for (const timeframe of [null, ...await source.listStoredTimeframes(pair)]) {
+                const label = timeframe ? `${pair} ${timeframe}` : pair;
+                const history = await source.loadPairData(pair, timeframe);
+                
+                if (history && await target.savePairData(pair, history, timeframe)) {
+                    series++;
+                    bars += history.closes.length;
+                    console.log(`✅ ${label}: ${history.closes.length} bars`);
+                } else {
+                    failed++;
+                    console.log(`❌ ${label}: not copied`);
+                }
+            }
+        }
+        
+        console.log(`\n📋 Copied ${bars} bars in ${series} series from ${args.from} to ${args.to}${failed > 0 ? `, ${failed} failed` : ''}`);
+        console.log(`💡 Set trading.storage.backend to "${args.to}" to use it`);
+        process.exitCode = failed > 0 ? 1 : 0;
+    } catch (error) {
+        console.error('❌ Storage migration failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        if (source) await source.close();
+        if (target) await target.close();
+    }
+}
+
+migrateStorage();
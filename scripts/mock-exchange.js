@@ -0,0 +1,85 @@
+const config = require('config');
+const { MockXeggexServer } = require('../src/mock');
+
+// Runs the mock Xeggex API until interrupted. Settings come from the `mock` config section
+// (see config/mock.json) and can be overridden on the command line.
+// Usage: node scripts/mock-exchange.js [--port=3100] [--seed=42] [--history-days=14] [--latency=0]
+//        [--rate-limit=100/60000] [--outage-every=3600000] [--outage-duration=120000]
+function parseArgs(argv) {
+    const options = {};
+    const numericOptions = {
+        port: 'port',
+        seed: 'seed',
+        'history-days': 'historyDays',
+        latency: 'latency'
+    };
+    
+    for (const arg of argv) {
+        const [key, value] = arg.replace(/^--/, '').split('=');
+        const parsed = Number(value);
+        
+        if (numericOptions[key]) {
+            if (!Number.isFinite(parsed)) {
+                throw new Error(`Invalid value for --${key}: ${value}`);
+            }
+            options[numericOptions[key]] = parsed;
+        } else if (key === 'rate-limit') {
+            const [requests, window] = String(value).split('/').map(Number);
+            if (!(requests > 0) || !(window > 0)) {
+                throw new Error(`Invalid value for --rate-limit: ${value} (expected requests/windowMs)`);
+            }
+            options.rateLimit = { requests, window };
+        } else if (key === 'outage-every' || key === 'outage-duration') {
+            if (!(parsed > 0)) {
+                throw new Error(`Invalid value for --${key}: ${value}`);
+            }
+            options.outages = { ...(options.outages || {}), [key === 'outage-every' ? 'every' : 'duration']: parsed };
+        } else {
+            throw new Error(`Unknown option --${key}`);
+        }
+    }
+    
+    if (options.outages && !(options.outages.every > 0 && options.outages.duration > 0)) {
+        throw new Error('--outage-every and --outage-duration must be used together');
+    }
+    
+    return options;
+}
+
+async function runMockExchange() {
+    console.log('🧪 Starting mock Xeggex API...');
+    
+    try {
+        const options = {
+            ...(config.has('mock') ? config.util.toObject(config.get('mock')) : {}),
+            ...parseArgs(process.argv.slice(2))
+        };
+        
+        const server = new MockXeggexServer(options);
+        const baseUrl = await server.start();
+        
+        console.log(`✅ Serving ${Object.keys(server.markets).length} markets at ${baseUrl}`);
+        console.log(`💡 Point the client at it with api.xeggex.baseUrl = "${baseUrl}" (NODE_ENV=mock uses config/mock.json)`);
+        if (server.options.rateLimit) {
+            console.log(`⏱️ Rate limit: ${server.options.rateLimit.requests} requests per ${server.options.rateLimit.window}ms`);
+        }
+        if (server.options.outages) {
+            console.log('⚠️ Outages enabled:', JSON.stringify(server.options.outages));
+        }
+        
+        const shutdown = async () => {
+            console.log('\n🛑 Stopping mock Xeggex API...');
+            console.log('📊 Requests served:', server.getStats());
+            await server.stop();
+            process.exit(0);
+        };
+        
+        process.on('SIGINT', shutdown);
+        process.on('SIGTERM', shutdown);
+    } catch (error) {
+        console.error('❌ Mock exchange failed to start:', error.message);
+        process.exit(1);
+    }
+}
+
+runMockExchange();
@@ -0,0 +1,128 @@
+require('dotenv').config();
+const fs = require('fs').promises;
+const config = require('config');
+const { Backtester } = require('../src/backtest');
+const { IndicatorRegistry } = require('../src/strategies/technical');
+const { StorageRegistry, PairSymbol } = require('../src/utils');
+
+// Usage: node scripts/run-backtest.js <PAIR> [--timeframe=1h] [--file=path] [--capital=10000]
+//        [--fee=0.001] [--slippage=0.0005] [--position-size=1] [--min-confidence=0] [--trades]
+//        [--from=2024-01-01] [--to=2024-02-01]   (dates or ms timestamps, stored history only)
+function parseArgs(argv) {
+    const args = { options: {} };
+    const numericOptions = {
+        capital: 'initialCapital',
+        fee: 'feeRate',
+        slippage: 'slippage',
+        'position-size': 'positionSize',
+        'min-confidence': 'minConfidence',
+        warmup: 'warmupPeriod',
+        window: 'windowSize'
+    };
+
+    for (const arg of argv) {
+        if (!arg.startsWith('--')) {
+            args.pair = PairSymbol.normalize(arg) || arg.toUpperCase();
+            continue;
+        }
+
+        const [key, value] = arg.slice(2).split('=');
+        if (numericOptions[key]) {
+            const parsed = parseFloat(value);
+            if (!Number.isFinite(parsed)) {
+                throw new Error(`Invalid value for --${key}: ${value}`);
+            }
+            args.options[numericOptions[key]] = parsed;
+        } else if (key === 'timeframe') {
+            args.timeframe = value;
+        } else if (key === 'file') {
+            args.file = value;
+        } else if (key === 'trades') {
+            args.showTrades = true;
+        } else if (key === 'from' || key === 'to') {
+            const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+            if (!Number.isFinite(time)) {
+                throw new Error(`Invalid value for --${key}: ${value}`);
+            }
+            args[key] = time;
+        } else {
+            throw new Error(`Unknown option --${key}`);
+        }
+    }
+
+    return args;
+}
+
+async function loadHistory(args) {
+    if (args.file) {
+        const content = JSON.parse(await fs.readFile(args.file, 'utf8'));
+        // Accept both the storage file layout and a bare history object
+        return content.history || content;
+    }
+
+    const storage = StorageRegistry.create(config.has('trading.storage') ? config.util.toObject(config.get('trading.storage')) : {});
+    try {
+        return await storage.loadPairData(args.pair, args.timeframe || null, {
+            from: args.from !== undefined ? args.from : null,
+            to: args.to !== undefined ? args.to : null
+        });
+    } finally {
+        await storage.close();
+    }
+}
+
+async function runBacktest() {
+    console.log('📈 Running backtest...');
+
+    try {
+        const args = parseArgs(process.argv.slice(2));
+
+        if (!args.pair && !args.file) {
+            console.log('❌ Usage: npm run backtest -- <PAIR> [--timeframe=1h] [--file=path] [--fee=0.001] [--slippage=0.0005] [--capital=10000] [--min-confidence=0] [--trades]');
+            process.exit(1);
+        }
+
+        const history = await loadHistory(args);
+        if (!history || !Array.isArray(history.closes)) {
+            console.log(`❌ No stored history found for ${args.pair || args.file}${args.timeframe ? ` (${args.timeframe})` : ''}`);
+            process.exit(1);
+        }
+
+        console.log(`📊 Loaded ${history.closes.length} bars for ${args.pair || args.file}${args.timeframe ? ` (${args.timeframe})` : ''}`);
+
+        IndicatorRegistry.loadPlugins(config.has('trading.indicatorPlugins') ? config.util.toObject(config.get('trading.indicatorPlugins')) : {});
+        const backtester = new Backtester({ ...args.options, yieldEvery: 0 });
+        const startTime = Date.now();
+        const result = await backtester.run(history);
+        const { summary } = result;
+
+        console.log(`\n✅ Backtest completed in ${Date.now() - startTime}ms`);
+        console.log('\n📋 Summary:');
+        console.log(`   Period: ${new Date(summary.startTime).toISOString()} → ${new Date(summary.endTime).toISOString()}`);
+        console.log(`   Bars: ${summary.bars}`);
+        console.log(`   Initial capital: ${summary.initialCapital}`);
+        console.log(`   Final equity: ${summary.finalEquity}`);
+        console.log(`   Total return: ${summary.totalReturnPercent}%`);
+        console.log(`   Trades: ${summary.totalTrades} (${summary.winningTrades} wins / ${summary.losingTrades} losses)`);
+        console.log(`   Win rate: ${(summary.winRate * 100).toFixed(2)}%`);
+        console.log(`   Profit factor: ${summary.profitFactor === null ? '∞ (no losing trades)' : summary.profitFactor}`);
+        console.log(`   Max drawdown: ${summary.maxDrawdownPercent}%`);
+        console.log(`   Sharpe ratio: ${summary.sharpeRatio}`);
+        console.log(`   Total fees: ${summary.totalFees}`);
+        console.log(`   Signals: ${summary.signals.buy} buy / ${summary.signals.sell} sell / ${summary.signals.hold} hold`);
+
+        if (args.showTrades && result.trades.length > 0) {
+            console.log('\n💱 Trades:');
+            result.trades.forEach((trade, index) => {
+                const icon = trade.pnl > 0 ? '🟢' : '🔴';
+                console.log(`   ${icon} #${index + 1} ${new Date(trade.entryTime).toISOString()} @ ${trade.entryPrice} → ${new Date(trade.exitTime).toISOString()} @ ${trade.exitPrice} | ${trade.returnPercent}% (${trade.exitReason})`);
+            });
+        }
+
+    } catch (error) {
+        console.error('❌ Backtest failed:', error.message);
+        process.exit(1);
+    }
+}
+
+runBacktest();
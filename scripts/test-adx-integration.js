@@ -17,7 +17,7 @@ async function testADXIntegration() {
     try {
         console.log('\n📊 Test 1: Individual ADX calculation...');
         const strategies = new TechnicalStrategies();
-        const adxResult = strategies.calculateADX(sampleData);
+        const adxResult = strategies.calculateIndicator('adx', sampleData);
         
         console.log('✅ Individual ADX test successful!');
         console.log('ADX Result:', {
@@ -116,7 +116,7 @@ async function testADXIntegration() {
             timestamps: Array.from({length: 40}, (_, i) => Date.now() - (39-i) * 300000)
         };
         
-        const trendingResult = strategies.calculateADX(trendingData);
+        const trendingResult = strategies.calculateIndicator('adx', trendingData);
         console.log('Strong Trending Market:', {
             adx: trendingResult.adx,
             trendStrength: trendingResult.metadata?.trendStrength,
@@ -133,7 +133,7 @@ async function testADXIntegration() {
             timestamps: Array.from({length: 40}, (_, i) => Date.now() - (39-i) * 300000)
         };
         
-        const rangingResult = strategies.calculateADX(rangingData);
+        const rangingResult = strategies.calculateIndicator('adx', rangingData);
         console.log('Ranging Market:', {
             adx: rangingResult.adx,
             trendStrength: rangingResult.metadata?.trendStrength,
@@ -1,14 +1,16 @@
 require('dotenv').config();
+const config = require('config');
 const { XeggexClient } = require('../src/data/collectors');
 const { Logger } = require('../src/utils');
 
 async function testApiClient() {
     console.log('🚀 Testing XeggexClient...');
     
-    // Initialize client with credentials from .env
+    // Initialize client with credentials from .env (NODE_ENV=mock points it at the mock API)
     const client = new XeggexClient(
         process.env.X_API,
-        process.env.X_SECRET
+        process.env.X_SECRET,
+        config.get('api.xeggex')
     );
     
     // Set up event listeners
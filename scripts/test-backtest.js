@@ -0,0 +1,236 @@
+const { Backtester } = require('../src/backtest');
+const { TechnicalStrategies } = require('../src/strategies/technical');
+const { SyntheticMarket } = require('../src/mock');
+const { Logger } = require('../src/utils');
+
+// Checks the backtester offline: fills at the next open, fees, slippage, metrics and the equity
+// curve against hand-worked trades, option validation, and a replay of a history that changes
+// under it. Usage: node scripts/test-backtest.js
+
+const INTERVAL = 300000;
+const START = Date.UTC(2024, 0, 1);
+
+// Signals taken on the close of bar 2 (buy), 5 (sell), 7 (buy) and 9 (sell)
+const OPENS = [100, 100, 100, 100, 105, 110, 120, 120, 115, 110, 100, 100];
+const CLOSES = [100, 100, 100, 104, 110, 118, 121, 116, 112, 104, 100, 100];
+
+// Stands in for TechnicalStrategies: plays back a fixed signal per bar
+class ScriptedStrategies {
+    constructor(signals) {
+        this.signals = signals;
+    }
+    
+    getEnsembleSignal(window) {
+        this.lastWindow = window;
+        const suggestion = this.signals[window.closes.length - 1] || 'hold';
+        return { suggestion, confidence: suggestion === 'hold' ? 0 : 1 };
+    }
+    
+    getMinDataPoints() {
+        return 1;
+    }
+}
+
+function report(checks) {
+    let passed = true;
+    checks.forEach(([label, ok]) => {
+        console.log(`${ok ? '✅' : '❌'} ${label}`);
+        passed = passed && ok;
+    });
+    return passed;
+}
+
+function close(a, b, tolerance = 1e-6) {
+    return Math.abs(a - b) <= tolerance;
+}
+
+function makeHistory() {
+    return {
+        opens: [...OPENS],
+        highs: CLOSES.map((price, i) => Math.max(price, OPENS[i]) + 1),
+        lows: CLOSES.map((price, i) => Math.min(price, OPENS[i]) - 1),
+        closes: [...CLOSES],
+        volumes: CLOSES.map(() => 1000),
+        timestamps: CLOSES.map((price, i) => START + i * INTERVAL),
+        buyVolumes: CLOSES.map(() => 600),
+        sellVolumes: CLOSES.map(() => 400),
+        tradeCounts: CLOSES.map(() => 12),
+        vwaps: [...CLOSES]
+    };
+}
+
+function syntheticHistory(bars) {
+    const market = new SyntheticMarket('TEST/USDT', { model: 'regimes', volatility: 0.004, trend: 0.0008, regimeLength: 240, startTime: START });
+    const candles = market.getCandles(START + bars * INTERVAL - 1, { resolution: 5, countBack: bars });
+    
+    return {
+        opens: candles.map(candle => candle.open),
+        highs: candles.map(candle => candle.high),
+        lows: candles.map(candle => candle.low),
+        closes: candles.map(candle => candle.close),
+        volumes: candles.map(candle => candle.volume),
+        timestamps: candles.map(candle => candle.time)
+    };
+}
+
+async function testFills() {
+    console.log('\n📊 Test 1: Fills, fees and metrics...');
+    
+    const strategies = new ScriptedStrategies({ 2: 'buy', 5: 'sell', 7: 'buy', 9: 'sell' });
+    const backtester = new Backtester({
+        initialCapital: 1000,
+        feeRate: 0.01,
+        slippage: 0,
+        positionSize: 0.5,
+        warmupPeriod: 0,
+        windowSize: 20,
+        yieldEvery: 0,
+        technicalStrategies: strategies
+    });
+    const { summary, trades, equityCurve } = await backtester.run(makeHistory());
+    const window = strategies.lastWindow;
+    
+    // Trade 1: 500 committed at the open of bar 3 (100), 5 fee -> 4.95 units, sold at the open of bar 6 (120):
+    // 594 gross - 5.94 fee = 588.06, P&L 88.06. Cash afterwards 500 + 588.06 = 1088.06.
+    // Trade 2: 544.03 committed at the open of bar 8 (115), 5.4403 fee, sold at the open of bar 10 (100).
+    const quantity2 = (544.03 - 5.4403) / 115;
+    const proceeds2 = quantity2 * 100 * 0.99;
+    const pnl2 = proceeds2 - 544.03;
+    const finalEquity = 544.03 + proceeds2;
+    
+    return report([
+        ['two trades filled at the next open', trades.length === 2 && trades[0].entryPrice === 100 && trades[0].exitPrice === 120 &&
+            trades[1].entryPrice === 115 && trades[1].exitPrice === 100],
+        ['entry and exit times are the fill bars', trades[0].entryTime === START + 3 * INTERVAL && trades[0].exitTime === START + 6 * INTERVAL && trades[0].bars === 3],
+        ['winning trade P&L and fees', close(trades[0].quantity, 4.95) && close(trades[0].pnl, 88.06) && close(trades[0].fees, 10.94) && close(trades[0].returnPercent, 17.612)],
+        ['losing trade P&L', close(trades[1].quantity, quantity2) && close(trades[1].pnl, pnl2) && trades[1].exitReason === 'signal'],
+        ['equity is marked to the close while in a position', close(equityCurve[3].equity, 500 + 4.95 * 104) && close(equityCurve[4].equity, 500 + 4.95 * 110)],
+        ['equity between trades is cash', close(equityCurve[6].equity, 1088.06) && close(equityCurve[7].equity, 1088.06)],
+        ['equity curve has one point per bar', equityCurve.length === 12 && equityCurve[11].timestamp === START + 11 * INTERVAL],
+        ['final equity and return', close(summary.finalEquity, finalEquity) && close(summary.totalReturnPercent, Number(((finalEquity - 1000) / 10).toFixed(4)))],
+        ['win rate and profit factor', summary.winRate === 0.5 && summary.winningTrades === 1 && summary.losingTrades === 1 &&
+            close(summary.profitFactor, Number((88.06 / -pnl2).toFixed(4)))],
+        ['max drawdown from the equity peak', close(summary.maxDrawdownPercent, Number(((1088.06 - finalEquity) / 1088.06 * 100).toFixed(4)))],
+        ['total fees', close(summary.totalFees, 5 + 5.94 + 5.4403 + quantity2 * 100 * 0.01)],
+        ['signals are counted', summary.signals.buy === 2 && summary.signals.sell === 2 && summary.signals.hold === 7],
+        ['trade series reach the strategy window', window.buyVolumes.length === window.closes.length && window.sellVolumes[0] === 400 &&
+            window.tradeCounts[0] === 12 && window.vwaps.join() === window.closes.join()],
+        ['trades report rounded money fields only', trades.every(trade => !('proceeds' in trade)) && trades[1].pnl === Number(trades[1].pnl.toFixed(8))]
+    ]);
+}
+
+async function testSlippage() {
+    console.log('\n📊 Test 2: Slippage and the end of the data...');
+    
+    const backtester = new Backtester({
+        initialCapital: 1000,
+        feeRate: 0,
+        slippage: 0.01,
+        positionSize: 1,
+        warmupPeriod: 0,
+        windowSize: 20,
+        yieldEvery: 0,
+        technicalStrategies: new ScriptedStrategies({ 2: 'buy', 3: 'buy' })
+    });
+    const { summary, trades, equityCurve } = await backtester.run(makeHistory());
+    
+    // Bought at 100 * 1.01 = 101, still open at the end and sold at the last close 100 * 0.99 = 99
+    const proceeds = 1000 / 101 * 99;
+    
+    return report([
+        ['entry pays the slippage', trades.length === 1 && close(trades[0].entryPrice, 101) && close(trades[0].quantity, 1000 / 101)],
+        ['open position is closed at the last close', trades[0].exitReason === 'end_of_data' && close(trades[0].exitPrice, 99) && trades[0].exitTime === START + 11 * INTERVAL],
+        ['a second buy while in a position is ignored', summary.totalTrades === 1],
+        ['last equity point is the final cash', close(equityCurve[11].equity, proceeds) && close(summary.finalEquity, proceeds)],
+        ['no fees without a fee rate', summary.totalFees === 0 && close(trades[0].pnl, proceeds - 1000)]
+    ]);
+}
+
+function testOptions() {
+    console.log('\n📊 Test 3: Option validation...');
+    
+    const rejects = (options, technicalStrategies = new ScriptedStrategies({})) => {
+        try {
+            new Backtester({ ...options, technicalStrategies });
+            return false;
+        } catch (error) {
+            return error.message.startsWith('Invalid backtest options');
+        }
+    };
+    const minWindow = new TechnicalStrategies().getMinDataPoints();
+    const errors = Backtester.validateOptions({ positionSize: 1.5, feeRate: 1, slippage: -0.1, windowSize: 0, warmupPeriod: 2.5, initialCapital: 0 }, minWindow);
+    
+    return report([
+        ['defaults are accepted', !rejects({}) && Backtester.validateOptions({}, minWindow).length === 0],
+        ['position size must be above 0 and at most 1', rejects({ positionSize: 1.5 }) && rejects({ positionSize: 0 }) && !rejects({ positionSize: 1 })],
+        ['fee rate and slippage must be below 1', rejects({ feeRate: 1 }) && rejects({ slippage: 1 }) && rejects({ feeRate: -0.01 }) && !rejects({ feeRate: 0, slippage: 0 })],
+        ['window and warmup must be integers', rejects({ windowSize: 0 }) && rejects({ windowSize: 20.5 }) && rejects({ warmupPeriod: 2.5 })],
+        ['every invalid option is reported', errors.length === 6 && errors.includes('positionSize must be a number greater than 0 and at most 1')],
+        ['window must cover the indicators', minWindow === 59 && rejects({ windowSize: 58 }, new TechnicalStrategies()) && !rejects({ windowSize: 59 }, new TechnicalStrategies()) &&
+            Backtester.validateOptions({ windowSize: 58 }, minWindow)[0] === 'windowSize must be an integer of at least 59 (bars the indicators need)']
+    ]);
+}
+
+async function testLiveHistory() {
+    console.log('\n📊 Test 4: Replay of a changing history...');
+    
+    const history = syntheticHistory(260);
+    const expected = await new Backtester({ yieldEvery: 0 }).run(syntheticHistory(260));
+    
+    // Like the collector trimming and refilling its arrays while the backtest yields
+    let replaced = 0;
+    const live = { ...history };
+    const churn = () => {
+        if (replaced < 5) {
+            replaced++;
+            live.closes = live.closes.slice(10);
+            live.opens = live.opens.slice(10);
+            live.timestamps = live.timestamps.slice(10);
+            setImmediate(churn);
+        }
+    };
+    setImmediate(churn);
+    const result = await new Backtester({ yieldEvery: 10 }).run(live);
+    
+    const tradedPnl = result.trades.reduce((sum, trade) => sum + trade.pnl, 0);
+    
+    return report([
+        ['history was replaced during the run', replaced === 5],
+        ['result matches a replay of the unchanged history', JSON.stringify(result.summary) === JSON.stringify(expected.summary) &&
+            JSON.stringify(result.trades) === JSON.stringify(expected.trades)],
+        ['equity curve is complete and finite', result.equityCurve.length === 260 && result.equityCurve.every(point => Number.isFinite(point.equity))],
+        ['trades were made on the synthetic market', result.trades.length > 0],
+        ['trade P&L adds up to the total return', close(tradedPnl, result.summary.finalEquity - result.summary.initialCapital, 1e-4)]
+    ]);
+}
+
+async function testBacktest() {
+    console.log('🚀 Testing backtester...');
+    
+    Logger.logger.silent = true;
+    
+    try {
+        const results = [
+            await testFills(),
+            await testSlippage(),
+            testOptions(),
+            await testLiveHistory()
+        ];
+        
+        Logger.logger.silent = false;
+        
+        if (results.includes(false)) {
+            console.log('\n❌ Backtest tests failed');
+            process.exit(1);
+        }
+        
+        console.log('\n🎉 Backtest tests passed!');
+        process.exit(0);
+    } catch (error) {
+        Logger.logger.silent = false;
+        console.error('❌ Backtest test error:', error.message);
+        process.exit(1);
+    }
+}
+
+testBacktest();
@@ -0,0 +1,264 @@
+const { MarketDataCollector } = require('../src/data/collectors');
+const { ExchangeAdapter } = require('../src/data/exchanges');
+const { CandleAggregator } = require('../src/data/aggregators');
+const { Logger } = require('../src/utils');
+
+// Checks how the collector builds candles offline: interval bucketing, OHLCV from polled ticks
+// and preloaded bars in the same shape, and higher timeframes rolled up from the base candles.
+// Usage: node scripts/test-candles.js
+
+const MINUTE = 60000;
+const INTERVAL = 5 * MINUTE;
+const START = Date.UTC(2024, 0, 15, 12, 0, 0);
+const PAIR = 'KAS/USDT';
+
+// Serves a fixed list of candles; only used by preloads
+class ListExchange extends ExchangeAdapter {
+    constructor(bars) {
+        super('list');
+        this.bars = bars;
+    }
+    
+    async fetchCandles() {
+        return this.bars;
+    }
+}
+
+// Deterministic candles for any resolution up to a fixed clock; resolutions listed in `unsupported` fail
+class SyntheticExchange extends ExchangeAdapter {
+    constructor(now, unsupported = []) {
+        super('synthetic');
+        this.now = now;
+        this.unsupported = unsupported;
+    }
+    
+    static priceAt(time) {
+        return 1 + 0.2 * Math.sin(time / (7 * INTERVAL)) + 0.05 * Math.cos(time / (2 * INTERVAL));
+    }
+    
+    async fetchCandles(pair, { resolution = 5, countBack = 180 } = {}) {
+        if (this.unsupported.includes(resolution)) {
+            throw new Error(`Resolution ${resolution} not available`);
+        }
+        const intervalMs = resolution * MINUTE;
+        const last = CandleAggregator.getBucketStart(this.now, intervalMs);
+        const bars = [];
+        for (let time = last - (countBack - 1) * intervalMs; time <= last; time += intervalMs) {
+            const open = SyntheticExchange.priceAt(time);
+            const close = SyntheticExchange.priceAt(time + intervalMs);
+            bars.push({ time, open, high: Math.max(open, close) * 1.01, low: Math.min(open, close) * 0.99, close, volume: resolution * 10 });
+        }
+        return bars;
+    }
+}
+
+function report(checks) {
+    let passed = true;
+    checks.forEach(([label, ok]) => {
+        console.log(`${ok ? '✅' : '❌'} ${label}`);
+        passed = passed && ok;
+    });
+    return passed;
+}
+
+function same(actual, expected) {
+    return JSON.stringify(actual) === JSON.stringify(expected);
+}
+
+// Every series of a history has one entry per candle
+function isConsistent(history) {
+    const length = history.timestamps.length;
+    return ['opens', 'highs', 'lows', 'closes', 'prices', 'volumes', ...Object.keys(CandleAggregator.TRADE_SERIES)]
+        .every(key => Array.isArray(history[key]) && history[key].length === length);
+}
+
+function createCollector(exchange, config = {}) {
+    return new MarketDataCollector(exchange, {
+        pairs: [PAIR],
+        timeframes: ['5m'],
+        enablePersistence: false,
+        ...config
+    });
+}
+
+function testBucketing() {
+    console.log('\n📊 Test 1: Interval bucketing...');
+    
+    const history = CandleAggregator.createEmptyHistory();
+    const first = CandleAggregator.upsert(history, { timestamp: START + 2 * MINUTE, open: 1, high: 1.2, low: 0.9, close: 1.1, volume: 5 }, INTERVAL);
+    const update = CandleAggregator.upsert(history, { timestamp: START + 4 * MINUTE, open: 1.1, high: 1.3, low: 1.0, close: 1.05, volume: 3 }, INTERVAL);
+    const next = CandleAggregator.upsert(history, { timestamp: START + 6 * MINUTE, open: 1.05, high: 1.06, low: 1.04, close: 1.06, volume: 2 }, INTERVAL);
+    const old = CandleAggregator.upsert(history, { timestamp: START + MINUTE, open: 9, high: 9, low: 9, close: 9, volume: 9 }, INTERVAL);
+    
+    // Xeggex reports bar time in seconds
+    const bar = CandleAggregator.fromBar({ time: (START + INTERVAL + 1234) / 1000, high: '1.5', low: '1.1', close: '1.2', volume: '40' }, INTERVAL);
+    const tick = CandleAggregator.fromTick(START + 2 * MINUTE, 1.05, 3, INTERVAL);
+    
+    return report([
+        ['buckets start on interval boundaries', CandleAggregator.getBucketStart(START + 7 * MINUTE + 59999, INTERVAL) === START + INTERVAL &&
+            CandleAggregator.getBucketStart(START, INTERVAL) === START],
+        ['a candle in the current bucket updates it', first === 'appended' && update === 'updated' &&
+            same([history.opens[0], history.highs[0], history.lows[0], history.closes[0], history.volumes[0]], [1, 1.3, 0.9, 1.05, 8])],
+        ['a later bucket appends a candle at its start', next === 'appended' && same(history.timestamps, [START, START + INTERVAL])],
+        ['older buckets are ignored', old === 'ignored' && history.closes.length === 2 && history.closes[0] === 1.05],
+        ['exchange bars are normalized to milliseconds and bucketed', bar.timestamp === START + INTERVAL],
+        ['exchange bars without an open open at the close', bar.open === 1.2 && bar.high === 1.5 && bar.low === 1.1 && bar.volume === 40],
+        ['bars without a usable time are dropped', CandleAggregator.fromBar({ time: 'never', close: 1 }, INTERVAL) === null],
+        ['a tick opens a flat candle at its bucket start', same(tick, { timestamp: START, open: 1.05, high: 1.05, low: 1.05, close: 1.05, volume: 3 })],
+        ['volume comes from the change in the rolling 24h total', CandleAggregator.volumeDelta(1000, 1030) === 30 &&
+            CandleAggregator.volumeDelta(1030, 990) === 0 && CandleAggregator.volumeDelta(null, 990) === 0],
+        ['every series stays the same length', isConsistent(history)]
+    ]);
+}
+
+async function testTicks() {
+    console.log('\n📊 Test 2: Candles from polled ticks and preloads...');
+    
+    const collector = createCollector(new ListExchange([
+        { time: START - 2 * INTERVAL, open: 0.9, high: 0.95, low: 0.88, close: 0.92, volume: 100 },
+        { time: (START - INTERVAL) / 1000, open: 0.92, high: 0.99, low: 0.91, close: 0.97, volume: 120 },
+        // Duplicate and out-of-order bars are skipped
+        { time: START - INTERVAL, open: 5, high: 5, low: 5, close: 5, volume: 5 },
+        { time: START - 3 * INTERVAL, open: 5, high: 5, low: 5, close: 5, volume: 5 }
+    ]));
+    
+    try {
+        collector.initializeHistoryForPair(PAIR);
+        await collector.preloadFromAPI(PAIR);
+        const preloaded = collector.getHistoryForPair(PAIR);
+        const preloadOk = same(preloaded.timestamps, [START - 2 * INTERVAL, START - INTERVAL]) &&
+            same(preloaded.opens, [0.9, 0.92]) && same(preloaded.closes, [0.92, 0.97]);
+        
+        const ticks = [
+            { timestamp: START + MINUTE, price: 1.0, rollingVolume: 1000 },
+            { timestamp: START + 2 * MINUTE, price: 1.05, rollingVolume: 1010 },
+            { timestamp: START + 3 * MINUTE, price: 0.98, rollingVolume: 1005 },
+            { timestamp: START + INTERVAL + 30000, price: 1.02, rollingVolume: 1020 }
+        ];
+        const results = ticks.map(tick => collector.applyTick(PAIR, tick));
+        const late = collector.applyTick(PAIR, { timestamp: START + 4 * MINUTE, price: 7, rollingVolume: 1030 });
+        const history = collector.getHistoryForPair(PAIR);
+        
+        return report([
+            ['preloaded bars keep their open and bucket, duplicates are skipped', preloadOk],
+            ['the first tick of a bucket opens a candle at the bucket start', results[0].timestamp === START && results[0].open === 1.0],
+            ['ticks in the same bucket update high, low and close', same([history.opens[2], history.highs[2], history.lows[2], history.closes[2]], [1.0, 1.05, 0.98, 0.98])],
+            ['volume adds up the rolling volume increases', history.volumes[2] === 10 && history.volumes[3] === 15],
+            ['a tick in the next bucket opens a new candle at its price', history.timestamps[3] === START + INTERVAL && history.opens[3] === 1.02],
+            ['ticks for an older bucket are ignored', late === null && history.closes.length === 4 && history.closes[3] === 1.02],
+            ['preloaded and live candles share one shape', isConsistent(history) && same(history.prices, history.closes)]
+        ]);
+    } finally {
+        await collector.stop();
+    }
+}
+
+function testRollup() {
+    console.log('\n📊 Test 3: Rolling candles up to higher timeframes...');
+    
+    const base = CandleAggregator.createEmptyHistory();
+    const bars = [
+        { open: 1.00, high: 1.04, low: 0.98, close: 1.02, volume: 10, buyVolume: 6, sellVolume: 4, tradeCount: 3, vwap: 1.01 },
+        { open: 1.02, high: 1.08, low: 1.01, close: 1.06, volume: 20, buyVolume: 12, sellVolume: 8, tradeCount: 5, vwap: 1.05 },
+        { open: 1.06, high: 1.07, low: 0.95, close: 0.99, volume: 30 },
+        { open: 0.99, high: 1.01, low: 0.97, close: 1.00, volume: 5 },
+        { open: 1.00, high: 1.12, low: 0.99, close: 1.10, volume: 15 },
+        { open: 1.10, high: 1.11, low: 1.03, close: 1.05, volume: 25 }
+    ];
+    bars.forEach((bar, i) => CandleAggregator.upsert(base, { timestamp: START + i * INTERVAL, ...bar }, INTERVAL));
+    
+    const quarter = CandleAggregator.rollup(base, 15 * MINUTE);
+    const hour = CandleAggregator.rollup(base, 60 * MINUTE);
+    // A series that starts mid-bucket gives a partial first bar
+    const partial = CandleAggregator.rollup({ ...base, timestamps: base.timestamps.map(timestamp => timestamp + 2 * INTERVAL) }, 15 * MINUTE);
+    
+    return report([
+        ['15m bars take the first open, extremes, last close and summed volume', same(quarter.timestamps, [START, START + 15 * MINUTE]) &&
+            same(quarter.opens, [1.00, 0.99]) && same(quarter.highs, [1.08, 1.12]) && same(quarter.lows, [0.95, 0.97]) &&
+            same(quarter.closes, [0.99, 1.05]) && same(quarter.volumes, [60, 45])],
+        ['1h bar covers all six candles', same([hour.opens[0], hour.highs[0], hour.lows[0], hour.closes[0], hour.volumes[0]], [1.00, 1.12, 0.95, 1.05, 105]) &&
+            hour.closes.length === 1],
+        ['trade volumes add up and VWAP is volume weighted', quarter.buyVolumes[0] === 18 && quarter.sellVolumes[0] === 12 &&
+            quarter.tradeCounts[0] === 8 && Math.abs(quarter.vwaps[0] - (1.01 * 10 + 1.05 * 20) / 30) < 1e-12],
+        ['bars without trade data leave the trade series empty', quarter.buyVolumes[1] === null && quarter.vwaps[1] === null],
+        ['a series starting mid-bucket gives a partial first bar', same(partial.timestamps, [START, START + 15 * MINUTE, START + 30 * MINUTE]) &&
+            partial.opens[0] === 1.00 && partial.closes[0] === 1.02 && partial.volumes[0] === 10 && partial.volumes[1] === 55],
+        ['rolled up histories have every series', isConsistent(quarter) && isConsistent(hour)]
+    ]);
+}
+
+async function testTimeframes() {
+    console.log('\n📊 Test 4: Collector timeframes...');
+    
+    const config = { timeframes: ['5m', '15m', '1h'] };
+    // Only base candles available: higher timeframes are rolled up from them
+    const rolled = createCollector(new SyntheticExchange(START, [15, 60]), config);
+    const fetched = createCollector(new SyntheticExchange(START), config);
+    const matchesRollup = (collector, timeframe, intervalMs) => {
+        const expected = CandleAggregator.rollup(collector.getHistoryForPair(PAIR), intervalMs);
+        const actual = collector.getHistoryForPair(PAIR, timeframe);
+        return ['timestamps', 'opens', 'highs', 'lows', 'closes', 'volumes']
+            .every(key => same(actual[key].map(value => Number(value.toFixed(10))), expected[key].map(value => Number(value.toFixed(10)))));
+    };
+    
+    try {
+        await rolled.loadOrPreloadSinglePair(PAIR);
+        await fetched.loadOrPreloadSinglePair(PAIR);
+        const seeded = matchesRollup(rolled, '15m', 15 * MINUTE) && matchesRollup(rolled, '1h', 60 * MINUTE);
+        
+        const ticks = [
+            { timestamp: START + 2 * MINUTE, price: 2, rollingVolume: 500 },
+            { timestamp: START + 3 * MINUTE, price: 2.5, rollingVolume: 530 },
+            { timestamp: START + 16 * MINUTE, price: 0.5, rollingVolume: 560 }
+        ];
+        ticks.forEach(tick => rolled.applyTick(PAIR, tick));
+        const quarter = rolled.getHistoryForPair(PAIR, '15m');
+        const last = quarter.closes.length - 1;
+        const hour = fetched.getHistoryForPair(PAIR, '1h');
+        
+        return report([
+            ['every configured timeframe is available', same(rolled.getAvailableTimeframes(), ['5m', '15m', '1h'])],
+            ['higher timeframes are rolled up when the exchange has no candles for them', seeded],
+            ['ticks move the higher timeframes in step', matchesRollup(rolled, '15m', 15 * MINUTE) && matchesRollup(rolled, '1h', 60 * MINUTE)],
+            ['a tick in a new bucket opens a higher timeframe bar', quarter.timestamps[last] === START + 15 * MINUTE &&
+                quarter.opens[last] === 0.5 && quarter.highs[last - 1] === 2.5],
+            ['higher timeframes come from the candles endpoint when it has them', hour.closes.length > rolled.getHistoryForPair(PAIR, '1h').closes.length &&
+                hour.timestamps.every(timestamp => timestamp % (60 * MINUTE) === 0)],
+            ['unknown timeframes are not served', rolled.getHistoryForPair(PAIR, '4h') === null]
+        ]);
+    } finally {
+        await rolled.stop();
+        await fetched.stop();
+    }
+}
+
+async function testCandles() {
+    console.log('🚀 Testing candle building...');
+    
+    Logger.logger.silent = true;
+    
+    try {
+        const results = [
+            testBucketing(),
+            await testTicks(),
+            testRollup(),
+            await testTimeframes()
+        ];
+        
+        Logger.logger.silent = false;
+        
+        if (results.includes(false)) {
+            console.log('\n❌ Candle tests failed');
+            process.exit(1);
+        }
+        
+        console.log('\n🎉 Candle tests passed!');
+        process.exit(0);
+    } catch (error) {
+        Logger.logger.silent = false;
+        console.error('❌ Candle test error:', error.message);
+        process.exit(1);
+    }
+}
+
+testCandles();
@@ -0,0 +1,196 @@
+const { CircuitBreaker, RequestScheduler } = require('../src/data/exchanges');
+const { XeggexClient, MarketDataCollector } = require('../src/data/collectors');
+const { MockXeggexServer } = require('../src/mock');
+const { Logger } = require('../src/utils');
+
+// Checks the circuit breaker's states on a fake clock, then takes the mock Xeggex API down under a
+// collector and watches it stop polling, probe the exchange and pick up again once it is back.
+// Usage: node scripts/test-circuit-breaker.js
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function httpError(statusCode) {
+    const error = new Error(`Response code ${statusCode}`);
+    error.response = { statusCode, headers: {} };
+    return error;
+}
+
+function report(checks) {
+    let passed = true;
+    checks.forEach(([label, ok]) => {
+        console.log(`${ok ? '✅' : '❌'} ${label}`);
+        passed = passed && ok;
+    });
+    return passed;
+}
+
+async function testStates() {
+    console.log('\n📊 Test 1: Opening, probing and closing...');
+    
+    const clock = { now: 0 };
+    const breaker = new CircuitBreaker('test', { failureThreshold: 3, openTimeout: 1000, maxOpenTimeout: 3000, now: () => clock.now });
+    const transitions = [];
+    breaker.on('stateChange', ({ from, to }) => transitions.push(`${from}>${to}`));
+    
+    const fail = error => breaker.execute(async () => { throw error; }).catch(() => {});
+    const succeed = () => breaker.execute(async () => 'ok');
+    
+    await fail(httpError(503));
+    await fail(httpError(503));
+    await succeed();
+    const resetBySuccess = breaker.consecutiveFailures === 0;
+    
+    await fail(httpError(404));
+    await fail(httpError(404));
+    await fail(httpError(404));
+    const closedOnClientErrors = breaker.isClosed();
+    
+    await fail(httpError(503));
+    await fail(httpError(429));
+    await fail(new Error('socket hang up'));
+    const opened = breaker.state === 'open' && breaker.getStatus().trips === 1;
+    
+    let calls = 0;
+    const rejected = await breaker.execute(async () => calls++).catch(error => error.code);
+    
+    // The first request after openTimeout is the probe; a failed probe doubles the wait
+    clock.now += 1000;
+    await fail(httpError(503));
+    const firstReopen = breaker.state === 'open' && breaker.nextProbeAt === clock.now + 2000;
+    clock.now += 2000;
+    await fail(httpError(503));
+    const capped = breaker.nextProbeAt === clock.now + 3000;
+    
+    clock.now += 3000;
+    const probed = await succeed();
+    const status = breaker.getStatus();
+    
+    return report([
+        ['successes reset the failure count', resetBySuccess],
+        ['client errors do not open the circuit', closedOnClientErrors],
+        ['consecutive failures open it', opened],
+        ['requests fail at once while it is open', rejected === 'CIRCUIT_OPEN' && calls === 0 && breaker.getStatus().rejected === 1],
+        ['failed probes back off, up to maxOpenTimeout', firstReopen && capped],
+        ['a successful probe closes it', probed === 'ok' && breaker.isClosed() && status.openedAt === null && status.probes === 3],
+        ['state changes are emitted', transitions.join() ===
+            'closed>open,open>half-open,half-open>open,open>half-open,half-open>open,open>half-open,half-open>closed']
+    ]);
+}
+
+async function testProbeTimer() {
+    console.log('\n📊 Test 2: Probes on a timer...');
+    
+    let healthy = false;
+    let probes = 0;
+    const breaker = new CircuitBreaker('timed', {
+        failureThreshold: 1,
+        openTimeout: 50,
+        probe: async () => {
+            probes++;
+            if (!healthy) throw new Error('still down');
+        }
+    });
+    
+    await breaker.execute(async () => { throw httpError(502); }).catch(() => {});
+    await sleep(80);
+    const afterFirstProbe = breaker.state === 'open' && probes === 1;
+    
+    healthy = true;
+    await sleep(150);
+    
+    return report([
+        ['the probe runs after openTimeout and reopens on failure', afterFirstProbe],
+        ['the next probe closes the circuit', breaker.isClosed() && probes === 2],
+        ['no probe is left pending once closed', breaker.probeTimer === null]
+    ]);
+}
+
+async function testCollectorOutage() {
+    console.log('\n📊 Test 3: Collector during an exchange outage...');
+    
+    const server = new MockXeggexServer({ port: 0 });
+    const baseUrl = await server.start();
+    const scheduler = new RequestScheduler({ requests: 1000, window: 60000, retries: 0 });
+    const client = new XeggexClient(null, null, { baseUrl, scheduler });
+    const collector = new MarketDataCollector(client, {
+        pairs: ['KAS/USDT', 'RVN/USDT', 'KAS/BTC'],
+        timeframes: ['5m'],
+        enablePersistence: false,
+        circuitBreaker: { failureThreshold: 3, openTimeout: 200, maxOpenTimeout: 1000 }
+    });
+    const events = [];
+    const rounds = [];
+    collector.on('exchangeStatus', ({ from, to }) => events.push(`${from}>${to}`));
+    collector.on('collectionRoundComplete', round => rounds.push(round));
+    
+    try {
+        for (const pair of collector.config.pairs) {
+            await collector.loadOrPreloadSinglePair(pair);
+        }
+        await collector.collectCurrentData();
+        const freshBefore = collector.config.pairs.every(pair => !collector.getDataFreshness(pair).stale);
+        
+        server.startOutage(300);
+        await collector.collectCurrentData();
+        const opened = collector.getCircuitStatus()[client.name].state === 'open';
+        
+        const requestsBefore = server.getStats().requests;
+        await collector.collectCurrentData();
+        await collector.collectTrades();
+        await collector.collectOrderBooks();
+        const quiet = server.getStats().requests === requestsBefore;
+        const stale = collector.getDataFreshness('KAS/USDT');
+        const directCall = await collector.fetchCurrentData('KAS/USDT').catch(error => error.code);
+        
+        // Probes at 200ms (still down) and 600ms (back up)
+        await sleep(800);
+        const status = collector.getCircuitStatus()[client.name];
+        await collector.collectCurrentData();
+        
+        return report([
+            ['data is fresh while the exchange is up', freshBefore],
+            ['failures open the circuit', opened && rounds[1].failed === 3],
+            ['polling stops while the circuit is open', quiet && rounds[2].skipped === 3 && rounds[2].failed === 0],
+            ['data is flagged stale with its age', stale.stale && stale.age >= 0 && stale.lastUpdate !== null],
+            ['direct requests fail fast', directCall === 'CIRCUIT_OPEN'],
+            ['probes find the exchange again', status.state === 'closed' && status.probes === 2 && status.trips === 1],
+            ['transitions are reported', events.join() === 'closed>open,open>half-open,half-open>open,open>half-open,half-open>closed'],
+            ['collection resumes', rounds[rounds.length - 1].successful === 3 &&
+                collector.config.pairs.every(pair => !collector.getDataFreshness(pair).stale)]
+        ]);
+    } finally {
+        await collector.stop();
+        await server.stop();
+    }
+}
+
+async function testCircuitBreaker() {
+    console.log('🚀 Testing the exchange circuit breaker...');
+    
+    // The outage produces a burst of request errors by design
+    Logger.logger.silent = true;
+    
+    try {
+        const results = [
+            await testStates(),
+            await testProbeTimer(),
+            await testCollectorOutage()
+        ];
+        
+        Logger.logger.silent = false;
+        
+        if (results.includes(false)) {
+            console.log('\n❌ Circuit breaker tests failed');
+            process.exit(1);
+        }
+        
+        console.log('\n🎉 Circuit breaker tests passed!');
+        process.exit(0);
+    } catch (error) {
+        Logger.logger.silent = false;
+        console.error('❌ Circuit breaker test error:', error.message);
+        process.exit(1);
+    }
+}
+
+testCircuitBreaker();
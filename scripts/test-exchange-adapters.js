@@ -0,0 +1,188 @@
+const { MarketDataCollector } = require('../src/data/collectors');
+const { ExchangeAdapter, XeggexClient, ExchangeRegistry } = require('../src/data/exchanges');
+
+// Checks the exchange adapter layer offline: Xeggex responses are normalized, and the collector
+// gets candles, ticks and market lists from the exchange each pair is configured with.
+// Usage: node scripts/test-exchange-adapters.js
+
+// In-memory exchange with a fixed price per pair
+class FakeExchange extends ExchangeAdapter {
+    constructor(name, prices) {
+        super(name);
+        this.prices = prices;
+        this.calls = [];
+    }
+    
+    async fetchTicker(pair) {
+        this.calls.push(['fetchTicker', pair]);
+        return { pair, price: this.prices[pair], volume24h: 1000, timestamp: Date.now() };
+    }
+    
+    async fetchCandles(pair, { resolution = 5, countBack = 180 } = {}) {
+        this.calls.push(['fetchCandles', pair]);
+        const intervalMs = resolution * 60000;
+        const end = Math.floor(Date.now() / intervalMs) * intervalMs;
+        const price = this.prices[pair];
+        
+        return Array.from({ length: countBack }, (_, i) => ({
+            time: end - (countBack - 1 - i) * intervalMs,
+            open: price,
+            high: price * 1.01,
+            low: price * 0.99,
+            close: price,
+            volume: 10
+        }));
+    }
+    
+    async fetchOrderBook(pair, depth = 50) {
+        this.calls.push(['fetchOrderBook', pair]);
+        const price = this.prices[pair];
+        return {
+            pair,
+            bids: [{ price: price * 0.99, quantity: 1 }].slice(0, depth),
+            asks: [{ price: price * 1.01, quantity: 1 }].slice(0, depth),
+            timestamp: Date.now()
+        };
+    }
+    
+    async fetchMarkets(quote = null) {
+        return Object.entries(this.prices)
+            .map(([pair, lastPrice]) => {
+                const [base, pairQuote] = pair.split('/');
+                return { pair, base, quote: pairQuote, symbol: pair, name: base, lastPrice, volume24h: 1000, change24h: 0, isActive: true };
+            })
+            .filter(market => !quote || market.quote === quote);
+    }
+}
+
+async function testXeggexNormalization() {
+    console.log('\n📊 Test 1: XeggexClient normalizes raw responses...');
+    
+    const client = new XeggexClient(null, null, { rateLimit: { requests: 100, window: 60000 } });
+    const responses = {
+        'market/getbysymbol/KAS_BTC': { lastPriceNumber: '0.0000021', volumeNumber: '1250000' },
+        'market/getorderbookbysymbol/KAS_BTC': {
+            bids: [{ price: '0.0000019', quantity: '50' }, { price: '0.0000020', quantity: '25' }],
+            asks: [{ price: '0.0000023', quantity: '10' }, { price: '0.0000022', quantity: '40' }, { price: '0', quantity: '5' }]
+        },
+        'historical_trades?ticker_id=KAS_BTC&limit=2': [
+            { trade_id: 'c', price: '0.0000022', base_volume: '30', trade_timestamp: 1700000120000, type: 'sell' },
+            { trade_id: 'b', price: '0.0000021', base_volume: '0', trade_timestamp: 1700000060000, type: 'buy' },
+            { trade_id: 'a', price: '0.0000020', base_volume: '10', trade_timestamp: 1700000000, type: 'buy' }
+        ]
+    };
+    // Answer from fixtures instead of the network
+    client.makeRequest = async (endpoint) => {
+        if (endpoint.startsWith('market/candles')) {
+            return { bars: [
+                { time: 1700000300, open: '2', high: '3', low: '1', close: '2.5', volume: '7' },
+                { time: 1700000000, open: '1', high: '2', low: '1', close: '2', volume: '5' },
+                { time: null, close: '1' }
+            ] };
+        }
+        return responses[endpoint];
+    };
+    
+    const ticker = await client.fetchTicker('KAS/BTC');
+    const candles = await client.fetchCandles('KAS/BTC', { resolution: 5, countBack: 3 });
+    const book = await client.fetchOrderBook('KAS/BTC', 1);
+    const trades = await client.fetchTrades('KAS/BTC', { limit: 2 });
+    
+    const checks = [
+        ['ticker price is a number', ticker.price === 0.0000021 && ticker.volume24h === 1250000],
+        ['ticker pair is the market symbol', ticker.pair === 'KAS/BTC'],
+        ['candles are ascending with millisecond times', candles.length === 2 && candles[0].time === 1700000000000 && candles[1].time === 1700000300000],
+        ['candle values are numbers', candles[1].close === 2.5 && candles[1].volume === 7],
+        ['best bid first, limited to depth', book.bids.length === 1 && book.bids[0].price === 0.0000020],
+        ['best ask first, empty levels dropped', book.asks.length === 1 && book.asks[0].price === 0.0000022],
+        ['trades are oldest first, empty trades dropped', trades.length === 2 && trades[0].id === 'a' &&
+            trades[0].timestamp === 1700000000000 && trades[1].quantity === 30],
+        ['trade sides are the aggressor side', trades[0].side === 'buy' && trades[1].side === 'sell'],
+        ['adapter is registered', ExchangeRegistry.has('xeggex') && ExchangeRegistry.create('xeggex') instanceof ExchangeAdapter]
+    ];
+    
+    return report(checks);
+}
+
+async function testCollectorRouting() {
+    console.log('\n📊 Test 2: Collector uses the exchange each pair is configured with...');
+    
+    const alpha = new FakeExchange('alpha', { 'KAS/USDT': 0.1, 'RVN/USDT': 0.02 });
+    const beta = new FakeExchange('beta', { 'KAS/BTC': 0.0000021 });
+    const collector = new MarketDataCollector({ alpha, beta }, {
+        pairs: ['KAS/USDT', 'KAS/BTC'],
+        pairExchanges: { 'KAS/BTC': 'beta' },
+        timeframes: ['5m', '1h'],
+        enablePersistence: false
+    });
+    
+    for (const pair of collector.config.pairs) {
+        await collector.loadOrPreloadSinglePair(pair);
+    }
+    await collector.fetchCurrentData('KAS/BTC');
+    const book = await collector.fetchOrderBook('KAS/BTC');
+    
+    const kasBtc = collector.getHistoryForPair('KAS/BTC');
+    const kasUsdt = collector.getHistoryForPair('KAS/USDT');
+    const markets = await collector.getAvailablePairs(null);
+    const betaMarkets = await collector.getAvailablePairs(null, 'beta');
+    
+    const checks = [
+        ['pairs without an entry use the default exchange', collector.getExchangeName('KAS/USDT') === 'alpha'],
+        ['KAS/BTC history comes from beta', kasBtc.closes.length > 0 && kasBtc.closes.every(close => close === 0.0000021)],
+        ['KAS/USDT history comes from alpha', kasUsdt.closes.length > 0 && kasUsdt.closes.every(close => close === 0.1)],
+        ['ticks and order books use the pair\'s exchange', beta.calls.some(([method]) => method === 'fetchTicker') &&
+            !alpha.calls.some(([method, pair]) => pair === 'KAS/BTC') && book.bids[0].price < book.asks[0].price],
+        ['markets of all exchanges are tagged', markets.length === 3 && markets.find(m => m.pair === 'KAS/BTC').exchange === 'beta'],
+        ['markets can be listed per exchange', betaMarkets.length === 1 && betaMarkets[0].exchange === 'beta']
+    ];
+    
+    await collector.removePair('KAS/BTC');
+    await collector.addPair('RVN/USDT', 'alpha');
+    checks.push(['removed pairs lose their exchange entry', !('KAS/BTC' in collector.config.pairExchanges)]);
+    checks.push(['default exchange is not stored per pair', Object.keys(collector.config.pairExchanges).length === 0]);
+    
+    await collector.updatePairs(['KAS/USDT', 'RVN/USDT', 'KAS/BTC'], { 'KAS/BTC': 'beta' });
+    checks.push(['bulk updates set the exchange of new pairs', collector.getPairExchanges()['KAS/BTC'] === 'beta']);
+    
+    let missingAdapterError = null;
+    collector.setPairExchange('RVN/USDT', 'gamma');
+    try {
+        await collector.fetchCurrentData('RVN/USDT');
+    } catch (error) {
+        missingAdapterError = error.message;
+    }
+    checks.push(['pairs on an exchange without an adapter fail clearly', /No adapter registered for exchange gamma/.test(missingAdapterError || '')]);
+    
+    return report(checks);
+}
+
+function report(checks) {
+    let passed = true;
+    checks.forEach(([label, ok]) => {
+        console.log(`${ok ? '✅' : '❌'} ${label}`);
+        passed = passed && ok;
+    });
+    return passed;
+}
+
+async function testExchangeAdapters() {
+    console.log('🚀 Testing exchange adapters...');
+    
+    try {
+        const results = [await testXeggexNormalization(), await testCollectorRouting()];
+        
+        if (results.includes(false)) {
+            console.log('\n❌ Exchange adapter tests failed');
+            process.exit(1);
+        }
+        
+        console.log('\n🎉 Exchange adapter tests passed!');
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Exchange adapter test error:', error.message);
+        process.exit(1);
+    }
+}
+
+testExchangeAdapters();
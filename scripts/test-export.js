@@ -0,0 +1,272 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { PassThrough } = require('stream');
+const TradingBotServer = require('../src/server/ExpressApp');
+const { MarketDataCollector } = require('../src/data/collectors');
+const { ExchangeAdapter } = require('../src/data/exchanges');
+const { CandleAggregator } = require('../src/data/aggregators');
+const { TechnicalStrategies } = require('../src/strategies/technical');
+const { HistoryExporter } = require('../src/export');
+const { StorageRegistry, Logger } = require('../src/utils');
+
+// Checks the CSV, JSON Lines and columnar exports, the export and indicator series endpoints and the
+// export CLI, offline.
+// Usage: node scripts/test-export.js
+
+const INTERVAL = 300000;
+const START = Date.UTC(2024, 0, 15, 0, 0, 0);
+const PAIR = 'KAS/USDT';
+
+// Only used for its name; history comes from storage
+class IdleExchange extends ExchangeAdapter {
+    constructor() {
+        super('idle');
+    }
+}
+
+function report(checks) {
+    let passed = true;
+    checks.forEach(([label, ok]) => {
+        console.log(`${ok ? '✅' : '❌'} ${label}`);
+        passed = passed && ok;
+    });
+    return passed;
+}
+
+function makeHistory(count) {
+    const history = CandleAggregator.createEmptyHistory();
+    for (let i = 0; i < count; i++) {
+        const price = 1 + Math.sin(i / 7) * 0.1 + i * 0.001;
+        CandleAggregator.upsert(history, {
+            timestamp: START + i * INTERVAL,
+            open: price,
+            high: price * 1.01,
+            low: price * 0.99,
+            close: price,
+            volume: 10 + (i % 5),
+            ...(i % 2 === 0 ? { buyVolume: 6, sellVolume: 4, tradeCount: 3, vwap: price } : {})
+        }, INTERVAL);
+    }
+    return history;
+}
+
+async function exportToString(exporter, history, format, range = {}, meta = {}) {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+    const rows = await exporter.write(output, history, format, range, meta);
+    output.end();
+    return { rows, text: Buffer.concat(chunks).toString('utf8') };
+}
+
+async function testFormats() {
+    console.log('\n📊 Test 1: Export formats...');
+    
+    const history = makeHistory(120);
+    const strategies = new TechnicalStrategies();
+    const exporter = new HistoryExporter({ technicalStrategies: strategies, indicators: ['rsi', 'macd'] });
+    
+    const csv = await exportToString(exporter, history, 'csv');
+    const lines = csv.text.trim().split('\n');
+    const header = lines[0].split(',');
+    const last = lines[lines.length - 1].split(',');
+    const rsi = strategies.calculateSeries('rsi', history);
+    
+    const jsonl = await exportToString(exporter, history, 'jsonl', { from: START + 100 * INTERVAL, limit: 5 });
+    const objects = jsonl.text.trim().split('\n').map(line => JSON.parse(line));
+    
+    const columnar = await exportToString(new HistoryExporter(), history, 'columns', { to: START + 9 * INTERVAL }, { pair: PAIR, timeframe: '5m' });
+    const document = JSON.parse(columnar.text);
+    
+    return report([
+        ['CSV has a header and one line per bar', lines.length === 121 && csv.rows === 120 && header.slice(0, 6).join() === 'timestamp,time,open,high,low,close'],
+        ['indicator columns are named after their fields', header.includes('rsi_value') && header.includes('macd_histogram') && header.includes('rsi_suggestion')],
+        ['indicator values match the series endpoint', Number(last[header.indexOf('rsi_value')]) === rsi[rsi.length - 1].value],
+        ['bars before the warmup have empty indicator cells', lines[1].split(',')[header.indexOf('rsi_value')] === ''],
+        ['bars without trade data have empty trade cells', lines[2].split(',')[header.indexOf('buyVolume')] === '' && lines[1].split(',')[header.indexOf('buyVolume')] === '6'],
+        ['JSON Lines honours from and limit', objects.length === 5 && objects[4].timestamp === START + 119 * INTERVAL && objects[0].timestamp === START + 115 * INTERVAL],
+        ['JSON Lines use null for missing values', objects[0].buyVolume === null && typeof objects[0].rsi_value === 'number'],
+        ['the columnar document has a typed schema', document.pair === PAIR && document.rows === 10 &&
+            document.schema.find(column => column.name === 'tradeCount').type === 'int64'],
+        ['the columnar document holds one array per column', document.data.close.length === 10 && document.data.timestamp[9] === START + 9 * INTERVAL],
+        ['the warmup covers the slowest indicator', exporter.getWarmupBars() === strategies.indicators.macd.minDataPoints],
+        ['CSV values are quoted when needed', HistoryExporter.csvValue('a,"b"') === '"a,""b"""' && HistoryExporter.csvValue(null) === '']
+    ]);
+}
+
+// Stored history reaches further back than the collector keeps in memory: bars 0-399 are stored,
+// bars 200-399 are in memory
+async function startServer(dir, name) {
+    const storageOptions = { backend: 'sqlite', path: path.join(dir, `${name}.db`) };
+    const storage = StorageRegistry.create(storageOptions);
+    await storage.savePairData(PAIR, makeHistory(400));
+    await storage.close();
+    
+    const server = new TradingBotServer();
+    server.applyIndicatorConfig({ params: {}, weights: {}, pairs: {} });
+    server.dataCollector = new MarketDataCollector(new IdleExchange(), {
+        pairs: [PAIR],
+        timeframes: ['5m', '1h'],
+        dataRetention: 200,
+        backfillGaps: false,
+        storage: storageOptions,
+        writeAheadLog: { enabled: false }
+    });
+    await server.dataCollector.loadOrPreloadSinglePair(PAIR);
+    
+    const listener = server.app.listen(0);
+    const base = `http://127.0.0.1:${listener.address().port}/api/pair/KAS_USDT`;
+    const get = async (query, route = '/export') => {
+        const response = await fetch(`${base}${route}${query}`);
+        return { status: response.status, headers: response.headers, text: await response.text() };
+    };
+    const stop = async () => {
+        listener.close();
+        await server.dataCollector.stop();
+    };
+    
+    return { get, stop };
+}
+
+async function testEndpoint(dir) {
+    console.log('\n📊 Test 2: Export endpoint...');
+    
+    const { get, stop } = await startServer(dir, 'export');
+    
+    try {
+        const csv = await get('?indicators=rsi');
+        const old = await get(`?format=jsonl&from=${START}&to=${START + 49 * INTERVAL}&indicators=RSI`);
+        const oldRows = old.text.trim().split('\n').map(line => JSON.parse(line));
+        const hourly = await get('?format=columns&timeframe=1h');
+        const badFormat = await get('?format=xlsx');
+        const badIndicator = await get('?indicators=rsi,nope');
+        const badRange = await get('?from=yesterday');
+        
+        return report([
+            ['CSV is the default format', csv.status === 200 && csv.headers.get('content-type').startsWith('text/csv') &&
+                csv.text.split('\n')[0].endsWith('rsi_strength')],
+            ['downloads are named after the pair and timeframe', csv.headers.get('content-disposition') === 'attachment; filename="kas-usdt_5m.csv"'],
+            ['the in-memory window is exported by default', csv.text.trim().split('\n').length === 201],
+            ['ranges before the window come from storage', old.status === 200 && oldRows.length === 50 && oldRows[0].timestamp === START],
+            ['indicators are warmed up before the range', typeof oldRows[49].rsi_value === 'number'],
+            ['timeframes can be exported', hourly.status === 200 && JSON.parse(hourly.text).timeframe === '1h'],
+            ['unknown formats are rejected', badFormat.status === 400 && JSON.parse(badFormat.text).availableFormats.includes('jsonl')],
+            ['unknown indicators are rejected', badIndicator.status === 404 && JSON.parse(badIndicator.text).indicator === 'nope'],
+            ['invalid ranges are rejected', badRange.status === 400]
+        ]);
+    } finally {
+        await stop();
+    }
+}
+
+async function testSeriesEndpoint(dir) {
+    console.log('\n📊 Test 3: Indicator series endpoint...');
+    
+    const { get, stop } = await startServer(dir, 'series');
+    const bar = i => START + i * INTERVAL;
+    const series = async query => {
+        const response = await get(query, '/indicator/rsi/series');
+        return { status: response.status, body: JSON.parse(response.text) };
+    };
+    const times = result => result.body.series.map(point => point.timestamp);
+    
+    try {
+        const all = await series('');
+        const range = await series(`?from=${bar(300)}&to=${bar(309)}`);
+        const isoRange = await series(`?from=${new Date(bar(300)).toISOString()}&to=${new Date(bar(309)).toISOString()}`);
+        const latest = await series('?limit=5');
+        const rangeLimit = await series(`?from=${bar(300)}&to=${bar(349)}&limit=10`);
+        const stored = await series(`?from=${bar(50)}&to=${bar(99)}`);
+        const storedLimit = await series(`?from=${bar(50)}&limit=5`);
+        const straddling = await series(`?from=${bar(190)}&to=${bar(209)}`);
+        const invalid = await Promise.all(['?from=yesterday', `?from=${bar(10)}&to=${bar(5)}`, '?limit=0', '?limit=abc'].map(series));
+        const unknown = await get('', '/indicator/nope/series');
+        const badTimeframe = await get('?timeframe=3m', '/indicator/rsi/series');
+        
+        return report([
+            ['the in-memory window is the default', all.status === 200 && times(all)[all.body.count - 1] === bar(399) && times(all)[0] >= bar(200)],
+            ['points carry their candle timestamps', times(all).every((time, i) => (time - START) % INTERVAL === 0 && (i === 0 || time === times(all)[i - 1] + INTERVAL))],
+            ['from and to are inclusive', range.body.count === 10 && times(range)[0] === bar(300) && times(range)[9] === bar(309) &&
+                range.body.from === bar(300) && range.body.to === bar(309)],
+            ['ISO dates select the same range', isoRange.status === 200 && times(isoRange).join() === times(range).join()],
+            ['limit keeps the most recent points', latest.body.count === 5 && latest.body.limit === 5 && times(latest)[0] === bar(395) && times(latest)[4] === bar(399)],
+            ['limit applies within the range', rangeLimit.body.count === 10 && times(rangeLimit)[0] === bar(340) && times(rangeLimit)[9] === bar(349)],
+            ['ranges before the window come from storage', stored.body.count === 50 && times(stored)[0] === bar(50) && times(stored)[49] === bar(99)],
+            ['stored ranges are warmed up from earlier bars', stored.body.series.every(point => typeof point.value === 'number')],
+            ['limit applies to stored ranges', storedLimit.body.count === 5 && times(storedLimit)[0] === bar(395)],
+            ['ranges straddling the window are read whole from storage', straddling.body.count === 20 && times(straddling)[0] === bar(190)],
+            ['invalid ranges and limits are rejected', invalid.every(result => result.status === 400 && result.body.error === 'Invalid query parameter') &&
+                invalid[1].body.message === 'from must not be after to' && invalid[2].body.message === 'limit must be a positive integer'],
+            ['unknown indicators and timeframes are rejected', unknown.status === 404 && JSON.parse(unknown.text).indicator === 'nope' && badTimeframe.status === 400]
+        ]);
+    } finally {
+        await stop();
+    }
+}
+
+async function testCli(dir) {
+    console.log('\n📊 Test 4: Export CLI...');
+    
+    const dataDir = path.join(dir, 'pairs');
+    const out = path.join(dir, 'exports');
+    const script = path.join(__dirname, 'export-history.js');
+    
+    const storage = StorageRegistry.create({ backend: 'json', dataDir });
+    await storage.savePairData(PAIR, makeHistory(60));
+    await storage.savePairData(PAIR, CandleAggregator.rollup(makeHistory(60), 3600000), '1h');
+    await storage.savePairData('XMR/BTC', makeHistory(30));
+    await storage.close();
+    
+    execFileSync(process.execPath, [script, `--data-dir=${dataDir}`, `--out=${out}`, '--format=jsonl', '--indicators=rsi'], { stdio: 'ignore', timeout: 60000 });
+    const files = fs.readdirSync(out).sort();
+    const kas = fs.readFileSync(path.join(out, 'kas-usdt_5m.jsonl'), 'utf8').trim().split('\n');
+    
+    let failed = false;
+    try {
+        execFileSync(process.execPath, [script, `--data-dir=${dataDir}`, `--out=${out}`, '--format=xlsx'], { stdio: 'ignore', timeout: 60000 });
+    } catch (error) {
+        failed = error.status === 1;
+    }
+    
+    return report([
+        ['every stored pair and timeframe gets a file', files.join() === 'kas-usdt_1h.jsonl,kas-usdt_5m.jsonl,xmr-btc_5m.jsonl'],
+        ['files hold every stored bar with indicator columns', kas.length === 60 && 'rsi_value' in JSON.parse(kas[59])],
+        ['bad options exit with an error', failed]
+    ]);
+}
+
+async function testExport() {
+    console.log('🚀 Testing history export...');
+    
+    Logger.logger.silent = true;
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trading-bot-export-'));
+    
+    try {
+        const results = [
+            await testFormats(),
+            await testEndpoint(dir),
+            await testSeriesEndpoint(dir),
+            await testCli(dir)
+        ];
+        
+        Logger.logger.silent = false;
+        fs.rmSync(dir, { recursive: true, force: true });
+        
+        if (results.includes(false)) {
+            console.log('\n❌ Export tests failed');
+            process.exit(1);
+        }
+        
+        console.log('\n🎉 Export tests passed!');
+        process.exit(0);
+    } catch (error) {
+        Logger.logger.silent = false;
+        fs.rmSync(dir, { recursive: true, force: true });
+        console.error('❌ Export test error:', error.message);
+        process.exit(1);
+    }
+}
+
+testExport();
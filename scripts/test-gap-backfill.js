@@ -0,0 +1,213 @@
+const { MarketDataCollector } = require('../src/data/collectors');
+const { ExchangeAdapter } = require('../src/data/exchanges');
+const { CandleAggregator } = require('../src/data/aggregators');
+const { Logger } = require('../src/utils');
+
+// Checks gap detection and backfill offline: holes between candles and since the last candle
+// are found, filled from the candles endpoint and reported in the gap statistics.
+// Usage: node scripts/test-gap-backfill.js
+
+const MINUTE = 60000;
+const INTERVAL = 5 * MINUTE;
+const START = Date.UTC(2024, 0, 15, 12, 0, 0);
+const PAIR = 'KAS/USDT';
+
+// Deterministic candles on a movable clock, with the candles endpoint's countBack and from/to range
+class SyntheticExchange extends ExchangeAdapter {
+    constructor(clock) {
+        super('synthetic');
+        this.clock = clock;
+        this.candleRequests = 0;
+    }
+    
+    static priceAt(time) {
+        return 1 + 0.2 * Math.sin(time / (7 * INTERVAL)) + 0.05 * Math.cos(time / (2 * INTERVAL));
+    }
+    
+    static barAt(time, intervalMs) {
+        const open = SyntheticExchange.priceAt(time);
+        const close = SyntheticExchange.priceAt(time + intervalMs);
+        return { time, open, high: Math.max(open, close) * 1.01, low: Math.min(open, close) * 0.99, close, volume: intervalMs / MINUTE * 10 };
+    }
+    
+    async fetchCandles(pair, { resolution = 5, countBack = 180, to = null } = {}) {
+        this.candleRequests++;
+        const intervalMs = resolution * MINUTE;
+        const end = to ? Math.min(this.clock.now, to - 1) : this.clock.now;
+        const last = CandleAggregator.getBucketStart(end, intervalMs);
+        const bars = [];
+        for (let time = last - (countBack - 1) * intervalMs; time <= last; time += intervalMs) {
+            bars.push(SyntheticExchange.barAt(time, intervalMs));
+        }
+        return bars;
+    }
+    
+    // The exchange's own bar for a bucket, as the collector stores it
+    candleAt(timestamp, intervalMs) {
+        return CandleAggregator.fromBar(SyntheticExchange.barAt(timestamp, intervalMs), intervalMs);
+    }
+}
+
+function report(checks) {
+    let passed = true;
+    checks.forEach(([label, ok]) => {
+        console.log(`${ok ? '✅' : '❌'} ${label}`);
+        passed = passed && ok;
+    });
+    return passed;
+}
+
+function same(actual, expected) {
+    return JSON.stringify(actual) === JSON.stringify(expected);
+}
+
+function isContiguous(timestamps, intervalMs) {
+    return timestamps.every((timestamp, i) => i === 0 || timestamp - timestamps[i - 1] === intervalMs);
+}
+
+// Cut bars [from, from + count) out of every series of a history, like a collection outage
+function removeBars(history, from, count) {
+    Object.keys(history).forEach(key => {
+        if (Array.isArray(history[key])) {
+            history[key].splice(from, count);
+        }
+    });
+}
+
+async function createCollector(clock, config = {}) {
+    const exchange = new SyntheticExchange(clock);
+    const collector = new MarketDataCollector(exchange, {
+        pairs: [PAIR],
+        timeframes: ['5m', '15m'],
+        enablePersistence: false,
+        ...config
+    });
+    await collector.loadOrPreloadSinglePair(PAIR);
+    return { collector, exchange };
+}
+
+function testDetection() {
+    console.log('\n📊 Test 1: Finding and filling gaps...');
+    
+    const timestamps = [START, START + INTERVAL, START + 4 * INTERVAL, START + 5 * INTERVAL];
+    const gaps = CandleAggregator.findGaps(timestamps, INTERVAL, START + 8 * INTERVAL + 1000);
+    
+    const history = CandleAggregator.createEmptyHistory();
+    timestamps.forEach((timestamp, i) => CandleAggregator.upsert(history, { timestamp, open: i, high: i, low: i, close: i, volume: 1 }, INTERVAL));
+    const inserted = CandleAggregator.fillBuckets(history, [
+        { timestamp: START + 2 * INTERVAL, open: 7, high: 7, low: 7, close: 7, volume: 2 },
+        { timestamp: START + 3 * INTERVAL + 1000, open: 8, high: 8, low: 8, close: 8, volume: 2 },
+        // Buckets the history already has keep their candle
+        { timestamp: START + INTERVAL, open: 9, high: 9, low: 9, close: 9, volume: 9 }
+    ], INTERVAL);
+    
+    return report([
+        ['holes between candles are found', same(gaps[0], { start: START + 2 * INTERVAL, end: START + 3 * INTERVAL, missingBars: 2, trailing: false })],
+        ['the span since the last candle is a trailing gap', same(gaps[1], { start: START + 6 * INTERVAL, end: START + 7 * INTERVAL, missingBars: 2, trailing: true })],
+        ['contiguous candles have no gaps', CandleAggregator.findGaps(timestamps.slice(0, 2), INTERVAL, START + INTERVAL + 1000).length === 0],
+        ['missing buckets are filled in order', inserted === 2 && same(history.closes, [0, 1, 7, 8, 2, 3]) && isContiguous(history.timestamps, INTERVAL)],
+        ['existing candles win over backfilled ones', history.closes[1] === 1 && history.volumes[1] === 1],
+        ['filled candles are bucketed and keep every series in step', history.timestamps[3] === START + 3 * INTERVAL &&
+            history.vwaps.length === 6 && history.opens.length === 6]
+    ]);
+}
+
+async function testBackfill() {
+    console.log('\n📊 Test 2: Backfilling an outage...');
+    
+    const clock = { now: START };
+    const { collector, exchange } = await createCollector(clock);
+    
+    try {
+        const history = collector.getHistoryForPair(PAIR);
+        const lastBefore = history.timestamps[history.timestamps.length - 1];
+        
+        // A hole in the middle of the series and an hour without collection at the end
+        removeBars(history, 100, 3);
+        const kept = history.closes[99];
+        clock.now = START + 60 * MINUTE + 30000;
+        
+        const backfilled = await collector.backfillGaps(PAIR, { now: clock.now });
+        const base = collector.getHistoryForPair(PAIR);
+        const quarter = collector.getHistoryForPair(PAIR, '15m');
+        const restored = exchange.candleAt(START + 30 * MINUTE, INTERVAL);
+        const index = base.timestamps.indexOf(START + 30 * MINUTE);
+        const stats = collector.getGapStats(PAIR);
+        
+        return report([
+            ['the hole and the trailing hour are backfilled', lastBefore === START && base.timestamps[base.timestamps.length - 1] === START + 55 * MINUTE &&
+                isContiguous(base.timestamps, INTERVAL)],
+            ['backfilled candles are the exchange bars', index !== -1 && base.closes[index] === restored.close && base.highs[index] === restored.high &&
+                base.volumes[index] === restored.volume],
+            ['candles outside the gaps are left alone', base.closes[99] === kept],
+            ['higher timeframes are backfilled too', isContiguous(quarter.timestamps, 15 * MINUTE) && quarter.timestamps[quarter.timestamps.length - 1] === START + 45 * MINUTE],
+            ['base gap statistics', stats['5m'].gapsDetected === 2 && stats['5m'].missingBars === 14 && stats['5m'].backfilledBars === 14 &&
+                stats['5m'].openGaps === 0 && stats['5m'].lastBackfill !== null],
+            ['higher timeframe gap statistics', stats['15m'].gapsDetected === 1 && stats['15m'].missingBars === 3 && stats['15m'].openGaps === 0],
+            ['backfilled bars are counted', backfilled === 17],
+            ['a complete series needs no requests', await collector.backfillGaps(PAIR, { now: clock.now }).then(() => exchange.candleRequests) === exchange.candleRequests &&
+                collector.getGapStats(PAIR)['5m'].gapsDetected === 2]
+        ]);
+    } finally {
+        await collector.stop();
+    }
+}
+
+async function testLimits() {
+    console.log('\n📊 Test 3: Long outages and disabled backfill...');
+    
+    const clock = { now: START };
+    const { collector } = await createCollector(clock, { timeframes: ['5m'], maxBackfillBars: 5 });
+    const disabled = await createCollector(clock, { timeframes: ['5m'], backfillGaps: false });
+    
+    try {
+        clock.now = START + 100 * MINUTE + 1000;
+        await collector.backfillGaps(PAIR, { now: clock.now });
+        await disabled.collector.backfillGaps(PAIR, { now: clock.now });
+        
+        const history = collector.getHistoryForPair(PAIR);
+        const stats = collector.getGapStats(PAIR)['5m'];
+        
+        return report([
+            ['only the most recent bars of a long outage are requested', history.timestamps.slice(-6).join() ===
+                [START, START + 75 * MINUTE, START + 80 * MINUTE, START + 85 * MINUTE, START + 90 * MINUTE, START + 95 * MINUTE].join()],
+            ['the rest of the outage stays an open gap', stats.missingBars === 19 && stats.backfilledBars === 5 && stats.openGaps === 1 &&
+                stats.openMissingBars === 14 && stats.largestOpenGapBars === 14],
+            ['nothing is backfilled when backfill is disabled', disabled.collector.getHistoryForPair(PAIR).timestamps.slice(-1)[0] === START &&
+                disabled.collector.getGapStats(PAIR) === null]
+        ]);
+    } finally {
+        await collector.stop();
+        await disabled.collector.stop();
+    }
+}
+
+async function testGapBackfill() {
+    console.log('🚀 Testing gap detection and backfill...');
+    
+    Logger.logger.silent = true;
+    
+    try {
+        const results = [
+            testDetection(),
+            await testBackfill(),
+            await testLimits()
+        ];
+        
+        Logger.logger.silent = false;
+        
+        if (results.includes(false)) {
+            console.log('\n❌ Gap backfill tests failed');
+            process.exit(1);
+        }
+        
+        console.log('\n🎉 Gap backfill tests passed!');
+        process.exit(0);
+    } catch (error) {
+        Logger.logger.silent = false;
+        console.error('❌ Gap backfill test error:', error.message);
+        process.exit(1);
+    }
+}
+
+testGapBackfill();
@@ -17,7 +17,7 @@ async function testIchimokuIntegration() {
     try {
         console.log('\n📊 Test 1: Individual Ichimoku calculation...');
         const strategies = new TechnicalStrategies();
-        const ichimokuResult = strategies.calculateIchimokuCloud(sampleData);
+        const ichimokuResult = strategies.calculateIndicator('ichimoku', sampleData);
         
         console.log('✅ Individual Ichimoku test successful!');
         console.log('Ichimoku Result:', {
@@ -0,0 +1,230 @@
+const { TechnicalStrategies, IndicatorStream } = require('../src/strategies/technical');
+const ExpressApp = require('../src/server/ExpressApp');
+const { Logger } = require('../src/utils');
+
+// Checks that the streaming indicators give the same results as calculateAll() on the full
+// history, bar by bar, including in-progress candles that are replaced on every tick and a history
+// trimmed to the retention window without rebuilding the streams.
+// Usage: node scripts/test-incremental-indicators.js [bars=300] [seed=42]
+
+const BARS = parseInt(process.argv[2], 10) || 300;
+const SEED = parseInt(process.argv[3], 10) || 42;
+const TOLERANCE = 1e-9;
+const RETAINED = 120; // dataRetention for the trimming check
+
+// Small deterministic PRNG so failures can be reproduced
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        return state / 4294967296;
+    };
+}
+
+// Random walk with trending and ranging phases, flat bars and zero-volume bars
+function generateBars(count, random) {
+    const bars = [];
+    let price = 0.025;
+    let drift = 0;
+
+    for (let i = 0; i < count; i++) {
+        if (i % 40 === 0) {
+            drift = (random() - 0.5) * 0.01;
+        }
+
+        const flat = random() < 0.05;
+        const open = price;
+        const close = flat ? open : Math.max(0.0001, open * (1 + drift + (random() - 0.5) * 0.03));
+        const high = flat ? open : Math.max(open, close) * (1 + random() * 0.01);
+        const low = flat ? open : Math.min(open, close) * (1 - random() * 0.01);
+        const volume = random() < 0.05 ? 0 : Math.round(1000 + random() * 50000);
+
+        bars.push({ open, high, low, close, volume, timestamp: 1700000000000 + i * 300000 });
+        price = close;
+    }
+
+    return bars;
+}
+
+function toHistory(bars) {
+    return {
+        opens: bars.map(bar => bar.open),
+        highs: bars.map(bar => bar.high),
+        lows: bars.map(bar => bar.low),
+        closes: bars.map(bar => bar.close),
+        prices: bars.map(bar => bar.close),
+        volumes: bars.map(bar => bar.volume),
+        timestamps: bars.map(bar => bar.timestamp)
+    };
+}
+
+// Deep comparison with a tolerance for numbers. Returns the path of the first difference or null.
+function findDifference(expected, actual, path = '') {
+    if (typeof expected === 'number' && typeof actual === 'number') {
+        if (Number.isNaN(expected) && Number.isNaN(actual)) return null;
+        const scale = Math.max(1, Math.abs(expected));
+        return Math.abs(expected - actual) <= TOLERANCE * scale ? null : `${path}: expected ${expected}, got ${actual}`;
+    }
+
+    if (expected === null || actual === null || typeof expected !== 'object' || typeof actual !== 'object') {
+        return expected === actual ? null : `${path}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`;
+    }
+
+    const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+    for (const key of keys) {
+        const difference = findDifference(expected[key], actual[key], path ? `${path}.${key}` : key);
+        if (difference) return difference;
+    }
+
+    return null;
+}
+
+function testIncrementalIndicators() {
+    console.log('🚀 Testing incremental indicator computation...');
+    console.log(`📊 ${BARS} synthetic bars, seed ${SEED}`);
+
+    // Warm-up bars make the batch path log an error per indicator per bar
+    Logger.logger.silent = true;
+
+    const strategies = new TechnicalStrategies();
+    const random = createRandom(SEED);
+    const bars = generateBars(BARS, random);
+    const streams = strategies.createStreams();
+    const mismatches = {};
+    let comparisons = 0;
+    let batchTime = 0;
+    let streamTime = 0;
+
+    const compare = (history, label) => {
+        let start = process.hrtime.bigint();
+        const expected = strategies.calculateAll(history);
+        batchTime += Number(process.hrtime.bigint() - start);
+
+        start = process.hrtime.bigint();
+        const actual = strategies.calculateAllFromStreams(streams, history);
+        streamTime += Number(process.hrtime.bigint() - start);
+
+        for (const name of Object.keys(expected)) {
+            const difference = findDifference(expected[name], actual[name]);
+            comparisons++;
+            if (difference && !mismatches[name]) {
+                mismatches[name] = `${label}: ${difference}`;
+            }
+        }
+    };
+
+    for (let i = 0; i < bars.length; i++) {
+        const bar = bars[i];
+
+        // First tick of the candle: only part of the final move has happened
+        const partial = {
+            ...bar,
+            close: (bar.open + bar.close) / 2,
+            high: Math.max(bar.open, (bar.open + bar.close) / 2),
+            low: Math.min(bar.open, (bar.open + bar.close) / 2),
+            volume: Math.round(bar.volume / 2)
+        };
+        let start = process.hrtime.bigint();
+        strategies.updateStreams(streams, IndicatorStream.barAt(toHistory([partial]), 0), true);
+        streamTime += Number(process.hrtime.bigint() - start);
+        compare(toHistory([...bars.slice(0, i), partial]), `bar ${i} (partial)`);
+
+        // Later tick replaces the in-progress candle with its final values
+        start = process.hrtime.bigint();
+        strategies.updateStreams(streams, IndicatorStream.barAt(toHistory([bar]), 0), false);
+        streamTime += Number(process.hrtime.bigint() - start);
+        compare(toHistory(bars.slice(0, i + 1)), `bar ${i}`);
+    }
+
+    // Once dataRetention is reached every new candle trims the oldest bar. The server's streams carry
+    // on from the bar they last saw, so they keep matching the untrimmed history without a rebuild.
+    const server = { incrementalIndicators: true, indicatorStreams: {}, getTechnicalStrategies: () => strategies };
+    let trimmedDifference = null;
+    let rebuilds = 0;
+    let entry = null;
+    for (let i = 0; i < bars.length && !trimmedDifference; i++) {
+        const retained = bars.slice(Math.max(0, i + 1 - RETAINED), i);
+        const partial = { ...bars[i], close: bars[i].open, high: bars[i].open, low: bars[i].open, volume: 0 };
+        
+        for (const tick of [partial, bars[i]]) {
+            const actual = ExpressApp.prototype.calculateStrategies.call(server, 'TEST/USDT', toHistory([...retained, tick]));
+            if (server.indicatorStreams['TEST/USDT'] !== entry) {
+                entry = server.indicatorStreams['TEST/USDT'];
+                rebuilds++;
+            }
+            
+            const difference = findDifference(strategies.calculateAll(toHistory([...bars.slice(0, i), tick])), actual);
+            if (difference) {
+                trimmedDifference = `bar ${i}: ${difference}`;
+            }
+        }
+    }
+    
+    // A stream built from a whole history must end in the same place
+    const rebuilt = strategies.createStreams(toHistory(bars));
+    const rebuiltDifference = findDifference(
+        strategies.calculateAllFromStreams(streams, toHistory(bars)),
+        strategies.calculateAllFromStreams(rebuilt, toHistory(bars))
+    );
+
+    // The O(n) history helpers must match the per-prefix calculation they replaced
+    const history = toHistory(bars);
+    const macd = strategies.indicators.macd;
+    const macdHistory = macd.calculateHistory(history.closes, 100);
+    const expectedMacd = macd.calculate(history.closes.slice(0, macd.minDataPoints + 99));
+    // No candle timestamps were passed, so the points carry none rather than made-up ones
+    const historyDifference = findDifference(
+        { macdLine: expectedMacd.macdLine, signalLine: expectedMacd.signalLine, histogram: expectedMacd.histogram },
+        { macdLine: macdHistory[99].macdLine, signalLine: macdHistory[99].signalLine, histogram: macdHistory[99].histogram }
+    ) || ('timestamp' in macdHistory[99] ? `unexpected timestamp ${macdHistory[99].timestamp}` : null);
+
+    Logger.logger.silent = false;
+
+    console.log(`\n📊 ${comparisons} indicator results compared`);
+    console.log(`⏱️ Batch calculateAll: ${(batchTime / 1e6).toFixed(1)}ms, streams: ${(streamTime / 1e6).toFixed(1)}ms`);
+
+    let failed = false;
+    for (const name of Object.keys(strategies.indicators)) {
+        if (mismatches[name]) {
+            console.log(`❌ ${name}: ${mismatches[name]}`);
+            failed = true;
+        } else {
+            console.log(`✅ ${name}: matches batch results`);
+        }
+    }
+
+    if (rebuiltDifference) {
+        console.log(`❌ Rebuilt streams differ from incrementally updated streams: ${rebuiltDifference}`);
+        failed = true;
+    } else {
+        console.log('✅ Streams rebuilt from history match incrementally updated streams');
+    }
+
+    if (bars.length <= RETAINED) {
+        console.log(`⚠️ Trimming not checked: needs more than ${RETAINED} bars`);
+    } else if (trimmedDifference) {
+        console.log(`❌ Streams over a trimmed history differ from batch results on the full history: ${trimmedDifference}`);
+        failed = true;
+    } else if (rebuilds !== 1) {
+        console.log(`❌ Streams were rebuilt ${rebuilds - 1} times after the first bar`);
+        failed = true;
+    } else {
+        console.log(`✅ Streams carry on through a history trimmed to ${RETAINED} bars without a rebuild`);
+    }
+    
+    if (historyDifference) {
+        console.log(`❌ MACD calculateHistory differs from calculate(): ${historyDifference}`);
+        failed = true;
+    } else {
+        console.log('✅ Streamed calculateHistory matches calculate()');
+    }
+
+    if (failed) {
+        console.log('\n❌ Incremental indicators do not match batch results');
+        process.exit(1);
+    }
+
+    console.log('\n🎉 Incremental indicators match batch results!');
+}
+
+testIncrementalIndicators();
@@ -0,0 +1,207 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TradingBotServer = require('../src/server/ExpressApp');
+const { MarketDataCollector } = require('../src/data/collectors');
+const { ExchangeAdapter } = require('../src/data/exchanges');
+const { TechnicalStrategies } = require('../src/strategies/technical');
+const { ConfigManager, Logger } = require('../src/utils');
+
+// Checks the indicator configuration endpoint offline: validation errors, partial updates of the
+// global and per-pair overrides, the saved file and the recalculation of the affected pairs.
+// Usage: node scripts/test-indicator-config.js
+
+const PAIRS = ['KAS/USDT', 'XMR/USDT'];
+const INTERVAL = 300000;
+const BARS = 120;
+const START = Math.floor(Date.now() / INTERVAL) * INTERVAL - (BARS + 10) * INTERVAL;
+
+const INITIAL = {
+    params: { macd: { fastPeriod: 8 } },
+    weights: { volume: 1.5 },
+    pairs: { 'XMR/USDT': { params: { rsi: { period: 21 } }, weights: { bollinger: 2 } } }
+};
+
+// Only used for its name; candles are added by hand
+class IdleExchange extends ExchangeAdapter {
+    constructor() {
+        super('idle');
+    }
+}
+
+function report(checks) {
+    let passed = true;
+    checks.forEach(([label, ok]) => {
+        console.log(`${ok ? '✅' : '❌'} ${label}`);
+        passed = passed && ok;
+    });
+    return passed;
+}
+
+function candleAt(i, base) {
+    const close = base * (1 + 0.05 * Math.sin(i / 7) + 0.02 * Math.cos(i / 3));
+    const open = base * (1 + 0.05 * Math.sin((i - 1) / 7) + 0.02 * Math.cos((i - 1) / 3));
+    return {
+        timestamp: START + i * INTERVAL,
+        open,
+        high: Math.max(open, close) * 1.002,
+        low: Math.min(open, close) * 0.998,
+        close,
+        volume: 1000 + (i % 5) * 100
+    };
+}
+
+async function createServer(dir) {
+    const configManager = new ConfigManager();
+    configManager.configPath = path.join(dir, 'runtime.json');
+    await configManager.saveConfig({ trading: { pairs: PAIRS, updatedBy: 'test' }, indicators: INITIAL });
+    
+    const server = new TradingBotServer();
+    server.configManager = configManager;
+    server.applyIndicatorConfig(INITIAL);
+    server.dataCollector = new MarketDataCollector(new IdleExchange(), {
+        pairs: PAIRS,
+        timeframes: ['5m'],
+        enablePersistence: false,
+        backfillGaps: false,
+        writeAheadLog: { enabled: false }
+    });
+    
+    PAIRS.forEach((pair, p) => {
+        server.dataCollector.initializeHistoryForPair(pair);
+        for (let i = 0; i < BARS; i++) {
+            server.dataCollector.addDataPoint(pair, candleAt(i, p === 0 ? 0.1 : 150), false);
+        }
+        server.updateStrategiesForPair(pair);
+    });
+    
+    return server;
+}
+
+async function testIndicatorConfig(dir) {
+    const server = await createServer(dir);
+    const listener = server.app.listen(0);
+    const put = async body => {
+        const response = await fetch(`http://127.0.0.1:${listener.address().port}/api/config/indicators`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+    const stored = () => JSON.parse(fs.readFileSync(server.configManager.configPath, 'utf8')).indicators;
+    // What the pair's RSI should be with the saved overrides, calculated from scratch
+    const expectedRsi = (saved, pair) => new TechnicalStrategies(TechnicalStrategies.resolveConfig(saved, pair))
+        .calculateAll(server.dataCollector.getHistoryForPair(pair)).rsi.value;
+    
+    try {
+        console.log('\n📊 Test 1: Validation...');
+        
+        const invalid = await Promise.all([
+            put({ params: { nope: { period: 5 } } }),
+            put({ weights: { rsi: 11 } }),
+            put({ pair: 'KAS/USDT', params: { rsi: { period: 0 } } }),
+            put({ pair: 'KAS/USDT', params: 5 }),
+            put({ pair: 'not a pair!', weights: {} }),
+            put({ updatedBy: 'test' })
+        ]);
+        const afterInvalid = stored();
+        
+        const validation = report([
+            ['unknown indicators are rejected with details', invalid[0].status === 400 && invalid[0].body.error === 'Invalid indicator configuration' &&
+                invalid[0].body.details.includes('params.nope: unknown indicator')],
+            ['weights outside 0-10 are rejected', invalid[1].status === 400 && invalid[1].body.message.includes('weights.rsi')],
+            ['pair overrides are validated', invalid[2].status === 400 && invalid[2].body.message.includes('pairs.KAS/USDT.params.rsi.period')],
+            ['pair params must be an object', invalid[3].status === 400 && invalid[3].body.message.includes('params must be an object')],
+            ['invalid pairs are rejected', invalid[4].status === 400 && invalid[4].body.error === 'Invalid request'],
+            ['a body without params or weights is rejected', invalid[5].status === 400 && invalid[5].body.message === 'params or weights is required'],
+            ['rejected updates leave the saved config alone', JSON.stringify({ params: afterInvalid.params, weights: afterInvalid.weights, pairs: afterInvalid.pairs }) ===
+                JSON.stringify(INITIAL)]
+        ]);
+        
+        console.log('\n📊 Test 2: Partial updates...');
+        
+        const globalParams = await put({ params: { rsi: { period: 10 } } });
+        const afterParams = stored();
+        const globalWeights = await put({ weights: { volume: 2, rsi: 0.5 } });
+        const afterWeights = stored();
+        const pairParams = await put({ pair: 'xmr-usdt', params: { rsi: { period: 7 } } });
+        const pairWeights = await put({ pair: 'XMR/USDT', weights: { bollinger: 3 } });
+        const newPair = await put({ pair: 'KAS', weights: { macd: 2 } });
+        const cleared = await put({ pair: 'KAS/USDT', params: {}, weights: {} });
+        
+        const partial = report([
+            ['params alone keep the global weights', globalParams.status === 200 && JSON.stringify(afterParams.params) === '{"rsi":{"period":10}}' &&
+                afterParams.weights.volume === 1.5],
+            ['weights alone keep the global params', globalWeights.status === 200 && afterWeights.params.rsi.period === 10 && !afterWeights.params.macd &&
+                afterWeights.weights.volume === 2 && afterWeights.weights.rsi === 0.5],
+            ['global updates keep the pair overrides', JSON.stringify(afterWeights.pairs) === JSON.stringify(INITIAL.pairs)],
+            ['pair params alone keep the pair weights', pairParams.status === 200 && pairParams.body.scope === 'XMR/USDT' &&
+                pairParams.body.indicators.pairs['XMR/USDT'].params.rsi.period === 7 && pairParams.body.indicators.pairs['XMR/USDT'].weights.bollinger === 2],
+            ['pair weights alone keep the pair params', pairWeights.body.indicators.pairs['XMR/USDT'].params.rsi.period === 7 &&
+                pairWeights.body.indicators.pairs['XMR/USDT'].weights.bollinger === 3],
+            ['a new pair override gets empty params', newPair.status === 200 && JSON.stringify(newPair.body.indicators.pairs['KAS/USDT']) === '{"params":{},"weights":{"macd":2}}'],
+            ['emptying a pair override removes it', cleared.status === 200 && !cleared.body.indicators.pairs['KAS/USDT'] &&
+                Boolean(cleared.body.indicators.pairs['XMR/USDT'])],
+            ['the effective config layers the pair over the global overrides', pairWeights.body.effective.params.rsi.period === 7 &&
+                pairWeights.body.effective.weights.volume === 2 && pairWeights.body.effective.weights.bollinger === 3],
+            ['the saved file matches the response', JSON.stringify(stored().pairs) === JSON.stringify(cleared.body.indicators.pairs)]
+        ]);
+        
+        console.log('\n📊 Test 3: Recalculation after a save...');
+        
+        const kasSignal = server.ensembleSignals['KAS/USDT'];
+        const xmrSignal = server.ensembleSignals['XMR/USDT'];
+        const pairOnly = await put({ pair: 'XMR/USDT', params: { rsi: { period: 9 } } });
+        const xmrAfterPair = server.strategyResults['XMR/USDT'].rsi.value;
+        const kasUntouched = server.ensembleSignals['KAS/USDT'] === kasSignal;
+        const xmrRecalculated = server.ensembleSignals['XMR/USDT'] !== xmrSignal;
+        
+        const global = await put({ params: { rsi: { period: 5 } } });
+        
+        const recompute = report([
+            ['a pair update recalculates only that pair', JSON.stringify(pairOnly.body.recomputed) === '["XMR/USDT"]' && kasUntouched && xmrRecalculated],
+            ['the pair uses its new parameters', xmrAfterPair === expectedRsi(pairOnly.body.indicators, 'XMR/USDT') &&
+                xmrAfterPair !== expectedRsi(INITIAL, 'XMR/USDT')],
+            ['a global update recalculates every tracked pair', JSON.stringify(global.body.recomputed) === JSON.stringify(PAIRS)],
+            ['pairs without overrides use the new global parameters', server.strategyResults['KAS/USDT'].rsi.value === expectedRsi(global.body.indicators, 'KAS/USDT') &&
+                server.strategyResults['KAS/USDT'].rsi.value !== expectedRsi(INITIAL, 'KAS/USDT')],
+            ['pair overrides still win over the global parameters', server.strategyResults['XMR/USDT'].rsi.value === xmrAfterPair],
+            ['signals are rebuilt from the new results', server.ensembleSignals['KAS/USDT'] !== kasSignal && server.ensembleSignals['KAS/USDT'].updatedAt >= kasSignal.updatedAt]
+        ]);
+        
+        return validation && partial && recompute;
+    } finally {
+        listener.close();
+        await server.dataCollector.stop();
+    }
+}
+
+async function testIndicatorConfigEndpoint() {
+    console.log('🚀 Testing the indicator configuration endpoint...');
+    
+    Logger.logger.silent = true;
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trading-bot-indicator-config-'));
+    
+    try {
+        const passed = await testIndicatorConfig(dir);
+        
+        Logger.logger.silent = false;
+        fs.rmSync(dir, { recursive: true, force: true });
+        
+        if (!passed) {
+            console.log('\n❌ Indicator config tests failed');
+            process.exit(1);
+        }
+        
+        console.log('\n🎉 Indicator config tests passed!');
+        process.exit(0);
+    } catch (error) {
+        Logger.logger.silent = false;
+        fs.rmSync(dir, { recursive: true, force: true });
+        console.error('❌ Indicator config test error:', error.message);
+        process.exit(1);
+    }
+}
+
+testIndicatorConfigEndpoint();
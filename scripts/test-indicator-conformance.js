@@ -0,0 +1,451 @@
+const { TechnicalStrategies, WilderSmoothing, IndicatorStream } = require('../src/strategies/technical');
+const {
+    RSI, MACD, BollingerBands, Stochastic, WilliamsR, CCI, ADX, IchimokuCloud, ParabolicSAR,
+    ATR, NormalizedATR, KeltnerChannels, DonchianChannels, HistoricalVolatility,
+    VWAP, MFI, ChaikinMoneyFlow, AccumulationDistribution, EaseOfMovement,
+    SuperTrend, HullMovingAverage, KAMA, DEMA, TEMA, Aroon, Vortex
+} = require('../src/strategies/technical/indicators');
+const { Logger } = require('../src/utils');
+
+// Checks the indicators against reference values, so a change to a formula can't drift unnoticed.
+// Every expected series says where it comes from:
+// - published: copied from a StockCharts ChartSchool worked table (RSI, ATR, EMA, Bollinger Bands,
+//   Stochastic, CCI), inputs and outputs alike
+// - worked: not published; calculated by hand from the cited definition on a ChartSchool price table
+//   (simple RSI, MACD, ADX, Ichimoku, Parabolic SAR) or on the small series next to the check
+// Usage: node scripts/test-indicator-conformance.js
+
+// Published: ChartSchool RSI table (Wilder's smoothing, 14 periods)
+const RSI_CLOSES = [44.3389, 44.0902, 44.1497, 43.6124, 44.3278, 44.8264, 45.0955, 45.4245, 45.8433, 46.0826, 45.8931,
+    46.0328, 45.6140, 46.2820, 46.2820, 46.0028, 46.0328, 46.4116, 46.2222, 45.6439, 46.2122, 46.2521, 45.7137, 46.4515,
+    45.7835, 45.3548, 44.0288, 44.1783, 44.2181, 44.5672, 43.4205, 42.6628, 43.1314];
+const RSI_VALUES = [70.53, 66.32, 66.55, 69.41, 66.36, 57.97, 62.93, 63.26, 56.06, 62.38, 54.71, 50.42, 39.99, 41.46, 41.87,
+    45.46, 37.30, 33.08, 37.77];
+// Worked: simple averages of the last 14 changes on the same closes (Cutler's RSI)
+const RSI_SIMPLE_VALUES = [70.53, 70.08, 69.89, 80.60, 73.40, 59.90, 62.61, 60.00, 48.48, 53.88, 48.95, 43.86, 37.67, 32.21,
+    32.66, 38.08, 31.70, 25.07, 30.18];
+
+// Published: ChartSchool ATR table (14 periods)
+const ATR_HIGHS = [48.70, 48.72, 48.90, 48.87, 48.82, 49.05, 49.20, 49.35, 49.92, 50.19, 50.12, 49.66, 49.88, 50.19, 50.36,
+    50.57, 50.65, 50.43, 49.63, 50.33, 50.29, 50.17, 49.32, 48.50, 48.32, 46.80, 47.80, 48.39, 48.66, 48.79];
+const ATR_LOWS = [47.79, 48.14, 48.39, 48.37, 48.24, 48.64, 48.94, 48.86, 49.50, 49.87, 49.20, 48.90, 49.43, 49.73, 49.26,
+    50.09, 50.30, 49.21, 48.98, 49.61, 49.20, 49.43, 48.08, 47.64, 41.55, 44.28, 47.31, 47.20, 47.90, 47.73];
+const ATR_CLOSES = [48.16, 48.61, 48.75, 48.63, 48.74, 49.03, 49.07, 49.32, 49.91, 50.13, 49.53, 49.50, 49.75, 50.03, 50.31,
+    50.52, 50.41, 49.34, 49.37, 50.23, 49.24, 49.93, 48.43, 48.18, 46.57, 45.41, 47.77, 47.72, 48.62, 47.85];
+const ATR_VALUES = [0.56, 0.59, 0.59, 0.57, 0.62, 0.62, 0.64, 0.67, 0.69, 0.78, 0.78, 1.21, 1.30, 1.38, 1.37, 1.34, 1.32];
+
+// Published: ChartSchool moving average table (10-period EMA)
+const EMA_CLOSES = [22.27, 22.19, 22.08, 22.17, 22.18, 22.13, 22.23, 22.43, 22.24, 22.29, 22.15, 22.39, 22.38, 22.61, 23.36,
+    24.05, 23.75, 23.83, 23.95, 23.63, 23.82, 23.87, 23.65, 23.19, 23.10, 23.33, 22.68, 23.10, 22.40, 22.17];
+const EMA_VALUES = [22.22, 22.21, 22.24, 22.27, 22.33, 22.52, 22.80, 22.97, 23.13, 23.28, 23.34, 23.43, 23.51, 23.54, 23.47,
+    23.40, 23.39, 23.26, 23.23, 23.08, 22.92];
+
+// Published: ChartSchool Bollinger Bands table (20 periods, 2 standard deviations)
+const BOLLINGER_CLOSES = [86.16, 89.09, 88.78, 90.32, 89.07, 91.15, 89.44, 89.18, 86.93, 87.68, 86.96, 89.43, 89.32, 88.72,
+    87.45, 87.26, 89.50, 87.90, 89.13, 90.70, 92.90, 92.98, 91.80, 92.66, 92.68, 92.30, 92.77, 92.54, 92.95, 93.20, 91.07,
+    89.83, 89.74, 90.40, 90.74, 88.02, 88.09, 88.84, 90.78, 90.54, 91.39, 90.65];
+// [middle, upper, lower] from the 20th close on
+const BOLLINGER_VALUES = [[88.71, 91.29, 86.12], [89.05, 91.95, 86.14], [89.24, 92.61, 85.87], [89.39, 92.93, 85.85],
+    [89.51, 93.31, 85.70], [89.69, 93.73, 85.65], [89.75, 93.90, 85.59], [89.91, 94.27, 85.56], [90.08, 94.57, 85.60],
+    [90.38, 94.79, 85.98], [90.66, 95.04, 86.27]];
+
+// Published: ChartSchool Stochastic Oscillator table (14 periods, 3-period %D). The table lists
+// closes from the 14th bar on only, so the checks below never feed the indicators an earlier bar.
+const STOCHASTIC_HIGHS = [127.0090, 127.6159, 126.5911, 127.3472, 128.1730, 128.4317, 127.3671, 126.4220, 126.8995,
+    126.8498, 125.6460, 125.7156, 127.1582, 127.7154, 127.6855, 128.2228, 128.2725, 128.0934, 128.2725, 127.7353, 128.7700,
+    129.2873, 130.0633, 129.1182, 129.2873, 128.4715, 128.0934, 128.6506, 129.1381, 128.6406];
+const STOCHASTIC_LOWS = [125.3574, 126.1633, 124.9296, 126.0937, 126.8199, 126.4817, 126.0340, 124.8301, 126.3921,
+    125.7156, 124.5615, 124.5715, 125.0689, 126.8597, 126.6309, 126.8001, 126.7105, 126.8001, 126.1335, 125.9245, 126.9891,
+    127.8148, 128.4715, 128.0641, 127.6059, 127.5960, 126.9990, 126.8995, 127.4865, 127.3970];
+const STOCHASTIC_CLOSES = [127.2876, 127.1781, 128.0138, 127.1085, 127.7253, 127.0587, 127.3273, 128.7103, 127.8745,
+    128.5809, 128.6008, 127.9342, 128.1133, 127.5960, 127.5960, 128.6904, 128.2725];
+const STOCHASTIC_K_VALUES = [70.44, 67.61, 89.20, 65.81, 81.75, 64.52, 74.53, 98.58, 70.10, 73.06, 73.42, 61.23, 60.96,
+    40.39, 40.39, 66.83, 56.73];
+// %D from the 16th to the 22nd bar
+const STOCHASTIC_D_VALUES = [75.75, 74.21, 78.92, 70.69, 73.60, 79.21, 81.07];
+
+// Published: ChartSchool CCI table (20 periods)
+const CCI_HIGHS = [24.20, 24.07, 24.04, 23.87, 23.67, 23.59, 23.80, 23.80, 24.30, 24.15, 24.05, 24.06, 23.88, 25.14, 25.20,
+    25.07, 25.22, 25.37, 25.36, 25.26, 24.82, 24.44, 24.65, 24.84, 24.75, 24.51, 24.68, 24.67, 23.84, 24.30];
+const CCI_LOWS = [23.85, 23.72, 23.64, 23.37, 23.46, 23.18, 23.40, 23.57, 24.05, 23.77, 23.60, 23.84, 23.64, 23.94, 24.74,
+    24.77, 24.90, 24.93, 24.96, 24.93, 24.21, 24.21, 24.43, 24.44, 24.20, 24.25, 24.21, 24.15, 23.63, 23.76];
+const CCI_CLOSES = [23.89, 23.95, 23.67, 23.78, 23.50, 23.32, 23.75, 23.79, 24.14, 23.81, 23.78, 23.86, 23.70, 24.96, 24.88,
+    24.96, 25.18, 25.07, 25.27, 25.00, 24.46, 24.28, 24.62, 24.58, 24.53, 24.35, 24.34, 24.23, 23.76, 24.20];
+const CCI_VALUES = [102.31, 30.74, 6.55, 33.30, 34.95, 13.84, -10.75, -11.58, -29.35, -129.36, -73.07];
+
+// ChartSchool ADX table, prices only; the indicator values below are worked from them
+const TREND_HIGHS = [30.20, 30.28, 30.45, 29.35, 29.35, 29.29, 28.83, 28.73, 28.67, 28.85, 28.64, 27.68, 27.21, 26.87,
+    27.41, 26.94, 26.52, 26.52, 27.09, 27.69, 28.45, 28.53, 28.67, 29.01, 29.87, 29.80, 29.75, 30.65, 30.60, 30.76, 31.17,
+    30.89, 30.04, 30.66, 30.60, 31.97, 32.10, 32.03, 31.63, 31.85, 32.71];
+const TREND_LOWS = [29.41, 29.32, 29.96, 28.74, 28.56, 28.41, 28.08, 27.43, 27.66, 27.83, 27.40, 27.09, 26.18, 26.13, 26.63,
+    26.13, 25.43, 25.35, 25.88, 26.96, 27.14, 28.01, 27.88, 27.99, 28.76, 29.14, 28.71, 28.93, 30.03, 29.39, 30.14, 30.43,
+    29.35, 29.99, 29.52, 30.94, 31.54, 31.36, 30.92, 31.20, 32.13];
+const TREND_CLOSES = [29.87, 30.24, 30.10, 28.90, 28.92, 28.48, 28.56, 27.56, 28.47, 28.28, 27.49, 27.23, 26.35, 26.33,
+    27.03, 26.22, 26.01, 25.46, 27.03, 27.45, 28.36, 28.43, 27.95, 29.01, 29.38, 29.36, 28.91, 30.61, 30.05, 30.19, 31.12,
+    30.54, 29.78, 30.04, 30.49, 31.47, 32.05, 31.97, 31.13, 31.66, 32.64];
+// Worked: [ADX, +DI, -DI] from the 28th bar on, following Wilder (1978) as the ChartSchool ADX article
+// lays it out: 14-bar Wilder sums of TR, +DM and -DM from the 2nd bar, DX from the 15th, and an ADX
+// seeded with the average of the first 14 DX values
+const ADX_VALUES = [[33.71, 23.72, 18.12], [32.26, 22.73, 17.36], [30.02, 20.55, 20.18], [28.44, 21.94, 18.72],
+    [26.97, 20.85, 17.80], [25.85, 19.10, 23.93], [24.02, 22.32, 22.43], [22.85, 20.61, 24.04], [22.13, 27.92, 21.60],
+    [21.58, 27.59, 20.64], [20.84, 26.22, 20.91], [19.62, 24.24, 22.50], [18.73, 24.57, 21.31], [18.75, 28.96, 19.68]];
+// Worked: [Tenkan-sen, Kijun-sen, Senkou Span A, Senkou Span B] from the 29th bar on, from Hosoda's
+// high/low midpoints (ChartSchool Ichimoku article), unshifted, with 7/14/28 periods since the table is
+// too short for 9/26/52
+const ICHIMOKU_VALUES = [[29.265, 28.000, 28.6325, 28.000], [29.375, 28.055, 28.715, 28.055], [29.940, 28.260, 29.100, 28.260],
+    [29.940, 28.525, 29.2325, 28.260], [29.940, 29.065, 29.5025, 28.260], [30.050, 29.155, 29.6025, 28.260],
+    [30.260, 29.525, 29.8925, 28.260], [30.660, 29.925, 30.2925, 28.660], [30.725, 30.045, 30.385, 28.725],
+    [30.725, 30.405, 30.565, 28.725], [30.725, 30.405, 30.565, 28.725], [30.810, 30.405, 30.6075, 28.725],
+    [31.115, 30.820, 30.9675, 29.030]];
+// Worked: [SAR, trend] from the 3rd bar on, following Wilder's (1978) Parabolic SAR rules (0.02 step,
+// 0.2 maximum, SAR kept outside the last two bars), with reversals on bars 4, 19, 33 and 36
+const SAR_VALUES = [[29.3200, 'uptrend'], [30.4500, 'downtrend'], [30.4500, 'downtrend'], [30.3744, 'downtrend'],
+    [30.2565, 'downtrend'], [30.0824, 'downtrend'], [29.8172, 'downtrend'], [29.5785, 'downtrend'], [29.3636, 'downtrend'],
+    [29.1280, 'downtrend'], [28.8427, 'downtrend'], [28.4166, 'downtrend'], [28.0050, 'downtrend'], [27.6675, 'downtrend'],
+    [27.4100, 'downtrend'], [27.0140, 'downtrend'], [25.3500, 'uptrend'], [25.3500, 'uptrend'], [25.4436, 'uptrend'],
+    [25.6240, 'uptrend'], [25.8565, 'uptrend'], [26.1378, 'uptrend'], [26.4825, 'uptrend'], [26.9567, 'uptrend'],
+    [27.3646, 'uptrend'], [27.7153, 'uptrend'], [28.1849, 'uptrend'], [28.5793, 'uptrend'], [28.9718, 'uptrend'],
+    [29.3900, 'uptrend'], [31.1700, 'downtrend'], [31.1336, 'downtrend'], [31.0979, 'downtrend'], [29.3500, 'uptrend'],
+    [29.4024, 'uptrend'], [29.5103, 'uptrend'], [29.6139, 'uptrend'], [29.7133, 'uptrend'], [29.8088, 'uptrend']];
+// Worked: [MACD line, signal line, histogram] from the 35th Bollinger close on, from Appel's definition
+// with 12/26/9 EMAs seeded with simple averages, as in the ChartSchool MACD article
+const MACD_VALUES = [[0.6504, 1.1900, -0.5397], [0.3579, 1.0236, -0.6657], [0.1303, 0.8450, -0.7146],
+    [0.0104, 0.6780, -0.6677], [0.0710, 0.5566, -0.4856], [0.0986, 0.4650, -0.3665], [0.1868, 0.4094, -0.2225],
+    [0.1948, 0.3665, -0.1716]];
+
+// Published tables are rounded to two decimals; a few of their values are one digit off the ones
+// calculated on the rounded prices they list
+const ROUNDED = 0.005 + 1e-9;
+const LAST_DIGIT = 0.01 + 1e-9;
+// CCI divides by a small mean deviation: the published values differ by up to 0.2
+const CCI_TOLERANCE = 0.25;
+// Worked values are rounded to four decimals; the worked ADX series to two, like the published tables
+const WORKED = 0.00005 + 1e-9;
+
+function report(checks) {
+    let passed = true;
+    checks.forEach(([label, ok]) => {
+        console.log(`${ok ? '✅' : '❌'} ${label}`);
+        passed = passed && ok;
+    });
+    return passed;
+}
+
+// Result of calculate() on every prefix of the series from the `first`-th bar on (1-based)
+function calculateEach(first, length, calculate) {
+    const results = [];
+    for (let end = first; end <= length; end++) {
+        results.push(calculate(end));
+    }
+    return results;
+}
+
+// [label, ok] check that names the first value outside the tolerance
+function matches(label, actual, expected, tolerance) {
+    let difference = actual.length === expected.length ? null : `${actual.length} values, expected ${expected.length}`;
+    
+    for (let i = 0; i < expected.length && !difference; i++) {
+        const values = [].concat(actual[i]);
+        const references = [].concat(expected[i]);
+        
+        references.forEach((reference, j) => {
+            const ok = typeof reference === 'number' ? Math.abs(values[j] - reference) <= tolerance : values[j] === reference;
+            if (!ok && !difference) {
+                difference = `value ${i + 1}: expected ${references.join('/')}, got ${values.join('/')}`;
+            }
+        });
+    }
+    
+    return [difference ? `${label} (${difference})` : label, !difference];
+}
+
+const slice = (series, end) => series.slice(0, end);
+
+function testMomentum() {
+    console.log('\n📊 Test 1: Momentum oscillators...');
+    
+    const rsi = new RSI(14);
+    const simpleRsi = new RSI(14, 'simple');
+    const stochastic = new Stochastic(14, 3);
+    const williamsR = new WilliamsR(14);
+    const cci = new CCI(20);
+    
+    // Windows start at the first published close. %K only reads the close of its last bar, but the
+    // indicators take a close for every bar, so %K and %R are checked once 14 published closes exist.
+    const first = STOCHASTIC_HIGHS.length - STOCHASTIC_CLOSES.length;
+    const stochasticBars = end => [STOCHASTIC_HIGHS.slice(first, end), STOCHASTIC_LOWS.slice(first, end), STOCHASTIC_CLOSES.slice(0, end - first)];
+    const length = STOCHASTIC_HIGHS.length;
+    const publishedK = STOCHASTIC_K_VALUES.slice(-(length - first - 13));
+    // Worked from the published %K: the 3-bar average the published %D column is
+    const averagedK = publishedK.slice(2).map((k, i) => (publishedK[i] + publishedK[i + 1] + k) / 3);
+    
+    return report([
+        matches('RSI matches the ChartSchool table',
+            calculateEach(15, RSI_CLOSES.length, end => rsi.calculate(slice(RSI_CLOSES, end)).value), RSI_VALUES, ROUNDED),
+        matches('RSI with simple smoothing averages the last 14 changes',
+            calculateEach(15, RSI_CLOSES.length, end => simpleRsi.calculate(slice(RSI_CLOSES, end)).value), RSI_SIMPLE_VALUES, ROUNDED),
+        matches('Stochastic %K matches the ChartSchool table',
+            calculateEach(first + 14, length, end => new Stochastic(14, 1).calculate(...stochasticBars(end)).k), publishedK, ROUNDED),
+        matches('Stochastic %D is the 3-bar average of %K',
+            calculateEach(first + 16, length, end => stochastic.calculate(...stochasticBars(end)).d), averagedK, ROUNDED),
+        ['published %D is the 3-bar average of published %K', STOCHASTIC_D_VALUES.every((d, i) =>
+            Math.abs(d - (STOCHASTIC_K_VALUES[i] + STOCHASTIC_K_VALUES[i + 1] + STOCHASTIC_K_VALUES[i + 2]) / 3) <= ROUNDED)],
+        // %R is %K - 100 over the same window
+        matches('Williams %R matches the ChartSchool %K table',
+            calculateEach(first + 14, length, end => williamsR.calculate(...stochasticBars(end)).value),
+            publishedK.map(k => Number((k - 100).toFixed(2))), ROUNDED),
+        matches('CCI matches the ChartSchool table',
+            calculateEach(20, CCI_CLOSES.length, end => cci.calculate(slice(CCI_HIGHS, end), slice(CCI_LOWS, end), slice(CCI_CLOSES, end)).cci),
+            CCI_VALUES, CCI_TOLERANCE)
+    ]);
+}
+
+function testAverages() {
+    console.log('\n📊 Test 2: Moving averages and bands...');
+    
+    const macd = new MACD(12, 26, 9);
+    const bollinger = new BollingerBands(20, 2);
+    
+    return report([
+        matches('EMA matches the ChartSchool table',
+            calculateEach(10, EMA_CLOSES.length, end => macd.calculateEMA(slice(EMA_CLOSES, end), 10)), EMA_VALUES, LAST_DIGIT),
+        matches('MACD matches the worked values',
+            calculateEach(35, BOLLINGER_CLOSES.length, end => {
+                const result = macd.calculate(slice(BOLLINGER_CLOSES, end));
+                return [result.macdLine, result.signalLine, result.histogram];
+            }), MACD_VALUES, WORKED),
+        matches('Bollinger Bands match the ChartSchool table',
+            calculateEach(20, 30, end => {
+                const result = bollinger.calculate(slice(BOLLINGER_CLOSES, end));
+                return [result.middleBand, result.upperBand, result.lowerBand];
+            }), BOLLINGER_VALUES, LAST_DIGIT)
+    ]);
+}
+
+function testWilder() {
+    console.log('\n📊 Test 3: Wilder-smoothed indicators...');
+    
+    const adx = new ADX(14);
+    const length = TREND_CLOSES.length;
+    
+    return report([
+        matches('ATR matches the ChartSchool table',
+            WilderSmoothing.atrSeries(ATR_HIGHS, ATR_LOWS, ATR_CLOSES, 14), ATR_VALUES, LAST_DIGIT),
+        matches('ADX and the directional indicators match the worked values',
+            calculateEach(28, length, end => {
+                const result = adx.calculate(slice(TREND_HIGHS, end), slice(TREND_LOWS, end), slice(TREND_CLOSES, end));
+                return [result.adx, result.plusDI, result.minusDI];
+            }), ADX_VALUES, ROUNDED),
+        ['Wilder smoothing seeds with the simple average', WilderSmoothing.series([1, 2, 3, 4], 3).join() === '2,2.6666666666666665' &&
+            WilderSmoothing.average([1, 2, 3, 4], 3) === 2.6666666666666665],
+        ['the first bar of an ATR counts with its range', WilderSmoothing.trueRange(10, 8) === 2 && WilderSmoothing.trueRange(10, 8, 12) === 4]
+    ]);
+}
+
+function testTrend() {
+    console.log('\n📊 Test 4: Trend indicators...');
+    
+    const ichimoku = new IchimokuCloud(7, 14, 28, 14);
+    const sar = new ParabolicSAR(0.02, 0.2, 0.02);
+    const length = TREND_CLOSES.length;
+    const bars = end => [slice(TREND_HIGHS, end), slice(TREND_LOWS, end), slice(TREND_CLOSES, end)];
+    
+    return report([
+        matches('Ichimoku lines match the worked values',
+            calculateEach(29, length, end => {
+                const result = ichimoku.calculate(...bars(end));
+                return [result.tenkanSen, result.kijunSen, result.senkouSpanA, result.senkouSpanB];
+            }), ICHIMOKU_VALUES, WORKED),
+        matches('Parabolic SAR matches the worked values',
+            calculateEach(3, length, end => {
+                const result = sar.calculate(...bars(end));
+                return [result.sar, result.trend];
+            }), SAR_VALUES, WORKED)
+    ]);
+}
+
+function testConfiguration() {
+    console.log('\n📊 Test 5: RSI smoothing option...');
+    
+    const history = { closes: RSI_CLOSES };
+    const streamed = smoothing => IndicatorStream.fromHistory(new RSI(14, smoothing), history).getResult().value;
+    const wilder = new TechnicalStrategies();
+    const simple = new TechnicalStrategies({ params: { rsi: { smoothing: 'simple' } } });
+    
+    let rejected = false;
+    try {
+        new RSI(14, 'ema');
+    } catch (error) {
+        rejected = true;
+    }
+    
+    return report([
+        ['Wilder smoothing is the default', wilder.calculateIndicator('rsi', history).value === 37.77 &&
+            wilder.calculateIndicator('rsi', history).metadata.smoothing === 'wilder'],
+        ['simple smoothing can be configured', simple.calculateIndicator('rsi', history).value === 30.18],
+        ['streams give the same value as calculate()', streamed('wilder') === 37.77 && streamed('simple') === 30.18],
+        ['smoothing is validated in the indicator config',
+            TechnicalStrategies.validateConfig({ params: { rsi: { smoothing: 'simple' } } }).length === 0 &&
+            TechnicalStrategies.validateConfig({ params: { rsi: { smoothing: 'ema' } } })[0] === 'params.rsi.smoothing must be one of wilder, simple'],
+        ['unknown smoothing is rejected', rejected]
+    ]);
+}
+
+function testVolatility() {
+    console.log('\n📊 Test 6: Volatility indicators...');
+    
+    const atr = new ATR(14, 2);
+    const bars = end => [slice(ATR_HIGHS, end), slice(ATR_LOWS, end), slice(ATR_CLOSES, end)];
+    const length = ATR_CLOSES.length;
+    const last = atr.calculate(...bars(length));
+    const natr = new NormalizedATR(14).calculate(...bars(length));
+    const keltner = new KeltnerChannels(20, 10, 2).calculate(...bars(length));
+    const ema = new MACD().calculateEMA(ATR_CLOSES, 20);
+    const atr10 = WilderSmoothing.atrSeries(ATR_HIGHS, ATR_LOWS, ATR_CLOSES, 10).pop();
+    
+    // 100 -> 110 -> 121 gives two returns of ln(1.1) after a flat bar
+    const volatility = new HistoricalVolatility(2, 3).calculate([100, 100, 110, 121]);
+    const upside = new DonchianChannels(3).calculate([11, 11, 11, 12.5], [9, 9, 9, 11], [10, 10, 10, 12]);
+    const inside = new DonchianChannels(3).calculate([11, 11, 11, 10.5], [9, 9, 9, 9.5], [10, 10, 10, 10]);
+    
+    const strategies = new TechnicalStrategies({ weights: { atr: 0, rsi: 1 } });
+    const ensemble = strategies.combineSignals({
+        rsi: { suggestion: 'buy', confidence: 0.8 },
+        atr: { suggestion: 'hold', confidence: 0 }
+    });
+    
+    return report([
+        matches('the ATR indicator matches the ChartSchool table',
+            calculateEach(14, length, end => atr.calculate(...bars(end)).atr), ATR_VALUES, LAST_DIGIT),
+        ['ATR stops sit two ATRs from the close', last.longStop === Number((ATR_CLOSES[length - 1] - 2 * last.atr).toFixed(8)) &&
+            last.shortStop === Number((ATR_CLOSES[length - 1] + 2 * last.atr).toFixed(8))],
+        ['NATR is the ATR as a percentage of the close', natr.natr === Number((natr.atr / ATR_CLOSES[length - 1] * 100).toFixed(4))],
+        matches('Keltner Channels are the 20-bar EMA ± 2 ATR(10)',
+            [[keltner.middleBand, keltner.upperBand, keltner.lowerBand]], [[ema, ema + 2 * atr10, ema - 2 * atr10]], 1e-6),
+        matches('historical and realized volatility match the worked values',
+            [[volatility.volatility, volatility.realizedVolatility, volatility.longVolatility]], [[0, 13.4789, 5.5027]], WORKED),
+        ['a flat short window is a low volatility regime', volatility.metadata.regime === 'low'],
+        ['Donchian breakouts are measured against the previous channel', upside.suggestion === 'buy' && upside.upperBand === 12.5 &&
+            upside.metadata.previousUpper === 11 && inside.suggestion === 'hold'],
+        ['volatility indicators are in calculateAll', ['atr', 'natr', 'keltner', 'donchian', 'volatility']
+            .every(name => name in strategies.calculateAll({ highs: ATR_HIGHS, lows: ATR_LOWS, closes: ATR_CLOSES, volumes: [] }))],
+        ['indicators with weight 0 stay out of the ensemble', ensemble.metadata.validStrategies === 1 && ensemble.confidence === 0.8 &&
+            !('atr' in ensemble.contributions)],
+        ['volatility periods are validated', TechnicalStrategies.validateConfig({ params: { volatility: { period: 100 } } })[0] ===
+            'params.volatility: period must be less than longPeriod' &&
+            TechnicalStrategies.validateConfig({ params: { keltner: { multiplier: 1.5 } } }).length === 0]
+    ]);
+}
+
+function testVolume() {
+    console.log('\n📊 Test 7: Volume indicators...');
+    
+    // Flat bars, so the typical prices are 10, 12 and 20; the last bar opens a new UTC day
+    const prices = [10, 12, 20];
+    const volumes = [100, 300, 50];
+    const timestamps = [Date.UTC(2024, 0, 1, 22), Date.UTC(2024, 0, 1, 23), Date.UTC(2024, 0, 2, 0)];
+    const session = new VWAP('session');
+    
+    // Money flow multipliers 0.5, -1 and 0 (no range)
+    const flowBars = [[12, 12, 11], [10, 10, 11], [11.5, 10, 11], [100, 25, 10]];
+    const cmf = new ChaikinMoneyFlow(3).calculate(...flowBars);
+    
+    // Typical prices 10 -> 11 -> 10.5 -> 12: positive flow 1100 + 1200, negative flow 2100
+    const mfiPrices = [10, 11, 10.5, 12];
+    
+    const history = { ...Object.fromEntries(['highs', 'lows', 'closes'].map(key => [key, prices])), volumes, timestamps };
+    const strategies = new TechnicalStrategies({ params: { vwap: { anchor: 'rolling', period: 3 } } });
+    
+    return report([
+        ['session VWAP is the volume-weighted typical price of the day', session.calculate(
+            prices.slice(0, 2), prices.slice(0, 2), prices.slice(0, 2), volumes.slice(0, 2), timestamps.slice(0, 2)).vwap === 11.5],
+        ['session VWAP restarts on a new UTC day', session.calculate(prices, prices, prices, volumes, timestamps).vwap === 20],
+        ['rolling VWAP covers the last period bars', strategies.calculateIndicator('vwap', history).vwap === 12.444444],
+        ['session VWAP needs timestamps', new TechnicalStrategies().calculateIndicator('vwap', { ...history, timestamps: undefined }).error !== undefined],
+        ['MFI matches the worked value', new MFI(3).calculate(mfiPrices, mfiPrices, mfiPrices, [100, 100, 200, 100]).value === 52.27],
+        ['Chaikin Money Flow matches the worked value', cmf.value === 0.1852 && cmf.suggestion === 'buy'],
+        ['the A/D line is the running total of money flow volume', new AccumulationDistribution(2).calculate(...flowBars).value === 25],
+        ['Ease of Movement matches the worked value', new EaseOfMovement(1).calculate([10, 12], [8, 10], [5, 100000000]).value === 4],
+        ['stream histories end on the batch value', new MFI(3).calculateHistory(
+            { highs: mfiPrices, lows: mfiPrices, closes: mfiPrices, volumes: [100, 100, 200, 100] }).pop().value === 52.27],
+        ['the VWAP anchor is validated', TechnicalStrategies.validateConfig({ params: { vwap: { anchor: 'weekly' } } })[0] ===
+            'params.vwap.anchor must be one of session, rolling']
+    ]);
+}
+
+function testTrendFollowers() {
+    console.log('\n📊 Test 8: Low-lag averages and trend followers...');
+    
+    // HMA, DEMA and TEMA cancel the lag of their averages, so on a straight line they equal the price
+    const line = [10, 11, 12, 13, 14, 15];
+    const hma = new HullMovingAverage(4).calculate(line);
+    
+    // Period 2: EMA 1.5 -> 19/6 -> 115/18, EMA of EMA 7/3 -> 136/27, DEMA 4 -> 209/27
+    const dema = new DEMA(2).calculate([1, 2, 4, 8]);
+    
+    // Period 2 from an SMA seed of 11: efficiency 1 uses the fast constant (2/3)^2, efficiency 0 the slow one (2/31)^2
+    const trending = new KAMA(2).calculate([10, 12, 14]);
+    const choppy = new KAMA(2).calculate([10, 12, 10]);
+    
+    // ATR(2) 1.25 -> 1.375 -> 2.9375 -> 2.46875; the close of 7.5 falls through the lower band of 10.125
+    const bars = [[10, 11, 12, 9, 8], [9, 10, 11, 7, 6], [9.5, 10.5, 11.5, 7.5, 6.5]];
+    const flip = new SuperTrend(2, 1).calculate(...bars.map(series => series.slice(0, 4)));
+    const trail = new SuperTrend(2, 1).calculate(...bars);
+    
+    // The high of 9 is matched 2 bars ago and the low of 3 was set 2 bars ago
+    const aroon = new Aroon(4).calculate([9, 5, 9, 6, 7], [4, 5, 3, 6, 7]);
+    
+    // VM+ 4 + 4, VM- 1 + 1 over true ranges 3 + 2
+    const vortex = new Vortex(2).calculate([10, 12, 13], [8, 9, 11], [9, 11, 12]);
+    
+    return report([
+        ['HMA has no lag on a straight line', hma.value === 15 && hma.previous === 14],
+        ['DEMA and TEMA have no lag on a straight line', new DEMA(2).calculate(line).value === 15 && new TEMA(2).calculate(line).value === 15],
+        ['DEMA matches the worked value', dema.value === 7.740741 && dema.previous === 4],
+        ['KAMA follows price at the fast rate in a clean trend', trending.efficiencyRatio === 1 && trending.value === 12.333333],
+        ['KAMA barely moves in chop', choppy.efficiencyRatio === 0 && choppy.value === 10.995838],
+        ['SuperTrend flips on a close through the lower band', flip.trend === 'down' && flip.metadata.flipped &&
+            flip.supertrend === 10.9375 && flip.suggestion === 'sell'],
+        ['the SuperTrend stop trails the downtrend', trail.supertrend === 9.46875 && !trail.metadata.flipped && trail.metadata.barsInTrend === 2],
+        ['Aroon counts bars since the extremes, ties going to the latest', aroon.aroonUp === 50 && aroon.aroonDown === 50],
+        ['Vortex matches the worked value', vortex.plusVI === 1.6 && vortex.minusVI === 0.4 && vortex.suggestion === 'buy'],
+        ['KAMA smoothing periods are validated', TechnicalStrategies.validateConfig({ params: { kama: { fastPeriod: 30, slowPeriod: 2 } } })[0] ===
+            'params.kama: fastPeriod must be less than slowPeriod']
+    ]);
+}
+
+function testIndicatorConformance() {
+    console.log('🚀 Testing indicators against reference values...');
+    
+    // Warm-up prefixes make the indicators log errors
+    Logger.logger.silent = true;
+    
+    try {
+        const results = [
+            testMomentum(),
+            testAverages(),
+            testWilder(),
+            testTrend(),
+            testConfiguration(),
+            testVolatility(),
+            testVolume(),
+            testTrendFollowers()
+        ];
+        
+        Logger.logger.silent = false;
+        
+        if (results.includes(false)) {
+            console.log('\n❌ Indicator conformance tests failed');
+            process.exit(1);
+        }
+        
+        console.log('\n🎉 Indicators match the reference values!');
+        process.exit(0);
+    } catch (error) {
+        Logger.logger.silent = false;
+        console.error('❌ Indicator conformance test error:', error.message);
+        process.exit(1);
+    }
+}
+
+testIndicatorConformance();
@@ -0,0 +1,300 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TechnicalStrategies, IndicatorRegistry } = require('../src/strategies/technical');
+const { Logger } = require('../src/utils');
+
+// Checks the indicator registry and plugin discovery: a plugin dropped into a directory is
+// calculated, weighted and configurable like a built-in, and broken plugins are skipped. Also checks
+// that indicators warming up (VWAP before any volume trades, too) only log at debug and that failed
+// calculations are logged once.
+// Usage: node scripts/test-indicator-plugins.js
+
+// Where the close sits in the high/low range of the last `period` bars. Batch-only on purpose:
+// there is no streaming mode, so streams and series have to fall back to calculate().
+const RANGE_POSITION_PLUGIN = `
+class RangePosition {
+    constructor(period, threshold) {
+        this.period = period;
+        this.threshold = threshold;
+        this.name = 'RangePosition';
+    }
+    
+    calculate(highs, lows, closes) {
+        if (closes.length < this.period) {
+            throw new Error('RangePosition needs ' + this.period + ' bars');
+        }
+        const high = Math.max(...highs.slice(-this.period));
+        const low = Math.min(...lows.slice(-this.period));
+        const position = high > low ? (closes[closes.length - 1] - low) / (high - low) : 0.5;
+        let suggestion = 'hold';
+        if (position >= this.threshold) suggestion = 'sell';
+        if (position <= 1 - this.threshold) suggestion = 'buy';
+        return { position, suggestion, confidence: suggestion === 'hold' ? 0 : 0.9, strength: Math.abs(position - 0.5) * 2 };
+    }
+}
+
+module.exports = {
+    name: 'rangePosition',
+    label: 'Range Position',
+    inputs: ['highs', 'lows', 'closes'],
+    params: {
+        period: { type: 'integer', default: 10, max: 200 },
+        threshold: { type: 'number', default: 0.8, min: 0.5, max: 1 }
+    },
+    weight: 2,
+    minDataPoints: p => p.period,
+    create: p => new RangePosition(p.period, p.threshold),
+    fallback: { position: null }
+};
+`;
+
+const PLUGIN_FILES = {
+    'range-position.js': RANGE_POSITION_PLUGIN,
+    'bad-inputs.js': `module.exports = { name: 'badInputs', inputs: ['opens'], params: {}, weight: 1, create: () => ({}) };`,
+    'bad-optional.js': `module.exports = { name: 'badOptional', inputs: ['closes'], optionalInputs: ['volumes'], params: {}, weight: 1, create: () => ({}) };`,
+    'throws.js': `throw new Error('plugin failed to load');`,
+    'notes.txt': 'not a plugin'
+};
+
+function report(checks) {
+    let passed = true;
+    checks.forEach(([label, ok]) => {
+        console.log(`${ok ? '✅' : '❌'} ${label}`);
+        passed = passed && ok;
+    });
+    return passed;
+}
+
+// Falling prices so the close ends at the bottom of its range
+function makeData(count) {
+    const data = { highs: [], lows: [], closes: [], volumes: [], timestamps: [] };
+    for (let i = 0; i < count; i++) {
+        const price = 100 - i * 0.2 + Math.sin(i / 5);
+        data.highs.push(price * 1.01);
+        data.lows.push(price * 0.99);
+        data.closes.push(price);
+        data.volumes.push(1000 + (i % 7) * 10);
+        data.timestamps.push(Date.UTC(2024, 0, 1) + i * 300000);
+    }
+    return data;
+}
+
+function testDiscovery(dir) {
+    console.log('\n📊 Test 1: Plugin discovery...');
+    
+    const builtins = IndicatorRegistry.getNames().length;
+    const first = IndicatorRegistry.loadDirectory(dir);
+    const second = IndicatorRegistry.loadDirectory(dir);
+    const failedFiles = first.failed.map(failure => failure.file).sort();
+    const plugin = IndicatorRegistry.describe().find(entry => entry.name === 'rangePosition');
+    
+    let duplicateError = '';
+    try {
+        IndicatorRegistry.register({ name: 'RSI', inputs: ['closes'], params: {}, weight: 1, create: () => ({}) }, 'plugin:test');
+    } catch (error) {
+        duplicateError = error.message;
+    }
+    
+    const disabled = IndicatorRegistry.loadPlugins({ enabled: false, dir });
+    const missing = IndicatorRegistry.loadDirectory(path.join(dir, 'missing'));
+    
+    return report([
+        ['valid plugin is registered', first.loaded.join() === 'rangePosition' && IndicatorRegistry.getNames().length === builtins + 1],
+        ['invalid and throwing plugins are skipped', failedFiles.join() === 'bad-inputs.js,bad-optional.js,throws.js'],
+        ['invalid definition reports what is wrong', first.failed.some(failure => failure.error.includes('inputs must be')) &&
+            first.failed.some(failure => failure.error.includes('optionalInputs must be a list of the definition\'s inputs'))],
+        ['loading the directory again keeps the plugin', second.loaded.join() === 'rangePosition' && second.failed.length === 3],
+        ['plugin is described with its source and min data points', plugin && plugin.source === 'plugin:range-position.js' && plugin.minDataPoints === 10],
+        ['plugin label is listed', IndicatorRegistry.getLabels().includes('Range Position')],
+        ['name clashing with a built-in is rejected', duplicateError.includes('already registered as rsi')],
+        ['disabled plugins and a missing directory load nothing', disabled.loaded.length === 0 && missing.loaded.length === 0]
+    ]);
+}
+
+function testCalculation() {
+    console.log('\n📊 Test 2: Plugin calculation and ensemble...');
+    
+    const data = makeData(120);
+    const strategies = new TechnicalStrategies();
+    const results = strategies.calculateAll(data);
+    const signal = strategies.combineSignals(results);
+    const contribution = signal.contributions.rangePosition;
+    
+    const failed = strategies.calculateIndicator('rangePosition', { closes: data.closes });
+    const builtinFailed = strategies.calculateIndicator('adx', { closes: data.closes });
+    const rolling = new TechnicalStrategies({ params: { vwap: { anchor: 'rolling' } } });
+    const { timestamps, ...withoutTimestamps } = data;
+    const tuned = new TechnicalStrategies({ params: { rangePosition: { period: 50 } }, weights: { rangePosition: 0 } });
+    const tunedSignal = tuned.combineSignals(tuned.calculateAll(data));
+    
+    return report([
+        ['calculateAll includes the plugin', results.rangePosition && results.rangePosition.suggestion === 'buy' && !results.rangePosition.error],
+        ['plugin contributes to the ensemble with its default weight', contribution && contribution.weight === 2 && contribution.contribution === 1.8],
+        ['built-ins are unaffected', Object.keys(results).length === IndicatorRegistry.getNames().length && !results.rsi.error],
+        ['missing inputs return the fallback result', failed.error && failed.error.includes('highs, lows, closes') && failed.position === null && failed.metadata.period === 10],
+        ['built-ins fail the same way with their fallback metadata', builtinFailed.error.includes('highs, lows, closes') && builtinFailed.adx === 0 &&
+            builtinFailed.metadata.trendStrength === 'Unknown' && builtinFailed.metadata.period === 14 && builtinFailed.suggestion === 'hold'],
+        ['optional inputs may be missing', !rolling.calculateIndicator('vwap', withoutTimestamps).error &&
+            rolling.calculateIndicator('vwap', { ...data, volumes: undefined }).error.includes('highs, lows, closes, volumes arrays')],
+        ['params and weight overrides apply to the plugin', tuned.indicators.rangePosition.period === 50 && tuned.indicators.rangePosition.minDataPoints === 50 && !tunedSignal.contributions.rangePosition]
+    ]);
+}
+
+function testConfig() {
+    console.log('\n📊 Test 3: Plugin config validation...');
+    
+    const defaults = TechnicalStrategies.getDefaults();
+    const valid = TechnicalStrategies.validateConfig({ params: { rangePosition: { period: 20, threshold: 0.9 } }, weights: { rangePosition: 1.5 } });
+    const invalid = TechnicalStrategies.validateConfig({ params: { rangePosition: { period: 300, threshold: 0.2, lookback: 5 } } });
+    
+    return report([
+        ['defaults include the plugin', defaults.params.rangePosition.period === 10 && defaults.weights.rangePosition === 2],
+        ['valid plugin params are accepted', valid.length === 0],
+        ['schema bounds of the plugin are enforced', invalid.includes('params.rangePosition.period must be an integer between 1 and 200') &&
+            invalid.includes('params.rangePosition.threshold must be a number greater than 0.5 and at most 1')],
+        ['unknown plugin params are rejected', invalid.some(error => error.startsWith('params.rangePosition.lookback: unknown parameter'))]
+    ]);
+}
+
+function testStreamingFallback() {
+    console.log('\n📊 Test 4: Streams and series without a streaming mode...');
+    
+    const data = makeData(80);
+    const strategies = new TechnicalStrategies();
+    const streams = strategies.createStreams(data);
+    const fromStreams = strategies.calculateAllFromStreams(streams, data);
+    const batch = strategies.calculateAll(data);
+    const series = strategies.calculateSeries('rangePosition', data, { limit: 5 });
+    const last = series[series.length - 1];
+    
+    return report([
+        ['no stream is created for the plugin', !streams.rangePosition && Boolean(streams.rsi)],
+        ['stream results fall back to batch for the plugin', fromStreams.rangePosition.position === batch.rangePosition.position],
+        ['series is computed bar by bar', strategies.calculateSeries('rangePosition', data).length === 71 && series.length === 5],
+        ['last series point matches the batch result', last.timestamp === data.timestamps[79] && last.position === batch.rangePosition.position]
+    ]);
+}
+
+// Record what TechnicalStrategies logs while `run` is called
+function captureLogs(run) {
+    const logs = [];
+    const levels = ['debug', 'warn', 'error'];
+    levels.forEach(level => {
+        Logger[level] = (message, meta) => logs.push({ level, message, meta });
+    });
+    
+    try {
+        run();
+    } finally {
+        levels.forEach(level => delete Logger[level]);
+    }
+    
+    return logs;
+}
+
+function testLogging() {
+    console.log('\n📊 Test 5: Warm-up and failure logging...');
+    
+    // 40 bars warm up Ichimoku (53), TEMA (59) and historical volatility (101); the rest are ready
+    const data = makeData(40);
+    const strategies = new TechnicalStrategies();
+    const warming = Object.keys(strategies.indicators).filter(name => strategies.indicators[name].minDataPoints > 40);
+    let batch = null;
+    let fromStreams = null;
+    const logs = captureLogs(() => {
+        batch = strategies.calculateAll(data);
+        fromStreams = strategies.calculateAllFromStreams(strategies.createStreams(data), data);
+        strategies.combineSignals(batch);
+        strategies.combineSignals(fromStreams);
+    });
+    const warmUpLines = logs.filter(log => log.level === 'debug' && log.message.endsWith('is warming up'));
+    
+    // Only closes: indicators that need highs and lows fail for real
+    const closesOnly = { closes: data.closes };
+    let failed = null;
+    const failureLogs = captureLogs(() => {
+        failed = strategies.calculateIndicator('atr', closesOnly);
+    });
+    const signalLogs = captureLogs(() => strategies.combineSignals({ rsi: batch.rsi, atr: failed, donchian: { error: 'failed' }, macd: null }));
+    
+    return report([
+        ['warm-up logs no warnings or errors', logs.every(log => log.level === 'debug')],
+        ['warm-up is one debug line per indicator and call', warmUpLines.length === warming.length * 2 && warming.includes('volatility')],
+        ['warming indicators return a hold marked as insufficient data', warming.every(name => batch[name].suggestion === 'hold' &&
+            batch[name].error.startsWith('Insufficient data') && fromStreams[name].metadata.interpretation === 'Insufficient data')],
+        ['ready indicators are calculated in both paths', !batch.atr.error && !fromStreams.keltner.error && fromStreams.atr.atr === batch.atr.atr],
+        ['a failed calculation logs one error', failed.metadata.interpretation === 'Calculation failed' &&
+            failureLogs.filter(log => log.level === 'error').map(log => log.message).join() === 'ATR calculation failed'],
+        ['failed and weight-0 results are skipped silently', signalLogs.every(log => log.level === 'debug')]
+    ]);
+}
+
+function testVolumeWarmUp() {
+    console.log('\n📊 Test 6: Volume indicators before any volume trades...');
+    
+    const data = { ...makeData(60), volumes: new Array(60).fill(0) };
+    const volumeIndicators = ['vwap', 'mfi', 'cmf', 'adl', 'eom'];
+    const strategies = new TechnicalStrategies();
+    let batch = null;
+    let fromStreams = null;
+    let series = null;
+    const logs = captureLogs(() => {
+        batch = strategies.calculateAll(data);
+        fromStreams = strategies.calculateAllFromStreams(strategies.createStreams(data), data);
+        series = strategies.calculateSeries('vwap', data);
+        strategies.combineSignals(batch);
+        strategies.combineSignals(fromStreams);
+    });
+    const warmUpLines = logs.filter(log => log.level === 'debug' && log.message === 'VWAP is warming up');
+    
+    return report([
+        ['no volume logs no warnings or errors', logs.every(log => log.level === 'debug')],
+        ['VWAP holds as warming up in both paths', [batch.vwap, fromStreams.vwap].every(result => result.suggestion === 'hold' &&
+            result.metadata.interpretation === 'Insufficient data' && result.error.includes('no volume traded'))],
+        ['VWAP warm-up is one debug line per call', warmUpLines.length === 2],
+        ['VWAP has no series points without volume', series.length === 0],
+        ['the other volume indicators are calculated', volumeIndicators.slice(1).every(name => !batch[name].error && !fromStreams[name].error)],
+        ['volume indicators are left out of the ensemble by default', volumeIndicators.every(name => strategies.getStrategyWeight(name) === 0)]
+    ]);
+}
+
+async function testIndicatorPlugins() {
+    console.log('🚀 Testing indicator plugins...');
+    
+    Logger.logger.silent = true;
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trading-bot-plugins-'));
+    
+    try {
+        for (const [file, content] of Object.entries(PLUGIN_FILES)) {
+            fs.writeFileSync(path.join(dir, file), content);
+        }
+        
+        const results = [
+            testDiscovery(dir),
+            testCalculation(),
+            testConfig(),
+            testStreamingFallback(),
+            testLogging(),
+            testVolumeWarmUp()
+        ];
+        
+        Logger.logger.silent = false;
+        fs.rmSync(dir, { recursive: true, force: true });
+        
+        if (results.includes(false)) {
+            console.log('\n❌ Indicator plugin tests failed');
+            process.exit(1);
+        }
+        
+        console.log('\n🎉 Indicator plugin tests passed!');
+        process.exit(0);
+    } catch (error) {
+        Logger.logger.silent = false;
+        fs.rmSync(dir, { recursive: true, force: true });
+        console.error('❌ Indicator plugin test error:', error.message);
+        process.exit(1);
+    }
+}
+
+testIndicatorPlugins();
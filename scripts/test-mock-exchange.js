@@ -0,0 +1,237 @@
+const { MockXeggexServer } = require('../src/mock');
+const { XeggexClient, MarketDataCollector } = require('../src/data/collectors');
+const { RequestScheduler } = require('../src/data/exchanges');
+const { Logger } = require('../src/utils');
+
+// Runs XeggexClient and MarketDataCollector against the mock Xeggex API on a fixed clock,
+// so it works offline and gives the same results on every run.
+// Usage: node scripts/test-mock-exchange.js
+
+const START = Date.UTC(2024, 0, 15, 12, 0, 0);
+const MINUTE = 60000;
+
+function createClient(baseUrl, clock) {
+    // Fail fast instead of backing off on the outage and rate limit checks, and wait out
+    // Retry-After on the test clock
+    const scheduler = new RequestScheduler({ requests: 1000, window: 60000, retries: 0, now: () => clock.now });
+    return new XeggexClient(null, null, { baseUrl, scheduler });
+}
+
+async function expectStatus(promise, statusCode) {
+    try {
+        await promise;
+        return false;
+    } catch (error) {
+        return error.response?.statusCode === statusCode;
+    }
+}
+
+function report(checks) {
+    let passed = true;
+    checks.forEach(([label, ok]) => {
+        console.log(`${ok ? '✅' : '❌'} ${label}`);
+        passed = passed && ok;
+    });
+    return passed;
+}
+
+async function testMarketData(clock) {
+    console.log('\n📊 Test 1: Market data endpoints...');
+    
+    const server = new MockXeggexServer({ port: 0, now: () => clock.now });
+    const client = createClient(await server.start(), clock);
+    
+    try {
+        const usdtMarkets = await client.fetchMarkets('USDT');
+        const btcMarkets = await client.fetchMarkets('BTC');
+        const ticker = await client.fetchTicker('KAS/BTC');
+        const candles = await client.fetchCandles('KAS/USDT', { resolution: 5, countBack: 180 });
+        const quarterHours = await client.fetchCandles('KAS/USDT', { resolution: 15, countBack: 60 });
+        const book = await client.fetchOrderBook('RVN/USDT', 10);
+        
+        // Three 5m bars make up each completed 15m bar
+        const firstQuarter = quarterHours[quarterHours.length - 2];
+        const parts = candles.filter(bar => bar.time >= firstQuarter.time && bar.time < firstQuarter.time + 15 * MINUTE);
+        
+        const checks = [
+            ['inactive markets are not listed', usdtMarkets.length === 6 && !usdtMarkets.some(m => m.pair === 'OLD/USDT')],
+            ['markets are filtered by quote', btcMarkets.length === 1 && btcMarkets[0].pair === 'KAS/BTC'],
+            ['ticker has a price', ticker.price > 0 && ticker.volume24h > 0],
+            ['candles are ascending 5m bars ending at the current bar', candles.length === 180 &&
+                candles.every((bar, i) => i === 0 || bar.time - candles[i - 1].time === 5 * MINUTE) &&
+                candles[candles.length - 1].time === Math.floor(clock.now / (5 * MINUTE)) * 5 * MINUTE],
+            ['bars are consistent across resolutions', parts.length === 3 &&
+                firstQuarter.open === parts[0].open && firstQuarter.close === parts[2].close &&
+                firstQuarter.high === Math.max(...parts.map(bar => bar.high)) &&
+                Math.abs(firstQuarter.volume - parts.reduce((sum, bar) => sum + bar.volume, 0)) < 1e-6 * firstQuarter.volume],
+            ['OHLC values are consistent', candles.every(bar => bar.low <= Math.min(bar.open, bar.close) && bar.high >= Math.max(bar.open, bar.close))],
+            ['order book is sorted with a positive spread', book.bids.length === 10 && book.asks.length === 10 &&
+                book.bids[0].price < book.asks[0].price && book.bids[0].price > book.bids[1].price],
+            ['ticker price matches the last candle', Math.abs(ticker.price - (await client.fetchCandles('KAS/BTC', { countBack: 1 }))[0].close) < 1e-15]
+        ];
+        
+        // A window before the latest bar, like the collector's gap backfill asks for
+        const to = clock.now - 60 * MINUTE;
+        const windowBars = await client.fetchCandles('KAS/USDT', { resolution: 5, countBack: 12, from: to - 12 * 5 * MINUTE, to });
+        checks.push(['from/to windows return the bars before `to`', windowBars.length === 12 && windowBars[11].time === to - 5 * MINUTE]);
+        
+        // Time moves on: a new bar opens and the price changes
+        clock.now += 5 * MINUTE;
+        const later = await client.fetchCandles('KAS/USDT', { resolution: 5, countBack: 180 });
+        checks.push(['the market keeps moving as the clock advances', later[later.length - 1].time === candles[candles.length - 1].time + 5 * MINUTE]);
+        
+        const unknown = await expectStatus(client.getMarket('NOPE_USDT'), 404);
+        checks.push(['unknown markets return 404', unknown]);
+        
+        return report(checks);
+    } finally {
+        await server.stop();
+    }
+}
+
+async function testPricePaths(clock) {
+    console.log('\n📊 Test 2: Deterministic price paths...');
+    
+    const markets = {
+        'AAA/USDT': { price: 1 },
+        'TRD/USDT': { price: 1, model: 'trend', trend: 0.0005, volatility: 0.0005 },
+        'GAP/USDT': { price: 1, gapProbability: 0.01, gapLength: 60 },
+        'REG/USDT': { price: 1, model: 'regimes', regimeLength: 120 }
+    };
+    const first = new MockXeggexServer({ port: 0, markets, now: () => clock.now });
+    const second = new MockXeggexServer({ port: 0, markets, now: () => clock.now });
+    const otherSeed = new MockXeggexServer({ port: 0, markets, seed: 7, now: () => clock.now });
+    
+    const closes = (server, pair) => server.markets[pair].path.getCandles(clock.now, { resolution: 5, countBack: 500 }).map(bar => bar.close);
+    const trend = closes(first, 'TRD/USDT');
+    const gapBars = first.markets['GAP/USDT'].path.getCandles(clock.now, { resolution: 5, countBack: 500 });
+    const regimeReturns = closes(first, 'REG/USDT').map((close, i, all) => i === 0 ? 0 : Math.log(close / all[i - 1]));
+    
+    // Volatility of each two-hour regime block; regimes should make it differ between blocks
+    const blockVolatility = [];
+    for (let i = 0; i + 24 <= regimeReturns.length; i += 24) {
+        const block = regimeReturns.slice(i, i + 24);
+        blockVolatility.push(Math.sqrt(block.reduce((sum, value) => sum + value * value, 0) / block.length));
+    }
+    
+    return report([
+        ['the same seed gives the same path', JSON.stringify(closes(first, 'AAA/USDT')) === JSON.stringify(closes(second, 'AAA/USDT'))],
+        ['a different seed gives a different path', closes(first, 'AAA/USDT')[0] !== closes(otherSeed, 'AAA/USDT')[0]],
+        ['pairs get independent paths', closes(first, 'AAA/USDT')[0] !== closes(first, 'GAP/USDT')[0]],
+        ['the trend model trends', trend[trend.length - 1] > trend[0] * 1.5],
+        ['gaps leave buckets without bars', gapBars.some((bar, i) => i > 0 && bar.time - gapBars[i - 1].time > 5 * MINUTE)],
+        ['regime switches change volatility', Math.max(...blockVolatility) > 2 * Math.min(...blockVolatility)]
+    ]);
+}
+
+async function testFaults(clock) {
+    console.log('\n📊 Test 3: Rate limits and outages...');
+    
+    const server = new MockXeggexServer({ port: 0, rateLimit: { requests: 3, window: 60000 }, now: () => clock.now });
+    const client = createClient(await server.start(), clock);
+    let requestErrors = 0;
+    client.on('requestError', () => requestErrors++);
+    
+    try {
+        for (let i = 0; i < 3; i++) {
+            await client.getMarket('KAS_USDT');
+        }
+        
+        let retryAfter = null;
+        const limited = await client.getMarket('KAS_USDT').catch(error => {
+            retryAfter = error.response?.headers['retry-after'];
+            return error.response?.statusCode;
+        });
+        
+        clock.now += 60000;
+        const recovered = await client.getMarket('KAS_USDT').then(() => true, () => false);
+        
+        server.startOutage(5 * MINUTE);
+        const outage = await expectStatus(client.getMarket('KAS_USDT'), 503);
+        const health = await client.healthCheck();
+        clock.now += 5 * MINUTE;
+        const afterOutage = await client.getMarket('KAS_USDT').then(() => true, () => false);
+        
+        const periodic = new MockXeggexServer({ port: 0, outages: { every: 60 * MINUTE, duration: 10 * MINUTE }, now: () => clock.now });
+        const scheduled = new MockXeggexServer({ port: 0, outages: [{ start: clock.now + MINUTE, end: clock.now + 2 * MINUTE }], now: () => clock.now });
+        
+        return report([
+            ['requests over the limit get 429', limited === 429],
+            ['429 responses carry Retry-After', retryAfter === '60'],
+            ['requests succeed once the window resets', recovered],
+            ['outages return 503', outage && !health.healthy],
+            ['the client sees the failures', requestErrors >= 3],
+            ['requests succeed after the outage', afterOutage],
+            ['periodic outages cover the end of each period', !periodic.isInOutage(clock.now + 49 * MINUTE) &&
+                periodic.isInOutage(clock.now + 55 * MINUTE) && !periodic.isInOutage(clock.now + 61 * MINUTE)],
+            ['scheduled outages cover their window', !scheduled.isInOutage(clock.now) && scheduled.isInOutage(clock.now + 90000)],
+            ['fault counters are kept', server.getStats().rateLimited === 1 && server.getStats().outageErrors >= 2]
+        ]);
+    } finally {
+        await server.stop();
+    }
+}
+
+async function testCollector(clock) {
+    console.log('\n📊 Test 4: MarketDataCollector against the mock...');
+    
+    const server = new MockXeggexServer({ port: 0, now: () => clock.now });
+    const client = createClient(await server.start(), clock);
+    // The collector stamps ticks with the real time, so only compare prices
+    const collector = new MarketDataCollector(client, {
+        pairs: ['KAS/BTC', 'SAL/USDT'],
+        timeframes: ['5m', '1h'],
+        enablePersistence: false
+    });
+    
+    try {
+        for (const pair of collector.config.pairs) {
+            await collector.loadOrPreloadSinglePair(pair);
+        }
+        const tick = await collector.fetchCurrentData('KAS/BTC');
+        const ticker = await client.fetchTicker('KAS/BTC');
+        const hourly = collector.getHistoryForPair('KAS/BTC', '1h');
+        
+        return report([
+            ['history is preloaded from the mock', collector.getHistoryForPair('KAS/BTC').closes.length > 100],
+            ['higher timeframes are loaded', hourly && hourly.closes.length > 100],
+            ['thin markets with gaps still load', collector.getHistoryForPair('SAL/USDT').closes.length > 0],
+            ['ticks use the mock ticker', tick && tick.close === ticker.price]
+        ]);
+    } finally {
+        await server.stop();
+    }
+}
+
+async function testMockExchange() {
+    console.log('🚀 Testing against the mock Xeggex API...');
+    
+    // Client and collector logs would drown the results
+    Logger.logger.silent = true;
+    const clock = { now: START };
+    
+    try {
+        const results = [
+            await testMarketData(clock),
+            await testPricePaths(clock),
+            await testFaults(clock),
+            await testCollector(clock)
+        ];
+        
+        Logger.logger.silent = false;
+        
+        if (results.includes(false)) {
+            console.log('\n❌ Mock exchange tests failed');
+            process.exit(1);
+        }
+        
+        console.log('\n🎉 Mock exchange tests passed!');
+        process.exit(0);
+    } catch (error) {
+        Logger.logger.silent = false;
+        console.error('❌ Mock exchange test error:', error.message);
+        process.exit(1);
+    }
+}
+
+testMockExchange();
@@ -0,0 +1,123 @@
+const { OrderBookAnalytics } = require('../src/data/analytics');
+const { MockXeggexServer } = require('../src/mock');
+const { XeggexClient, MarketDataCollector } = require('../src/data/collectors');
+const { Logger } = require('../src/utils');
+
+// Checks the order book math on a hand-made book, then captures snapshots from the mock Xeggex API.
+// Usage: node scripts/test-orderbook-analytics.js
+
+const BOOK = {
+    timestamp: 1700000000000,
+    bids: [{ price: 99, quantity: 10 }, { price: 98, quantity: 20 }, { price: 95, quantity: 100 }],
+    asks: [{ price: 101, quantity: 30 }, { price: 102, quantity: 20 }, { price: 110, quantity: 100 }]
+};
+
+const close = (a, b) => a !== null && Math.abs(a - b) < 1e-9 * Math.max(1, Math.abs(b));
+
+function report(checks) {
+    let passed = true;
+    checks.forEach(([label, ok]) => {
+        console.log(`${ok ? '✅' : '❌'} ${label}`);
+        passed = passed && ok;
+    });
+    return passed;
+}
+
+function testAnalytics() {
+    console.log('\n📊 Test 1: Analytics on a known book...');
+    
+    const analytics = OrderBookAnalytics.analyze(BOOK, { depthBands: [1, 2, 5], slippageSizes: [1000, 5000, 1000000] });
+    const buy = analytics.slippage[5000].buy;
+    const sell = analytics.slippage[1000].sell;
+    const oneSided = OrderBookAnalytics.analyze({ bids: BOOK.bids, asks: [] });
+    
+    return report([
+        ['mid price and spread', analytics.midPrice === 100 && analytics.spread === 2 && close(analytics.spreadPercent, 2)],
+        ['top-of-book imbalance', close(analytics.imbalance, -0.5)],
+        ['depth within 1%', analytics.depth[1].bid === 990 && analytics.depth[1].ask === 3030],
+        ['depth within 2%', analytics.depth[2].bid === 2950 && analytics.depth[2].ask === 5070 && analytics.depth[2].bidQuantity === 30],
+        ['depth within 5%', analytics.depth[5].bid === 12450 && analytics.depth[5].ask === 5070],
+        ['a fill inside the best level slips by half the spread', close(analytics.slippage[1000].buy.averagePrice, 101) &&
+            close(analytics.slippage[1000].buy.slippagePercent, 1)],
+        ['buys walk the asks', buy.filled && close(buy.averagePrice, 5000 / (30 + 1970 / 102))],
+        ['sells walk the bids', sell.filled && close(sell.averagePrice, 1000 / (10 + 10 / 98)) &&
+            close(sell.slippagePercent, 100 - 1000 / (10 + 10 / 98))],
+        ['orders larger than the book are partial fills', !analytics.slippage[1000000].buy.filled &&
+            analytics.slippage[1000000].buy.filledNotional === 3030 + 2040 + 11000],
+        ['one-sided books have no prices', oneSided.midPrice === null && oneSided.bestBid === 99],
+        ['a tight, deep book is liquid', OrderBookAnalytics.assessLiquidity(analytics, { maxSpreadPercent: 2, depthBand: 2, minDepth: 2000 }).liquid],
+        ['a wide spread is illiquid', !OrderBookAnalytics.assessLiquidity(analytics, { maxSpreadPercent: 1 }).liquid],
+        ['thin depth is illiquid', OrderBookAnalytics.assessLiquidity(analytics, { depthBand: 1, minDepth: 1000 }).reasons.length === 1],
+        ['quote settings fall back to the default', OrderBookAnalytics.forQuote({ default: 1, BTC: 2 }, 'BTC') === 2 &&
+            OrderBookAnalytics.forQuote({ default: 1, BTC: 2 }, 'ETH') === 1 && OrderBookAnalytics.forQuote(3, 'BTC') === 3]
+    ]);
+}
+
+async function testCollector() {
+    console.log('\n📊 Test 2: Collector snapshots from the mock...');
+    
+    const server = new MockXeggexServer({ port: 0 });
+    const client = new XeggexClient(null, null, { baseUrl: await server.start(), rateLimit: { requests: 1000, window: 60000 } });
+    const collector = new MarketDataCollector(client, {
+        pairs: ['KAS/USDT', 'KAS/BTC'],
+        enablePersistence: false,
+        orderBookDepth: 20,
+        orderBookRetention: 3
+    });
+    const events = [];
+    collector.on('orderBook', event => events.push(event));
+    
+    try {
+        for (let i = 0; i < 4; i++) {
+            await collector.collectOrderBooks();
+        }
+        
+        const latest = collector.getOrderBook('KAS/USDT');
+        const btc = collector.getOrderBook('KAS/BTC');
+        const history = collector.getOrderBookHistory('KAS/USDT');
+        const custom = collector.analyzeOrderBook('KAS/USDT', latest.book, [50]);
+        
+        collector.removePair('KAS/BTC');
+        
+        return report([
+            ['snapshots are captured for each pair', latest && btc && events.length === 8],
+            ['the requested depth is fetched', latest.book.bids.length === 20 && latest.analytics.levels.asks === 20],
+            ['analytics carry a liquidity verdict', typeof latest.analytics.liquidity.liquid === 'boolean'],
+            ['slippage sizes follow the quote currency', Object.keys(btc.analytics.slippage).join() === '0.002,0.02,0.2' &&
+                Object.keys(latest.analytics.slippage).join() === '100,1000,10000'],
+            ['history is trimmed to the retention', history.length === 3 && history[2] === latest.analytics],
+            ['books can be re-analyzed for other sizes', Object.keys(custom.slippage).join() === '50'],
+            ['removed pairs drop their snapshots', collector.getOrderBook('KAS/BTC') === null &&
+                collector.getOrderBookHistory('KAS/BTC').length === 0]
+        ]);
+    } finally {
+        await server.stop();
+    }
+}
+
+async function testOrderBookAnalytics() {
+    console.log('🚀 Testing order book analytics...');
+    
+    try {
+        const analyticsPassed = testAnalytics();
+        
+        // Client and collector logs would drown the results
+        Logger.logger.silent = true;
+        const collectorPassed = await testCollector();
+        Logger.logger.silent = false;
+        
+        if (!analyticsPassed || !collectorPassed) {
+            console.log('\n❌ Order book analytics tests failed');
+            process.exit(1);
+        }
+        
+        console.log('\n🎉 Order book analytics tests passed!');
+        process.exit(0);
+    } catch (error) {
+        Logger.logger.silent = false;
+        console.error('❌ Order book analytics test error:', error.message);
+        process.exit(1);
+    }
+}
+
+testOrderBookAnalytics();
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TradingBotServer = require('../src/server/ExpressApp');
+const { MarketDataCollector } = require('../src/data/collectors');
+const { ExchangeAdapter } = require('../src/data/exchanges');
+const { CandleAggregator } = require('../src/data/aggregators');
+const { ConfigManager, DataStorage, PairSymbol, Logger } = require('../src/utils');
+
+// Checks market symbols offline: PairSymbol parsing and file keys, the one-off rename of data files
+// named after the base symbol only, and the quote currency filter of the available pairs endpoint.
+// Usage: node scripts/test-pair-symbols.js
+
+const TRACKED = ['KAS/USDT', 'KAS/BTC'];
+const MARKETS = [
+    ['KAS', 'USDT'], ['XMR', 'USDT'], ['DOGE', 'USDT'], ['KAS', 'BTC'], ['XMR', 'BTC'], ['RVN', 'LTC']
+].map(([base, quote]) => ({
+    pair: `${base}/${quote}`,
+    base,
+    quote,
+    symbol: `${base}_${quote}`,
+    name: base,
+    lastPrice: 1,
+    volume24h: 1000,
+    change24h: 0,
+    isActive: true
+}));
+
+// Lists a fixed set of markets
+class MarketsExchange extends ExchangeAdapter {
+    constructor() {
+        super('markets');
+    }
+    
+    async fetchMarkets(quote = null) {
+        return quote ? MARKETS.filter(market => market.quote === quote) : MARKETS;
+    }
+}
+
+function report(checks) {
+    let passed = true;
+    checks.forEach(([label, ok]) => {
+        console.log(`${ok ? '✅' : '❌'} ${label}`);
+        passed = passed && ok;
+    });
+    return passed;
+}
+
+function makeHistory(count, price) {
+    const history = CandleAggregator.createEmptyHistory();
+    for (let i = 0; i < count; i++) {
+        history.opens.push(price);
+        history.closes.push(price + i * 0.001);
+        history.highs.push(price + i * 0.001 + 0.01);
+        history.lows.push(price - 0.01);
+        history.prices.push(price + i * 0.001);
+        history.volumes.push(100);
+        history.timestamps.push(Date.UTC(2024, 0, 1) + i * 300000);
+    }
+    return history;
+}
+
+function testPairSymbol() {
+    console.log('\n📊 Test 1: Market symbols...');
+    
+    const invalid = ['KAS/KAS', 'K', 'KAS/BTC/ETH', '', 'KA$/USDT', 'KAS/', null, 42];
+    
+    return report([
+        ['separators and case are normalized', ['KAS/BTC', 'kas_btc', 'Kas-Btc', ' kas/btc '].every(value => PairSymbol.normalize(value) === 'KAS/BTC')],
+        ['bare symbols mean the USDT market', PairSymbol.normalize('kas') === 'KAS/USDT' && PairSymbol.DEFAULT_QUOTE === 'USDT'],
+        ['the default quote can be chosen', PairSymbol.normalize('kas', 'btc') === 'KAS/BTC'],
+        ['invalid symbols are rejected', invalid.every(value => PairSymbol.normalize(value) === null && !PairSymbol.isValid(value))],
+        ['pairs split into base and quote', JSON.stringify(PairSymbol.parse('kas-btc')) === '{"base":"KAS","quote":"BTC"}'],
+        ['exchange symbols use an underscore', PairSymbol.toExchangeSymbol('kas/btc') === 'KAS_BTC'],
+        ['file keys use a dash and round-trip', PairSymbol.toFileKey('KAS/BTC') === 'kas-btc' && PairSymbol.fromFileKey('kas-btc') === 'KAS/BTC'],
+        ['legacy file keys map to the USDT market', PairSymbol.fromFileKey('kas') === 'KAS/USDT' && PairSymbol.isLegacy('kas') && !PairSymbol.isLegacy('kas-btc')]
+    ]);
+}
+
+async function testLegacyFiles(dir) {
+    console.log('\n📊 Test 2: Legacy data file migration...');
+    
+    // Write real history files, then give some of them the names older versions used
+    const dataDir = path.join(dir, 'pairs');
+    const writer = new DataStorage({ dataDir });
+    await writer.ensureDataDirectory();
+    await writer.savePairData('KAS/USDT', makeHistory(30, 0.1));
+    await writer.savePairData('KAS/USDT', makeHistory(5, 0.1), '1h');
+    await writer.savePairData('XMR/USDT', makeHistory(20, 150));
+    await writer.savePairData('KAS/BTC', makeHistory(10, 0.000002));
+    fs.renameSync(path.join(dataDir, 'kas-usdt_history.json'), path.join(dataDir, 'kas_history.json'));
+    fs.renameSync(path.join(dataDir, 'kas-usdt_1h_history.json'), path.join(dataDir, 'kas_1h_history.json'));
+    // A legacy file whose new name is already taken must not overwrite it
+    fs.writeFileSync(path.join(dataDir, 'xmr_history.json'), fs.readFileSync(path.join(dataDir, 'kas_history.json')));
+    fs.writeFileSync(path.join(dataDir, 'notes.txt'), 'not a history file');
+    const xmrBefore = fs.readFileSync(path.join(dataDir, 'xmr-usdt_history.json'), 'utf8');
+    
+    const storage = new DataStorage({ dataDir });
+    const firstRun = await storage.renameLegacyFiles();
+    const afterFirst = fs.readdirSync(dataDir).sort();
+    const secondRun = await storage.renameLegacyFiles();
+    const afterSecond = fs.readdirSync(dataDir).sort();
+    
+    // A new instance migrates lazily before its first read
+    const reader = new DataStorage({ dataDir });
+    const pairs = await reader.listStoredPairs();
+    const timeframes = await reader.listStoredTimeframes('kas');
+    const kas = await reader.loadPairData('KAS');
+    const kasHourly = await reader.loadPairData('KAS/USDT', '1h');
+    
+    return report([
+        ['base and timeframe files are renamed', firstRun === 2 && afterFirst.includes('kas-usdt_history.json') && afterFirst.includes('kas-usdt_1h_history.json') &&
+            !afterFirst.includes('kas_history.json') && !afterFirst.includes('kas_1h_history.json')],
+        ['existing files are not overwritten', afterFirst.includes('xmr_history.json') &&
+            fs.readFileSync(path.join(dataDir, 'xmr-usdt_history.json'), 'utf8') === xmrBefore],
+        ['other files are left alone', afterFirst.includes('kas-btc_history.json') && afterFirst.includes('notes.txt')],
+        ['a second run does nothing', secondRun === 0 && afterSecond.join() === afterFirst.join()],
+        ['stored pairs are listed once by market symbol', pairs.slice().sort().join() === 'KAS/BTC,KAS/USDT,XMR/USDT'],
+        ['timeframes are found under the new name', timeframes.join() === '1h'],
+        ['renamed files load under the market symbol', kas && kas.closes.length === 30 && kasHourly && kasHourly.closes.length === 5]
+    ]);
+}
+
+async function testQuoteFilter(dir) {
+    console.log('\n📊 Test 3: Quote currency filter...');
+    
+    const configManager = new ConfigManager();
+    configManager.configPath = path.join(dir, 'runtime.json');
+    await configManager.saveConfig({ trading: { pairs: TRACKED, updatedBy: 'test' } });
+    
+    const server = new TradingBotServer();
+    server.configManager = configManager;
+    server.applyIndicatorConfig({ params: {}, weights: {}, pairs: {} });
+    server.dataCollector = new MarketDataCollector(new MarketsExchange(), {
+        pairs: TRACKED,
+        timeframes: ['5m'],
+        enablePersistence: false,
+        backfillGaps: false,
+        writeAheadLog: { enabled: false }
+    });
+    
+    const listener = server.app.listen(0);
+    const get = async query => {
+        const response = await fetch(`http://127.0.0.1:${listener.address().port}/api/available-pairs${query}`);
+        return { status: response.status, body: await response.json() };
+    };
+    const listed = result => result.body.availablePairs.map(pair => pair.pair).join();
+    
+    try {
+        const usdt = await get('');
+        const btc = await get('?quote=btc');
+        const all = await get('?quote=all');
+        const none = await get('?quote=EUR');
+        const invalid = await get('?quote=B$');
+        const kasBtc = btc.body.availablePairs.find(pair => pair.pair === 'KAS/BTC');
+        const xmrBtc = btc.body.availablePairs.find(pair => pair.pair === 'XMR/BTC');
+        
+        return report([
+            ['USDT markets are listed by default', usdt.status === 200 && usdt.body.quote === 'USDT' && listed(usdt) === 'KAS/USDT,XMR/USDT,DOGE/USDT'],
+            ['the quote is matched case-insensitively', btc.body.quote === 'BTC' && listed(btc) === 'KAS/BTC,XMR/BTC' && btc.body.totalAvailable === 2],
+            ['quote=all lists every market', all.body.quote === 'all' && all.body.totalAvailable === MARKETS.length],
+            ['every response counts the markets per quote', JSON.stringify(btc.body.availableQuotes) === '{"USDT":3,"BTC":2,"LTC":1}'],
+            ['quotes without markets give an empty list', none.status === 200 && none.body.availablePairs.length === 0],
+            ['invalid quotes are rejected', invalid.status === 400 && invalid.body.error === 'Invalid quote currency'],
+            ['tracking is per market symbol', kasBtc.isTracked && !kasBtc.canAdd && !xmrBtc.isTracked && xmrBtc.canAdd && btc.body.canAdd === 1]
+        ]);
+    } finally {
+        listener.close();
+        await server.dataCollector.stop();
+    }
+}
+
+async function testPairSymbols() {
+    console.log('🚀 Testing market symbols...');
+    
+    Logger.logger.silent = true;
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trading-bot-pairs-'));
+    
+    try {
+        const results = [
+            testPairSymbol(),
+            await testLegacyFiles(dir),
+            await testQuoteFilter(dir)
+        ];
+        
+        Logger.logger.silent = false;
+        fs.rmSync(dir, { recursive: true, force: true });
+        
+        if (results.includes(false)) {
+            console.log('\n❌ Market symbol tests failed');
+            process.exit(1);
+        }
+        
+        console.log('\n🎉 Market symbol tests passed!');
+        process.exit(0);
+    } catch (error) {
+        Logger.logger.silent = false;
+        fs.rmSync(dir, { recursive: true, force: true });
+        console.error('❌ Market symbol test error:', error.message);
+        process.exit(1);
+    }
+}
+
+testPairSymbols();
@@ -0,0 +1,231 @@
+const { RequestScheduler, XeggexClient } = require('../src/data/exchanges');
+const { MockXeggexServer } = require('../src/mock');
+const { Logger } = require('../src/utils');
+
+// Checks the request scheduler's pacing, priority lanes, 429 handling and backoff on fake
+// tasks, then lets XeggexClient ride out rate limits and an outage on the mock Xeggex API.
+// Usage: node scripts/test-request-scheduler.js
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function httpError(statusCode, headers = {}) {
+    const error = new Error(`Response code ${statusCode}`);
+    error.response = { statusCode, headers };
+    return error;
+}
+
+function report(checks) {
+    let passed = true;
+    checks.forEach(([label, ok]) => {
+        console.log(`${ok ? '✅' : '❌'} ${label}`);
+        passed = passed && ok;
+    });
+    return passed;
+}
+
+async function testPacing() {
+    console.log('\n📊 Test 1: Token bucket and concurrency cap...');
+    
+    // 20 requests per second is one token every 50ms, after a burst of 3
+    const paced = new RequestScheduler({ requests: 20, window: 1000, burst: 3, maxConcurrent: 10 });
+    const start = Date.now();
+    const sentAt = await Promise.all(Array.from({ length: 6 }, () => paced.schedule(async () => Date.now() - start)));
+    
+    const capped = new RequestScheduler({ requests: 1000, window: 1000, maxConcurrent: 2 });
+    let active = 0;
+    let maxActive = 0;
+    const results = await Promise.all(Array.from({ length: 6 }, (_, i) => capped.schedule(async () => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await sleep(30);
+        active--;
+        return i;
+    })));
+    
+    const status = paced.getStatus();
+    
+    return report([
+        ['the burst goes out at once', sentAt.slice(0, 3).every(ms => ms < 30)],
+        ['later requests wait for tokens', sentAt[3] >= 40 && sentAt[5] >= 140],
+        ['no more than maxConcurrent requests run at once', maxActive === 2 && results.join() === '0,1,2,3,4,5'],
+        ['wait times are recorded', status.waitTimes.backfill.requests === 6 && status.waitTimes.backfill.max >= 140 &&
+            status.completed === 6 && status.queueDepth === 0 && status.active === 0]
+    ]);
+}
+
+async function testPriorities() {
+    console.log('\n📊 Test 2: Priority lanes...');
+    
+    const scheduler = new RequestScheduler({ requests: 20, window: 1000, burst: 1, maxConcurrent: 1 });
+    const order = [];
+    const task = name => async () => {
+        order.push(name);
+        return name;
+    };
+    
+    // The first request takes the only token; the rest queue up behind it
+    const pending = [
+        scheduler.schedule(task('discovery-1'), { priority: 'discovery' }),
+        scheduler.schedule(task('discovery-2'), { priority: 'discovery' }),
+        scheduler.schedule(task('backfill-1'), { priority: 'backfill' }),
+        scheduler.schedule(task('backfill-2'), { priority: 'backfill' }),
+        scheduler.schedule(task('live-1'), { priority: 'live' })
+    ];
+    await sleep(0);
+    const queued = scheduler.getStatus().queued;
+    await Promise.all(pending);
+    
+    const unknown = await scheduler.schedule(task('nope'), { priority: 'urgent' }).then(() => false, () => true);
+    
+    return report([
+        ['queue depth is reported per lane', queued.live === 1 && queued.backfill === 2 && queued.discovery === 1],
+        ['live requests go ahead of backfills and discovery', order.join() === 'discovery-1,live-1,backfill-1,backfill-2,discovery-2'],
+        ['unknown lanes are rejected', unknown && !order.includes('nope')]
+    ]);
+}
+
+async function testRateLimited() {
+    console.log('\n📊 Test 3: 429 and Retry-After...');
+    
+    const scheduler = new RequestScheduler({ requests: 1000, window: 1000, maxConcurrent: 1 });
+    const start = Date.now();
+    const calls = [];
+    let limited = false;
+    
+    const first = scheduler.schedule(async () => {
+        calls.push(['first', Date.now() - start]);
+        if (!limited) {
+            limited = true;
+            throw httpError(429, { 'retry-after': '0.3' });
+        }
+        return 'first';
+    });
+    const second = scheduler.schedule(async () => {
+        calls.push(['second', Date.now() - start]);
+        return 'second';
+    }, { priority: 'live' });
+    
+    await sleep(100);
+    const paused = scheduler.getStatus();
+    const callsWhilePaused = calls.length;
+    const results = await Promise.all([first, second]);
+    
+    const now = Math.floor(Date.now() / 1000) * 1000;
+    const dateDelay = RequestScheduler.parseRetryAfter(new Date(now + 5000).toUTCString(), now);
+    
+    return report([
+        ['every lane pauses until Retry-After has passed', paused.pausedUntil !== null && paused.queueDepth === 2 &&
+            callsWhilePaused === 1 && calls.slice(1).every(([, ms]) => ms >= 290)],
+        ['the limited request is retried and succeeds', results.join() === 'first,second' && calls.length === 3],
+        ['live requests still go first after the pause', calls[1][0] === 'second'],
+        ['429s are counted', scheduler.getStatus().rateLimited === 1 && scheduler.getStatus().retried === 1],
+        ['Retry-After is read as seconds or an HTTP date', RequestScheduler.parseRetryAfter('120') === 120000 &&
+            dateDelay === 5000 && RequestScheduler.parseRetryAfter('soon') === null]
+    ]);
+}
+
+async function testBackoff() {
+    console.log('\n📊 Test 4: Retries with exponential backoff...');
+    
+    // With random() at 0.5 each delay is three quarters of 40ms doubled per attempt: 30, 60, 120
+    const scheduler = new RequestScheduler({ requests: 1000, window: 1000, retries: 3, baseDelay: 40, maxDelay: 1000, random: () => 0.5 });
+    const attempts = [];
+    const recovered = await scheduler.schedule(async () => {
+        attempts.push(Date.now());
+        if (attempts.length < 4) throw httpError(503);
+        return 'ok';
+    });
+    const gaps = attempts.slice(1).map((at, i) => at - attempts[i]);
+    
+    let notFoundAttempts = 0;
+    const notFound = await scheduler.schedule(async () => {
+        notFoundAttempts++;
+        throw httpError(404);
+    }).catch(error => error.response.statusCode);
+    
+    let resetAttempts = 0;
+    const reset = await scheduler.schedule(async () => {
+        resetAttempts++;
+        const error = new Error('socket hang up');
+        error.code = 'ECONNRESET';
+        throw error;
+    }).catch(error => error.code);
+    
+    const jitter = new RequestScheduler({ baseDelay: 100, maxDelay: 1000, random: () => 1 });
+    const noJitter = new RequestScheduler({ baseDelay: 100, maxDelay: 1000, random: () => 0 });
+    
+    return report([
+        ['5xx responses are retried until they succeed', recovered === 'ok' && attempts.length === 4],
+        ['the delay doubles between attempts', gaps[0] >= 28 && gaps[1] >= 58 && gaps[2] >= 118 && gaps[2] > gaps[0] * 2],
+        ['jitter stays between half and all of the delay, up to maxDelay', noJitter.backoffDelay(2) === 100 &&
+            jitter.backoffDelay(2) === 200 && jitter.backoffDelay(10) === 1000],
+        ['client errors fail without a retry', notFound === 404 && notFoundAttempts === 1],
+        ['network errors give up after the retry limit', reset === 'ECONNRESET' && resetAttempts === 4],
+        ['retries and failures are counted', scheduler.getStatus().retried === 6 && scheduler.getStatus().failed === 2]
+    ]);
+}
+
+async function testAgainstMock() {
+    console.log('\n📊 Test 5: XeggexClient against the mock...');
+    
+    const server = new MockXeggexServer({ port: 0, rateLimit: { requests: 3, window: 1000 } });
+    const baseUrl = await server.start();
+    const client = new XeggexClient(null, null, {
+        baseUrl,
+        rateLimit: { requests: 1000, window: 60000, maxConcurrent: 4 },
+        retry: { limit: 3, baseDelay: 200, maxDelay: 2000 }
+    });
+    
+    try {
+        const tickers = await Promise.all(Array.from({ length: 6 }, () => client.fetchTicker('KAS/USDT')));
+        const limited = client.getStatus().scheduler;
+        
+        server.options.rateLimit = null;
+        server.startOutage(300);
+        const afterOutage = await client.fetchTicker('KAS/USDT').then(() => true, () => false);
+        const status = client.getStatus();
+        
+        return report([
+            ['requests over the exchange limit wait and succeed', tickers.every(ticker => ticker.price > 0)],
+            ['the client backs off on 429', limited.rateLimited >= 1 && server.getStats().rateLimited === limited.rateLimited],
+            ['the client rides out a short outage', afterOutage && server.getStats().outageErrors >= 1],
+            ['ticker requests use the live lane', status.scheduler.waitTimes.live.requests === 7 && status.scheduler.waitTimes.backfill.requests === 0],
+            ['the status counts every attempt', status.requestCount === status.scheduler.sent]
+        ]);
+    } finally {
+        await server.stop();
+    }
+}
+
+async function testRequestScheduler() {
+    console.log('🚀 Testing the request scheduler...');
+    
+    // Failed attempts are logged as errors by the client
+    Logger.logger.silent = true;
+    
+    try {
+        const results = [
+            await testPacing(),
+            await testPriorities(),
+            await testRateLimited(),
+            await testBackoff(),
+            await testAgainstMock()
+        ];
+        
+        Logger.logger.silent = false;
+        
+        if (results.includes(false)) {
+            console.log('\n❌ Request scheduler tests failed');
+            process.exit(1);
+        }
+        
+        console.log('\n🎉 Request scheduler tests passed!');
+        process.exit(0);
+    } catch (error) {
+        Logger.logger.silent = false;
+        console.error('❌ Request scheduler test error:', error.message);
+        process.exit(1);
+    }
+}
+
+testRequestScheduler();
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TradingBotServer = require('../src/server/ExpressApp');
+const { MarketDataCollector } = require('../src/data/collectors');
+const { ExchangeAdapter } = require('../src/data/exchanges');
+const { ConfigManager, Logger } = require('../src/utils');
+
+// Checks the ranked cross-pair signals endpoint offline: ranking by net score, ties, the liquidity
+// filter and the pending and stale lists, with seeded ensemble signals.
+// Usage: node scripts/test-signals.js
+
+const PAIRS = ['KAS/USDT', 'XMR/USDT', 'BEL/USDT', 'DOGE/USDT', 'RVN/USDT', 'SAL/USDT'];
+
+// Only used for its name; signals are seeded
+class IdleExchange extends ExchangeAdapter {
+    constructor() {
+        super('idle');
+    }
+}
+
+function report(checks) {
+    let passed = true;
+    checks.forEach(([label, ok]) => {
+        console.log(`${ok ? '✅' : '❌'} ${label}`);
+        passed = passed && ok;
+    });
+    return passed;
+}
+
+function signal(suggestion, confidence, netScore, extra = {}) {
+    return { suggestion, confidence, metadata: { netScore }, ...extra };
+}
+
+async function createServer(dir) {
+    const configManager = new ConfigManager();
+    configManager.configPath = path.join(dir, 'runtime.json');
+    await configManager.saveConfig({ trading: { pairs: PAIRS, updatedBy: 'test' } });
+    
+    const server = new TradingBotServer();
+    server.configManager = configManager;
+    server.applyIndicatorConfig({ params: {}, weights: {}, pairs: {} });
+    server.dataCollector = new MarketDataCollector(new IdleExchange(), {
+        pairs: PAIRS,
+        timeframes: ['5m'],
+        enablePersistence: false,
+        backfillGaps: false,
+        writeAheadLog: { enabled: false }
+    });
+    
+    // SAL/USDT has no signal yet; KAS/USDT and DOGE/USDT tie
+    server.ensembleSignals = {
+        'KAS/USDT': signal('buy', 0.51, 3.421234),
+        'XMR/USDT': signal('sell', 0.38, -2.1),
+        'BEL/USDT': signal('hold', 0.1, 0.5, { liquidity: { liquid: false, reasons: ['spread'] } }),
+        'DOGE/USDT': signal('buy', 0.6, 3.4212),
+        'RVN/USDT': { suggestion: 'hold', confidence: 0 }
+    };
+    server.dataCollector.lastTickAt['XMR/USDT'] = Date.now() - 24 * 3600000;
+    PAIRS.filter(pair => pair !== 'XMR/USDT').forEach(pair => {
+        server.dataCollector.lastTickAt[pair] = Date.now();
+    });
+    
+    return server;
+}
+
+async function testSignals(dir) {
+    console.log('\n📊 Test 1: Ranked signals endpoint...');
+    
+    const server = await createServer(dir);
+    const listener = server.app.listen(0);
+    const get = async query => {
+        const response = await fetch(`http://127.0.0.1:${listener.address().port}/api/signals${query}`);
+        return { status: response.status, body: await response.json() };
+    };
+    
+    try {
+        const all = await get('');
+        const liquid = await get('?liquidOnly=true');
+        const order = all.body.ranking.map(entry => entry.pair);
+        
+        return report([
+            ['signals are ranked from strongest buy to strongest sell', all.status === 200 &&
+                order.join() === 'DOGE/USDT,KAS/USDT,BEL/USDT,RVN/USDT,XMR/USDT'],
+            ['equal scores are ordered by pair', order.indexOf('DOGE/USDT') < order.indexOf('KAS/USDT') &&
+                all.body.ranking[0].score === all.body.ranking[1].score],
+            ['scores are the rounded net score', all.body.ranking[1].score === 3.4212 && all.body.ranking[4].score === -2.1],
+            ['signals without a net score rank as neutral', all.body.ranking[3].score === 0 && server.getSignalRankScore(null) === 0],
+            ['ranking entries carry suggestion and confidence', all.body.ranking[4].suggestion === 'sell' && all.body.ranking[4].confidence === 0.38],
+            ['full signals follow the ranking order', all.body.signals.map(entry => entry.pair).join() === order.join() && all.body.total === 5],
+            ['pairs without a signal are pending', all.body.pending.join() === 'SAL/USDT'],
+            ['signals from stale data are listed', all.body.stale.join() === 'XMR/USDT' && all.body.signals[4].freshness.stale === true],
+            ['illiquid pairs are kept unless filtered', order.includes('BEL/USDT') && all.body.illiquid.length === 0],
+            ['liquidOnly leaves out illiquid pairs', liquid.body.ranking.map(entry => entry.pair).join() === 'DOGE/USDT,KAS/USDT,RVN/USDT,XMR/USDT' &&
+                liquid.body.illiquid.join() === 'BEL/USDT' && liquid.body.total === 4]
+        ]);
+    } finally {
+        listener.close();
+        await server.dataCollector.stop();
+    }
+}
+
+async function testSignalsEndpoint() {
+    console.log('🚀 Testing ranked signals...');
+    
+    Logger.logger.silent = true;
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trading-bot-signals-'));
+    
+    try {
+        const results = [
+            await testSignals(dir)
+        ];
+        
+        Logger.logger.silent = false;
+        fs.rmSync(dir, { recursive: true, force: true });
+        
+        if (results.includes(false)) {
+            console.log('\n❌ Signal tests failed');
+            process.exit(1);
+        }
+        
+        console.log('\n🎉 Signal tests passed!');
+        process.exit(0);
+    } catch (error) {
+        Logger.logger.silent = false;
+        fs.rmSync(dir, { recursive: true, force: true });
+        console.error('❌ Signal test error:', error.message);
+        process.exit(1);
+    }
+}
+
+testSignalsEndpoint();
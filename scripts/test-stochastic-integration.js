@@ -17,7 +17,7 @@ async function testStochasticIntegration() {
     try {
         console.log('\n📊 Test 1: Individual Stochastic calculation...');
         const strategies = new TechnicalStrategies();
-        const stochasticResult = strategies.calculateStochastic(sampleData);
+        const stochasticResult = strategies.calculateIndicator('stochastic', sampleData);
         
         console.log('✅ Individual Stochastic test successful!');
         console.log('Stochastic Result:', {
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { StorageRegistry } = require('../src/utils');
+const { MockXeggexServer } = require('../src/mock');
+const { XeggexClient, MarketDataCollector } = require('../src/data/collectors');
+const { RequestScheduler } = require('../src/data/exchanges');
+const { Logger } = require('../src/utils');
+
+// Runs the same save/load/range/delete checks against every storage backend in a temporary
+// directory, then checks that SQLite keeps bars that fell out of the in-memory window.
+// Usage: node scripts/test-storage-backends.js
+
+const FIVE_MINUTES = 300000;
+const START = Date.UTC(2024, 0, 15, 0, 0, 0);
+
+// count 5m bars starting at bar `first`, with trade data on every other bar
+function makeHistory(first, count, priceOffset = 0) {
+    const history = { opens: [], closes: [], highs: [], lows: [], volumes: [], timestamps: [], buyVolumes: [], sellVolumes: [], tradeCounts: [], vwaps: [] };
+    
+    for (let i = first; i < first + count; i++) {
+        const close = 1 + i / 1000 + priceOffset;
+        history.timestamps.push(START + i * FIVE_MINUTES);
+        history.opens.push(close - 0.0005);
+        history.closes.push(close);
+        history.highs.push(close + 0.001);
+        history.lows.push(close - 0.001);
+        history.volumes.push(100 + i);
+        history.buyVolumes.push(i % 2 === 0 ? 60 + i : null);
+        history.sellVolumes.push(i % 2 === 0 ? 40 : null);
+        history.tradeCounts.push(i % 2 === 0 ? 12 : null);
+        history.vwaps.push(i % 2 === 0 ? close : null);
+    }
+    
+    history.prices = history.closes.slice();
+    return history;
+}
+
+const sameSeries = (a, b) => ['opens', 'closes', 'highs', 'lows', 'volumes', 'timestamps', 'buyVolumes', 'sellVolumes', 'tradeCounts', 'vwaps']
+    .every(key => JSON.stringify(a[key]) === JSON.stringify(b[key]));
+
+function report(checks) {
+    let passed = true;
+    checks.forEach(([label, ok]) => {
+        console.log(`${ok ? '✅' : '❌'} ${label}`);
+        passed = passed && ok;
+    });
+    return passed;
+}
+
+function createBackend(backend, dir) {
+    return StorageRegistry.create(backend === 'json'
+        ? { backend, dataDir: path.join(dir, 'pairs') }
+        : { backend, path: path.join(dir, 'market-data.db') });
+}
+
+async function testContract(backend, dir) {
+    console.log(`\n📊 Test: ${backend} backend...`);
+    
+    const storage = createBackend(backend, dir);
+    const history = makeHistory(0, 100);
+    const hourly = makeHistory(0, 20);
+    
+    try {
+        const saved = await storage.savePairData('KAS/USDT', history) &&
+            await storage.savePairData('KAS/USDT', hourly, '1h') &&
+            await storage.savePairData('XMR/BTC', makeHistory(0, 10));
+        const rejected = !(await storage.savePairData('BAD/USDT', { closes: [] }));
+        
+        const loaded = await storage.loadPairData('KAS/USDT');
+        const loadedHourly = await storage.loadPairData('KAS/USDT', '1h');
+        const missing = await storage.loadPairData('DOGE/USDT');
+        
+        const from = START + 10 * FIVE_MINUTES;
+        const to = START + 19 * FIVE_MINUTES;
+        const windowed = await storage.loadPairData('KAS/USDT', null, { from, to });
+        const latest = await storage.loadPairData('KAS/USDT', null, { limit: 5 });
+        const tail = await storage.loadPairData('KAS/USDT', null, { from, limit: 3 });
+        
+        const pairs = (await storage.listStoredPairs()).sort();
+        const timeframes = await storage.listStoredTimeframes('KAS/USDT');
+        const stats = await storage.getStorageStats();
+        const kasStats = stats.pairs.find(entry => entry.pair === 'KAS/USDT');
+        
+        const deleted = await storage.deletePairData('KAS/USDT');
+        const afterDelete = await storage.loadPairData('KAS/USDT');
+        const hourlyAfterDelete = await storage.loadPairData('KAS/USDT', '1h');
+        const cleaned = await storage.cleanupOldData(0) === 1 && (await storage.listStoredPairs()).length === 0;
+        
+        return report([
+            ['histories are saved and invalid ones rejected', saved && rejected],
+            ['loads return every series, including trade data', loaded && sameSeries(loaded, history) && loaded.prices.length === 100],
+            ['timeframes are stored separately', loadedHourly && sameSeries(loadedHourly, hourly)],
+            ['missing pairs load as null', missing === null],
+            ['from/to select an inclusive range', windowed && windowed.timestamps.length === 10 &&
+                windowed.timestamps[0] === from && windowed.timestamps[9] === to && windowed.closes[0] === history.closes[10]],
+            ['limit returns the most recent bars', latest.timestamps.length === 5 && latest.timestamps[4] === history.timestamps[99] &&
+                tail.timestamps[2] === history.timestamps[99]],
+            ['pairs and timeframes are listed', pairs.join() === 'KAS/USDT,XMR/BTC' && timeframes.join() === '1h'],
+            ['stats report the backend and bar counts', stats.backend === backend && stats.totalPairs === 2 &&
+                kasStats.dataPoints === 100 && kasStats.timeframes.length === 1 && stats.totalSizeBytes > 0],
+            ['deleting a pair removes its timeframes', deleted && afterDelete === null && hourlyAfterDelete === null],
+            ['cleanup removes pairs that were not saved recently', cleaned]
+        ]);
+    } finally {
+        await storage.close();
+    }
+}
+
+async function testUnlimitedHistory(dir) {
+    console.log('\n📊 Test: SQLite keeps history beyond the in-memory window...');
+    
+    const sqlite = createBackend('sqlite', dir);
+    const json = createBackend('json', dir);
+    
+    try {
+        // The collector's window moves on by 50 bars between saves; the overlap is revised
+        for (const storage of [sqlite, json]) {
+            await storage.savePairData('RVN/USDT', makeHistory(0, 100));
+            await storage.savePairData('RVN/USDT', makeHistory(50, 100, 0.5));
+        }
+        
+        const full = await sqlite.loadPairData('RVN/USDT');
+        const window = await json.loadPairData('RVN/USDT');
+        const old = await sqlite.loadPairData('RVN/USDT', null, { to: START + 49 * FIVE_MINUTES });
+        
+        // A reopened database sees the same rows
+        await sqlite.close();
+        const reopened = await sqlite.loadPairData('RVN/USDT', null, { limit: 100 });
+        
+        return report([
+            ['bars outside the latest window stay stored', full.timestamps.length === 150 && window.timestamps.length === 100],
+            ['timestamps stay unique and ascending', full.timestamps.every((time, i) => i === 0 || time - full.timestamps[i - 1] === FIVE_MINUTES)],
+            ['overlapping bars take the latest values', full.closes[50] === makeHistory(50, 1, 0.5).closes[0] && full.closes[49] === makeHistory(49, 1).closes[0]],
+            ['old ranges can be queried', old.timestamps.length === 50 && old.timestamps[0] === START],
+            ['the database persists across connections', reopened.timestamps.length === 100 && reopened.timestamps[99] === full.timestamps[149]]
+        ]);
+    } finally {
+        await sqlite.close();
+        await json.close();
+    }
+}
+
+async function testCollector(dir) {
+    console.log('\n📊 Test: Collector on the SQLite backend...');
+    
+    const server = new MockXeggexServer({ port: 0 });
+    const baseUrl = await server.start();
+    const createCollector = () => new MarketDataCollector(
+        new XeggexClient(null, null, { baseUrl, scheduler: new RequestScheduler({ requests: 1000, window: 60000 }) }),
+        {
+            pairs: ['KAS/USDT'],
+            timeframes: ['5m', '1h'],
+            dataRetention: 120,
+            storage: { backend: 'sqlite', path: path.join(dir, 'collector.db') }
+        }
+    );
+    
+    const first = createCollector();
+    const second = createCollector();
+    
+    try {
+        await first.loadOrPreloadSinglePair('KAS/USDT');
+        await first.saveAllPairData();
+        await first.stop();
+        
+        let source = null;
+        second.on('dataLoaded', event => { source = event.source; });
+        await second.loadOrPreloadSinglePair('KAS/USDT');
+        const stats = await second.getStorageStats();
+        
+        return report([
+            ['the collector saves to SQLite', stats.backend === 'sqlite' && stats.pairs[0].timeframes.length === 1],
+            ['a restarted collector loads from it', source === 'storage'],
+            ['loads are limited to dataRetention', second.getHistoryForPair('KAS/USDT').closes.length <= 120 &&
+                stats.pairs[0].dataPoints >= second.getHistoryForPair('KAS/USDT').closes.length]
+        ]);
+    } finally {
+        await second.stop();
+        await server.stop();
+    }
+}
+
+async function testStorageBackends() {
+    console.log('🚀 Testing storage backends...');
+    
+    Logger.logger.silent = true;
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trading-bot-storage-'));
+    
+    try {
+        const results = [];
+        for (const backend of StorageRegistry.getNames()) {
+            results.push(await testContract(backend, path.join(dir, backend)));
+        }
+        results.push(await testUnlimitedHistory(path.join(dir, 'window')));
+        results.push(await testCollector(dir));
+        
+        Logger.logger.silent = false;
+        fs.rmSync(dir, { recursive: true, force: true });
+        
+        if (results.includes(false)) {
+            console.log('\n❌ Storage backend tests failed');
+            process.exit(1);
+        }
+        
+        console.log('\n🎉 Storage backend tests passed!');
+        process.exit(0);
+    } catch (error) {
+        Logger.logger.silent = false;
+        fs.rmSync(dir, { recursive: true, force: true });
+        console.error('❌ Storage backend test error:', error.message);
+        process.exit(1);
+    }
+}
+
+testStorageBackends();
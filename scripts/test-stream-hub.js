@@ -0,0 +1,224 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TradingBotServer = require('../src/server/ExpressApp');
+const { MarketDataCollector } = require('../src/data/collectors');
+const { ExchangeAdapter } = require('../src/data/exchanges');
+const { ConfigManager, Logger } = require('../src/utils');
+
+// Checks the Server-Sent Events stream offline: pair and event filters, event ids, heartbeats,
+// filter validation and client cleanup on disconnect, with collector events raised by hand.
+// Usage: node scripts/test-stream-hub.js
+
+const PAIRS = ['KAS/USDT', 'XMR/USDT'];
+const HEARTBEAT_INTERVAL = 100;
+
+// Only used for its name; collector events are emitted directly
+class IdleExchange extends ExchangeAdapter {
+    constructor() {
+        super('idle');
+    }
+}
+
+function report(checks) {
+    let passed = true;
+    checks.forEach(([label, ok]) => {
+        console.log(`${ok ? '✅' : '❌'} ${label}`);
+        passed = passed && ok;
+    });
+    return passed;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function createServer(dir) {
+    const configManager = new ConfigManager();
+    configManager.configPath = path.join(dir, 'runtime.json');
+    await configManager.saveConfig({ trading: { pairs: PAIRS, updatedBy: 'test' } });
+    
+    const server = new TradingBotServer();
+    server.configManager = configManager;
+    server.applyIndicatorConfig({ params: {}, weights: {}, pairs: {} });
+    server.streamHub.config.heartbeatInterval = HEARTBEAT_INTERVAL;
+    server.dataCollector = new MarketDataCollector(new IdleExchange(), {
+        pairs: PAIRS,
+        timeframes: ['5m'],
+        enablePersistence: false,
+        backfillGaps: false,
+        writeAheadLog: { enabled: false }
+    });
+    server.setupEventHandlers();
+    
+    return server;
+}
+
+// Read an SSE response in the background, collecting parsed events until the stream is aborted
+async function openStream(port, query = '') {
+    const controller = new AbortController();
+    const response = await fetch(`http://127.0.0.1:${port}/api/stream${query}`, { signal: controller.signal });
+    const stream = { response, events: [], raw: '', close: () => controller.abort() };
+    
+    if (response.headers.get('content-type') !== 'text/event-stream') {
+        stream.body = await response.json();
+        return stream;
+    }
+    
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    stream.done = (async () => {
+        try {
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                
+                stream.raw += decoder.decode(value, { stream: true });
+                const blocks = stream.raw.split('\n\n');
+                stream.raw = blocks.pop();
+                
+                blocks.forEach(block => {
+                    const fields = {};
+                    block.split('\n').forEach(line => {
+                        const separator = line.indexOf(': ');
+                        if (separator > 0) fields[line.slice(0, separator)] = line.slice(separator + 2);
+                    });
+                    if (fields.event) {
+                        stream.events.push({ id: fields.id ? Number(fields.id) : null, type: fields.event, data: JSON.parse(fields.data) });
+                    } else if (fields.retry) {
+                        stream.retry = Number(fields.retry);
+                    }
+                });
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') throw error;
+        }
+    })();
+    
+    return stream;
+}
+
+async function testFilters(server, port) {
+    console.log('\n📊 Test 1: Pair and event filters...');
+    
+    const all = await openStream(port);
+    const filtered = await openStream(port, '?pairs=kas-usdt&events=pairAdded,exchangeStatus');
+    await sleep(50);
+    
+    server.dataCollector.emit('pairAdded', { pair: 'KAS/USDT' });
+    server.dataCollector.emit('pairAdded', { pair: 'XMR/USDT' });
+    server.dataCollector.emit('fetchError', { pair: 'KAS/USDT', error: new Error('timeout') });
+    server.dataCollector.emit('exchangeStatus', { exchange: 'idle', from: 'closed', to: 'open', status: {} });
+    await sleep(50);
+    
+    all.close();
+    filtered.close();
+    await Promise.all([all.done, filtered.done]);
+    
+    const allEvents = all.events.filter(event => event.type !== 'connected' && event.type !== 'heartbeat');
+    const filteredEvents = filtered.events.filter(event => event.type !== 'connected' && event.type !== 'heartbeat');
+    const connected = filtered.events[0];
+    
+    return report([
+        ['stream opens with the retry interval and a connected event', all.retry === HEARTBEAT_INTERVAL && connected.type === 'connected' &&
+            connected.id === null && connected.data.heartbeatInterval === HEARTBEAT_INTERVAL],
+        ['connected event echoes the normalized filters', connected.data.pairs.join() === 'KAS/USDT' && connected.data.events.join() === 'pairAdded,exchangeStatus'],
+        ['unfiltered clients get every event', allEvents.map(event => event.type).join() === 'pairAdded,pairAdded,collectionError,exchangeStatus'],
+        ['events carry increasing ids', allEvents.every((event, i) => i === 0 || event.id === allEvents[i - 1].id + 1)],
+        ['collector payloads reach the client', allEvents[2].data.pair === 'KAS/USDT' && allEvents[2].data.error === 'timeout' &&
+            typeof allEvents[2].data.timestamp === 'number'],
+        ['pair and event filters apply together', filteredEvents.map(event => event.type).join() === 'pairAdded,exchangeStatus' &&
+            filteredEvents[0].data.pair === 'KAS/USDT'],
+        ['events without a pair pass the pair filter', filteredEvents[1].id === allEvents[3].id]
+    ]);
+}
+
+async function testHeartbeats(server, port) {
+    console.log('\n📊 Test 2: Heartbeats...');
+    
+    const stream = await openStream(port, '?events=strategyUpdate');
+    await sleep(HEARTBEAT_INTERVAL * 3.5);
+    stream.close();
+    await stream.done;
+    
+    const heartbeats = stream.events.filter(event => event.type === 'heartbeat');
+    
+    return report([
+        ['heartbeats arrive every interval', heartbeats.length >= 2 && heartbeats.length <= 4],
+        ['heartbeats pass the event filter and carry the last event id', heartbeats.every(event => event.id === null &&
+            event.data.lastEventId === server.streamHub.sequence)]
+    ]);
+}
+
+async function testValidationAndCleanup(server, port) {
+    console.log('\n📊 Test 3: Filter validation and disconnects...');
+    
+    const invalid = await openStream(port, '?events=newData,trades');
+    const first = await openStream(port);
+    const second = await openStream(port, '?pairs=XMR/USDT');
+    await sleep(50);
+    
+    const hub = server.streamHub;
+    const connected = { clients: hub.clients.size, listeners: hub.listenerCount('event'), sse: hub.getStats().byType.sse };
+    
+    first.close();
+    await first.done;
+    await sleep(50);
+    const afterFirst = { clients: hub.clients.size, listeners: hub.listenerCount('event') };
+    
+    second.close();
+    await second.done;
+    await sleep(50);
+    
+    return report([
+        ['unknown event types are rejected', invalid.response.status === 400 && invalid.body.error === 'Invalid stream filter' &&
+            invalid.body.message.includes('trades') && invalid.body.availableEvents.includes('newData')],
+        ['rejected requests do not register a client', connected.clients === 2 && connected.sse === 2],
+        ['each client listens to the hub', connected.listeners === 2],
+        ['a disconnect removes only that client', afterFirst.clients === 1 && afterFirst.listeners === 1],
+        ['no clients or listeners are left', hub.clients.size === 0 && hub.listenerCount('event') === 0],
+        ['closing an already removed client does nothing', hub.removeClient(1) === false]
+    ]);
+}
+
+async function testStreamHub() {
+    console.log('🚀 Testing the event stream...');
+    
+    Logger.logger.silent = true;
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trading-bot-stream-'));
+    const server = await createServer(dir);
+    const listener = server.app.listen(0);
+    const port = listener.address().port;
+    
+    const finish = async () => {
+        server.streamHub.closeAll();
+        listener.close();
+        await server.dataCollector.stop();
+        Logger.logger.silent = false;
+        fs.rmSync(dir, { recursive: true, force: true });
+    };
+    
+    try {
+        const results = [
+            await testFilters(server, port),
+            await testHeartbeats(server, port),
+            await testValidationAndCleanup(server, port)
+        ];
+        
+        await finish();
+        
+        if (results.includes(false)) {
+            console.log('\n❌ Stream tests failed');
+            process.exit(1);
+        }
+        
+        console.log('\n🎉 Stream tests passed!');
+        process.exit(0);
+    } catch (error) {
+        await finish();
+        console.error('❌ Stream test error:', error.message);
+        process.exit(1);
+    }
+}
+
+testStreamHub();
@@ -50,7 +50,7 @@ async function testTechnicalStrategies() {
         
         // Test 2: Testing individual RSI calculation through TechnicalStrategies
         console.log('\n📊 Test 2: Testing RSI through TechnicalStrategies...');
-        const rsiResult = strategies.calculateRSI(rvnData);
+        const rsiResult = strategies.calculateIndicator('rsi', rvnData);
         
         console.log('RSI Result:', {
             value: rsiResult.value,
@@ -63,7 +63,7 @@ async function testTechnicalStrategies() {
         console.log('\n📊 Test 3: Testing Moving Average with different periods...');
         const maPeriods = [[5, 10], [10, 21], [20, 50]];
         for (const [fast, slow] of maPeriods) {
-            const result = strategies.calculateMovingAverage(rvnData, fast, slow);
+            const result = new TechnicalStrategies({ params: { ma: { fastPeriod: fast, slowPeriod: slow } } }).calculateIndicator('ma', rvnData);
             console.log(`MA(${fast},${slow}): Fast=${result.fastMA?.toFixed(6)}, Slow=${result.slowMA?.toFixed(6)} - ${result.suggestion} (confidence: ${result.confidence})`);
         }
 
@@ -71,7 +71,7 @@ async function testTechnicalStrategies() {
         console.log('\n📊 Test 3: Testing RSI with different periods...');
         const periods = [7, 14, 21];
         for (const period of periods) {
-            const result = strategies.calculateRSI(rvnData, period);
+            const result = new TechnicalStrategies({ params: { rsi: { period } } }).calculateIndicator('rsi', rvnData);
             console.log(`RSI(${period}): ${result.value} - ${result.suggestion} (confidence: ${result.confidence})`);
         }
         
@@ -101,7 +101,7 @@ async function testTechnicalStrategies() {
         
         // Test with insufficient data
         const shortData = { closes: [100, 101, 102] };
-        const shortResult = strategies.calculateRSI(shortData);
+        const shortResult = strategies.calculateIndicator('rsi', shortData);
         console.log('Short data RSI (should handle gracefully):', {
             suggestion: shortResult.suggestion,
             error: shortResult.error ? 'Has error' : 'No error'
@@ -109,7 +109,7 @@ async function testTechnicalStrategies() {
         
         // Test with invalid data
         const invalidData = { closes: [100, NaN, 102, Infinity] };
-        const invalidResult = strategies.calculateRSI(invalidData);
+        const invalidResult = strategies.calculateIndicator('rsi', invalidData);
         console.log('Invalid data RSI (should handle gracefully):', {
             suggestion: invalidResult.suggestion,
             error: invalidResult.error ? 'Has error' : 'No error'
@@ -0,0 +1,246 @@
+const { MockXeggexServer } = require('../src/mock');
+const { XeggexClient, MarketDataCollector } = require('../src/data/collectors');
+const { ExchangeAdapter } = require('../src/data/exchanges');
+const { CandleAggregator, TradeAggregator } = require('../src/data/aggregators');
+const { TechnicalStrategies, IndicatorStream } = require('../src/strategies/technical');
+const { Logger } = require('../src/utils');
+
+// Checks that trades polled from the exchange give each candle its volume, buy/sell volume,
+// trade count and VWAP, offline against hand-made trades and the mock Xeggex API.
+// Usage: node scripts/test-trade-tape.js
+
+const MINUTE = 60000;
+const INTERVAL = 5 * MINUTE;
+const B0 = Date.UTC(2024, 0, 15, 12, 0, 0);
+const B1 = B0 + INTERVAL;
+const B2 = B1 + INTERVAL;
+
+const close = (a, b) => a !== null && Math.abs(a - b) < 1e-9 * Math.max(1, Math.abs(b));
+const trade = (id, timestamp, price, quantity, side) => ({ id, timestamp, price, quantity, side });
+
+// Only used for its name; the tests feed trades and ticks by hand
+class IdleExchange extends ExchangeAdapter {
+    constructor() {
+        super('idle');
+    }
+}
+
+function report(checks) {
+    let passed = true;
+    checks.forEach(([label, ok]) => {
+        console.log(`${ok ? '✅' : '❌'} ${label}`);
+        passed = passed && ok;
+    });
+    return passed;
+}
+
+function testAggregation() {
+    console.log('\n📊 Test 1: Trade totals and trade series...');
+    
+    const trades = [
+        trade('1', B0 + 1000, 2, 10, 'buy'),
+        trade('2', B0 + 2000, 4, 5, 'sell'),
+        trade('3', B1 + 1000, 3, 1, 'buy')
+    ];
+    const buckets = TradeAggregator.summarize(trades, INTERVAL);
+    const first = TradeAggregator.toBarFields(buckets.get(B0));
+    
+    // Two 5m bars with trade data rolled up into one 15m bar
+    const history = CandleAggregator.createEmptyHistory();
+    CandleAggregator.upsert(history, { timestamp: B0, open: 1, high: 1, low: 1, close: 1, volume: 15, ...first }, INTERVAL);
+    CandleAggregator.upsert(history, { timestamp: B1, open: 1, high: 1, low: 1, close: 1, volume: 1, ...TradeAggregator.toBarFields(buckets.get(B1)) }, INTERVAL);
+    CandleAggregator.upsert(history, { timestamp: B1 + INTERVAL, open: 1, high: 1, low: 1, close: 1, volume: 3 }, INTERVAL);
+    const rolled = CandleAggregator.rollup(history, 3 * INTERVAL);
+    
+    const legacy = { opens: [1], closes: [1], highs: [1], lows: [1], prices: [1], volumes: [1], timestamps: [B0] };
+    CandleAggregator.ensureTradeSeries(legacy);
+    
+    return report([
+        ['trades are bucketed by candle interval', buckets.size === 2 && buckets.get(B0).tradeCount === 2],
+        ['buy and sell volume follow the aggressor side', first.buyVolume === 10 && first.sellVolume === 5 && first.volume === 15],
+        ['VWAP weighs prices by quantity', close(first.vwap, (2 * 10 + 4 * 5) / 15)],
+        ['bars without trades hold null', history.buyVolumes[2] === null && history.vwaps[2] === null],
+        ['rollups add up trade totals', rolled.buyVolumes[0] === 11 && rolled.sellVolumes[0] === 5 && rolled.tradeCounts[0] === 3],
+        ['rollups combine VWAPs by volume', close(rolled.vwaps[0], (2 * 10 + 4 * 5 + 3) / 16) && rolled.volumes[0] === 19],
+        ['older histories get empty trade series', legacy.tradeCounts.length === 1 && legacy.tradeCounts[0] === null]
+    ]);
+}
+
+function testCollector() {
+    console.log('\n📊 Test 2: Collector candles from the trade tape...');
+    
+    const collector = new MarketDataCollector(new IdleExchange(), {
+        pairs: ['KAS/USDT'],
+        timeframes: ['5m', '15m'],
+        enablePersistence: false,
+        tradeLimit: 4
+    });
+    const pair = 'KAS/USDT';
+    const events = [];
+    ['newData', 'barsRevised'].forEach(name => collector.on(name, event => events.push(name)));
+    
+    collector.initializeHistoryForPair(pair);
+    collector.timeframeHistory[pair] = { '15m': CandleAggregator.createEmptyHistory() };
+    collector.applyTick(pair, { timestamp: B0 + 10000, price: 1, rollingVolume: 1000 });
+    collector.applyTick(pair, { timestamp: B0 + 20000, price: 1.1, rollingVolume: 1500 });
+    const tickVolume = collector.getHistoryForPair(pair).volumes[0];
+    
+    // The first poll reaches back into the previous bucket, which may be incomplete
+    const firstPoll = [
+        trade('a', B0 - 30000, 1, 99, 'buy'),
+        trade('b', B0 + 30000, 1, 10, 'buy'),
+        trade('c', B0 + 40000, 1.2, 5, 'sell')
+    ];
+    const firstNew = collector.ingestTrades(pair, firstPoll, B0 + 60000);
+    const afterFirst = collector.getCandleAt(pair, 0);
+    const quarterAfterFirst = collector.getHistoryForPair(pair, '15m').volumes[0];
+    
+    // Overlapping poll: only trade d is new
+    const secondNew = collector.ingestTrades(pair, [...firstPoll.slice(1), trade('d', B0 + 50000, 1.1, 5, 'buy')], B0 + 60000);
+    const afterSecond = collector.getCandleAt(pair, 0);
+    
+    // Ticks on a covered candle leave the rolling 24h volume out
+    collector.applyTick(pair, { timestamp: B1 + 10000, price: 1.3, rollingVolume: 5000 });
+    collector.applyTick(pair, { timestamp: B1 + 20000, price: 1.25, rollingVolume: 9000 });
+    const opened = collector.getCandleAt(pair, 1);
+    
+    // A trade from the end of the previous bucket arrives after the next candle opened
+    events.length = 0;
+    collector.ingestTrades(pair, [
+        trade('d', B0 + 50000, 1.1, 5, 'buy'),
+        trade('x', B0 + 290000, 1, 2, 'sell'),
+        trade('e', B1 + 5000, 1.3, 2, 'buy'),
+        trade('f', B1 + 30000, 1.2, 1, 'sell')
+    ], B1 + 40000);
+    const revisedEvents = [...events];
+    
+    // Trades polled before the tick that opens their candle
+    collector.ingestTrades(pair, [trade('f', B1 + 30000, 1.2, 1, 'sell'), trade('g', B2 + 5000, 1.4, 4, 'buy')], B2 + 6000);
+    collector.applyTick(pair, { timestamp: B2 + 10000, price: 1.4, rollingVolume: 20000 });
+    
+    const history = collector.getHistoryForPair(pair);
+    // Copied, since the next poll changes the bar again
+    const quarter = JSON.parse(JSON.stringify(collector.getHistoryForPair(pair, '15m')));
+    const current = collector.getCandleAt(pair, 1);
+    const pending = collector.getCandleAt(pair, 2);
+    
+    // A full response with nothing already seen means the poll came too late
+    collector.ingestTrades(pair, [1, 2, 3, 4].map(i => trade(`h${i}`, B2 + 100000 + i, 1.2, 1, 'buy')), B2 + 120000);
+    
+    return report([
+        ['only new trades are counted', firstNew === 3 && secondNew === 1],
+        ['the partial first bucket is left alone', collector.getTradeTapeStats(pair).coverageStart === B0 && history.volumes.length === 3],
+        ['covered candles take their volume from trades', tickVolume === 500 && afterFirst.volume === 15 && afterSecond.volume === 20],
+        ['buy/sell volume, trade count and VWAP are stored per candle', afterSecond.buyVolume === 15 && afterSecond.sellVolume === 5 &&
+            afterSecond.tradeCount === 3 && close(afterSecond.vwap, (10 + 6 + 5.5) / 20)],
+        ['higher timeframes follow the corrected volume', quarterAfterFirst === 15],
+        ['the rolling 24h volume is ignored for covered candles', opened.volume === 0 && opened.tradeCount === 0 && opened.vwap === null],
+        ['late trades revise the closed candle', revisedEvents.join() === 'barsRevised,newData' && history.volumes[0] === 22 &&
+            current.volume === 3 && current.buyVolume === 2 && current.sellVolume === 1],
+        ['trades polled before their candle opened are applied to it', pending.volume === 4 && pending.tradeCount === 1 && pending.vwap === 1.4],
+        ['higher timeframe trade totals match the base candles', quarter.volumes[0] === 29 && quarter.tradeCounts[0] === 7 &&
+            close(quarter.vwaps[0], 32.9 / 29)],
+        ['missed trades are detected', collector.getTradeTapeStats(pair).missedPolls === 1],
+        ['trade tapes are reported in the stats', collector.getStats().tradeTapes[pair].trades === 12]
+    ]);
+}
+
+function testVolumeIndicator() {
+    console.log('\n📊 Test 3: Volume indicator uses the aggressor volume...');
+    
+    const bars = 30;
+    const history = CandleAggregator.createEmptyHistory();
+    for (let i = 0; i < bars; i++) {
+        // Flat price, volume rising into the last bar, mostly sellers
+        const volume = i === bars - 1 ? 400 : 100;
+        CandleAggregator.upsert(history, {
+            timestamp: B0 + i * INTERVAL, open: 1, high: 1.001, low: 0.999, close: 1 + (i % 2) * 0.0001,
+            volume, buyVolume: volume * 0.3, sellVolume: volume * 0.7, tradeCount: 10, vwap: 1
+        }, INTERVAL);
+    }
+    
+    const strategies = new TechnicalStrategies();
+    const batch = strategies.calculateIndicator('volume', history);
+    const stream = IndicatorStream.fromHistory(strategies.indicators.volume, history).getResult();
+    const withoutTrades = strategies.calculateIndicator('volume', { closes: history.closes, volumes: history.volumes });
+    
+    return report([
+        ['buy ratio comes from the trade tape', batch.buyRatio === 0.3 && batch.sellVolume > batch.buyVolume],
+        ['selling into high volume reads as distribution', batch.suggestion === 'sell' && batch.metadata.tradeFlowBars === 20],
+        ['streaming matches the batch result', JSON.stringify(stream) === JSON.stringify(batch)],
+        ['histories without trades keep the previous behavior', withoutTrades.buyRatio === null && withoutTrades.metadata.tradeFlowBars === 0]
+    ]);
+}
+
+async function testMockTape() {
+    console.log('\n📊 Test 4: Trade tape from the mock exchange...');
+    
+    const server = new MockXeggexServer({ port: 0 });
+    const client = new XeggexClient(null, null, { baseUrl: await server.start(), rateLimit: { requests: 1000, window: 60000 } });
+    const collector = new MarketDataCollector(client, {
+        pairs: ['KAS/USDT'],
+        timeframes: ['5m'],
+        enablePersistence: false
+    });
+    
+    try {
+        await collector.loadOrPreloadSinglePair('KAS/USDT');
+        const before = { ...collector.getHistoryForPair('KAS/USDT') };
+        before.volumes = [...before.volumes];
+        
+        const trades = await client.fetchTrades('KAS/USDT', { limit: 500 });
+        await collector.captureTrades('KAS/USDT');
+        const stats = collector.getTradeTapeStats('KAS/USDT');
+        const history = collector.getHistoryForPair('KAS/USDT');
+        
+        // Completed buckets inside the tape: trade volume must match the exchange's candles
+        const last = history.timestamps.length - 1;
+        const covered = history.timestamps
+            .map((timestamp, i) => i)
+            .filter(i => i < last && history.timestamps[i] >= stats.coverageStart);
+        
+        return report([
+            ['the mock serves trades oldest first', trades.length === 500 && trades.every((t, i) => i === 0 || t.timestamp >= trades[i - 1].timestamp)],
+            ['the whole response is taken in', stats.trades === 500],
+            ['covered candles get trade data', covered.length > 5 && covered.every(i => history.tradeCounts[i] > 0 && history.vwaps[i] > 0)],
+            ['trade volume matches the exchange candles', covered.every(i => Math.abs(history.volumes[i] - before.volumes[i]) < 1e-6 * before.volumes[i])],
+            ['buy and sell volume add up to the volume', covered.every(i => close(history.buyVolumes[i] + history.sellVolumes[i], history.volumes[i]))],
+            ['VWAP lies inside the candle', covered.every(i => history.vwaps[i] >= history.lows[i] * 0.999999 && history.vwaps[i] <= history.highs[i] * 1.000001)],
+            ['older candles keep null trade fields', history.buyVolumes[0] === null]
+        ]);
+    } finally {
+        await server.stop();
+    }
+}
+
+async function testTradeTape() {
+    console.log('🚀 Testing trade tape collection...');
+    
+    // Client and collector logs would drown the results
+    Logger.logger.silent = true;
+    
+    try {
+        const results = [
+            testAggregation(),
+            testCollector(),
+            testVolumeIndicator(),
+            await testMockTape()
+        ];
+        
+        Logger.logger.silent = false;
+        
+        if (results.includes(false)) {
+            console.log('\n❌ Trade tape tests failed');
+            process.exit(1);
+        }
+        
+        console.log('\n🎉 Trade tape tests passed!');
+        process.exit(0);
+    } catch (error) {
+        Logger.logger.silent = false;
+        console.error('❌ Trade tape test error:', error.message);
+        process.exit(1);
+    }
+}
+
+testTradeTape();
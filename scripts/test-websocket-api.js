@@ -0,0 +1,290 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const TradingBotServer = require('../src/server/ExpressApp');
+const { MarketDataCollector } = require('../src/data/collectors');
+const { ExchangeAdapter } = require('../src/data/exchanges');
+const { ConfigManager, Logger } = require('../src/utils');
+
+// Checks the WebSocket API offline on an ephemeral port: subscriptions, snapshots, updates from
+// collector data, unsubscribing, error replies, removed pairs and disconnects.
+// Usage: node scripts/test-websocket-api.js
+
+const PAIRS = ['KAS/USDT', 'XMR/USDT'];
+const INTERVAL = 300000;
+const BARS = 120;
+const START = Math.floor(Date.now() / INTERVAL) * INTERVAL - (BARS + 10) * INTERVAL;
+
+// Only used for its name; candles are added by hand
+class IdleExchange extends ExchangeAdapter {
+    constructor() {
+        super('idle');
+    }
+}
+
+function report(checks) {
+    let passed = true;
+    checks.forEach(([label, ok]) => {
+        console.log(`${ok ? '✅' : '❌'} ${label}`);
+        passed = passed && ok;
+    });
+    return passed;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function candleAt(i, base) {
+    const close = base * (1 + 0.05 * Math.sin(i / 7));
+    const open = base * (1 + 0.05 * Math.sin((i - 1) / 7));
+    return {
+        timestamp: START + i * INTERVAL,
+        open,
+        high: Math.max(open, close) * 1.002,
+        low: Math.min(open, close) * 0.998,
+        close,
+        volume: 1000 + (i % 5) * 100
+    };
+}
+
+async function createServer(dir) {
+    const configManager = new ConfigManager();
+    configManager.configPath = path.join(dir, 'runtime.json');
+    await configManager.saveConfig({ trading: { pairs: PAIRS, updatedBy: 'test' } });
+    
+    const server = new TradingBotServer();
+    server.configManager = configManager;
+    server.applyIndicatorConfig({ params: {}, weights: {}, pairs: {} });
+    server.dataCollector = new MarketDataCollector(new IdleExchange(), {
+        pairs: PAIRS,
+        timeframes: ['5m'],
+        enablePersistence: false,
+        backfillGaps: false,
+        writeAheadLog: { enabled: false }
+    });
+    server.setupEventHandlers();
+    
+    PAIRS.forEach((pair, p) => {
+        server.dataCollector.initializeHistoryForPair(pair);
+        for (let i = 0; i < BARS; i++) {
+            server.dataCollector.addDataPoint(pair, candleAt(i, p === 0 ? 0.1 : 150), false);
+        }
+        server.updateStrategiesForPair(pair);
+    });
+    
+    return server;
+}
+
+// Open a client and queue its messages; next() waits for the next message of a type
+async function connect(port, wsPath) {
+    const socket = new WebSocket(`ws://127.0.0.1:${port}${wsPath}`);
+    const client = { socket, messages: [], waiting: [] };
+    
+    socket.on('message', raw => {
+        const message = JSON.parse(raw.toString());
+        client.messages.push(message);
+        client.waiting = client.waiting.filter(waiter => !waiter(message));
+    });
+    
+    client.send = message => socket.send(typeof message === 'string' ? message : JSON.stringify(message));
+    client.next = (type, timeout = 2000) => new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`No ${type} message within ${timeout}ms`)), timeout);
+        client.waiting.push(message => {
+            if (message.type !== type) return false;
+            clearTimeout(timer);
+            resolve(message);
+            return true;
+        });
+    });
+    client.take = () => client.messages.splice(0);
+    client.close = () => new Promise(resolve => {
+        socket.once('close', resolve);
+        socket.close();
+    });
+    
+    const welcome = client.next('welcome');
+    await new Promise((resolve, reject) => {
+        socket.once('open', resolve);
+        socket.once('error', reject);
+    });
+    client.welcome = await welcome;
+    return client;
+}
+
+async function testSubscriptions(server, client) {
+    console.log('\n📊 Test 1: Subscriptions and snapshots...');
+    
+    const history = server.dataCollector.getHistoryForPair('KAS/USDT');
+    const subscribed = client.next('subscribed');
+    client.send({ type: 'subscribe', id: 1, pairs: ['kas'], channels: ['ticks', 'candles', 'signals'], limit: 10 });
+    const reply = await subscribed;
+    await sleep(100);
+    const snapshots = client.take().filter(message => message.type === 'snapshot');
+    const byChannel = Object.fromEntries(snapshots.map(message => [message.channel, message]));
+    
+    const repeated = client.next('subscribed');
+    client.send({ type: 'subscribe', id: 2, pair: 'KAS/USDT', channels: ['candles'] });
+    const repeatReply = await repeated;
+    await sleep(100);
+    const repeatSnapshots = client.take().filter(message => message.type === 'snapshot');
+    
+    return report([
+        ['welcome lists channels, timeframes and pairs', client.welcome.clientId > 0 && client.welcome.channels.join() === 'ticks,candles,indicators,signals' &&
+            client.welcome.timeframes[0] === '5m' && client.welcome.pairs.join() === PAIRS.join()],
+        ['subscribe echoes the id and lists what was added', reply.id === 1 && reply.added.length === 3 && reply.total === 3 &&
+            reply.added.every(entry => entry.pair === 'KAS/USDT')],
+        ['ticks have no timeframe, other channels get the base timeframe', reply.added.find(entry => entry.channel === 'ticks').timeframe === null &&
+            reply.added.find(entry => entry.channel === 'candles').timeframe === '5m'],
+        ['one snapshot per new subscription', snapshots.length === 3 && Object.keys(byChannel).sort().join() === 'candles,signals,ticks'],
+        ['candle snapshot honours the limit', byChannel.candles.data.closes.length === 10 &&
+            byChannel.candles.data.timestamps[9] === history.timestamps[BARS - 1]],
+        ['tick snapshot is the last close', byChannel.ticks.data.price === history.closes[BARS - 1]],
+        ['signal snapshot is the ensemble signal', byChannel.signals.data.suggestion === server.ensembleSignals['KAS/USDT'].suggestion],
+        ['repeated subscriptions add nothing and send no snapshot', repeatReply.added.length === 0 && repeatReply.total === 3 && repeatSnapshots.length === 0]
+    ]);
+}
+
+async function testUpdates(server, client) {
+    console.log('\n📊 Test 2: Updates...');
+    
+    const candle = candleAt(BARS, 0.1);
+    server.dataCollector.addDataPoint('KAS/USDT', candle);
+    server.dataCollector.addDataPoint('XMR/USDT', candleAt(BARS, 150));
+    await sleep(200);
+    const updates = client.take().filter(message => message.type === 'update');
+    const byChannel = Object.fromEntries(updates.map(message => [message.channel, message]));
+    const signal = server.ensembleSignals['KAS/USDT'];
+    
+    const unsubscribed = client.next('unsubscribed');
+    client.send({ type: 'unsubscribe', id: 3, pairs: ['KAS/USDT'], channels: ['ticks'] });
+    const reply = await unsubscribed;
+    
+    server.dataCollector.addDataPoint('KAS/USDT', candleAt(BARS + 1, 0.1));
+    await sleep(200);
+    const afterUnsubscribe = client.take().filter(message => message.type === 'update');
+    
+    return report([
+        ['new data reaches every subscribed channel once', updates.length === 3 && Object.keys(byChannel).sort().join() === 'candles,signals,ticks'],
+        ['unsubscribed pairs get no updates', updates.every(message => message.pair === 'KAS/USDT')],
+        ['tick update carries the new close', byChannel.ticks.data.price === candle.close],
+        ['candle update carries the new candle', byChannel.candles.data.candle.timestamp === candle.timestamp &&
+            byChannel.candles.data.candle.close === candle.close && byChannel.candles.data.isNewCandle === true],
+        ['signal update is the recalculated signal', byChannel.signals.timeframe === '5m' && byChannel.signals.data.updatedAt === signal.updatedAt &&
+            byChannel.signals.data.suggestion === signal.suggestion],
+        ['unsubscribe lists what was removed', reply.id === 3 && reply.removed.length === 1 && reply.removed[0].channel === 'ticks' && reply.total === 2],
+        ['unsubscribed channels stop updating', afterUnsubscribe.length === 2 && !afterUnsubscribe.some(message => message.channel === 'ticks')]
+    ]);
+}
+
+async function testErrors(client) {
+    console.log('\n📊 Test 3: Invalid messages...');
+    
+    const replies = [];
+    for (const message of [
+        'not json',
+        { type: 'subscribe', id: 4, pairs: ['KAS/USDT'], channels: ['trades'] },
+        { type: 'subscribe', id: 5, pairs: ['KAS/USDT'], timeframes: ['3m'] },
+        { type: 'subscribe', id: 6, pairs: ['BTC/USDT'] },
+        { type: 'subscribe', id: 7 },
+        { type: 'publish', id: 8 }
+    ]) {
+        const error = client.next('error');
+        client.send(message);
+        replies.push(await error);
+    }
+    
+    const pong = client.next('pong');
+    client.send({ type: 'ping', id: 9 });
+    const pongReply = await pong;
+    
+    return report([
+        ['invalid JSON is rejected', replies[0].message === 'Invalid JSON message'],
+        ['unknown channels are rejected with the request id', replies[1].id === 4 && replies[1].message.startsWith('Unknown channel(s): trades')],
+        ['unknown timeframes are rejected', replies[2].id === 5 && replies[2].message.startsWith('Unknown timeframe(s): 3m')],
+        ['untracked pairs are rejected', replies[3].id === 6 && replies[3].message === 'Pair(s) not tracked: BTC/USDT'],
+        ['a pair is required', replies[4].id === 7 && replies[4].message === 'At least one pair is required'],
+        ['unknown message types are rejected', replies[5].id === 8 && replies[5].message === 'Unknown message type: publish'],
+        ['ping gets a pong', pongReply.id === 9]
+    ]);
+}
+
+async function testPairRemoved(server, client) {
+    console.log('\n📊 Test 4: Removed pairs and disconnects...');
+    
+    const subscribed = client.next('subscribed');
+    client.send({ type: 'subscribe', id: 10, pairs: ['XMR/USDT'], channels: ['candles'] });
+    await subscribed;
+    client.take();
+    
+    const unsubscribed = client.next('unsubscribed');
+    server.dataCollector.emit('pairRemoved', { pair: 'KAS/USDT' });
+    const notice = await unsubscribed;
+    const afterRemoval = server.webSocketApi.getStats();
+    
+    server.dataCollector.addDataPoint('KAS/USDT', candleAt(BARS + 2, 0.1));
+    server.dataCollector.addDataPoint('XMR/USDT', candleAt(BARS + 1, 150));
+    await sleep(200);
+    const updates = client.take().filter(message => message.type === 'update');
+    
+    const other = await connect(server.listener.address().port, server.webSocketApi.path);
+    const connected = { clients: server.webSocketApi.getStats().clients, hub: server.streamHub.getStats().byType.websocket };
+    await other.close();
+    await client.close();
+    await sleep(100);
+    
+    return report([
+        ['removed pairs are dropped from subscriptions', notice.reason === 'pairRemoved' && notice.removed.length === 2 &&
+            notice.removed.every(entry => entry.pair === 'KAS/USDT') && notice.total === 1],
+        ['other pairs stay subscribed', afterRemoval.clients === 1 && afterRemoval.subscriptions === 1],
+        ['removed pairs get no more updates', updates.length === 1 && updates[0].pair === 'XMR/USDT' && updates[0].channel === 'candles'],
+        ['removed pairs leave no candle state', !Object.keys(server.webSocketApi.lastCandleTimestamps).some(key => key.startsWith('KAS/USDT|'))],
+        ['clients register with the stream hub', connected.clients === 2 && connected.hub === 2],
+        ['disconnects remove the client everywhere', server.webSocketApi.clients.size === 0 && server.streamHub.clients.size === 0]
+    ]);
+}
+
+async function testWebSocketApi() {
+    console.log('🚀 Testing the WebSocket API...');
+    
+    Logger.logger.silent = true;
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trading-bot-ws-'));
+    const server = await createServer(dir);
+    server.listener = server.app.listen(0);
+    server.webSocketApi.attach(server.listener);
+    
+    const finish = async () => {
+        server.webSocketApi.close();
+        server.listener.close();
+        await server.dataCollector.stop();
+        Logger.logger.silent = false;
+        fs.rmSync(dir, { recursive: true, force: true });
+    };
+    
+    try {
+        const client = await connect(server.listener.address().port, server.webSocketApi.path);
+        const results = [
+            await testSubscriptions(server, client),
+            await testUpdates(server, client),
+            await testErrors(client),
+            await testPairRemoved(server, client)
+        ];
+        
+        await finish();
+        
+        if (results.includes(false)) {
+            console.log('\n❌ WebSocket tests failed');
+            process.exit(1);
+        }
+        
+        console.log('\n🎉 WebSocket tests passed!');
+        process.exit(0);
+    } catch (error) {
+        await finish();
+        console.error('❌ WebSocket test error:', error.message);
+        process.exit(1);
+    }
+}
+
+testWebSocketApi();
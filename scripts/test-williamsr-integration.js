@@ -17,7 +17,7 @@ async function testWilliamsRIntegration() {
     try {
         console.log('\n📊 Test 1: Individual Williams %R calculation...');
         const strategies = new TechnicalStrategies();
-        const williamsRResult = strategies.calculateWilliamsR(sampleData);
+        const williamsRResult = strategies.calculateIndicator('williamsR', sampleData);
         
         console.log('✅ Individual Williams %R test successful!');
         console.log('Williams %R Result:', {
@@ -0,0 +1,224 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fork } = require('child_process');
+const { MarketDataCollector } = require('../src/data/collectors');
+const { ExchangeAdapter } = require('../src/data/exchanges');
+const { CandleAggregator } = require('../src/data/aggregators');
+const { WriteAheadLog, StorageRegistry, Logger } = require('../src/utils');
+
+// Checks that collected points survive a crash between saves: the write-ahead log is replayed on
+// load, compacted after saves, and a collector killed with SIGKILL loses at most one point.
+// Usage: node scripts/test-write-ahead-log.js
+
+const MINUTE = 60000;
+const INTERVAL = 5 * MINUTE;
+const START = Date.UTC(2024, 0, 15, 12, 0, 0);
+const PAIR = 'KAS/USDT';
+
+// Only used for its name; history comes from storage and ticks are fed by hand
+class IdleExchange extends ExchangeAdapter {
+    constructor() {
+        super('idle');
+    }
+}
+
+function report(checks) {
+    let passed = true;
+    checks.forEach(([label, ok]) => {
+        console.log(`${ok ? '✅' : '❌'} ${label}`);
+        passed = passed && ok;
+    });
+    return passed;
+}
+
+function createCollector(dir) {
+    return new MarketDataCollector(new IdleExchange(), {
+        pairs: [PAIR],
+        timeframes: ['5m', '1h'],
+        backfillGaps: false,
+        storage: { backend: 'json', dataDir: path.join(dir, 'pairs') },
+        writeAheadLog: { enabled: true, dir: path.join(dir, 'wal') }
+    });
+}
+
+// Two hours of stored 5m bars, so the collector loads from storage instead of the exchange
+async function seedStorage(dir) {
+    const history = CandleAggregator.createEmptyHistory();
+    for (let i = 0; i < 24; i++) {
+        const price = 1 + i / 100;
+        CandleAggregator.upsert(history, { timestamp: START + i * INTERVAL, open: price, high: price, low: price, close: price, volume: 10 }, INTERVAL);
+    }
+    
+    const storage = StorageRegistry.create({ backend: 'json', dataDir: path.join(dir, 'pairs') });
+    await storage.savePairData(PAIR, history);
+    await storage.close();
+}
+
+const tick = (timestamp, price, rollingVolume = 1000) => ({ timestamp, price, rollingVolume });
+const sameHistory = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+function testLogFile(dir) {
+    console.log('\n📊 Test 1: Log file...');
+    
+    const log = new WriteAheadLog({ dir });
+    log.append(PAIR, { at: 1 });
+    log.append(PAIR, { at: 2 });
+    const mark = log.mark(PAIR);
+    log.append(PAIR, { at: 3 });
+    
+    // A crash in the middle of a write leaves a torn last line
+    fs.appendFileSync(log.getFilePath(PAIR), '{"at":4,"ba');
+    const torn = log.read(PAIR);
+    log.append(PAIR, { at: 5 });
+    const afterTorn = log.read(PAIR);
+    
+    log.compact(PAIR, mark);
+    const compacted = log.read(PAIR);
+    log.compact(PAIR, log.mark(PAIR));
+    const emptied = log.read(PAIR);
+    log.delete(PAIR);
+    
+    return report([
+        ['records are read back in order', torn.records.map(record => record.at).join() === '1,2,3'],
+        ['a torn last line is skipped', torn.skipped === 1],
+        ['records after a torn line stay readable', afterTorn.records.map(record => record.at).join() === '1,2,3,5'],
+        ['compaction keeps records written after the mark', compacted.records.map(record => record.at).join() === '3,5'],
+        ['compacting to the end empties the log', emptied.records.length === 0 && log.mark(PAIR) === 0],
+        ['deleted logs read as empty', log.read(PAIR).records.length === 0]
+    ]);
+}
+
+async function testReplay(dir) {
+    console.log('\n📊 Test 2: Replay and compaction...');
+    
+    await seedStorage(dir);
+    const first = createCollector(dir);
+    await first.loadOrPreloadSinglePair(PAIR);
+    
+    // A new candle, an update to it, and a candle in the next hour
+    const last = START + 23 * INTERVAL;
+    first.applyTick(PAIR, tick(last + INTERVAL + 1000, 1.5));
+    first.applyTick(PAIR, tick(last + INTERVAL + 2000, 1.6, 1040));
+    first.applyTick(PAIR, tick(last + 2 * INTERVAL + 1000, 1.4, 1100));
+    
+    // Restart without saving, twice: replaying a log that was already replayed changes nothing
+    const second = createCollector(dir);
+    await second.loadOrPreloadSinglePair(PAIR);
+    const third = createCollector(dir);
+    await third.loadOrPreloadSinglePair(PAIR);
+    
+    const logged = first.writeAheadLog.read(PAIR).records.length;
+    await first.saveAllPairData();
+    const afterSave = first.writeAheadLog.read(PAIR).records.length;
+    
+    // Points collected after the save are kept in the log
+    first.applyTick(PAIR, tick(last + 2 * INTERVAL + 5000, 1.45, 1110));
+    const fourth = createCollector(dir);
+    await fourth.loadOrPreloadSinglePair(PAIR);
+    
+    await first.removePair(PAIR);
+    
+    return report([
+        ['every accepted tick is logged', logged === 3],
+        ['unsaved points are replayed on load', second.getHistoryForPair(PAIR).closes.slice(-2).join() === '1.6,1.4'],
+        ['replayed candles match the collected ones', second.getHistoryForPair(PAIR).volumes.slice(-2).join() === '40,60' &&
+            second.getHistoryForPair(PAIR).timestamps.length === 26],
+        ['higher timeframes are replayed', second.getHistoryForPair(PAIR, '1h').closes.slice(-1)[0] === 1.4],
+        ['replaying twice gives the same history', sameHistory(second.getHistoryForPair(PAIR), third.getHistoryForPair(PAIR)) &&
+            sameHistory(second.getHistoryForPair(PAIR, '1h'), third.getHistoryForPair(PAIR, '1h'))],
+        ['a successful save compacts the log', afterSave === 0],
+        ['points after a save are replayed over the saved history', fourth.getHistoryForPair(PAIR).closes.slice(-1)[0] === 1.45 &&
+            fourth.getHistoryForPair(PAIR).timestamps.length === 26],
+        ['removing a pair deletes its log', first.writeAheadLog.mark(PAIR) === 0]
+    ]);
+}
+
+// Child process: collect a new candle every few milliseconds and report each one until killed
+async function runCrashingCollector(dir) {
+    const collector = createCollector(dir);
+    await collector.loadOrPreloadSinglePair(PAIR);
+    await collector.saveAllPairData();
+    
+    let timestamp = collector.getLastTimestamp(PAIR);
+    let price = 2;
+    setInterval(() => {
+        timestamp += INTERVAL;
+        price += 0.01;
+        const candle = collector.applyTick(PAIR, tick(timestamp + 1000, price));
+        process.send({ timestamp: candle.timestamp, close: candle.close });
+    }, 5);
+    
+    // Never outlive the parent if it fails to kill us
+    setTimeout(() => process.exit(1), 10000).unref();
+}
+
+async function testCrash(dir) {
+    console.log('\n📊 Test 3: Recovery after SIGKILL...');
+    
+    await seedStorage(dir);
+    const child = fork(__filename, ['--child', dir], { stdio: ['ignore', 'ignore', 'inherit', 'ipc'] });
+    const reported = [];
+    
+    const exit = await new Promise(resolve => {
+        child.on('message', point => {
+            reported.push(point);
+            if (reported.length === 20) {
+                child.kill('SIGKILL');
+            }
+        });
+        child.on('exit', (code, signal) => resolve(signal));
+    });
+    
+    const collector = createCollector(dir);
+    await collector.loadOrPreloadSinglePair(PAIR);
+    const history = collector.getHistoryForPair(PAIR);
+    const recovered = reported.filter(point => {
+        const i = history.timestamps.indexOf(point.timestamp);
+        return i !== -1 && history.closes[i] === point.close;
+    });
+    
+    return report([
+        ['the collector was killed between saves', exit === 'SIGKILL' && reported.length >= 20],
+        ['every reported point is recovered', recovered.length === reported.length],
+        ['at most one point was lost', history.timestamps.length - 24 >= reported.length &&
+            history.timestamps.length - 24 <= reported.length + 1]
+    ]);
+}
+
+async function testWriteAheadLog() {
+    console.log('🚀 Testing the write-ahead log...');
+    
+    Logger.logger.silent = true;
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trading-bot-wal-'));
+    
+    try {
+        const results = [
+            testLogFile(path.join(dir, 'log')),
+            await testReplay(path.join(dir, 'replay')),
+            await testCrash(path.join(dir, 'crash'))
+        ];
+        
+        Logger.logger.silent = false;
+        fs.rmSync(dir, { recursive: true, force: true });
+        
+        if (results.includes(false)) {
+            console.log('\n❌ Write-ahead log tests failed');
+            process.exit(1);
+        }
+        
+        console.log('\n🎉 Write-ahead log tests passed!');
+        process.exit(0);
+    } catch (error) {
+        Logger.logger.silent = false;
+        fs.rmSync(dir, { recursive: true, force: true });
+        console.error('❌ Write-ahead log test error:', error.message);
+        process.exit(1);
+    }
+}
+
+if (process.argv[2] === '--child') {
+    runCrashingCollector(process.argv[3]);
+} else {
+    testWriteAheadLog();
+}
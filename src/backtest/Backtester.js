@@ -0,0 +1,294 @@
+const { TechnicalStrategies } = require('../strategies/technical');
+const { CandleAggregator } = require('../data/aggregators');
+const { Logger } = require('../utils');
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+// Trade series (buy/sell volume, trade count, VWAP) are passed on when the history has them, like live
+const SERIES = ['opens', 'closes', 'highs', 'lows', 'volumes', 'timestamps', ...Object.keys(CandleAggregator.TRADE_SERIES)];
+
+class Backtester {
+    constructor(config = {}) {
+        this.config = {
+            initialCapital: 10000,
+            feeRate: 0.001,        // 0.1% per side
+            slippage: 0.0005,      // 0.05% adverse price move on every fill
+            positionSize: 1.0,     // Fraction of equity committed per entry
+            minConfidence: 0,      // Ensemble confidence required to act on a signal
+            warmupPeriod: 60,      // Bars skipped before the first signal (Ichimoku needs 53)
+            windowSize: 200,       // Bars visible to the strategies at each step
+            yieldEvery: 50,        // Yield to the event loop every N bars so the API stays responsive
+            ...config
+        };
+
+        this.technicalStrategies = this.config.technicalStrategies || new TechnicalStrategies();
+
+        const errors = Backtester.validateOptions(this.config, this.technicalStrategies.getMinDataPoints());
+        if (errors.length > 0) {
+            throw new Error(`Invalid backtest options: ${errors.join('; ')}`);
+        }
+    }
+
+    // Error messages for the numeric options, empty when they are all usable. minWindowSize is
+    // the number of bars the strategies need before every indicator produces a result.
+    static validateOptions(options = {}, minWindowSize = 1) {
+        const errors = [];
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+        const check = (key, isValid, message) => {
+            if (options[key] !== undefined && !isValid(options[key])) {
+                errors.push(`${key} ${message}`);
+            }
+        };
+
+        check('initialCapital', value => isNumber(value) && value > 0, 'must be a number greater than 0');
+        check('feeRate', value => isNumber(value) && value >= 0 && value < 1, 'must be a number of at least 0 and below 1');
+        check('slippage', value => isNumber(value) && value >= 0 && value < 1, 'must be a number of at least 0 and below 1');
+        check('positionSize', value => isNumber(value) && value > 0 && value <= 1, 'must be a number greater than 0 and at most 1');
+        check('minConfidence', value => isNumber(value) && value >= 0 && value <= 1, 'must be a number between 0 and 1');
+        check('warmupPeriod', value => Number.isInteger(value) && value >= 0, 'must be a non-negative integer');
+        check('windowSize', value => Number.isInteger(value) && value >= minWindowSize,
+            `must be an integer of at least ${minWindowSize} (bars the indicators need)`);
+        check('yieldEvery', value => Number.isInteger(value) && value >= 0, 'must be a non-negative integer');
+
+        return errors;
+    }
+
+    // Replay a stored history bar by bar. Signals are generated on the close of bar i
+    // and filled at the open of bar i + 1 so the strategies never see future prices.
+    async run(history) {
+        this.validateHistory(history);
+        // Replay a private copy: a live collector history gets trimmed and refilled while
+        // the loop below yields, which would shift the bars under it
+        history = this.copyHistory(history);
+
+        const { initialCapital, feeRate, slippage, positionSize, minConfidence, warmupPeriod, windowSize } = this.config;
+        const length = history.closes.length;
+        const opens = history.opens || history.closes;
+
+        let cash = initialCapital;
+        let position = null;
+        let pendingAction = null;
+        const trades = [];
+        const equityCurve = [];
+        const signalCounts = { buy: 0, sell: 0, hold: 0 };
+
+        for (let i = 0; i < length; i++) {
+            // Fill the pending decision from the previous bar at this bar's open
+            if (pendingAction) {
+                const action = pendingAction;
+                pendingAction = null;
+
+                if (action.type === 'enter' && !position) {
+                    const fillPrice = opens[i] * (1 + slippage);
+                    const notional = cash * positionSize;
+                    const fee = notional * feeRate;
+                    const quantity = (notional - fee) / fillPrice;
+
+                    cash -= notional;
+                    position = {
+                        entryIndex: i,
+                        entryTime: history.timestamps[i],
+                        entryPrice: fillPrice,
+                        quantity,
+                        cost: notional,
+                        entryFee: fee,
+                        entryConfidence: action.confidence
+                    };
+                } else if (action.type === 'exit' && position) {
+                    const { trade, proceeds } = this.closePosition(position, i, opens[i] * (1 - slippage), history, 'signal');
+                    trades.push(trade);
+                    cash += proceeds;
+                    position = null;
+                }
+            }
+
+            const markPrice = history.closes[i];
+            equityCurve.push({
+                timestamp: history.timestamps[i],
+                equity: Number((cash + (position ? position.quantity * markPrice : 0)).toFixed(8))
+            });
+
+            if (i >= warmupPeriod && i < length - 1) {
+                const window = this.getWindow(history, Math.max(0, i + 1 - windowSize), i + 1);
+                const signal = this.technicalStrategies.getEnsembleSignal(window);
+                signalCounts[signal.suggestion] = (signalCounts[signal.suggestion] || 0) + 1;
+
+                if (signal.confidence >= minConfidence) {
+                    if (!position && signal.suggestion === 'buy') {
+                        pendingAction = { type: 'enter', confidence: signal.confidence };
+                    } else if (position && signal.suggestion === 'sell') {
+                        pendingAction = { type: 'exit', confidence: signal.confidence };
+                    }
+                }
+            }
+
+            if (this.config.yieldEvery > 0 && i % this.config.yieldEvery === 0) {
+                await new Promise(resolve => setImmediate(resolve));
+            }
+        }
+
+        // Close any open position on the last bar
+        if (position) {
+            const lastIndex = length - 1;
+            const { trade, proceeds } = this.closePosition(position, lastIndex, history.closes[lastIndex] * (1 - slippage), history, 'end_of_data');
+            trades.push(trade);
+            cash += proceeds;
+            equityCurve[lastIndex].equity = Number(cash.toFixed(8));
+        }
+
+        const summary = this.calculateMetrics(trades, equityCurve, history);
+        summary.signals = signalCounts;
+
+        Logger.info('Backtest completed', {
+            bars: length,
+            trades: trades.length,
+            totalReturnPercent: summary.totalReturnPercent
+        });
+
+        return {
+            summary,
+            trades,
+            equityCurve,
+            config: {
+                initialCapital,
+                feeRate,
+                slippage,
+                positionSize,
+                minConfidence,
+                warmupPeriod,
+                windowSize
+            }
+        };
+    }
+
+    validateHistory(history) {
+        if (!history || !Array.isArray(history.closes) || !Array.isArray(history.timestamps)) {
+            throw new Error('Invalid history: closes and timestamps arrays required');
+        }
+
+        if (history.closes.length <= this.config.warmupPeriod + 1) {
+            throw new Error(`Insufficient data for backtest. Need more than ${this.config.warmupPeriod + 1} bars, have ${history.closes.length}`);
+        }
+    }
+
+    copyHistory(history) {
+        const copy = {};
+
+        for (const key of SERIES) {
+            if (Array.isArray(history[key])) {
+                copy[key] = history[key].slice();
+            }
+        }
+
+        return copy;
+    }
+
+    getWindow(history, start, end) {
+        const window = {};
+
+        for (const key of SERIES) {
+            if (Array.isArray(history[key])) {
+                window[key] = history[key].slice(start, end);
+            }
+        }
+        window.prices = window.closes;
+
+        return window;
+    }
+
+    // The trade as reported, and the unrounded cash it returns
+    closePosition(position, exitIndex, exitPrice, history, reason) {
+        const grossProceeds = position.quantity * exitPrice;
+        const exitFee = grossProceeds * this.config.feeRate;
+        const proceeds = grossProceeds - exitFee;
+        const pnl = proceeds - position.cost;
+
+        const trade = {
+            entryTime: position.entryTime,
+            exitTime: history.timestamps[exitIndex],
+            entryPrice: Number(position.entryPrice.toFixed(8)),
+            exitPrice: Number(exitPrice.toFixed(8)),
+            quantity: Number(position.quantity.toFixed(8)),
+            bars: exitIndex - position.entryIndex,
+            fees: Number((position.entryFee + exitFee).toFixed(8)),
+            pnl: Number(pnl.toFixed(8)),
+            returnPercent: Number((pnl / position.cost * 100).toFixed(4)),
+            entryConfidence: position.entryConfidence,
+            exitReason: reason
+        };
+
+        return { trade, proceeds };
+    }
+
+    calculateMetrics(trades, equityCurve, history) {
+        const initialCapital = this.config.initialCapital;
+        const finalEquity = equityCurve.length > 0 ? equityCurve[equityCurve.length - 1].equity : initialCapital;
+
+        const wins = trades.filter(trade => trade.pnl > 0);
+        const losses = trades.filter(trade => trade.pnl <= 0);
+        const grossProfit = wins.reduce((sum, trade) => sum + trade.pnl, 0);
+        const grossLoss = Math.abs(losses.reduce((sum, trade) => sum + trade.pnl, 0));
+
+        // Max drawdown from running equity peak
+        let peak = -Infinity;
+        let maxDrawdown = 0;
+        for (const point of equityCurve) {
+            peak = Math.max(peak, point.equity);
+            if (peak > 0) {
+                maxDrawdown = Math.max(maxDrawdown, (peak - point.equity) / peak);
+            }
+        }
+
+        // Sharpe ratio from per-bar equity returns, annualized by the bar interval
+        const returns = [];
+        for (let i = 1; i < equityCurve.length; i++) {
+            const previous = equityCurve[i - 1].equity;
+            if (previous > 0) {
+                returns.push((equityCurve[i].equity - previous) / previous);
+            }
+        }
+
+        const meanReturn = returns.length > 0 ? returns.reduce((sum, r) => sum + r, 0) / returns.length : 0;
+        const variance = returns.length > 1 ?
+            returns.reduce((sum, r) => sum + Math.pow(r - meanReturn, 2), 0) / (returns.length - 1) : 0;
+        const stdDev = Math.sqrt(variance);
+        const barsPerYear = YEAR_MS / this.estimateBarInterval(history.timestamps);
+        const sharpeRatio = stdDev > 0 ? (meanReturn / stdDev) * Math.sqrt(barsPerYear) : 0;
+
+        return {
+            initialCapital,
+            finalEquity: Number(finalEquity.toFixed(8)),
+            totalReturnPercent: Number(((finalEquity - initialCapital) / initialCapital * 100).toFixed(4)),
+            totalTrades: trades.length,
+            winningTrades: wins.length,
+            losingTrades: losses.length,
+            winRate: trades.length > 0 ? Number((wins.length / trades.length).toFixed(4)) : 0,
+            grossProfit: Number(grossProfit.toFixed(8)),
+            grossLoss: Number(grossLoss.toFixed(8)),
+            profitFactor: grossLoss > 0 ? Number((grossProfit / grossLoss).toFixed(4)) : (grossProfit > 0 ? null : 0), // null = no losing trades
+            maxDrawdownPercent: Number((maxDrawdown * 100).toFixed(4)),
+            sharpeRatio: Number(sharpeRatio.toFixed(4)),
+            totalFees: Number(trades.reduce((sum, trade) => sum + trade.fees, 0).toFixed(8)),
+            bars: equityCurve.length,
+            startTime: history.timestamps[0],
+            endTime: history.timestamps[history.timestamps.length - 1]
+        };
+    }
+
+    // Median spacing between bars - robust against the occasional gap
+    estimateBarInterval(timestamps) {
+        const diffs = [];
+        for (let i = 1; i < timestamps.length; i++) {
+            const diff = timestamps[i] - timestamps[i - 1];
+            if (diff > 0) diffs.push(diff);
+        }
+
+        if (diffs.length === 0) {
+            return 300000; // Assume 5-minute bars
+        }
+
+        diffs.sort((a, b) => a - b);
+        return diffs[Math.floor(diffs.length / 2)];
+    }
+}
+
+module.exports = Backtester;
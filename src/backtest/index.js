@@ -0,0 +1,5 @@
+const Backtester = require('./Backtester');
+
+module.exports = {
+    Backtester
+};
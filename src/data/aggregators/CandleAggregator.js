@@ -0,0 +1,375 @@
+// Supported timeframes and their interval lengths in milliseconds
+const TIMEFRAMES = {
+    '1m': 60000,
+    '5m': 300000,
+    '15m': 900000,
+    '30m': 1800000,
+    '1h': 3600000,
+    '4h': 14400000,
+    '1d': 86400000
+};
+
+// Trade tape series stored next to the OHLCV arrays (history key -> candle field).
+// Bars without trade data hold null.
+const TRADE_SERIES = {
+    buyVolumes: 'buyVolume',
+    sellVolumes: 'sellVolume',
+    tradeCounts: 'tradeCount',
+    vwaps: 'vwap'
+};
+
+class CandleAggregator {
+    static get TIMEFRAMES() {
+        return TIMEFRAMES;
+    }
+    
+    static get TRADE_SERIES() {
+        return TRADE_SERIES;
+    }
+    
+    static isValidTimeframe(timeframe) {
+        return Object.prototype.hasOwnProperty.call(TIMEFRAMES, timeframe);
+    }
+    
+    static getIntervalMs(timeframe) {
+        if (!this.isValidTimeframe(timeframe)) {
+            throw new Error(`Unsupported timeframe: ${timeframe}`);
+        }
+        return TIMEFRAMES[timeframe];
+    }
+    
+    static getTimeframeForInterval(intervalMs) {
+        const match = Object.entries(TIMEFRAMES).find(([, ms]) => ms === intervalMs);
+        return match ? match[0] : null;
+    }
+    
+    static createEmptyHistory() {
+        return {
+            opens: [],
+            closes: [],
+            highs: [],
+            lows: [],
+            prices: [], // Same as closes, for backwards compatibility
+            volumes: [],
+            timestamps: [],
+            buyVolumes: [],
+            sellVolumes: [],
+            tradeCounts: [],
+            vwaps: []
+        };
+    }
+    
+    // Histories saved before trades were collected have no trade series - fill them with nulls
+    static ensureTradeSeries(history) {
+        const length = history.closes.length;
+        
+        for (const key of Object.keys(TRADE_SERIES)) {
+            if (!Array.isArray(history[key]) || history[key].length !== length) {
+                history[key] = new Array(length).fill(null);
+            }
+        }
+        
+        return history;
+    }
+    
+    // Trade fields of the candle at index i, or nulls
+    static tradeFieldsAt(history, i) {
+        const fields = {};
+        for (const [key, field] of Object.entries(TRADE_SERIES)) {
+            fields[field] = history[key] && history[key][i] !== undefined ? history[key][i] : null;
+        }
+        return fields;
+    }
+    
+    // The bar at index i as a candle
+    static candleAt(history, i) {
+        return {
+            timestamp: history.timestamps[i],
+            open: history.opens ? history.opens[i] : history.closes[i],
+            high: history.highs[i],
+            low: history.lows[i],
+            close: history.closes[i],
+            volume: history.volumes[i],
+            ...this.tradeFieldsAt(history, i)
+        };
+    }
+    
+    // Add trade totals ({ buyVolume, sellVolume, tradeCount, notional }) to the bar at index i
+    static addTradeTotals(history, i, totals) {
+        const buyVolume = history.buyVolumes[i] || 0;
+        const sellVolume = history.sellVolumes[i] || 0;
+        const notional = Number.isFinite(history.vwaps[i]) ? history.vwaps[i] * (buyVolume + sellVolume) : 0;
+        
+        history.buyVolumes[i] = buyVolume + (totals.buyVolume || 0);
+        history.sellVolumes[i] = sellVolume + (totals.sellVolume || 0);
+        history.tradeCounts[i] = (history.tradeCounts[i] || 0) + (totals.tradeCount || 0);
+        
+        const traded = history.buyVolumes[i] + history.sellVolumes[i];
+        history.vwaps[i] = traded > 0 ? (notional + (totals.notional || 0)) / traded : null;
+    }
+    
+    // Index of the bar whose bucket contains `timestamp`, searching from the newest bar, or -1
+    static indexOfBucket(history, timestamp, intervalMs) {
+        const bucketStart = this.getBucketStart(timestamp, intervalMs);
+        
+        for (let i = history.timestamps.length - 1; i >= 0; i--) {
+            const barBucket = this.getBucketStart(history.timestamps[i], intervalMs);
+            if (barBucket === bucketStart) return i;
+            if (barBucket < bucketStart) break;
+        }
+        
+        return -1;
+    }
+    
+    // Add volume and trade totals to the bar whose bucket contains `timestamp`.
+    // Returns false when the history has no bar for that bucket.
+    static addTradeMetrics(history, timestamp, totals, intervalMs) {
+        const i = this.indexOfBucket(history, timestamp, intervalMs);
+        if (i === -1) {
+            return false;
+        }
+        
+        this.ensureTradeSeries(history);
+        history.volumes[i] = Math.max(0, (history.volumes[i] || 0) + (totals.volume || 0));
+        this.addTradeTotals(history, i, totals);
+        return true;
+    }
+    
+    // Start of the interval bucket a timestamp falls into (aligned to epoch boundaries)
+    static getBucketStart(timestamp, intervalMs) {
+        return Math.floor(timestamp / intervalMs) * intervalMs;
+    }
+    
+    // Exchange candle endpoints may report bar time in seconds - normalize to milliseconds
+    static normalizeTimestamp(time) {
+        const value = Number(time);
+        if (!Number.isFinite(value) || value <= 0) {
+            return null;
+        }
+        return Math.round(value < 1e12 ? value * 1000 : value);
+    }
+    
+    // Convert an exchange bar into the collector's candle shape
+    static fromBar(bar, intervalMs) {
+        if (!bar) return null;
+        
+        const timestamp = this.normalizeTimestamp(bar.time);
+        if (timestamp === null) return null;
+        
+        const close = parseFloat(bar.close);
+        
+        return {
+            timestamp: this.getBucketStart(timestamp, intervalMs),
+            open: parseFloat(bar.open) || close,
+            high: parseFloat(bar.high),
+            low: parseFloat(bar.low),
+            close,
+            volume: parseFloat(bar.volume) || 0
+        };
+    }
+    
+    // Start a new candle from a single tick
+    static fromTick(timestamp, price, volume, intervalMs) {
+        return {
+            timestamp: this.getBucketStart(timestamp, intervalMs),
+            open: price,
+            high: price,
+            low: price,
+            close: price,
+            volume: volume
+        };
+    }
+    
+    // Merge a candle (or a single tick expressed as a candle) into a history.
+    // Returns 'updated' when it landed in the last bucket, 'appended' for a new bucket
+    // and 'ignored' when it is older than the last bucket.
+    static upsert(history, candle, intervalMs) {
+        this.ensureTradeSeries(history);
+        
+        const bucketStart = this.getBucketStart(candle.timestamp, intervalMs);
+        const length = history.timestamps.length;
+        const lastBucket = length > 0 ? this.getBucketStart(history.timestamps[length - 1], intervalMs) : null;
+        
+        if (lastBucket !== null && bucketStart < lastBucket) {
+            return 'ignored';
+        }
+        
+        if (lastBucket === bucketStart) {
+            const i = length - 1;
+            history.highs[i] = Math.max(history.highs[i], candle.high);
+            history.lows[i] = Math.min(history.lows[i], candle.low);
+            history.closes[i] = candle.close;
+            history.prices[i] = candle.close;
+            history.volumes[i] = (history.volumes[i] || 0) + (candle.volume || 0);
+            
+            if (Number.isFinite(candle.buyVolume) || Number.isFinite(candle.sellVolume)) {
+                const traded = (candle.buyVolume || 0) + (candle.sellVolume || 0);
+                this.addTradeTotals(history, i, {
+                    buyVolume: candle.buyVolume,
+                    sellVolume: candle.sellVolume,
+                    tradeCount: candle.tradeCount,
+                    notional: Number.isFinite(candle.vwap) ? candle.vwap * traded : 0
+                });
+            }
+            return 'updated';
+        }
+        
+        history.opens.push(candle.open !== undefined ? candle.open : candle.close);
+        history.closes.push(candle.close);
+        history.highs.push(candle.high);
+        history.lows.push(candle.low);
+        history.prices.push(candle.close);
+        history.volumes.push(candle.volume || 0);
+        history.timestamps.push(bucketStart);
+        for (const [key, field] of Object.entries(TRADE_SERIES)) {
+            history[key].push(candle[field] === undefined ? null : candle[field]);
+        }
+        return 'appended';
+    }
+    
+    // Set the bar of the candle's bucket to the candle, whatever it held before. Unlike upsert(),
+    // applying the same candle twice leaves the same bar. Returns 'replaced', 'appended' or 'inserted'.
+    static replaceBar(history, candle, intervalMs) {
+        this.ensureTradeSeries(history);
+        
+        const i = this.indexOfBucket(history, candle.timestamp, intervalMs);
+        if (i === -1) {
+            const length = history.timestamps.length;
+            const bucketStart = this.getBucketStart(candle.timestamp, intervalMs);
+            if (length > 0 && bucketStart < history.timestamps[length - 1]) {
+                this.fillBuckets(history, [candle], intervalMs);
+                return 'inserted';
+            }
+            
+            this.upsert(history, candle, intervalMs);
+            return 'appended';
+        }
+        
+        history.opens[i] = candle.open !== undefined ? candle.open : candle.close;
+        history.highs[i] = candle.high;
+        history.lows[i] = candle.low;
+        history.closes[i] = candle.close;
+        history.prices[i] = candle.close;
+        history.volumes[i] = candle.volume || 0;
+        for (const [key, field] of Object.entries(TRADE_SERIES)) {
+            history[key][i] = candle[field] === undefined ? null : candle[field];
+        }
+        return 'replaced';
+    }
+    
+    // Roll a lower timeframe history up into a higher timeframe history
+    static rollup(history, intervalMs) {
+        const rolled = this.createEmptyHistory();
+        if (!history || !history.closes || !history.timestamps) {
+            return rolled;
+        }
+        
+        for (let i = 0; i < history.closes.length; i++) {
+            this.upsert(rolled, {
+                timestamp: history.timestamps[i],
+                open: history.opens ? history.opens[i] : history.closes[i],
+                high: history.highs[i],
+                low: history.lows[i],
+                close: history.closes[i],
+                volume: history.volumes[i],
+                ...this.tradeFieldsAt(history, i)
+            }, intervalMs);
+        }
+        
+        return rolled;
+    }
+    
+    // Runs of empty buckets between consecutive candles. When `until` is given, the buckets
+    // between the last candle and the one containing `until` are reported as a trailing gap.
+    static findGaps(timestamps, intervalMs, until = null) {
+        const gaps = [];
+        if (!Array.isArray(timestamps) || timestamps.length === 0) {
+            return gaps;
+        }
+        
+        const pushGap = (previousBucket, nextBucket, trailing) => {
+            const missingBars = Math.round((nextBucket - previousBucket) / intervalMs) - 1;
+            if (missingBars >= 1) {
+                gaps.push({
+                    start: previousBucket + intervalMs,
+                    end: nextBucket - intervalMs,
+                    missingBars,
+                    trailing
+                });
+            }
+        };
+        
+        for (let i = 1; i < timestamps.length; i++) {
+            pushGap(this.getBucketStart(timestamps[i - 1], intervalMs), this.getBucketStart(timestamps[i], intervalMs), false);
+        }
+        
+        if (until !== null) {
+            pushGap(this.getBucketStart(timestamps[timestamps.length - 1], intervalMs), this.getBucketStart(until, intervalMs), true);
+        }
+        
+        return gaps;
+    }
+    
+    // Insert candles into buckets the history has no candle for, keeping it sorted.
+    // Existing candles always win. Returns the number of candles inserted.
+    static fillBuckets(history, candles, intervalMs) {
+        const existing = new Set(history.timestamps.map(timestamp => this.getBucketStart(timestamp, intervalMs)));
+        const additions = new Map();
+        
+        for (const candle of candles) {
+            const bucketStart = this.getBucketStart(candle.timestamp, intervalMs);
+            if (!existing.has(bucketStart) && !additions.has(bucketStart)) {
+                additions.set(bucketStart, { ...candle, timestamp: bucketStart });
+            }
+        }
+        
+        if (additions.size === 0) {
+            return 0;
+        }
+        
+        const merged = history.timestamps.map((timestamp, i) => ({
+            timestamp,
+            open: history.opens ? history.opens[i] : history.closes[i],
+            high: history.highs[i],
+            low: history.lows[i],
+            close: history.closes[i],
+            volume: history.volumes[i],
+            ...this.tradeFieldsAt(history, i)
+        }));
+        merged.push(...additions.values());
+        merged.sort((a, b) => a.timestamp - b.timestamp);
+        
+        history.opens = merged.map(candle => candle.open !== undefined ? candle.open : candle.close);
+        history.closes = merged.map(candle => candle.close);
+        history.highs = merged.map(candle => candle.high);
+        history.lows = merged.map(candle => candle.low);
+        history.prices = merged.map(candle => candle.close);
+        history.volumes = merged.map(candle => candle.volume || 0);
+        history.timestamps = merged.map(candle => candle.timestamp);
+        for (const [key, field] of Object.entries(TRADE_SERIES)) {
+            history[key] = merged.map(candle => candle[field] === undefined ? null : candle[field]);
+        }
+        
+        return additions.size;
+    }
+    
+    // Keep only the most recent maxLength candles in every series of a history
+    static trim(history, maxLength) {
+        Object.keys(history).forEach(key => {
+            if (Array.isArray(history[key]) && history[key].length > maxLength) {
+                history[key] = history[key].slice(-maxLength);
+            }
+        });
+    }
+    
+    // Volume traded since the previous tick, derived from the exchange's rolling 24h total.
+    // The rolling window can shrink as old trades drop out, so negative deltas are clamped to zero.
+    static volumeDelta(previousRolling, currentRolling) {
+        if (!Number.isFinite(previousRolling) || !Number.isFinite(currentRolling)) {
+            return 0;
+        }
+        return Math.max(0, currentRolling - previousRolling);
+    }
+}
+
+module.exports = CandleAggregator;
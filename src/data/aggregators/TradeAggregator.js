@@ -0,0 +1,49 @@
+// Per-bar trade metrics from a trade tape (see ExchangeAdapter.fetchTrades). Totals keep the
+// notional rather than the VWAP so they can be added up and merged across polls and timeframes.
+class TradeAggregator {
+    static emptyTotals() {
+        return { volume: 0, buyVolume: 0, sellVolume: 0, tradeCount: 0, notional: 0 };
+    }
+    
+    static add(totals, trade) {
+        totals.volume += trade.quantity;
+        totals.notional += trade.price * trade.quantity;
+        totals.tradeCount++;
+        
+        if (trade.side === 'sell') {
+            totals.sellVolume += trade.quantity;
+        } else {
+            totals.buyVolume += trade.quantity;
+        }
+        
+        return totals;
+    }
+    
+    // Trades grouped into interval buckets: Map of bucket start -> totals
+    static summarize(trades, intervalMs) {
+        const buckets = new Map();
+        
+        for (const trade of trades) {
+            const bucketStart = Math.floor(trade.timestamp / intervalMs) * intervalMs;
+            if (!buckets.has(bucketStart)) {
+                buckets.set(bucketStart, this.emptyTotals());
+            }
+            this.add(buckets.get(bucketStart), trade);
+        }
+        
+        return buckets;
+    }
+    
+    // The per-bar fields stored in a history
+    static toBarFields(totals) {
+        return {
+            volume: totals.volume,
+            buyVolume: totals.buyVolume,
+            sellVolume: totals.sellVolume,
+            tradeCount: totals.tradeCount,
+            vwap: totals.volume > 0 ? totals.notional / totals.volume : null
+        };
+    }
+}
+
+module.exports = TradeAggregator;
@@ -0,0 +1,7 @@
+const CandleAggregator = require('./CandleAggregator');
+const TradeAggregator = require('./TradeAggregator');
+
+module.exports = {
+    CandleAggregator,
+    TradeAggregator
+};
@@ -0,0 +1,138 @@
+// Liquidity figures derived from a normalized order book snapshot (see ExchangeAdapter.fetchOrderBook):
+// bids best (highest) first, asks best (lowest) first, levels as { price, quantity }.
+// Notional amounts are in the quote currency.
+class OrderBookAnalytics {
+    // Settings that depend on the quote currency, e.g. slippage sizes, can be given per quote:
+    // { default: [100, 1000], BTC: [0.001, 0.01] }. Plain values apply to every quote.
+    static forQuote(setting, quote) {
+        if (setting && typeof setting === 'object' && !Array.isArray(setting)) {
+            return setting[quote] !== undefined ? setting[quote] : setting.default;
+        }
+        return setting;
+    }
+    
+    static analyze(book, { depthBands = [1, 2, 5], slippageSizes = [100, 1000, 10000] } = {}) {
+        const bids = book.bids || [];
+        const asks = book.asks || [];
+        const analytics = {
+            timestamp: book.timestamp || Date.now(),
+            bestBid: bids.length > 0 ? bids[0].price : null,
+            bestAsk: asks.length > 0 ? asks[0].price : null,
+            midPrice: null,
+            spread: null,
+            spreadPercent: null,
+            imbalance: null,
+            levels: { bids: bids.length, asks: asks.length },
+            depth: {},
+            slippage: {}
+        };
+        
+        // Nothing can be priced against a one-sided book
+        if (analytics.bestBid === null || analytics.bestAsk === null) {
+            return analytics;
+        }
+        
+        const mid = (analytics.bestBid + analytics.bestAsk) / 2;
+        analytics.midPrice = mid;
+        analytics.spread = analytics.bestAsk - analytics.bestBid;
+        analytics.spreadPercent = (analytics.spread / mid) * 100;
+        
+        // Top of book: +1 when only bids are quoted at the best prices, -1 when only asks are
+        const topBid = bids[0].quantity;
+        const topAsk = asks[0].quantity;
+        analytics.imbalance = topBid + topAsk > 0 ? (topBid - topAsk) / (topBid + topAsk) : 0;
+        
+        depthBands.forEach(band => {
+            const bidSide = OrderBookAnalytics.sumLevels(bids, level => level.price >= mid * (1 - band / 100));
+            const askSide = OrderBookAnalytics.sumLevels(asks, level => level.price <= mid * (1 + band / 100));
+            const total = bidSide.notional + askSide.notional;
+            
+            analytics.depth[band] = {
+                bid: bidSide.notional,
+                ask: askSide.notional,
+                bidQuantity: bidSide.quantity,
+                askQuantity: askSide.quantity,
+                imbalance: total > 0 ? (bidSide.notional - askSide.notional) / total : 0
+            };
+        });
+        
+        slippageSizes.forEach(size => {
+            analytics.slippage[size] = {
+                buy: OrderBookAnalytics.estimateFill(asks, size, mid, 'buy'),
+                sell: OrderBookAnalytics.estimateFill(bids, size, mid, 'sell')
+            };
+        });
+        
+        return analytics;
+    }
+    
+    static sumLevels(levels, include) {
+        let notional = 0;
+        let quantity = 0;
+        
+        for (const level of levels) {
+            if (!include(level)) break; // Levels are sorted away from the mid price
+            notional += level.price * level.quantity;
+            quantity += level.quantity;
+        }
+        
+        return { notional, quantity };
+    }
+    
+    // Walk one side of the book with a market order worth `notional`. Slippage is the average fill
+    // price's distance from the mid price, in percent, so it includes half the spread.
+    static estimateFill(levels, notional, mid, side) {
+        let remaining = notional;
+        let quantity = 0;
+        
+        for (const level of levels) {
+            if (remaining <= 0) break;
+            
+            const levelNotional = level.price * level.quantity;
+            const taken = Math.min(levelNotional, remaining);
+            quantity += taken / level.price;
+            remaining -= taken;
+        }
+        
+        const filledNotional = notional - Math.max(remaining, 0);
+        // Rounding can leave a remainder many orders of magnitude below the order size
+        const filled = remaining <= notional * 1e-9;
+        
+        if (quantity === 0) {
+            return { filled: false, filledNotional: 0, averagePrice: null, slippagePercent: null };
+        }
+        
+        const averagePrice = filledNotional / quantity;
+        const slippagePercent = side === 'buy'
+            ? ((averagePrice - mid) / mid) * 100
+            : ((mid - averagePrice) / mid) * 100;
+        
+        return { filled, filledNotional, averagePrice, slippagePercent };
+    }
+    
+    // Whether the book is good enough to trade on: the spread is at most maxSpreadPercent and both
+    // sides hold at least minDepth (quote currency) within depthBand percent of the mid price
+    static assessLiquidity(analytics, { maxSpreadPercent = 2, depthBand = 2, minDepth = 0 } = {}) {
+        const reasons = [];
+        
+        if (analytics.midPrice === null) {
+            reasons.push('Order book is empty on at least one side');
+            return { liquid: false, reasons };
+        }
+        
+        if (analytics.spreadPercent > maxSpreadPercent) {
+            reasons.push(`Spread ${analytics.spreadPercent.toFixed(2)}% is above ${maxSpreadPercent}%`);
+        }
+        
+        const depth = analytics.depth[depthBand];
+        if (!depth) {
+            reasons.push(`Depth within ${depthBand}% is not measured (depthBands)`);
+        } else if (Math.min(depth.bid, depth.ask) < minDepth) {
+            reasons.push(`Depth within ${depthBand}% (bid ${depth.bid.toPrecision(4)}, ask ${depth.ask.toPrecision(4)}) is below ${minDepth}`);
+        }
+        
+        return { liquid: reasons.length === 0, reasons };
+    }
+}
+
+module.exports = OrderBookAnalytics;
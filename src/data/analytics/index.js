@@ -0,0 +1,5 @@
+const OrderBookAnalytics = require('./OrderBookAnalytics');
+
+module.exports = {
+    OrderBookAnalytics
+};
@@ -1,6 +1,11 @@
 const EventEmitter = require('events');
 const { DataValidator } = require('../validators');
-const DataStorage = require('../../utils/DataStorage'); // Direct import
+const { CandleAggregator, TradeAggregator } = require('../aggregators');
+const { OrderBookAnalytics } = require('../analytics');
+const { CircuitBreaker } = require('../exchanges');
+const StorageRegistry = require('../../utils/StorageRegistry'); // Direct import
+const WriteAheadLog = require('../../utils/WriteAheadLog');
+const PairSymbol = require('../../utils/PairSymbol');
 const path = require('path');
 
 // Simple logger function to avoid import issues
@@ -27,23 +32,63 @@ function Logger(level) {
 const logger = Logger();
 
 class MarketDataCollector extends EventEmitter {
-    constructor(apiClient, config = {}) {
+    // exchanges: a single ExchangeAdapter, or { name: adapter } when pairs come from several exchanges
+    constructor(exchanges, config = {}) {
         super();
-        this.apiClient = apiClient;
         this.config = {
-            pairs: ["XMR","RVN", "BEL", "DOGE","KAS","SAL"],
+            pairs: ["XMR/USDT", "RVN/USDT", "BEL/USDT", "DOGE/USDT", "KAS/USDT", "SAL/USDT"],
             updateInterval: 300000, // 5 minutes
+            candleInterval: 300000, // Candles are bucketed into 5-minute bars aligned to interval boundaries
+            timeframes: ['5m', '15m', '1h', '4h', '1d'], // Higher timeframes are maintained alongside the base candles
             dataRetention: 1440, // Keep 1440 data points (about 5 days at 5min intervals)
             saveInterval: 300000, // Save to disk every 5 minutes
             enablePersistence: true, // Enable persistent storage
+            storage: { backend: 'json' }, // Storage backend ('json' or 'sqlite') and its options
+            writeAheadLog: { enabled: true }, // Log every collected point until the next save (dir defaults to data/wal)
+            backfillGaps: true, // Fill holes left by collection outages from the candles endpoint
+            maxBackfillBars: 1000, // Most bars requested to fill a single gap
+            defaultExchange: null, // Exchange for pairs without an entry in pairExchanges (first adapter if not set)
+            pairExchanges: {}, // Market symbol -> exchange name
+            orderBookInterval: 60000, // Order book snapshot interval while collecting (0 disables snapshots)
+            orderBookDepth: 50, // Levels requested per side
+            orderBookRetention: 1440, // Analytics snapshots kept per pair (1 day at 1-minute snapshots)
+            depthBands: [1, 2, 5], // Cumulative depth within these percentages of the mid price
+            slippageSizes: { default: [100, 1000, 10000], BTC: [0.002, 0.02, 0.2] }, // Order sizes in the quote currency
+            liquidity: { maxSpreadPercent: 2, depthBand: 2, minDepth: { default: 500, BTC: 0.01 } }, // Liquid pair thresholds
+            tradeInterval: 60000, // Trade tape poll interval while collecting (0 disables trade collection)
+            tradeLimit: 500, // Trades requested per poll - must cover a full interval of the busiest pair
+            circuitBreaker: { failureThreshold: 5, openTimeout: 30000, maxOpenTimeout: 600000 }, // Per-exchange outage handling
+            staleAfter: null, // Age (ms) of the last tick after which a pair's data counts as stale (2 update intervals if not set)
             ...config
         };
+        this.config.pairExchanges = { ...this.config.pairExchanges };
+        
+        // Pairs are keyed by market symbol ("KAS/BTC"); bare symbols from older configs mean USDT
+        this.config.pairs = this.config.pairs.map(pair => PairSymbol.normalize(pair) || pair);
         
         this.history = {};
+        this.candleState = {}; // Per-pair tick state used to build live candles
+        this.timeframeHistory = {}; // Per-pair histories for timeframes above the base candle interval
+        this.gapStats = {}; // Per-pair, per-timeframe gap detection and backfill counters
+        this.orderBooks = {}; // Latest order book snapshot per pair
+        this.orderBookHistory = {}; // Per-pair analytics of past snapshots, oldest first
+        this.tradeTapes = {}; // Per-pair trade tape position and trade totals of the latest buckets
+        this.lastTickAt = {}; // Per-pair time of the last successful ticker poll
+        this.circuitBreakers = {}; // Per-exchange circuit breakers
+        this.baseTimeframe = CandleAggregator.getTimeframeForInterval(this.config.candleInterval) || `${this.config.candleInterval}ms`;
         this.isCollecting = false;
         this.collectionInterval = null;
+        this.orderBookCollectionInterval = null;
+        this.tradeCollectionInterval = null;
         this.saveInterval = null;
-        this.dataStorage = new DataStorage();
+        this.dataStorage = StorageRegistry.create(this.config.storage);
+        this.writeAheadLog = this.config.enablePersistence && this.config.writeAheadLog && this.config.writeAheadLog.enabled
+            ? new WriteAheadLog(this.config.writeAheadLog) : null;
+        
+        this.exchanges = {};
+        const adapters = typeof exchanges.fetchTicker === 'function' ? { [exchanges.name]: exchanges } : exchanges;
+        this.config.defaultExchange = this.config.defaultExchange || Object.keys(adapters)[0];
+        
         this.stats = {
             totalDataPoints: 0,
             successfulUpdates: 0,
@@ -52,27 +97,129 @@ class MarketDataCollector extends EventEmitter {
             lastSave: null
         };
         
-        this.setupEventHandlers();
+        Object.entries(adapters).forEach(([name, adapter]) => this.addExchange(name, adapter));
         
         logger.info('MarketDataCollector initialized', {
             pairs: this.config.pairs,
+            exchanges: Object.keys(this.exchanges),
             updateInterval: this.config.updateInterval,
             dataRetention: this.config.dataRetention,
+            timeframes: this.getAvailableTimeframes(),
             persistenceEnabled: this.config.enablePersistence
         });
     }
     
-    setupEventHandlers() {
-        this.apiClient.on('requestError', (error) => {
-            this.emit('dataError', error);
+    // Register an exchange adapter so pairs can be configured with it
+    addExchange(name, adapter) {
+        if (this.exchanges[name]) {
+            return;
+        }
+        
+        this.exchanges[name] = adapter;
+        
+        // While the circuit is open the exchange's pairs are not polled; probes use its health check
+        const breaker = new CircuitBreaker(name, {
+            ...this.config.circuitBreaker,
+            probe: async () => {
+                const health = await adapter.healthCheck();
+                if (!health.healthy) {
+                    throw new Error(health.error || 'Health check failed');
+                }
+            }
+        });
+        breaker.on('stateChange', ({ from, to, status }) => this.handleCircuitChange(name, from, to, status));
+        this.circuitBreakers[name] = breaker;
+        
+        adapter.on('requestError', (error) => {
+            this.emit('dataError', { ...error, exchange: name });
             this.stats.failedUpdates++;
         });
         
-        this.apiClient.on('requestSuccess', () => {
+        adapter.on('requestSuccess', () => {
             this.stats.successfulUpdates++;
         });
     }
     
+    getExchangeName(pair) {
+        return this.config.pairExchanges[pair] || this.config.defaultExchange;
+    }
+    
+    getExchange(pair) {
+        const name = this.getExchangeName(pair);
+        const exchange = this.exchanges[name];
+        
+        if (!exchange) {
+            throw new Error(`No adapter registered for exchange ${name} (${pair})`);
+        }
+        
+        return exchange;
+    }
+    
+    // Run a request against the pair's exchange through its circuit breaker
+    async requestExchange(pair, request) {
+        const exchange = this.getExchange(pair);
+        return this.circuitBreakers[this.getExchangeName(pair)].execute(() => request(exchange));
+    }
+    
+    // False while the circuit of the pair's exchange is open, so collection rounds skip the pair
+    isExchangeAvailable(pair) {
+        const breaker = this.circuitBreakers[this.getExchangeName(pair)];
+        return !breaker || breaker.isClosed();
+    }
+    
+    handleCircuitChange(name, from, to, status) {
+        if (to === 'open' && from === 'closed') {
+            logger.warn(`Exchange ${name} is unavailable, pausing its collection`, {
+                failures: status.consecutiveFailures,
+                lastError: status.lastError,
+                nextProbeAt: new Date(status.nextProbeAt).toISOString()
+            });
+        } else if (to === 'open') {
+            logger.warn(`Exchange ${name} is still unavailable`, { nextProbeAt: new Date(status.nextProbeAt).toISOString() });
+        } else if (to === 'closed') {
+            logger.info(`Exchange ${name} recovered, resuming collection`);
+            
+            // Catch up right away; the tick backfills the buckets missed during the outage
+            if (this.isCollecting) {
+                const pairs = this.config.pairs.filter(pair => this.getExchangeName(pair) === name);
+                this.collectCurrentData(pairs);
+            }
+        }
+        
+        this.emit('exchangeStatus', { exchange: name, from, to, status });
+    }
+    
+    getCircuitStatus() {
+        return Object.fromEntries(Object.entries(this.circuitBreakers).map(([name, breaker]) => [name, breaker.getStatus()]));
+    }
+    
+    // How old the pair's data is. Strategy results computed from stale data are flagged with it.
+    getDataFreshness(pair, now = Date.now()) {
+        const lastUpdate = this.lastTickAt[pair] !== undefined ? this.lastTickAt[pair] : this.getLastTimestamp(pair);
+        const staleAfter = this.config.staleAfter || 2 * this.config.updateInterval;
+        const age = lastUpdate !== null ? now - lastUpdate : null;
+        
+        return {
+            lastUpdate,
+            age,
+            stale: !this.isExchangeAvailable(pair) || (age !== null && age > staleAfter)
+        };
+    }
+    
+    // Exchange of every tracked pair
+    getPairExchanges() {
+        return Object.fromEntries(this.config.pairs.map(pair => [pair, this.getExchangeName(pair)]));
+    }
+    
+    // Keep pairExchanges to explicit, non-default entries for tracked pairs
+    setPairExchange(pair, exchange) {
+        if (exchange && exchange !== this.config.defaultExchange) {
+            this.config.pairExchanges[pair] = exchange;
+        } else {
+            delete this.config.pairExchanges[pair];
+        }
+    }
+    
     async initialize() {
         logger.info('Initializing market data collector...');
         
@@ -122,7 +269,8 @@ class MarketDataCollector extends EventEmitter {
         // Try to load from persistent storage first
         if (this.config.enablePersistence) {
             try {
-                const storedData = await this.dataStorage.loadPairData(pair);
+                // Backends that keep more than the retention window only return its most recent bars
+                const storedData = await this.dataStorage.loadPairData(pair, null, { limit: this.config.dataRetention });
                 
                 if (storedData && storedData.closes && storedData.closes.length > 0) {
                     // Additional validation for stored data
@@ -137,6 +285,11 @@ class MarketDataCollector extends EventEmitter {
                             dataPoints: storedData.closes.length,
                             source: 'storage'
                         });
+                        
+                        await this.loadOrBuildTimeframes(pair);
+                        this.replayWriteAheadLog(pair);
+                        // The process may have been down since the file was saved
+                        await this.backfillGaps(pair);
                         return;
                     } else {
                         logger.warn(`📁 Stored data for ${pair} failed validation, falling back to API`);
@@ -152,6 +305,280 @@ class MarketDataCollector extends EventEmitter {
         // Fallback to API preload if no stored data or validation failed
         logger.info(`📡 No valid stored data found for ${pair}, preloading from API...`);
         await this.preloadFromAPI(pair);
+        await this.loadOrBuildTimeframes(pair);
+        this.replayWriteAheadLog(pair);
+    }
+    
+    // Apply the points logged since the pair's last successful save on top of its loaded history.
+    // Records hold whole bars, so replaying ones the store already has changes nothing.
+    replayWriteAheadLog(pair) {
+        if (!this.writeAheadLog) {
+            return 0;
+        }
+        
+        let log;
+        try {
+            log = this.writeAheadLog.read(pair);
+        } catch (error) {
+            logger.error(`📝 Error reading the write-ahead log for ${pair}`, { error: error.message });
+            return 0;
+        }
+        
+        if (log.skipped > 0) {
+            logger.warn(`📝 Skipped ${log.skipped} unreadable write-ahead log records for ${pair}`);
+        }
+        
+        const timeframes = this.timeframeHistory[pair] || {};
+        let replayed = 0;
+        
+        for (const record of log.records) {
+            for (const [timeframe, bar] of Object.entries(record.bars || {})) {
+                const isBase = timeframe === this.baseTimeframe;
+                const history = isBase ? this.history[pair] : timeframes[timeframe];
+                if (!history || !DataValidator.isValidPriceData(bar)) continue;
+                
+                CandleAggregator.replaceBar(history, bar, isBase ? this.config.candleInterval : CandleAggregator.getIntervalMs(timeframe));
+            }
+            replayed++;
+        }
+        
+        if (replayed > 0) {
+            this.trimHistory(pair);
+            Object.values(timeframes).forEach(history => CandleAggregator.trim(history, this.config.dataRetention));
+            logger.info(`📝 Replayed ${replayed} logged data points for ${pair}`);
+        }
+        
+        return replayed;
+    }
+    
+    // Append the bars containing `timestamp`, in every timeframe, to the pair's write-ahead log
+    logDataPoint(pair, timestamp) {
+        if (!this.writeAheadLog) {
+            return;
+        }
+        
+        const bars = {};
+        const index = CandleAggregator.indexOfBucket(this.history[pair], timestamp, this.config.candleInterval);
+        if (index !== -1) {
+            bars[this.baseTimeframe] = CandleAggregator.candleAt(this.history[pair], index);
+        }
+        
+        for (const [timeframe, history] of Object.entries(this.timeframeHistory[pair] || {})) {
+            const i = CandleAggregator.indexOfBucket(history, timestamp, CandleAggregator.getIntervalMs(timeframe));
+            if (i !== -1) {
+                bars[timeframe] = CandleAggregator.candleAt(history, i);
+            }
+        }
+        
+        try {
+            this.writeAheadLog.append(pair, { at: Date.now(), bars });
+        } catch (error) {
+            logger.error(`📝 Failed to append to the write-ahead log for ${pair}`, { error: error.message });
+        }
+    }
+    
+    // Drop the log records a successful save has made redundant
+    compactWriteAheadLog(pair, mark) {
+        if (!this.writeAheadLog) {
+            return;
+        }
+        
+        try {
+            this.writeAheadLog.compact(pair, mark);
+        } catch (error) {
+            logger.error(`📝 Failed to compact the write-ahead log for ${pair}`, { error: error.message });
+        }
+    }
+    
+    // Timeframes above the base candle interval, in configured order
+    getHigherTimeframes() {
+        return (this.config.timeframes || []).filter(timeframe =>
+            CandleAggregator.isValidTimeframe(timeframe) &&
+            CandleAggregator.getIntervalMs(timeframe) > this.config.candleInterval
+        );
+    }
+    
+    getAvailableTimeframes() {
+        return [this.baseTimeframe, ...this.getHigherTimeframes()];
+    }
+    
+    // Seed each higher timeframe from storage, then the candles endpoint, then a rollup of the base series
+    async loadOrBuildTimeframes(pair) {
+        this.timeframeHistory[pair] = {};
+        
+        for (const timeframe of this.getHigherTimeframes()) {
+            const intervalMs = CandleAggregator.getIntervalMs(timeframe);
+            let history = null;
+            let source = 'rollup';
+            
+            if (this.config.enablePersistence) {
+                try {
+                    const storedData = await this.dataStorage.loadPairData(pair, timeframe, { limit: this.config.dataRetention });
+                    if (storedData && storedData.closes && storedData.closes.length > 0 &&
+                        this.validateStoredData(storedData, `${pair} ${timeframe}`)) {
+                        history = storedData;
+                        source = 'storage';
+                    }
+                } catch (storageError) {
+                    logger.error(`📁 Error loading stored ${timeframe} data for ${pair}`, { 
+                        error: storageError.message 
+                    });
+                }
+            }
+            
+            if (!history) {
+                try {
+                    history = await this.fetchTimeframeCandles(pair, timeframe);
+                    source = 'api';
+                } catch (error) {
+                    logger.warn(`📡 Failed to fetch ${timeframe} candles for ${pair}, rolling up base candles`, {
+                        error: error.message
+                    });
+                }
+            }
+            
+            if (!history || history.closes.length === 0) {
+                history = CandleAggregator.rollup(this.history[pair], intervalMs);
+                source = 'rollup';
+            }
+            
+            CandleAggregator.trim(history, this.config.dataRetention);
+            this.timeframeHistory[pair][timeframe] = history;
+            
+            logger.debug(`Prepared ${timeframe} history for ${pair}`, {
+                dataPoints: history.closes.length,
+                source
+            });
+        }
+    }
+    
+    async fetchTimeframeCandles(pair, timeframe) {
+        const intervalMs = CandleAggregator.getIntervalMs(timeframe);
+        const bars = await this.requestExchange(pair, exchange => exchange.fetchCandles(pair, { resolution: Math.round(intervalMs / 60000), countBack: 180 }));
+        const history = CandleAggregator.createEmptyHistory();
+        
+        bars.forEach(bar => {
+            const candle = CandleAggregator.fromBar(bar, intervalMs);
+            if (candle && DataValidator.isValidPriceData(candle)) {
+                CandleAggregator.upsert(history, candle, intervalMs);
+            }
+        });
+        
+        return history;
+    }
+    
+    // Merge a base candle update into every higher timeframe of a pair
+    updateTimeframes(pair, candle) {
+        const timeframes = this.timeframeHistory[pair];
+        if (!timeframes) {
+            return;
+        }
+        
+        for (const [timeframe, history] of Object.entries(timeframes)) {
+            CandleAggregator.upsert(history, candle, CandleAggregator.getIntervalMs(timeframe));
+            CandleAggregator.trim(history, this.config.dataRetention);
+        }
+    }
+    
+    // Detect holes in a pair's base and higher timeframe series, including the span since the
+    // last candle, and fill them from the candles endpoint. Returns the number of bars inserted.
+    async backfillGaps(pair, options = {}) {
+        if (!this.config.backfillGaps || !this.history[pair]) {
+            return 0;
+        }
+        
+        const { now = Date.now(), trailingOnly = false } = options;
+        const series = [{ timeframe: this.baseTimeframe, intervalMs: this.config.candleInterval, history: this.history[pair] }];
+        for (const [timeframe, history] of Object.entries(this.timeframeHistory[pair] || {})) {
+            series.push({ timeframe, intervalMs: CandleAggregator.getIntervalMs(timeframe), history });
+        }
+        
+        let totalBackfilled = 0;
+        
+        for (const { timeframe, intervalMs, history } of series) {
+            const gaps = CandleAggregator.findGaps(history.timestamps, intervalMs, now)
+                .filter(gap => !trailingOnly || gap.trailing);
+            let backfilled = 0;
+            
+            for (const gap of gaps) {
+                try {
+                    backfilled += await this.backfillGap(pair, history, intervalMs, gap);
+                } catch (error) {
+                    logger.warn(`Failed to backfill ${timeframe} gap for ${pair}`, {
+                        start: new Date(gap.start).toISOString(),
+                        missingBars: gap.missingBars,
+                        error: error.message
+                    });
+                }
+            }
+            
+            if (backfilled > 0) {
+                if (history === this.history[pair]) {
+                    this.trimHistory(pair);
+                    this.stats.totalDataPoints += backfilled;
+                } else {
+                    CandleAggregator.trim(history, this.config.dataRetention);
+                }
+                
+                logger.info(`🩹 Backfilled ${backfilled} ${timeframe} bars for ${pair}`, {
+                    gaps: gaps.length,
+                    missingBars: gaps.reduce((sum, gap) => sum + gap.missingBars, 0)
+                });
+                this.emit('gapsBackfilled', { pair, timeframe, backfilledBars: backfilled, gaps: gaps.length });
+            }
+            
+            this.recordGapStats(pair, timeframe, gaps, backfilled, CandleAggregator.findGaps(history.timestamps, intervalMs));
+            totalBackfilled += backfilled;
+        }
+        
+        return totalBackfilled;
+    }
+    
+    async backfillGap(pair, history, intervalMs, gap) {
+        // Very long outages only get their most recent bars back
+        const countBack = Math.min(gap.missingBars, this.config.maxBackfillBars);
+        const from = gap.end - (countBack - 1) * intervalMs;
+        const bars = await this.requestExchange(pair, exchange => exchange.fetchCandles(pair, {
+            resolution: Math.round(intervalMs / 60000),
+            countBack: countBack + 1,
+            from,
+            to: gap.end + intervalMs
+        }));
+        
+        const candles = bars
+            .map(bar => CandleAggregator.fromBar(bar, intervalMs))
+            .filter(candle => candle && candle.timestamp >= from && candle.timestamp <= gap.end &&
+                DataValidator.isValidPriceData(candle));
+        
+        return CandleAggregator.fillBuckets(history, candles, intervalMs);
+    }
+    
+    recordGapStats(pair, timeframe, gaps, backfilledBars, remainingGaps) {
+        const pairStats = this.gapStats[pair] || (this.gapStats[pair] = {});
+        const stats = pairStats[timeframe] || (pairStats[timeframe] = {
+            gapsDetected: 0,
+            missingBars: 0,
+            backfilledBars: 0,
+            lastCheck: null,
+            lastBackfill: null
+        });
+        
+        stats.gapsDetected += gaps.length;
+        stats.missingBars += gaps.reduce((sum, gap) => sum + gap.missingBars, 0);
+        stats.backfilledBars += backfilledBars;
+        stats.lastCheck = Date.now();
+        if (backfilledBars > 0) {
+            stats.lastBackfill = stats.lastCheck;
+        }
+        
+        // Holes the exchange had no candles for (e.g. no trades in the interval)
+        stats.openGaps = remainingGaps.length;
+        stats.openMissingBars = remainingGaps.reduce((sum, gap) => sum + gap.missingBars, 0);
+        stats.largestOpenGapBars = remainingGaps.reduce((max, gap) => Math.max(max, gap.missingBars), 0);
+    }
+    
+    getGapStats(pair) {
+        return this.gapStats[pair] || null;
     }
     
     validateStoredData(data, pair) {
@@ -161,7 +588,7 @@ class MarketDataCollector extends EventEmitter {
                 return false;
             }
             
-            const { closes, highs, lows, volumes, timestamps } = data;
+            const { opens, closes, highs, lows, volumes, timestamps } = data;
             
             if (!closes || !Array.isArray(closes) || closes.length === 0) {
                 logger.warn(`Invalid stored data for ${pair} - missing/empty closes`);
@@ -180,6 +607,11 @@ class MarketDataCollector extends EventEmitter {
             }
             
             // Check array length consistency
+            if (opens && opens.length !== closes.length) {
+                logger.warn(`Array length mismatch for ${pair} - opens`);
+                return false;
+            }
+            
             if (highs && highs.length !== closes.length) {
                 logger.warn(`Array length mismatch for ${pair} - highs`);
                 return false;
@@ -210,21 +642,22 @@ class MarketDataCollector extends EventEmitter {
     }
     
     async preloadFromAPI(pair) {
-        const response = await this.apiClient.getCandles(`${pair}_USDT`, 5, 180);
+        const resolution = Math.round(this.config.candleInterval / 60000); // Candle endpoint expects minutes
+        const bars = await this.requestExchange(pair, exchange => exchange.fetchCandles(pair, { resolution, countBack: 180 }));
         
-        if (response.bars && Array.isArray(response.bars)) {
+        if (bars.length > 0) {
             let validBars = 0;
             
-            response.bars.forEach(bar => {
-                const dataPoint = {
-                    timestamp: bar.time,
-                    close: parseFloat(bar.close),
-                    high: parseFloat(bar.high),
-                    low: parseFloat(bar.low),
-                    volume: parseFloat(bar.volume)
-                };
+            bars.forEach(bar => {
+                const candle = CandleAggregator.fromBar(bar, this.config.candleInterval);
+                
+                // Keep the series strictly ascending - skip duplicate or out-of-order bars
+                const lastTimestamp = this.getLastTimestamp(pair);
+                if (!candle || (lastTimestamp !== null && candle.timestamp <= lastTimestamp)) {
+                    return;
+                }
                 
-                if (this.addDataPoint(pair, dataPoint, false)) {
+                if (this.addDataPoint(pair, candle, false)) {
                     validBars++;
                 }
             });
@@ -241,14 +674,7 @@ class MarketDataCollector extends EventEmitter {
     
     initializeHistoryForPair(pair) {
         if (!this.history[pair]) {
-            this.history[pair] = {
-                closes: [],
-                highs: [],
-                lows: [],
-                prices: [], // Same as closes, for backwards compatibility
-                volumes: [],
-                timestamps: []
-            };
+            this.history[pair] = CandleAggregator.createEmptyHistory();
             
             logger.debug(`Initialized history for ${pair}`);
         }
@@ -267,12 +693,21 @@ class MarketDataCollector extends EventEmitter {
         }
         
         // Add the data point
+        if (!history.opens) {
+            // Histories loaded before open prices were tracked
+            history.opens = [...history.closes];
+        }
+        CandleAggregator.ensureTradeSeries(history);
+        history.opens.push(data.open !== undefined ? data.open : data.close);
         history.closes.push(data.close);
         history.highs.push(data.high);
         history.lows.push(data.low);
         history.prices.push(data.close); // Backwards compatibility
         history.volumes.push(data.volume);
         history.timestamps.push(data.timestamp);
+        for (const [key, field] of Object.entries(CandleAggregator.TRADE_SERIES)) {
+            history[key].push(data[field] === undefined ? null : data[field]);
+        }
         
         // Maintain data retention limit
         this.trimHistory(pair);
@@ -282,12 +717,113 @@ class MarketDataCollector extends EventEmitter {
         
         if (emitEvent) {
             // Remove the debug logging for every data point to reduce noise
-            this.emit('newData', { pair, data });
+            this.emit('newData', { pair, data, isNewCandle: true });
         }
         
         return true;
     }
     
+    // Apply a polled tick to the pair's current candle, opening a new candle when
+    // the tick falls into a later interval bucket
+    applyTick(pair, tick) {
+        const history = this.history[pair];
+        if (!history) {
+            logger.error(`No history initialized for ${pair}`);
+            return null;
+        }
+        
+        if (!DataValidator.isValidNumber(tick.price)) {
+            logger.warn(`Invalid tick price for ${pair}`, { tick });
+            return null;
+        }
+        
+        const bucketStart = CandleAggregator.getBucketStart(tick.timestamp, this.config.candleInterval);
+        // Buckets covered by the trade tape take their volume from trades, not the rolling 24h figure
+        const tradeCovered = this.isTradeCovered(pair, bucketStart);
+        
+        const state = this.candleState[pair] || (this.candleState[pair] = { lastRollingVolume: null });
+        const volumeDelta = state.lastRollingVolume === null || tradeCovered ? 0 :
+            CandleAggregator.volumeDelta(state.lastRollingVolume, tick.rollingVolume);
+        if (Number.isFinite(tick.rollingVolume)) {
+            state.lastRollingVolume = tick.rollingVolume;
+        }
+        
+        const lastTimestamp = this.getLastTimestamp(pair);
+        // Bucket the stored timestamp too - points saved before candle alignment are not on boundaries
+        const lastBucket = lastTimestamp === null ? null :
+            CandleAggregator.getBucketStart(lastTimestamp, this.config.candleInterval);
+        
+        if (lastBucket !== null && bucketStart < lastBucket) {
+            logger.warn(`Ignoring out-of-order tick for ${pair}`, {
+                tickTimestamp: tick.timestamp,
+                lastCandle: lastTimestamp
+            });
+            return null;
+        }
+        
+        // The tick as a candle, used to keep higher timeframes in step with the base series
+        const tickCandle = {
+            timestamp: tick.timestamp,
+            open: tick.price,
+            high: tick.price,
+            low: tick.price,
+            close: tick.price,
+            volume: volumeDelta
+        };
+        
+        if (lastBucket === bucketStart) {
+            // Update the in-progress candle in place
+            const i = history.closes.length - 1;
+            history.highs[i] = Math.max(history.highs[i], tick.price);
+            history.lows[i] = Math.min(history.lows[i], tick.price);
+            history.closes[i] = tick.price;
+            history.prices[i] = tick.price; // Backwards compatibility
+            history.volumes[i] = (history.volumes[i] || 0) + volumeDelta;
+            
+            this.stats.lastUpdate = new Date();
+            this.updateTimeframes(pair, tickCandle);
+            this.logDataPoint(pair, history.timestamps[i]);
+            
+            const candle = this.getCandleAt(pair, i);
+            this.emit('newData', { pair, data: candle, isNewCandle: false });
+            return candle;
+        }
+        
+        const candle = CandleAggregator.fromTick(tick.timestamp, tick.price, volumeDelta, this.config.candleInterval);
+        if (!DataValidator.isValidPriceData(candle)) {
+            logger.warn(`Invalid data for ${pair}`, { data: candle });
+            return null;
+        }
+        
+        // Trades polled before the tick opened this candle
+        if (tradeCovered) {
+            const tradeFields = TradeAggregator.toBarFields(this.tradeTapes[pair].buckets.get(bucketStart) || TradeAggregator.emptyTotals());
+            Object.assign(candle, tradeFields);
+            Object.assign(tickCandle, tradeFields);
+        }
+        
+        // Update higher timeframes before addDataPoint emits newData so listeners see them in step
+        this.updateTimeframes(pair, tickCandle);
+        if (!this.addDataPoint(pair, candle)) {
+            return null;
+        }
+        
+        this.logDataPoint(pair, candle.timestamp);
+        return candle;
+    }
+    
+    getLastTimestamp(pair) {
+        const history = this.history[pair];
+        if (!history || !history.timestamps || history.timestamps.length === 0) {
+            return null;
+        }
+        return history.timestamps[history.timestamps.length - 1];
+    }
+    
+    getCandleAt(pair, index) {
+        return CandleAggregator.candleAt(this.history[pair], index);
+    }
+    
     trimHistory(pair) {
         const history = this.history[pair];
         const maxLength = this.config.dataRetention;
@@ -324,6 +860,20 @@ class MarketDataCollector extends EventEmitter {
             await this.collectCurrentData();
         }, this.config.updateInterval);
         
+        if (this.config.tradeInterval > 0) {
+            this.collectTrades();
+            this.tradeCollectionInterval = setInterval(async () => {
+                await this.collectTrades();
+            }, this.config.tradeInterval);
+        }
+        
+        if (this.config.orderBookInterval > 0) {
+            this.collectOrderBooks();
+            this.orderBookCollectionInterval = setInterval(async () => {
+                await this.collectOrderBooks();
+            }, this.config.orderBookInterval);
+        }
+        
         this.emit('collectionStarted');
     }
     
@@ -353,9 +903,15 @@ class MarketDataCollector extends EventEmitter {
             
             for (const pair of this.config.pairs) {
                 if (this.history[pair] && this.history[pair].closes.length > 0) {
+                    // Points logged from here on are not part of this save
+                    const mark = this.writeAheadLog ? this.writeAheadLog.mark(pair) : 0;
                     const success = await this.dataStorage.savePairData(pair, this.history[pair]);
+                    const timeframesSaved = await this.saveTimeframeData(pair);
                     if (success) {
                         savedCount++;
+                        if (timeframesSaved) {
+                            this.compactWriteAheadLog(pair, mark);
+                        }
                     }
                 }
             }
@@ -374,10 +930,26 @@ class MarketDataCollector extends EventEmitter {
         }
     }
     
-    async collectCurrentData() {
-        // Remove debug log for every collection round
+    // Returns true when every timeframe was saved
+    async saveTimeframeData(pair) {
+        const timeframes = this.timeframeHistory[pair] || {};
+        let saved = true;
+        
+        for (const [timeframe, history] of Object.entries(timeframes)) {
+            if (history.closes.length > 0) {
+                saved = await this.dataStorage.savePairData(pair, history, timeframe) && saved;
+            }
+        }
+        
+        return saved;
+    }
+    
+    async collectCurrentData(pairs = this.config.pairs) {
+        // Pairs of unavailable exchanges wait for the circuit breaker's probe instead of failing every round
+        const available = pairs.filter(pair => this.isExchangeAvailable(pair));
+        const skipped = pairs.length - available.length;
         
-        const promises = this.config.pairs.map(pair => this.fetchCurrentData(pair));
+        const promises = available.map(pair => this.fetchCurrentData(pair));
         const results = await Promise.allSettled(promises);
         
         let successful = 0;
@@ -388,7 +960,7 @@ class MarketDataCollector extends EventEmitter {
                 successful++;
             } else {
                 failed++;
-                logger.error(`Failed to fetch data for ${this.config.pairs[index]}`, {
+                logger.error(`Failed to fetch data for ${available[index]}`, {
                     error: result.reason?.message
                 });
             }
@@ -399,28 +971,35 @@ class MarketDataCollector extends EventEmitter {
             logger.debug(`Data collection round completed`, {
                 successful,
                 failed,
-                total: this.config.pairs.length
+                skipped,
+                total: pairs.length
             });
         }
         
-        this.emit('collectionRoundComplete', { successful, failed });
+        this.emit('collectionRoundComplete', { successful, failed, skipped });
     }
     
     async fetchCurrentData(pair) {
         try {
-            const response = await this.apiClient.getMarket(`${pair}_USDT`);
+            const ticker = await this.requestExchange(pair, exchange => exchange.fetchTicker(pair));
             
-            if (response && response.lastPriceNumber) {
-                const data = {
+            if (ticker && ticker.price) {
+                // The ticker's volume is a rolling 24h figure, so only the last price
+                // and the change in rolling volume feed into the current candle
+                const tick = {
                     timestamp: Date.now(),
-                    close: parseFloat(response.lastPriceNumber),
-                    high: parseFloat(response.highPriceNumber) || parseFloat(response.lastPriceNumber),
-                    low: parseFloat(response.lowPriceNumber) || parseFloat(response.lastPriceNumber),
-                    volume: parseFloat(response.volumeNumber) || 0
+                    price: ticker.price,
+                    rollingVolume: ticker.volume24h
                 };
                 
-                this.addDataPoint(pair, data);
-                return data;
+                // Missed polls leave empty buckets behind the tick - fill them before it opens a new candle
+                const lastTimestamp = this.getLastTimestamp(pair);
+                if (lastTimestamp !== null && CandleAggregator.findGaps([lastTimestamp], this.config.candleInterval, tick.timestamp).length > 0) {
+                    await this.backfillGaps(pair, { now: tick.timestamp, trailingOnly: true });
+                }
+                
+                this.lastTickAt[pair] = tick.timestamp;
+                return this.applyTick(pair, tick);
             } else {
                 throw new Error('Invalid response format');
             }
@@ -434,18 +1013,240 @@ class MarketDataCollector extends EventEmitter {
         }
     }
     
+    // Normalized order book for a tracked pair's exchange
+    async fetchOrderBook(pair, depth = 50) {
+        return this.requestExchange(pair, exchange => exchange.fetchOrderBook(pair, depth));
+    }
+    
+    async collectOrderBooks() {
+        const pairs = this.config.pairs.filter(pair => this.isExchangeAvailable(pair));
+        const results = await Promise.allSettled(pairs.map(pair => this.captureOrderBook(pair)));
+        const failed = results.filter(result => result.status === 'rejected').length;
+        
+        if (failed > 0) {
+            logger.debug('Order book round completed', { successful: results.length - failed, failed });
+        }
+    }
+    
+    // Fetch a snapshot, derive its analytics and append them to the pair's order book history
+    async captureOrderBook(pair) {
+        try {
+            const book = await this.fetchOrderBook(pair, this.config.orderBookDepth);
+            const analytics = this.analyzeOrderBook(pair, book);
+            
+            // The pair may have been removed while the request was in flight
+            if (!this.config.pairs.includes(pair)) {
+                return analytics;
+            }
+            
+            this.orderBooks[pair] = book;
+            
+            const history = this.orderBookHistory[pair] || (this.orderBookHistory[pair] = []);
+            history.push(analytics);
+            if (history.length > this.config.orderBookRetention) {
+                history.splice(0, history.length - this.config.orderBookRetention);
+            }
+            
+            this.emit('orderBook', { pair, analytics });
+            return analytics;
+        } catch (error) {
+            logger.error(`Error fetching order book for ${pair}`, { pair, error: error.message });
+            this.emit('orderBookError', { pair, error });
+            throw error;
+        }
+    }
+    
+    // slippageSizes overrides the configured order sizes for the pair's quote currency
+    analyzeOrderBook(pair, book, slippageSizes = null) {
+        const { quote } = PairSymbol.parse(pair);
+        const analytics = OrderBookAnalytics.analyze(book, {
+            depthBands: this.config.depthBands,
+            slippageSizes: slippageSizes || OrderBookAnalytics.forQuote(this.config.slippageSizes, quote)
+        });
+        
+        analytics.liquidity = OrderBookAnalytics.assessLiquidity(analytics, {
+            ...this.config.liquidity,
+            minDepth: OrderBookAnalytics.forQuote(this.config.liquidity.minDepth, quote)
+        });
+        
+        return analytics;
+    }
+    
+    async collectTrades() {
+        const pairs = this.config.pairs.filter(pair => this.isExchangeAvailable(pair));
+        const results = await Promise.allSettled(pairs.map(pair => this.captureTrades(pair)));
+        const failed = results.filter(result => result.status === 'rejected').length;
+        
+        if (failed > 0) {
+            logger.debug('Trade round completed', { successful: results.length - failed, failed });
+        }
+    }
+    
+    // Fetch the pair's recent trades and fold the ones not seen before into its candles
+    async captureTrades(pair) {
+        try {
+            const trades = await this.requestExchange(pair, exchange => exchange.fetchTrades(pair, { limit: this.config.tradeLimit }));
+            
+            // The pair may have been removed while the request was in flight
+            if (!this.config.pairs.includes(pair)) {
+                return 0;
+            }
+            
+            return this.ingestTrades(pair, trades);
+        } catch (error) {
+            logger.error(`Error fetching trades for ${pair}`, { pair, error: error.message });
+            this.emit('tradesError', { pair, error });
+            throw error;
+        }
+    }
+    
+    // Add trades (oldest first, as returned by fetchTrades) to the pair's trade tape and write the
+    // totals of every bucket they touched into its candles. Returns the number of new trades.
+    ingestTrades(pair, trades, now = Date.now()) {
+        const intervalMs = this.config.candleInterval;
+        const bucketOf = timestamp => CandleAggregator.getBucketStart(timestamp, intervalMs);
+        let tape = this.tradeTapes[pair];
+        
+        if (!tape) {
+            // The oldest bucket of the first response may be missing trades from before it
+            tape = this.tradeTapes[pair] = {
+                coverageStart: trades.length > 0 ? bucketOf(trades[0].timestamp) + intervalMs : bucketOf(now),
+                lastTimestamp: null,
+                lastIds: [],
+                buckets: new Map(),
+                trades: 0,
+                missedPolls: 0,
+                lastPoll: null
+            };
+        }
+        
+        tape.lastPoll = now;
+        const fresh = tape.lastTimestamp === null ? trades : trades.filter(trade =>
+            trade.timestamp > tape.lastTimestamp || (trade.timestamp === tape.lastTimestamp && !tape.lastIds.includes(trade.id)));
+        
+        // A full response that does not reach back to the last trade seen means trades were missed
+        if (tape.lastTimestamp !== null && trades.length >= this.config.tradeLimit && fresh.length === trades.length) {
+            tape.missedPolls++;
+            logger.warn(`Trades for ${pair} were missed between polls - lower tradeInterval or raise tradeLimit`, {
+                lastSeen: tape.lastTimestamp,
+                oldestReturned: trades[0].timestamp
+            });
+        }
+        
+        if (fresh.length === 0) {
+            return 0;
+        }
+        
+        tape.lastTimestamp = trades[trades.length - 1].timestamp;
+        tape.lastIds = trades.filter(trade => trade.timestamp === tape.lastTimestamp).map(trade => trade.id);
+        tape.trades += fresh.length;
+        
+        const touched = TradeAggregator.summarize(fresh.filter(trade => bucketOf(trade.timestamp) >= tape.coverageStart), intervalMs);
+        const lastIndex = this.history[pair] ? this.history[pair].timestamps.length - 1 : -1;
+        let lastBarChanged = false;
+        let earlierBarsChanged = false;
+        
+        for (const [bucketStart, totals] of touched) {
+            const merged = tape.buckets.get(bucketStart) || TradeAggregator.emptyTotals();
+            Object.keys(merged).forEach(key => { merged[key] += totals[key]; });
+            tape.buckets.set(bucketStart, merged);
+            
+            // Buckets without a candle yet are picked up when the next tick opens it
+            const index = this.syncTradeBar(pair, bucketStart);
+            if (index === lastIndex) {
+                lastBarChanged = true;
+            } else if (index !== -1) {
+                earlierBarsChanged = true;
+            }
+        }
+        
+        // Later trades cannot land in buckets before the newest trade seen
+        for (const bucketStart of tape.buckets.keys()) {
+            if (bucketStart < bucketOf(tape.lastTimestamp)) {
+                tape.buckets.delete(bucketStart);
+            }
+        }
+        
+        if (earlierBarsChanged) {
+            this.emit('barsRevised', { pair });
+        }
+        if (lastBarChanged) {
+            this.emit('newData', { pair, data: this.getCandleAt(pair, lastIndex), isNewCandle: false });
+        }
+        
+        return fresh.length;
+    }
+    
+    isTradeCovered(pair, bucketStart) {
+        const tape = this.tradeTapes[pair];
+        return !!tape && bucketStart >= tape.coverageStart;
+    }
+    
+    // Set the base candle of a bucket to the tape's trade totals and pass the difference on to the
+    // higher timeframes. Returns the candle's index, or -1 if the bucket has no candle.
+    syncTradeBar(pair, bucketStart) {
+        const history = this.history[pair];
+        const totals = this.tradeTapes[pair].buckets.get(bucketStart);
+        const index = history ? CandleAggregator.indexOfBucket(history, bucketStart, this.config.candleInterval) : -1;
+        
+        if (index === -1 || !totals) {
+            return -1;
+        }
+        
+        CandleAggregator.ensureTradeSeries(history);
+        const before = { volume: history.volumes[index] || 0, ...CandleAggregator.tradeFieldsAt(history, index) };
+        const beforeTraded = (before.buyVolume || 0) + (before.sellVolume || 0);
+        const fields = TradeAggregator.toBarFields(totals);
+        
+        history.volumes[index] = fields.volume;
+        for (const [key, field] of Object.entries(CandleAggregator.TRADE_SERIES)) {
+            history[key][index] = fields[field];
+        }
+        
+        const delta = {
+            volume: fields.volume - before.volume,
+            buyVolume: fields.buyVolume - (before.buyVolume || 0),
+            sellVolume: fields.sellVolume - (before.sellVolume || 0),
+            tradeCount: fields.tradeCount - (before.tradeCount || 0),
+            notional: totals.notional - (Number.isFinite(before.vwap) ? before.vwap * beforeTraded : 0)
+        };
+        
+        for (const [timeframe, timeframeHistory] of Object.entries(this.timeframeHistory[pair] || {})) {
+            CandleAggregator.addTradeMetrics(timeframeHistory, bucketStart, delta, CandleAggregator.getIntervalMs(timeframe));
+        }
+        
+        this.logDataPoint(pair, bucketStart);
+        return index;
+    }
+    
+    getTradeTapeStats(pair) {
+        const tape = this.tradeTapes[pair];
+        if (!tape) {
+            return null;
+        }
+        
+        return {
+            coverageStart: tape.coverageStart,
+            lastTradeAt: tape.lastTimestamp,
+            lastPoll: tape.lastPoll,
+            trades: tape.trades,
+            missedPolls: tape.missedPolls
+        };
+    }
+    
     // Dynamic pair management methods
-    async addPair(pair) {
+    async addPair(pair, exchange = null) {
         if (this.config.pairs.includes(pair)) {
             logger.warn(`Pair ${pair} already exists in configuration`);
             return false;
         }
         
         try {
-            logger.info(`Adding new trading pair: ${pair}`);
+            logger.info(`Adding new trading pair: ${pair}`, { exchange: exchange || this.config.defaultExchange });
             
             // Add to config
             this.config.pairs.push(pair);
+            this.setPairExchange(pair, exchange);
             
             // Load or preload data for new pair
             await this.loadOrPreloadSinglePair(pair);
@@ -458,6 +1259,7 @@ class MarketDataCollector extends EventEmitter {
             logger.error(`Failed to add pair ${pair}`, { error: error.message });
             // Remove from config if it was added
             this.config.pairs = this.config.pairs.filter(p => p !== pair);
+            delete this.config.pairExchanges[pair];
             throw error;
         }
     }
@@ -473,13 +1275,24 @@ class MarketDataCollector extends EventEmitter {
             
             // Remove from config
             this.config.pairs = this.config.pairs.filter(p => p !== pair);
+            delete this.config.pairExchanges[pair];
+            delete this.orderBooks[pair];
+            delete this.orderBookHistory[pair];
+            delete this.tradeTapes[pair];
+            delete this.lastTickAt[pair];
             
             // Remove history
             delete this.history[pair];
+            delete this.candleState[pair];
+            delete this.timeframeHistory[pair];
+            delete this.gapStats[pair];
             
             // Optionally delete stored data (comment out if you want to keep files)
             if (this.config.enablePersistence) {
                 await this.dataStorage.deletePairData(pair);
+                if (this.writeAheadLog) {
+                    this.writeAheadLog.delete(pair);
+                }
             }
             
             logger.info(`Successfully removed trading pair: ${pair}`);
@@ -492,7 +1305,8 @@ class MarketDataCollector extends EventEmitter {
         }
     }
     
-    async updatePairs(newPairs) {
+    // pairExchanges (optional) replaces the pair -> exchange mapping for the new pair list
+    async updatePairs(newPairs, pairExchanges = null) {
         try {
             logger.info('Updating trading pairs configuration', {
                 oldPairs: this.config.pairs,
@@ -505,16 +1319,31 @@ class MarketDataCollector extends EventEmitter {
             
             // Remove pairs that are no longer needed
             for (const pair of removed) {
+                delete this.config.pairExchanges[pair];
+                delete this.orderBooks[pair];
+                delete this.orderBookHistory[pair];
+                delete this.tradeTapes[pair];
+                delete this.lastTickAt[pair];
                 delete this.history[pair];
+                delete this.candleState[pair];
+                delete this.timeframeHistory[pair];
+                delete this.gapStats[pair];
                 // Optionally delete stored data
                 if (this.config.enablePersistence) {
                     await this.dataStorage.deletePairData(pair);
+                    if (this.writeAheadLog) {
+                        this.writeAheadLog.delete(pair);
+                    }
                 }
                 logger.debug(`Removed history for ${pair}`);
             }
             
             // Update config
             this.config.pairs = [...newPairs];
+            if (pairExchanges) {
+                this.config.pairExchanges = {};
+                newPairs.forEach(pair => this.setPairExchange(pair, pairExchanges[pair]));
+            }
             
             // Load or preload data for new pairs
             for (const pair of added) {
@@ -550,19 +1379,60 @@ class MarketDataCollector extends EventEmitter {
         }
     }
     
-    // Get available USDT trading pairs from exchange
-    async getAvailableUSDTPairs() {
-        try {
-            return await this.apiClient.getUSDTPairs();
-        } catch (error) {
-            logger.error('Failed to get available USDT pairs', { error: error.message });
-            throw error;
+    // Get available trading pairs for one quote currency (null for every market) from every
+    // registered exchange, or only from the given one. Each entry is tagged with its exchange.
+    async getAvailablePairs(quote = PairSymbol.DEFAULT_QUOTE, exchange = null) {
+        const names = exchange ? [exchange] : Object.keys(this.exchanges);
+        const results = await Promise.allSettled(names.map(name => {
+            if (!this.exchanges[name]) {
+                return Promise.reject(new Error(`Unknown exchange: ${name}`));
+            }
+            return this.circuitBreakers[name].execute(() => this.exchanges[name].fetchMarkets(quote));
+        }));
+        
+        const pairs = [];
+        const errors = [];
+        
+        results.forEach((result, i) => {
+            if (result.status === 'fulfilled') {
+                result.value.forEach(market => pairs.push({ ...market, exchange: names[i] }));
+            } else {
+                errors.push(`${names[i]}: ${result.reason.message}`);
+                logger.error('Failed to get available pairs', { exchange: names[i], quote, error: result.reason.message });
+            }
+        });
+        
+        // One exchange being down shouldn't hide the others' markets
+        if (pairs.length === 0 && errors.length > 0) {
+            throw new Error(errors.join('; '));
         }
+        
+        return pairs;
     }
     
     // Getter methods
-    getHistoryForPair(pair) {
-        return this.history[pair] || null;
+    // Latest snapshot and its analytics, or null before the first snapshot
+    getOrderBook(pair) {
+        const history = this.orderBookHistory[pair];
+        
+        if (!this.orderBooks[pair] || !history || history.length === 0) {
+            return null;
+        }
+        
+        return { book: this.orderBooks[pair], analytics: history[history.length - 1] };
+    }
+    
+    getOrderBookHistory(pair, limit = null) {
+        const history = this.orderBookHistory[pair] || [];
+        return limit ? history.slice(-limit) : [...history];
+    }
+    
+    getHistoryForPair(pair, timeframe = null) {
+        if (!timeframe || timeframe === this.baseTimeframe) {
+            return this.history[pair] || null;
+        }
+        
+        return (this.timeframeHistory[pair] && this.timeframeHistory[pair][timeframe]) || null;
     }
     
     getAllHistory() {
@@ -574,6 +1444,9 @@ class MarketDataCollector extends EventEmitter {
             ...this.stats,
             isCollecting: this.isCollecting,
             pairs: this.config.pairs,
+            exchanges: this.getPairExchanges(),
+            timeframes: this.getAvailableTimeframes(),
+            tradeTapes: Object.fromEntries(Object.keys(this.tradeTapes).map(pair => [pair, this.getTradeTapeStats(pair)])),
             dataPointsPerPair: Object.fromEntries(
                 Object.entries(this.history).map(([pair, data]) => [
                     pair, 
@@ -584,7 +1457,13 @@ class MarketDataCollector extends EventEmitter {
     }
     
     async getStorageStats() {
-        return await this.dataStorage.getStorageStats();
+        const stats = await this.dataStorage.getStorageStats();
+        
+        stats.pairs.forEach(entry => {
+            entry.gaps = this.getGapStats(entry.pair);
+        });
+        
+        return stats;
     }
     
     // Control methods
@@ -594,6 +1473,16 @@ class MarketDataCollector extends EventEmitter {
             this.collectionInterval = null;
         }
         
+        if (this.orderBookCollectionInterval) {
+            clearInterval(this.orderBookCollectionInterval);
+            this.orderBookCollectionInterval = null;
+        }
+        
+        if (this.tradeCollectionInterval) {
+            clearInterval(this.tradeCollectionInterval);
+            this.tradeCollectionInterval = null;
+        }
+        
         if (this.saveInterval) {
             clearInterval(this.saveInterval);
             this.saveInterval = null;
@@ -614,16 +1503,19 @@ class MarketDataCollector extends EventEmitter {
     
     async stop() {
         this.pause();
+        Object.values(this.circuitBreakers).forEach(breaker => breaker.stop());
         
         // Save all data before stopping with extra validation
         if (this.config.enablePersistence) {
             logger.info('💾 Starting final data save before shutdown...');
             
             const savePromises = [];
+            const logMarks = {};
             
             for (const pair of this.config.pairs) {
                 if (this.history[pair] && this.history[pair].closes && this.history[pair].closes.length > 0) {
                     logger.debug(`💾 Saving ${pair} - ${this.history[pair].closes.length} data points`);
+                    logMarks[pair] = this.writeAheadLog ? this.writeAheadLog.mark(pair) : 0;
                     
                     // Create individual promise for each pair to avoid race conditions
                     const savePromise = this.dataStorage.savePairData(pair, this.history[pair])
@@ -657,10 +1549,12 @@ class MarketDataCollector extends EventEmitter {
                     const results = await Promise.allSettled(savePromises);
                     let successCount = 0;
                     let failCount = 0;
+                    const savedPairs = new Set();
                     
                     results.forEach((result, index) => {
                         if (result.status === 'fulfilled' && result.value.success) {
                             successCount++;
+                            savedPairs.add(result.value.pair);
                         } else {
                             failCount++;
                             const pair = this.config.pairs[index];
@@ -672,6 +1566,14 @@ class MarketDataCollector extends EventEmitter {
                     });
                     
                     logger.info(`💾 Final data save completed - ${successCount} successful, ${failCount} failed`);
+                    
+                    // Higher timeframes are derived data, save them after the base series
+                    for (const pair of this.config.pairs) {
+                        const timeframesSaved = await this.saveTimeframeData(pair);
+                        if (savedPairs.has(pair) && timeframesSaved) {
+                            this.compactWriteAheadLog(pair, logMarks[pair]);
+                        }
+                    }
                 } catch (error) {
                     logger.error('💾 Error during final save', { error: error.message });
                 }
@@ -680,6 +1582,7 @@ class MarketDataCollector extends EventEmitter {
             }
         }
         
+        await this.dataStorage.close();
         logger.info('Market data collection stopped');
         this.emit('collectionStopped');
     }
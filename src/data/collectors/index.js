@@ -1,4 +1,4 @@
-const XeggexClient = require('./XeggexClient');
+const { XeggexClient } = require('../exchanges');
 const MarketDataCollector = require('./MarketDataCollector');
 
 module.exports = {
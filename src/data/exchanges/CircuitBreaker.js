@@ -0,0 +1,175 @@
+const EventEmitter = require('events');
+
+// Stops calling a service that keeps failing. After failureThreshold consecutive failures the
+// circuit opens and requests fail at once with code CIRCUIT_OPEN. Once openTimeout has passed a
+// single probe is let through (half-open): the `probe` option on a timer, or else the next request.
+// A successful probe closes the circuit; a failed one reopens it for twice as long, up to
+// maxOpenTimeout.
+class CircuitBreaker extends EventEmitter {
+    constructor(name, options = {}) {
+        super();
+        this.name = name;
+        this.options = {
+            failureThreshold: 5,
+            openTimeout: 30000,
+            maxOpenTimeout: 600000,
+            probe: null,                                // async () => {}, throws while the service is down
+            isFailure: CircuitBreaker.isServiceFailure, // Errors that count against the service
+            now: () => Date.now(),
+            ...options
+        };
+        
+        this.state = 'closed';
+        this.consecutiveFailures = 0;
+        this.openTimeout = this.options.openTimeout;
+        this.openedAt = null;
+        this.nextProbeAt = null;
+        this.probeTimer = null;
+        this.lastError = null;
+        this.lastFailureAt = null;
+        this.lastSuccessAt = null;
+        this.stats = { trips: 0, probes: 0, rejected: 0 };
+    }
+    
+    // Client errors other than 429 mean the service answered, so they don't open the circuit
+    static isServiceFailure(error) {
+        const statusCode = error && error.response ? error.response.statusCode : undefined;
+        return !(statusCode >= 400 && statusCode < 500 && statusCode !== 429);
+    }
+    
+    isClosed() {
+        return this.state === 'closed';
+    }
+    
+    async execute(task) {
+        if (this.state === 'open' && !this.options.probe && this.options.now() >= this.nextProbeAt) {
+            return this.runProbe(task);
+        }
+        
+        if (this.state !== 'closed') {
+            this.stats.rejected++;
+            const error = new Error(`${this.name} is unavailable (circuit ${this.state}), next probe at ${new Date(this.nextProbeAt).toISOString()}`);
+            error.code = 'CIRCUIT_OPEN';
+            throw error;
+        }
+        
+        try {
+            const result = await task();
+            this.recordSuccess();
+            return result;
+        } catch (error) {
+            this.recordFailure(error);
+            throw error;
+        }
+    }
+    
+    recordSuccess() {
+        this.lastSuccessAt = this.options.now();
+        if (this.state === 'closed') {
+            this.consecutiveFailures = 0;
+        }
+    }
+    
+    recordFailure(error) {
+        if (!this.options.isFailure(error)) {
+            return;
+        }
+        
+        this.lastError = error.message;
+        this.lastFailureAt = this.options.now();
+        
+        // Requests sent before the circuit opened can still fail after it
+        if (this.state !== 'closed') {
+            return;
+        }
+        
+        this.consecutiveFailures++;
+        if (this.consecutiveFailures >= this.options.failureThreshold) {
+            this.open();
+        }
+    }
+    
+    open() {
+        const now = this.options.now();
+        
+        if (this.state === 'closed') {
+            this.openedAt = now;
+            this.openTimeout = this.options.openTimeout;
+            this.stats.trips++;
+        }
+        
+        this.nextProbeAt = now + this.openTimeout;
+        this.setState('open');
+        
+        clearTimeout(this.probeTimer);
+        if (this.options.probe) {
+            this.probeTimer = setTimeout(() => {
+                this.runProbe(this.options.probe).catch(() => {});
+            }, this.openTimeout);
+        }
+    }
+    
+    close() {
+        clearTimeout(this.probeTimer);
+        this.probeTimer = null;
+        this.consecutiveFailures = 0;
+        this.openTimeout = this.options.openTimeout;
+        this.openedAt = null;
+        this.nextProbeAt = null;
+        this.setState('closed');
+    }
+    
+    async runProbe(task) {
+        this.probeTimer = null;
+        this.stats.probes++;
+        this.setState('half-open');
+        
+        try {
+            const result = await task();
+            this.lastSuccessAt = this.options.now();
+            this.close();
+            return result;
+        } catch (error) {
+            if (!this.options.isFailure(error)) {
+                this.close();
+                throw error;
+            }
+            
+            this.lastError = error.message;
+            this.lastFailureAt = this.options.now();
+            this.openTimeout = Math.min(this.openTimeout * 2, this.options.maxOpenTimeout);
+            this.open();
+            throw error;
+        }
+    }
+    
+    setState(state) {
+        const from = this.state;
+        this.state = state;
+        
+        if (from !== state) {
+            this.emit('stateChange', { name: this.name, from, to: state, status: this.getStatus() });
+        }
+    }
+    
+    // Cancel a pending probe, e.g. on shutdown
+    stop() {
+        clearTimeout(this.probeTimer);
+        this.probeTimer = null;
+    }
+    
+    getStatus() {
+        return {
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            openedAt: this.openedAt,
+            nextProbeAt: this.nextProbeAt,
+            lastError: this.lastError,
+            lastFailureAt: this.lastFailureAt,
+            lastSuccessAt: this.lastSuccessAt,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,61 @@
+const EventEmitter = require('events');
+
+// Interface between the collector and an exchange. Implementations translate the exchange's
+// own endpoints and response fields into the shapes below, so the collector and everything
+// downstream never see exchange-specific data. Pairs are always "BASE/QUOTE" market symbols.
+//
+// Implementations emit 'requestSuccess' and 'requestError' ({ endpoint, error }) per API call.
+class ExchangeAdapter extends EventEmitter {
+    constructor(name) {
+        super();
+        this.name = name;
+    }
+    
+    // { pair, price, volume24h, timestamp } - volume24h is the exchange's rolling 24h volume
+    async fetchTicker(pair) {
+        throw new Error(`${this.name} adapter does not implement fetchTicker`);
+    }
+    
+    // Ascending bars: [{ time, open, high, low, close, volume }] with time in milliseconds.
+    // resolution is the bar size in minutes; from/to (ms) request a window before the latest bar.
+    async fetchCandles(pair, { resolution = 5, countBack = 180, from = null, to = null } = {}) {
+        throw new Error(`${this.name} adapter does not implement fetchCandles`);
+    }
+    
+    // { pair, bids: [{ price, quantity }], asks: [{ price, quantity }], timestamp }
+    // Bids are sorted best (highest) first, asks best (lowest) first.
+    async fetchOrderBook(pair, depth = 50) {
+        throw new Error(`${this.name} adapter does not implement fetchOrderBook`);
+    }
+    
+    // Most recent trades, oldest first: [{ id, price, quantity, side, timestamp }] with the
+    // quantity in the base currency and side the aggressor ('buy' lifted an ask, 'sell' hit a bid)
+    async fetchTrades(pair, { limit = 100 } = {}) {
+        throw new Error(`${this.name} adapter does not implement fetchTrades`);
+    }
+    
+    // Active markets for a quote currency, or all of them when quote is null:
+    // [{ pair, base, quote, symbol, name, lastPrice, volume24h, change24h, isActive }]
+    async fetchMarkets(quote = null) {
+        throw new Error(`${this.name} adapter does not implement fetchMarkets`);
+    }
+    
+    async healthCheck() {
+        try {
+            await this.fetchMarkets(null);
+            return { healthy: true, timestamp: Date.now() };
+        } catch (error) {
+            return {
+                healthy: false,
+                error: error.message,
+                timestamp: Date.now()
+            };
+        }
+    }
+    
+    getStatus() {
+        return { name: this.name };
+    }
+}
+
+module.exports = ExchangeAdapter;
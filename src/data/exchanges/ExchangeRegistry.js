@@ -0,0 +1,31 @@
+const XeggexClient = require('./XeggexClient');
+
+// Factories for the supported exchanges, keyed by the name pairs are configured with.
+// options: { apiKey, apiSecret, ...exchange specific config from api.<name> }
+const factories = {
+    xeggex: (options = {}) => new XeggexClient(options.apiKey, options.apiSecret, options)
+};
+
+class ExchangeRegistry {
+    static register(name, factory) {
+        factories[name.toLowerCase()] = factory;
+    }
+    
+    static has(name) {
+        return typeof name === 'string' && Object.prototype.hasOwnProperty.call(factories, name.toLowerCase());
+    }
+    
+    static getNames() {
+        return Object.keys(factories);
+    }
+    
+    static create(name, options = {}) {
+        if (!ExchangeRegistry.has(name)) {
+            throw new Error(`Unknown exchange: ${name}. Available: ${ExchangeRegistry.getNames().join(', ')}`);
+        }
+        
+        return factories[name.toLowerCase()](options);
+    }
+}
+
+module.exports = ExchangeRegistry;
@@ -0,0 +1,235 @@
+// Lanes in the order they are served. Live ticks, order books and trades go first, then candle
+// preloads and backfills, then market discovery and health checks.
+const PRIORITIES = ['live', 'backfill', 'discovery'];
+
+// Network errors worth another attempt; anything else without a response is a bug or bad input
+const RETRYABLE_CODES = ['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH'];
+
+// Paces the requests to one exchange: a token bucket for the request rate, a cap on requests in
+// flight and priority lanes. Failed requests are retried with exponential backoff and jitter,
+// and a 429 pauses every lane until its Retry-After has passed. Timers only run while requests
+// are waiting, so an idle scheduler does not keep the process alive.
+class RequestScheduler {
+    constructor(options = {}) {
+        this.options = {
+            requests: 100,          // Sustained rate: tokens added per window
+            window: 60000,
+            burst: null,            // Bucket size (defaults to requests)
+            maxConcurrent: 4,       // Requests in flight at once
+            retries: 3,             // Attempts after the first for retryable failures
+            baseDelay: 500,         // Backoff before the first retry, doubled on every attempt
+            maxDelay: 30000,
+            maxRetryAfter: 300000,  // Upper bound on a server's Retry-After
+            now: () => Date.now(),
+            random: Math.random,
+            ...options
+        };
+        
+        this.capacity = this.options.burst || this.options.requests;
+        this.tokens = this.capacity;
+        this.lastRefill = this.options.now();
+        this.queues = Object.fromEntries(PRIORITIES.map(priority => [priority, []]));
+        this.active = 0;
+        this.pausedUntil = 0;
+        this.timer = null;
+        this.stats = { scheduled: 0, sent: 0, completed: 0, failed: 0, retried: 0, rateLimited: 0 };
+        this.waits = Object.fromEntries(PRIORITIES.map(priority => [priority, { count: 0, total: 0, max: 0, last: 0 }]));
+    }
+    
+    static get PRIORITIES() {
+        return PRIORITIES;
+    }
+    
+    // Run task() once a token and a slot are free. Settles with the task's result after any retries.
+    schedule(task, { priority = 'backfill', label = null } = {}) {
+        if (!this.queues[priority]) {
+            return Promise.reject(new Error(`Unknown request priority: ${priority}`));
+        }
+        
+        return new Promise((resolve, reject) => {
+            this.queues[priority].push({
+                task,
+                priority,
+                label,
+                resolve,
+                reject,
+                attempt: 0,
+                enqueuedAt: this.options.now(),
+                notBefore: 0
+            });
+            this.stats.scheduled++;
+            this.drain();
+        });
+    }
+    
+    refill(now) {
+        const rate = this.options.requests / this.options.window;
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * rate);
+        this.lastRefill = now;
+    }
+    
+    // Dispatch as many ready requests as tokens and slots allow, then sleep until the next one can go
+    drain() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        
+        while (this.active < this.options.maxConcurrent) {
+            const now = this.options.now();
+            
+            if (now < this.pausedUntil) {
+                return this.wake(this.pausedUntil - now);
+            }
+            
+            const { queue, index, wakeAt } = this.nextReady(now);
+            if (!queue) {
+                return wakeAt !== null ? this.wake(wakeAt - now) : undefined;
+            }
+            
+            this.refill(now);
+            if (this.tokens < 1) {
+                const rate = this.options.requests / this.options.window;
+                return this.wake((1 - this.tokens) / rate);
+            }
+            
+            this.tokens -= 1;
+            const [request] = queue.splice(index, 1);
+            this.run(request, now);
+        }
+    }
+    
+    // Highest priority request whose backoff has passed, or the time the earliest one will be ready
+    nextReady(now) {
+        let wakeAt = null;
+        
+        for (const priority of PRIORITIES) {
+            const queue = this.queues[priority];
+            for (let index = 0; index < queue.length; index++) {
+                if (queue[index].notBefore <= now) {
+                    return { queue, index, wakeAt: null };
+                }
+                wakeAt = wakeAt === null ? queue[index].notBefore : Math.min(wakeAt, queue[index].notBefore);
+            }
+        }
+        
+        return { queue: null, index: -1, wakeAt };
+    }
+    
+    wake(delay) {
+        this.timer = setTimeout(() => this.drain(), Math.max(1, Math.ceil(delay)));
+    }
+    
+    run(request, now) {
+        if (request.attempt === 0) {
+            const wait = now - request.enqueuedAt;
+            const waits = this.waits[request.priority];
+            waits.count++;
+            waits.total += wait;
+            waits.max = Math.max(waits.max, wait);
+            waits.last = wait;
+        }
+        
+        request.attempt++;
+        this.active++;
+        this.stats.sent++;
+        
+        Promise.resolve()
+            .then(() => request.task())
+            .then(result => {
+                this.active--;
+                this.stats.completed++;
+                request.resolve(result);
+                this.drain();
+            }, error => {
+                this.active--;
+                this.handleFailure(request, error);
+                this.drain();
+            });
+    }
+    
+    handleFailure(request, error) {
+        const now = this.options.now();
+        const statusCode = error && error.response ? error.response.statusCode : null;
+        
+        if (statusCode === 429) {
+            // The exchange is out of requests for us, whatever our own bucket says
+            const headers = error.response.headers || {};
+            const retryAfter = RequestScheduler.parseRetryAfter(headers['retry-after'], now);
+            const pause = retryAfter !== null ? Math.min(retryAfter, this.options.maxRetryAfter) : this.backoffDelay(request.attempt);
+            
+            this.stats.rateLimited++;
+            this.pausedUntil = Math.max(this.pausedUntil, now + pause);
+            this.tokens = 0;
+        }
+        
+        if (request.attempt > this.options.retries || !RequestScheduler.isRetryable(error)) {
+            this.stats.failed++;
+            request.reject(error);
+            return;
+        }
+        
+        this.stats.retried++;
+        request.notBefore = statusCode === 429 ? this.pausedUntil : now + this.backoffDelay(request.attempt);
+        // Retries keep their place ahead of newer requests in the lane
+        this.queues[request.priority].unshift(request);
+    }
+    
+    // Exponential backoff with "equal jitter": half the delay is fixed, half is random
+    backoffDelay(attempt) {
+        const ceiling = Math.min(this.options.maxDelay, this.options.baseDelay * Math.pow(2, attempt - 1));
+        return Math.round(ceiling / 2 + this.options.random() * ceiling / 2);
+    }
+    
+    static isRetryable(error) {
+        const statusCode = error && error.response ? error.response.statusCode : null;
+        
+        if (statusCode !== null && statusCode !== undefined) {
+            return statusCode === 429 || statusCode >= 500;
+        }
+        
+        return !!error && RETRYABLE_CODES.includes(error.code);
+    }
+    
+    // Retry-After is either a number of seconds or an HTTP date. Returns milliseconds or null.
+    static parseRetryAfter(value, now = Date.now()) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+        
+        const date = Date.parse(value);
+        return Number.isFinite(date) ? Math.max(0, date - now) : null;
+    }
+    
+    getStatus() {
+        const now = this.options.now();
+        this.refill(now);
+        
+        const queued = Object.fromEntries(PRIORITIES.map(priority => [priority, this.queues[priority].length]));
+        const waitTimes = Object.fromEntries(PRIORITIES.map(priority => {
+            const waits = this.waits[priority];
+            return [priority, {
+                requests: waits.count,
+                average: waits.count > 0 ? Math.round(waits.total / waits.count) : 0,
+                max: waits.max,
+                last: waits.last
+            }];
+        }));
+        
+        return {
+            queued,
+            queueDepth: Object.values(queued).reduce((sum, count) => sum + count, 0),
+            active: this.active,
+            tokens: Math.floor(this.tokens),
+            capacity: this.capacity,
+            pausedUntil: this.pausedUntil > now ? this.pausedUntil : null,
+            waitTimes,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = RequestScheduler;
@@ -0,0 +1,327 @@
+const got = require("got");
+const ExchangeAdapter = require('./ExchangeAdapter');
+const RequestScheduler = require('./RequestScheduler');
+const { CandleAggregator } = require('../aggregators');
+const { Logger, PairSymbol } = require('../../utils');
+
+// Parse a numeric API field; Xeggex returns most numbers as strings
+function toNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+class XeggexClient extends ExchangeAdapter {
+    constructor(apiKey = null, apiSecret = null, config = {}) {
+        super('xeggex');
+        
+        this.config = {
+            baseUrl: "https://api.xeggex.com/api/v2",
+            rateLimit: { requests: 100, window: 60000 },
+            retry: { limit: 3, baseDelay: 500, maxDelay: 30000 },
+            timeout: 10000,
+            ...config
+        };
+        
+        this.setupAuth(apiKey, apiSecret);
+        this.setupScheduler();
+        
+        Logger.info('XeggexClient initialized', {
+            hasAuth: !!this.auth,
+            baseUrl: this.config.baseUrl
+        });
+    }
+    
+    setupAuth(apiKey, apiSecret) {
+        if (apiKey && apiSecret) {
+            this.auth = "Basic " + Buffer.from(apiKey + ":" + apiSecret).toString("base64");
+            this.options = {
+                prefixUrl: this.config.baseUrl,
+                headers: { Authorization: this.auth },
+                timeout: { request: this.config.timeout },
+                retry: { limit: 0 } // Retries go through the scheduler
+            };
+            Logger.info('XeggexClient authentication configured');
+        } else {
+            this.options = {
+                prefixUrl: this.config.baseUrl,
+                timeout: { request: this.config.timeout },
+                retry: { limit: 0 }
+            };
+            Logger.warn('XeggexClient running without authentication');
+        }
+    }
+    
+    // rateLimit: { requests, window, burst, maxConcurrent }, retry: { limit, baseDelay, maxDelay }.
+    // A ready-made RequestScheduler can be passed as config.scheduler instead.
+    setupScheduler() {
+        this.requestCount = 0;
+        
+        if (this.config.scheduler) {
+            this.scheduler = this.config.scheduler;
+            return;
+        }
+        
+        const { requests, window, burst, maxConcurrent } = this.config.rateLimit;
+        const retry = this.config.retry || {};
+        
+        this.scheduler = new RequestScheduler({
+            requests,
+            window,
+            burst: burst || null,
+            maxConcurrent: maxConcurrent || 4,
+            retries: retry.limit !== undefined ? retry.limit : 3,
+            baseDelay: retry.baseDelay || 500,
+            maxDelay: retry.maxDelay || 30000
+        });
+    }
+    
+    // Queue a request in a scheduler lane: 'live', 'backfill' or 'discovery' (see RequestScheduler)
+    async makeRequest(endpoint, options = {}, priority = 'backfill') {
+        return this.scheduler.schedule(() => this.sendRequest(endpoint, options), { priority, label: endpoint });
+    }
+    
+    async sendRequest(endpoint, options = {}) {
+        this.requestCount++;
+        const startTime = Date.now();
+        
+        try {
+            Logger.debug(`Making request to ${endpoint}`);
+            
+            const response = await got.get(endpoint, { 
+                ...this.options, 
+                ...options 
+            }).json();
+            
+            const duration = Date.now() - startTime;
+            
+            Logger.debug(`Request successful: ${endpoint}`, {
+                duration: `${duration}ms`,
+                endpoint
+            });
+            
+            this.emit('requestSuccess', { endpoint, response, duration });
+            return response;
+            
+        } catch (error) {
+            const duration = Date.now() - startTime;
+            
+            Logger.error(`Request failed: ${endpoint}`, {
+                error: error.message,
+                duration: `${duration}ms`,
+                statusCode: error.response?.statusCode,
+                endpoint
+            });
+            
+            this.emit('requestError', { endpoint, error, duration });
+            throw error;
+        }
+    }
+    
+    async getMarket(symbol, priority = 'live') {
+        const encodedSymbol = encodeURIComponent(symbol);
+        return this.makeRequest(`market/getbysymbol/${encodedSymbol}`, {}, priority);
+    }
+    
+    // Pass range.from / range.to (ms) to request a window ending before the latest bar
+    async getCandles(symbol, resolution = 5, countBack = 1440, range = {}, priority = 'backfill') {
+        const params = new URLSearchParams({
+            symbol: symbol,
+            resolution: resolution.toString(),
+            countBack: countBack.toString(),
+            firstDataRequest: range.to ? '0' : '1'
+        });
+        
+        // The candles endpoint takes its range in seconds
+        if (range.from) {
+            params.set('from', Math.floor(range.from / 1000).toString());
+        }
+        if (range.to) {
+            params.set('to', Math.floor(range.to / 1000).toString());
+        }
+        
+        return this.makeRequest(`market/candles?${params}`, {}, priority);
+    }
+    
+    async getMarkets(priority = 'discovery') {
+        return this.makeRequest("market/getlist", {}, priority);
+    }
+    
+    // Active markets quoted in the given currency (e.g. "BTC"), or every active market when quote is null.
+    // Each entry is identified by its market symbol, e.g. { pair: "KAS/BTC", base: "KAS", quote: "BTC" }.
+    async fetchMarkets(quote = null) {
+        try {
+            const markets = await this.getMarkets();
+            
+            if (!markets || !Array.isArray(markets)) {
+                throw new Error('Invalid markets response');
+            }
+            
+            const quoteFilter = quote ? quote.toUpperCase() : null;
+            
+            const pairs = markets
+                .filter(market => market.isActive !== false) // Include if isActive is true or undefined
+                .map(market => ({ market, pair: PairSymbol.normalize(market.symbol || '') }))
+                .filter(({ pair }) => pair && (!quoteFilter || pair.endsWith(`/${quoteFilter}`)))
+                .map(({ market, pair }) => {
+                    const { base, quote: marketQuote } = PairSymbol.parse(pair);
+                    return {
+                        pair,
+                        base,
+                        quote: marketQuote,
+                        symbol: market.symbol,
+                        name: market.primaryCurrencyName || base,
+                        lastPrice: market.lastPrice ? parseFloat(market.lastPrice) : null,
+                        volume24h: market.volume ? parseFloat(market.volume) : null,
+                        change24h: market.change ? parseFloat(market.change) : null,
+                        isActive: market.isActive
+                    };
+                })
+                .sort((a, b) => a.pair.localeCompare(b.pair)); // Sort alphabetically
+            
+            Logger.debug('Retrieved market pairs', {
+                quote: quoteFilter || 'all',
+                totalPairs: pairs.length,
+                samplePairs: pairs.slice(0, 5).map(p => p.pair)
+            });
+            
+            return pairs;
+            
+        } catch (error) {
+            Logger.error('Failed to get market pairs', { quote, error: error.message });
+            throw error;
+        }
+    }
+    
+    async getUSDTPairs() {
+        return this.fetchMarkets('USDT');
+    }
+    
+    async getOrderBook(symbol, priority = 'live') {
+        const encodedSymbol = encodeURIComponent(symbol);
+        return this.makeRequest(`market/getorderbookbysymbol/${encodedSymbol}`, {}, priority);
+    }
+    
+    // Recent trades from the public trade history endpoint (CoinGecko format, ticker_id like KAS_USDT)
+    async getTrades(symbol, limit = 100, priority = 'live') {
+        const params = new URLSearchParams({
+            ticker_id: symbol,
+            limit: limit.toString()
+        });
+        
+        return this.makeRequest(`historical_trades?${params}`, {}, priority);
+    }
+    
+    // Normalized adapter methods (see ExchangeAdapter) on top of the raw endpoints above
+    async fetchTicker(pair) {
+        const market = await this.getMarket(PairSymbol.toExchangeSymbol(pair));
+        const price = market ? toNumber(market.lastPriceNumber) : null;
+        
+        if (price === null) {
+            throw new Error('Invalid response format');
+        }
+        
+        return {
+            pair: PairSymbol.normalize(pair),
+            price,
+            volume24h: toNumber(market.volumeNumber),
+            timestamp: Date.now()
+        };
+    }
+    
+    async fetchCandles(pair, { resolution = 5, countBack = 180, from = null, to = null } = {}) {
+        const response = await this.getCandles(PairSymbol.toExchangeSymbol(pair), resolution, countBack, { from, to });
+        
+        if (!response || !Array.isArray(response.bars)) {
+            return [];
+        }
+        
+        return response.bars
+            .map(bar => ({
+                time: CandleAggregator.normalizeTimestamp(bar.time),
+                open: toNumber(bar.open),
+                high: toNumber(bar.high),
+                low: toNumber(bar.low),
+                close: toNumber(bar.close),
+                volume: toNumber(bar.volume) || 0
+            }))
+            .filter(bar => bar.time !== null && bar.close !== null)
+            .sort((a, b) => a.time - b.time);
+    }
+    
+    async fetchOrderBook(pair, depth = 50) {
+        const book = await this.getOrderBook(PairSymbol.toExchangeSymbol(pair));
+        
+        if (!book || !Array.isArray(book.bids) || !Array.isArray(book.asks)) {
+            throw new Error('Invalid order book response');
+        }
+        
+        const toLevels = levels => levels
+            .map(level => ({
+                price: toNumber(level.numberprice !== undefined ? level.numberprice : level.price),
+                quantity: toNumber(level.quantity)
+            }))
+            .filter(level => level.price !== null && level.price > 0 && level.quantity !== null && level.quantity > 0);
+        
+        return {
+            pair: PairSymbol.normalize(pair),
+            bids: toLevels(book.bids).sort((a, b) => b.price - a.price).slice(0, depth),
+            asks: toLevels(book.asks).sort((a, b) => a.price - b.price).slice(0, depth),
+            timestamp: CandleAggregator.normalizeTimestamp(book.timestamp) || Date.now()
+        };
+    }
+    
+    async fetchTrades(pair, { limit = 100 } = {}) {
+        const response = await this.getTrades(PairSymbol.toExchangeSymbol(pair), limit);
+        
+        // Either a flat list or the CoinGecko { buy: [...], sell: [...] } split
+        const trades = Array.isArray(response) ? response :
+            (response && typeof response === 'object' ? [...(response.buy || []), ...(response.sell || [])] : null);
+        
+        if (!trades) {
+            throw new Error('Invalid trades response');
+        }
+        
+        return trades
+            .map(trade => ({
+                id: String(trade.trade_id !== undefined ? trade.trade_id : trade.id),
+                price: toNumber(trade.price),
+                quantity: toNumber(trade.base_volume !== undefined ? trade.base_volume : trade.quantity),
+                side: String(trade.type || trade.side || '').toLowerCase() === 'sell' ? 'sell' : 'buy',
+                timestamp: CandleAggregator.normalizeTimestamp(trade.trade_timestamp !== undefined ? trade.trade_timestamp : trade.timestamp)
+            }))
+            .filter(trade => trade.price !== null && trade.price > 0 && trade.quantity !== null && trade.quantity > 0 && trade.timestamp !== null)
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .slice(-limit);
+    }
+    
+    // Add health check method
+    async healthCheck() {
+        try {
+            await this.getMarkets();
+            return { healthy: true, timestamp: Date.now() };
+        } catch (error) {
+            return { 
+                healthy: false, 
+                error: error.message, 
+                timestamp: Date.now() 
+            };
+        }
+    }
+    
+    // Get API status
+    getStatus() {
+        return {
+            name: this.name,
+            requestCount: this.requestCount,
+            hasAuth: !!this.auth,
+            scheduler: this.scheduler.getStatus(),
+            config: {
+                baseUrl: this.config.baseUrl,
+                rateLimit: this.config.rateLimit,
+                retry: this.config.retry
+            }
+        };
+    }
+}
+
+module.exports = XeggexClient;
\ No newline at end of file
@@ -0,0 +1,13 @@
+const ExchangeAdapter = require('./ExchangeAdapter');
+const RequestScheduler = require('./RequestScheduler');
+const CircuitBreaker = require('./CircuitBreaker');
+const XeggexClient = require('./XeggexClient');
+const ExchangeRegistry = require('./ExchangeRegistry');
+
+module.exports = {
+    ExchangeAdapter,
+    RequestScheduler,
+    CircuitBreaker,
+    XeggexClient,
+    ExchangeRegistry
+};
\ No newline at end of file
@@ -7,6 +7,11 @@ class DataValidator {
                value !== -Infinity;
     }
     
+    // Volumes may legitimately be zero (e.g. a candle with no trades)
+    static isValidVolume(value) {
+        return Number.isFinite(value) && value >= 0;
+    }
+    
     static isValidPriceData(data) {
         if (!data || typeof data !== 'object') return false;
         
@@ -17,11 +22,16 @@ class DataValidator {
             
             if (field === 'timestamp') {
                 if (!Number.isInteger(data[field]) || data[field] <= 0) return false;
+            } else if (field === 'volume') {
+                if (!this.isValidVolume(data[field])) return false;
             } else {
                 if (!this.isValidNumber(data[field])) return false;
             }
         }
         
+        // Open is optional for backwards compatibility with close-only data points
+        if ('open' in data && !this.isValidNumber(data.open)) return false;
+        
         // Logical validation
         if (data.high < data.low || 
             data.close > data.high || 
@@ -29,6 +39,10 @@ class DataValidator {
             return false;
         }
         
+        if ('open' in data && (data.open > data.high || data.open < data.low)) {
+            return false;
+        }
+        
         return true;
     }
     
@@ -0,0 +1,175 @@
+const { TechnicalStrategies } = require('../strategies/technical');
+
+// Output formats: CSV with a header row, JSON Lines with one object per bar, and a columnar JSON
+// document (like a Parquet file: a typed schema followed by one array per column)
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+    columns: { contentType: 'application/json; charset=utf-8', extension: 'columns.json' }
+};
+
+// Candle columns and their types, in output order
+const CANDLE_COLUMNS = [
+    ['timestamp', 'int64'],
+    ['time', 'string'],
+    ['open', 'float64'],
+    ['high', 'float64'],
+    ['low', 'float64'],
+    ['close', 'float64'],
+    ['volume', 'float64'],
+    ['buyVolume', 'float64'],
+    ['sellVolume', 'float64'],
+    ['tradeCount', 'int64'],
+    ['vwap', 'float64']
+];
+
+const CHUNK_ROWS = 500;
+
+// Writes a candle history, optionally joined with indicator values per bar, to a writable stream
+// (an HTTP response or a file). Indicator columns are named <indicator>_<field>, e.g. macd_histogram,
+// and are empty on bars before the indicator has enough data.
+class HistoryExporter {
+    constructor({ technicalStrategies = null, indicators = [] } = {}) {
+        this.technicalStrategies = technicalStrategies || new TechnicalStrategies();
+        this.indicators = indicators;
+    }
+    
+    static get FORMATS() {
+        return FORMATS;
+    }
+    
+    static isFormat(format) {
+        return Object.prototype.hasOwnProperty.call(FORMATS, format);
+    }
+    
+    // Bars the indicators need before their first value; exporting a range needs this many bars before `from`
+    getWarmupBars() {
+        return this.indicators.reduce((most, name) => Math.max(most, this.technicalStrategies.indicators[name].minDataPoints || 0), 0);
+    }
+    
+    // Indicator values keyed by candle timestamp, plus the columns they fill
+    calculateIndicators(history) {
+        const columns = [];
+        const values = new Map();
+        
+        for (const name of this.indicators) {
+            const series = this.technicalStrategies.calculateSeries(name, history);
+            const fields = new Map();
+            
+            series.forEach(({ timestamp, ...point }) => {
+                const row = values.get(timestamp) || {};
+                for (const [field, value] of Object.entries(point)) {
+                    if (!fields.has(field)) {
+                        fields.set(field, typeof value === 'number' ? 'float64' : 'string');
+                    }
+                    row[`${name}_${field}`] = value;
+                }
+                values.set(timestamp, row);
+            });
+            
+            fields.forEach((type, field) => columns.push({ name: `${name}_${field}`, type }));
+        }
+        
+        return { columns, values };
+    }
+    
+    // Rows of the bars within the inclusive from/to range; limit keeps the most recent ones
+    buildRows(history, { from = null, to = null, limit = null } = {}) {
+        const indicators = this.calculateIndicators(history);
+        const columns = [...CANDLE_COLUMNS.map(([name, type]) => ({ name, type })), ...indicators.columns];
+        const rows = [];
+        
+        for (let i = 0; i < history.closes.length; i++) {
+            const timestamp = history.timestamps[i];
+            if ((from !== null && timestamp < from) || (to !== null && timestamp > to)) continue;
+            
+            rows.push({
+                timestamp,
+                time: new Date(timestamp).toISOString(),
+                open: history.opens ? history.opens[i] : history.closes[i],
+                high: history.highs[i],
+                low: history.lows[i],
+                close: history.closes[i],
+                volume: history.volumes[i],
+                buyVolume: HistoryExporter.valueAt(history.buyVolumes, i),
+                sellVolume: HistoryExporter.valueAt(history.sellVolumes, i),
+                tradeCount: HistoryExporter.valueAt(history.tradeCounts, i),
+                vwap: HistoryExporter.valueAt(history.vwaps, i),
+                ...indicators.values.get(timestamp)
+            });
+        }
+        
+        return { columns, rows: limit ? rows.slice(-limit) : rows };
+    }
+    
+    // Write the export and resolve with the number of rows. `meta` is included in the columnar format.
+    async write(output, history, format, range = {}, meta = {}) {
+        if (!HistoryExporter.isFormat(format)) {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+        
+        const { columns, rows } = this.buildRows(history, range);
+        const names = columns.map(column => column.name);
+        
+        if (format === 'columns') {
+            const data = {};
+            names.forEach(name => { data[name] = rows.map(row => HistoryExporter.valueOrNull(row[name])); });
+            await HistoryExporter.writeChunk(output, JSON.stringify({ ...meta, rows: rows.length, schema: columns, data }));
+            return rows.length;
+        }
+        
+        if (format === 'csv') {
+            await HistoryExporter.writeChunk(output, `${names.join(',')}\n`);
+        }
+        
+        for (let start = 0; start < rows.length; start += CHUNK_ROWS) {
+            const lines = rows.slice(start, start + CHUNK_ROWS).map(row => format === 'csv'
+                ? names.map(name => HistoryExporter.csvValue(row[name])).join(',')
+                : JSON.stringify(Object.fromEntries(names.map(name => [name, HistoryExporter.valueOrNull(row[name])]))));
+            
+            if (!await HistoryExporter.writeChunk(output, `${lines.join('\n')}\n`)) {
+                break; // The client went away
+            }
+        }
+        
+        return rows.length;
+    }
+    
+    // Resolves false when the stream closed before it could take more data
+    static async writeChunk(output, chunk) {
+        if (output.destroyed) {
+            return false;
+        }
+        if (!output.write(chunk)) {
+            await new Promise(resolve => {
+                const done = () => {
+                    output.off('drain', done);
+                    output.off('close', done);
+                    resolve();
+                };
+                output.on('drain', done);
+                output.on('close', done);
+            });
+        }
+        return !output.destroyed;
+    }
+    
+    static valueAt(series, i) {
+        return Array.isArray(series) && series[i] !== undefined ? series[i] : null;
+    }
+    
+    static valueOrNull(value) {
+        return value === undefined ? null : value;
+    }
+    
+    static csvValue(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+module.exports = HistoryExporter;
@@ -0,0 +1,5 @@
+const HistoryExporter = require('./HistoryExporter');
+
+module.exports = {
+    HistoryExporter
+};
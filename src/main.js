@@ -1,5 +1,6 @@
 const TradingBotServer = require('./server/ExpressApp');
 const { Logger } = require('./utils');
+const { IndicatorRegistry } = require('./strategies/technical');
 
 async function main() {
     try {
@@ -14,7 +15,7 @@ async function main() {
         
         Logger.info('✅ Trading Bot Core API Server started successfully');
         Logger.info('🔗 This service provides REST API for market data and technical analysis');
-        Logger.info('📋 Available indicators: RSI, MACD, Bollinger Bands, Moving Average, Volume, Stochastic, Williams %R, Ichimoku Cloud, ADX, CCI, Parabolic SAR');
+        Logger.info(`📋 Available indicators: ${IndicatorRegistry.getLabels().join(', ')}`);
         
     } catch (error) {
         Logger.error('❌ Failed to start Trading Bot Core API Server', { 
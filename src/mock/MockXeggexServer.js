@@ -0,0 +1,290 @@
+const express = require('express');
+const SyntheticMarket = require('./SyntheticMarket');
+const { Logger, PairSymbol } = require('../utils');
+
+// Markets served when none are configured: the default tracked pairs plus a BTC market
+// with regime switches, a thin market with trading gaps and an inactive listing
+const DEFAULT_MARKETS = {
+    'XMR/USDT': { name: 'Monero', price: 160, volume: 40 },
+    'RVN/USDT': { name: 'Ravencoin', price: 0.02, volume: 250000 },
+    'BEL/USDT': { name: 'Bellscoin', price: 0.8, volume: 5000, model: 'trend', trend: 0.00005 },
+    'DOGE/USDT': { name: 'Dogecoin', price: 0.08, volume: 80000 },
+    'KAS/USDT': { name: 'Kaspa', price: 0.12, volume: 60000, model: 'regimes' },
+    'SAL/USDT': { name: 'Salvium', price: 0.3, volume: 800, gapProbability: 0.002, gapLength: 45 },
+    'KAS/BTC': { name: 'Kaspa', price: 0.0000021, volume: 20000, model: 'regimes' },
+    'OLD/USDT': { name: 'Delisted', price: 0.5, volume: 10, active: false }
+};
+
+// Exchange APIs return prices with limited precision
+function round(value) {
+    return Number(value.toPrecision(10));
+}
+
+// Local stand-in for the Xeggex REST API (market/getlist, market/getbysymbol, market/candles,
+// market/getorderbookbysymbol and historical_trades) serving deterministic synthetic markets. Point XeggexClient at it
+// with api.xeggex.baseUrl. Rate limits and outages can be switched on to exercise error handling.
+class MockXeggexServer {
+    constructor(options = {}) {
+        this.options = {
+            port: 3100,
+            host: '127.0.0.1',
+            basePath: '/api/v2',
+            seed: 42,
+            historyDays: 14,        // Days of history generated before the server starts
+            markets: DEFAULT_MARKETS, // Market symbol -> SyntheticMarket options (+ name, active)
+            rateLimit: null,        // { requests, window }: requests over the limit get 429 with Retry-After
+            outages: null,          // { every, duration } in ms, or a list of { start, end } timestamps: 503s
+            latency: 0,             // Delay added to every response (ms)
+            now: () => Date.now(),  // Clock, replaceable for reproducible tests
+            ...options
+        };
+        
+        this.startedAt = this.options.now();
+        this.markets = {};
+        for (const [symbol, marketOptions] of Object.entries(this.options.markets)) {
+            const pair = PairSymbol.normalize(symbol);
+            if (!pair) {
+                throw new Error(`Invalid mock market symbol: ${symbol}`);
+            }
+            
+            this.markets[pair] = {
+                name: marketOptions.name || pair.split('/')[0],
+                active: marketOptions.active !== false,
+                path: new SyntheticMarket(pair, {
+                    seed: this.options.seed,
+                    startTime: this.startedAt - this.options.historyDays * 24 * 60 * 60000,
+                    ...marketOptions
+                })
+            };
+        }
+        
+        this.forcedOutageUntil = 0;
+        this.rateWindow = { start: this.startedAt, count: 0 };
+        this.stats = { requests: 0, rateLimited: 0, outageErrors: 0, notFound: 0 };
+        this.server = null;
+        
+        this.app = express();
+        this.setupRoutes();
+    }
+    
+    setupRoutes() {
+        const router = express.Router();
+        
+        router.use((req, res, next) => this.applyFaults(req, res, next));
+        
+        router.get('/market/getlist', (req, res) => {
+            const now = this.options.now();
+            res.json(Object.keys(this.markets).map(pair => this.formatMarket(pair, now)));
+        });
+        
+        router.get('/market/getbysymbol/:symbol', (req, res) => {
+            const pair = this.resolveMarket(req.params.symbol, res);
+            if (!pair) return;
+            
+            res.json(this.formatMarket(pair, this.options.now()));
+        });
+        
+        // from/to are in seconds, like the real endpoint; bar times are in milliseconds
+        router.get('/market/candles', (req, res) => {
+            const pair = this.resolveMarket(req.query.symbol, res);
+            if (!pair) return;
+            
+            const resolution = parseInt(req.query.resolution, 10) || 5;
+            const countBack = Math.min(parseInt(req.query.countBack, 10) || 180, 5000);
+            const from = req.query.from ? parseInt(req.query.from, 10) * 1000 : null;
+            const to = req.query.to ? parseInt(req.query.to, 10) * 1000 : null;
+            
+            const bars = this.markets[pair].path.getCandles(this.options.now(), { resolution, countBack, from, to });
+            
+            res.json({
+                bars: bars.map(bar => ({
+                    time: bar.time,
+                    open: round(bar.open),
+                    high: round(bar.high),
+                    low: round(bar.low),
+                    close: round(bar.close),
+                    volume: round(bar.volume)
+                }))
+            });
+        });
+        
+        router.get('/market/getorderbookbysymbol/:symbol', (req, res) => {
+            const pair = this.resolveMarket(req.params.symbol, res);
+            if (!pair) return;
+            
+            const now = this.options.now();
+            const depth = Math.min(parseInt(req.query.depth, 10) || 50, 200);
+            const { bids, asks } = this.markets[pair].path.getOrderBook(now, depth);
+            const formatLevel = level => ({
+                price: String(round(level.price)),
+                numberprice: round(level.price),
+                quantity: String(round(level.quantity))
+            });
+            
+            res.json({
+                marketid: `mock-${PairSymbol.toFileKey(pair)}`,
+                symbol: pair,
+                timestamp: now,
+                bids: bids.map(formatLevel),
+                asks: asks.map(formatLevel)
+            });
+        });
+        
+        // CoinGecko-style trade history, newest first
+        router.get('/historical_trades', (req, res) => {
+            const pair = this.resolveMarket(req.query.ticker_id, res);
+            if (!pair) return;
+            
+            const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+            const trades = this.markets[pair].path.getTrades(this.options.now(), limit);
+            
+            res.json(trades.reverse().map(trade => ({
+                trade_id: trade.id,
+                price: String(round(trade.price)),
+                base_volume: String(trade.quantity),
+                target_volume: String(round(trade.price * trade.quantity)),
+                trade_timestamp: trade.timestamp,
+                type: trade.side
+            })));
+        });
+        
+        this.app.use(this.options.basePath, router);
+        
+        this.app.use((req, res) => {
+            res.status(404).json({ error: 'Not found', path: req.path });
+        });
+    }
+    
+    // Outages, rate limiting and latency, checked before every request
+    applyFaults(req, res, next) {
+        const now = this.options.now();
+        this.stats.requests++;
+        
+        if (this.isInOutage(now)) {
+            this.stats.outageErrors++;
+            return res.status(503).json({ error: 'Service temporarily unavailable' });
+        }
+        
+        const { rateLimit } = this.options;
+        if (rateLimit) {
+            if (now - this.rateWindow.start >= rateLimit.window) {
+                this.rateWindow = { start: now, count: 0 };
+            }
+            
+            if (this.rateWindow.count >= rateLimit.requests) {
+                const retryAfter = Math.ceil((this.rateWindow.start + rateLimit.window - now) / 1000);
+                this.stats.rateLimited++;
+                res.set('Retry-After', String(Math.max(retryAfter, 1)));
+                return res.status(429).json({ error: 'Too many requests' });
+            }
+            
+            this.rateWindow.count++;
+        }
+        
+        if (this.options.latency > 0) {
+            setTimeout(next, this.options.latency);
+        } else {
+            next();
+        }
+    }
+    
+    isInOutage(now) {
+        const { outages } = this.options;
+        
+        if (now < this.forcedOutageUntil) {
+            return true;
+        }
+        
+        if (Array.isArray(outages)) {
+            return outages.some(({ start, end }) => now >= start && now < end);
+        }
+        
+        // Periodic outages: the last `duration` ms of every `every` ms since the server started
+        if (outages && outages.every > 0) {
+            return (now - this.startedAt) % outages.every >= outages.every - outages.duration;
+        }
+        
+        return false;
+    }
+    
+    // Fail every request for the next `duration` ms
+    startOutage(duration) {
+        this.forcedOutageUntil = this.options.now() + duration;
+    }
+    
+    resolveMarket(symbol, res) {
+        const pair = PairSymbol.normalize(String(symbol || ''));
+        
+        if (!pair || !this.markets[pair]) {
+            this.stats.notFound++;
+            res.status(404).json({ error: 'Market not found', symbol });
+            return null;
+        }
+        
+        return pair;
+    }
+    
+    // Market in the shape of the Xeggex market endpoints: numbers as strings plus *Number fields
+    formatMarket(pair, now) {
+        const market = this.markets[pair];
+        const ticker = market.path.getTicker(now);
+        const { base, quote } = PairSymbol.parse(pair);
+        
+        return {
+            id: `mock-${PairSymbol.toFileKey(pair)}`,
+            symbol: pair,
+            primaryTicker: base,
+            secondaryTicker: quote,
+            primaryCurrencyName: market.name,
+            lastPrice: String(round(ticker.lastPrice)),
+            lastPriceNumber: round(ticker.lastPrice),
+            highPrice: String(round(ticker.highPrice)),
+            highPriceNumber: round(ticker.highPrice),
+            lowPrice: String(round(ticker.lowPrice)),
+            lowPriceNumber: round(ticker.lowPrice),
+            volume: String(round(ticker.volume)),
+            volumeNumber: round(ticker.volume),
+            change: ticker.change.toFixed(2),
+            isActive: market.active,
+            lastTradeAt: now
+        };
+    }
+    
+    async start() {
+        await new Promise((resolve, reject) => {
+            this.server = this.app.listen(this.options.port, this.options.host, resolve);
+            this.server.once('error', reject);
+        });
+        
+        this.port = this.server.address().port;
+        Logger.info('Mock Xeggex server started', {
+            baseUrl: this.getBaseUrl(),
+            markets: Object.keys(this.markets),
+            rateLimit: this.options.rateLimit,
+            outages: this.options.outages
+        });
+        
+        return this.getBaseUrl();
+    }
+    
+    async stop() {
+        if (!this.server) return;
+        
+        await new Promise(resolve => this.server.close(resolve));
+        this.server = null;
+        Logger.info('Mock Xeggex server stopped', this.stats);
+    }
+    
+    // Value for api.xeggex.baseUrl
+    getBaseUrl() {
+        return `http://${this.options.host}:${this.port || this.options.port}${this.options.basePath}`;
+    }
+    
+    getStats() {
+        return { ...this.stats, markets: Object.keys(this.markets).length };
+    }
+}
+
+MockXeggexServer.DEFAULT_MARKETS = DEFAULT_MARKETS;
+
+module.exports = MockXeggexServer;
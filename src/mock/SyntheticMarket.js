@@ -0,0 +1,255 @@
+const MINUTE = 60000;
+
+// Small deterministic PRNG so a seed always produces the same market
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        return state / 4294967296;
+    };
+}
+
+// Standard normal sample (Box-Muller)
+function gaussian(random) {
+    const u = Math.max(random(), 1e-12);
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+function hashString(value) {
+    let hash = 2166136261;
+    for (let i = 0; i < value.length; i++) {
+        hash = Math.imul(hash ^ value.charCodeAt(i), 16777619);
+    }
+    return hash >>> 0;
+}
+
+// Trending up, trending down, ranging and high-volatility phases for the 'regimes' model
+const REGIMES = [
+    { name: 'uptrend', drift: 1, volatility: 1 },
+    { name: 'downtrend', drift: -1, volatility: 1 },
+    { name: 'range', drift: 0, volatility: 0.6 },
+    { name: 'volatile', drift: 0, volatility: 2.5 }
+];
+
+// One market's synthetic 1-minute price path. Minutes are generated lazily up to the current
+// time, so a running mock keeps moving, and the same seed and startTime give the same path.
+class SyntheticMarket {
+    constructor(pair, options = {}) {
+        this.pair = pair;
+        this.options = {
+            price: 1,               // Price at startTime
+            model: 'randomWalk',    // 'randomWalk', 'trend' or 'regimes'
+            volatility: 0.001,      // Standard deviation of the per-minute log return
+            drift: 0,               // Mean per-minute log return for 'randomWalk'
+            trend: 0.0002,          // Per-minute log return of 'trend' and the trending regimes
+            regimeLength: 720,      // Minutes between regime switches
+            volume: 1000,           // Average traded volume per minute
+            gapProbability: 0,      // Chance per minute that a stretch without trades starts
+            gapLength: 30,          // Minutes without trades in each gap
+            spread: 0.002,          // Order book spread as a fraction of the price
+            seed: 42,
+            startTime: Date.now() - 14 * 24 * 60 * MINUTE,
+            ...options
+        };
+        
+        this.startTime = Math.floor(this.options.startTime / MINUTE) * MINUTE;
+        this.seed = (hashString(pair) ^ this.options.seed) >>> 0;
+        this.random = createRandom(this.seed);
+        
+        // Minute bars; volume 0 marks a minute without trades
+        this.opens = [];
+        this.highs = [];
+        this.lows = [];
+        this.closes = [];
+        this.volumes = [];
+        
+        this.price = this.options.price;
+        this.gapRemaining = 0;
+        this.regime = REGIMES[2];
+    }
+    
+    // Generate minutes up to and including the one containing `now`
+    extendTo(now) {
+        const lastIndex = Math.floor((now - this.startTime) / MINUTE);
+        const { model, volatility, drift, trend, regimeLength, volume, gapProbability, gapLength } = this.options;
+        
+        for (let i = this.closes.length; i <= lastIndex; i++) {
+            if (model === 'regimes' && i % regimeLength === 0) {
+                this.regime = REGIMES[Math.floor(this.random() * REGIMES.length)];
+            }
+            
+            let meanReturn = drift;
+            let sigma = volatility;
+            if (model === 'trend') {
+                meanReturn = trend;
+            } else if (model === 'regimes') {
+                meanReturn = trend * this.regime.drift;
+                sigma = volatility * this.regime.volatility;
+            }
+            
+            if (this.gapRemaining === 0 && gapProbability > 0 && this.random() < gapProbability) {
+                this.gapRemaining = gapLength;
+            }
+            
+            const open = this.price;
+            
+            // Nothing trades during a gap, so the price stands still
+            if (this.gapRemaining > 0) {
+                this.gapRemaining--;
+                this.pushMinute(open, open, open, open, 0);
+                continue;
+            }
+            
+            const move = meanReturn + sigma * gaussian(this.random);
+            const close = open * Math.exp(move);
+            const high = Math.max(open, close) * (1 + Math.abs(gaussian(this.random)) * sigma * 0.5);
+            const low = Math.min(open, close) * (1 - Math.abs(gaussian(this.random)) * sigma * 0.5);
+            // Bigger moves trade more
+            const traded = volume * (0.5 + this.random()) * (1 + Math.min(Math.abs(move) / sigma, 3) * 0.5);
+            
+            this.pushMinute(open, high, low, close, traded);
+            this.price = close;
+        }
+    }
+    
+    pushMinute(open, high, low, close, volume) {
+        this.opens.push(open);
+        this.highs.push(high);
+        this.lows.push(low);
+        this.closes.push(close);
+        this.volumes.push(volume);
+    }
+    
+    // OHLCV of the traded minutes in [start, end), or null if nothing traded
+    aggregate(start, end) {
+        const first = Math.max(0, Math.ceil((start - this.startTime) / MINUTE));
+        const last = Math.min(this.closes.length, Math.ceil((end - this.startTime) / MINUTE));
+        let bar = null;
+        
+        for (let i = first; i < last; i++) {
+            if (this.volumes[i] === 0) continue;
+            
+            if (!bar) {
+                bar = { open: this.opens[i], high: this.highs[i], low: this.lows[i], close: this.closes[i], volume: 0 };
+            }
+            bar.high = Math.max(bar.high, this.highs[i]);
+            bar.low = Math.min(bar.low, this.lows[i]);
+            bar.close = this.closes[i];
+            bar.volume += this.volumes[i];
+        }
+        
+        return bar;
+    }
+    
+    // Up to countBack bars of `resolution` minutes, ascending, ending with the bar that contains
+    // `to` - 1ms (or the in-progress bar). Buckets without trades are left out, like on the exchange.
+    getCandles(now, { resolution = 5, countBack = 180, from = null, to = null } = {}) {
+        this.extendTo(now);
+        
+        const intervalMs = resolution * MINUTE;
+        const end = to ? Math.min(to - 1, now) : now;
+        const bars = [];
+        
+        for (let bucket = Math.floor(end / intervalMs) * intervalMs;
+            bars.length < countBack && bucket + intervalMs > this.startTime && (!from || bucket >= from);
+            bucket -= intervalMs) {
+            const bar = this.aggregate(bucket, Math.min(bucket + intervalMs, now + 1));
+            if (bar) {
+                bars.push({ time: bucket, ...bar });
+            }
+        }
+        
+        return bars.reverse();
+    }
+    
+    // Last price plus rolling 24h statistics
+    getTicker(now) {
+        this.extendTo(now);
+        
+        const day = this.aggregate(now - 24 * 60 * MINUTE, now + 1);
+        const last = this.closes[this.closes.length - 1];
+        const dayOpen = this.closes[Math.max(0, this.closes.length - 1 - 24 * 60)];
+        
+        return {
+            lastPrice: last,
+            highPrice: day ? day.high : last,
+            lowPrice: day ? day.low : last,
+            volume: day ? day.volume : 0,
+            change: dayOpen ? ((last - dayOpen) / dayOpen) * 100 : 0
+        };
+    }
+    
+    // The trades of one minute, split so their quantities add up to the minute's volume. Each
+    // minute has its own random stream, so trades come out the same however far back they are read.
+    tradesForMinute(minute) {
+        const volume = this.volumes[minute];
+        if (!volume) {
+            return [];
+        }
+        
+        const random = createRandom(this.seed ^ Math.imul(minute + 1, 2654435761));
+        const count = 1 + Math.floor(random() * 8);
+        const weights = Array.from({ length: count }, () => 0.2 + random());
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        const open = this.opens[minute];
+        const close = this.closes[minute];
+        const start = this.startTime + minute * MINUTE;
+        const trades = [];
+        let previousPrice = open;
+        
+        for (let k = 0; k < count; k++) {
+            const progress = (k + 1) / count;
+            const noise = (random() - 0.5) * (this.highs[minute] - this.lows[minute]);
+            const price = k === count - 1 ? close :
+                Math.min(this.highs[minute], Math.max(this.lows[minute], open + (close - open) * progress + noise));
+            
+            trades.push({
+                id: `${minute}-${k}`,
+                price,
+                quantity: volume * weights[k] / totalWeight,
+                // Tick rule: trades at or above the previous price lifted the ask
+                side: price >= previousPrice ? 'buy' : 'sell',
+                timestamp: start + Math.floor(progress * (MINUTE - 1))
+            });
+            previousPrice = price;
+        }
+        
+        return trades;
+    }
+    
+    // Up to `limit` most recent trades up to `now`, oldest first
+    getTrades(now, limit = 100) {
+        this.extendTo(now);
+        
+        const trades = [];
+        for (let minute = this.closes.length - 1; minute >= 0 && trades.length < limit; minute--) {
+            const minuteTrades = this.tradesForMinute(minute).filter(trade => trade.timestamp <= now);
+            trades.unshift(...minuteTrades.slice(-(limit - trades.length)));
+        }
+        
+        return trades;
+    }
+    
+    // Levels around the last price. Quantities only change once a minute, so repeated
+    // requests within a minute see the same book.
+    getOrderBook(now, depth = 50) {
+        this.extendTo(now);
+        
+        const minute = this.closes.length - 1;
+        const random = createRandom(this.seed + minute);
+        const mid = this.closes[minute];
+        const half = mid * this.options.spread / 2;
+        const step = mid * 0.0005;
+        const bids = [];
+        const asks = [];
+        
+        for (let level = 0; level < depth; level++) {
+            bids.push({ price: mid - half - level * step, quantity: this.options.volume * (0.2 + random() * 2) });
+            asks.push({ price: mid + half + level * step, quantity: this.options.volume * (0.2 + random() * 2) });
+        }
+        
+        return { bids, asks };
+    }
+}
+
+module.exports = SyntheticMarket;
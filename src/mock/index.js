@@ -0,0 +1,7 @@
+const MockXeggexServer = require('./MockXeggexServer');
+const SyntheticMarket = require('./SyntheticMarket');
+
+module.exports = {
+    MockXeggexServer,
+    SyntheticMarket
+};
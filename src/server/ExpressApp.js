@@ -2,9 +2,15 @@ require('dotenv').config();
 const express = require('express');
 const config = require('config');
 
-const { XeggexClient, MarketDataCollector } = require('../data/collectors');
-const { TechnicalStrategies } = require('../strategies/technical');
-const { Logger, ConfigManager } = require('../utils');
+const { MarketDataCollector } = require('../data/collectors');
+const { ExchangeRegistry } = require('../data/exchanges');
+const { TechnicalStrategies, IndicatorStream, IndicatorRegistry } = require('../strategies/technical');
+const { Backtester } = require('../backtest');
+const { HistoryExporter } = require('../export');
+const { CandleAggregator } = require('../data/aggregators');
+const StreamHub = require('./StreamHub');
+const WebSocketApi = require('./WebSocketApi');
+const { Logger, ConfigManager, StorageBackend, StorageRegistry, PairSymbol } = require('../utils');
 
 class TradingBotServer {
     constructor() {
@@ -13,8 +19,38 @@ class TradingBotServer {
         this.startTime = Date.now();
         
         this.strategyResults = {};
+        this.ensembleSignals = {};
         this.lastUpdate = null;
         
+        // Global strategies plus one instance per pair that has its own indicator overrides
+        this.technicalStrategies = null;
+        this.pairStrategies = {};
+        
+        // Per-pair indicator streams so each update only processes the newest bar
+        this.indicatorStreams = {};
+        this.incrementalIndicators = config.has('trading.incrementalIndicators') ? config.get('trading.incrementalIndicators') : true;
+        
+        // Higher timeframe results per pair and timeframe, recalculated once per closed bar
+        this.timeframeResults = {};
+        
+        // Live event fan-out for /api/stream clients
+        this.streamHub = new StreamHub({
+            heartbeatInterval: config.has('server.streamHeartbeatInterval') ? config.get('server.streamHeartbeatInterval') : 15000
+        });
+        
+        // WebSocket subscriptions, attached to the HTTP server once it is listening
+        this.webSocketApi = new WebSocketApi({
+            streamHub: this.streamHub,
+            path: config.has('server.webSocketPath') ? config.get('server.webSocketPath') : '/ws',
+            provider: {
+                getPairs: () => this.dataCollector.config.pairs,
+                getTimeframes: () => this.dataCollector.getAvailableTimeframes(),
+                getHistory: (pair, timeframe) => this.dataCollector.getHistoryForPair(pair, timeframe),
+                getStrategies: (pair, timeframe) => this.getStrategiesForTimeframe(pair, timeframe),
+                getSignal: (pair, timeframe) => this.getSignalForTimeframe(pair, timeframe)
+            }
+        });
+        
         this.setupRoutes();
         // Note: setupEventHandlers() is now called after services are initialized
     }
@@ -31,25 +67,31 @@ class TradingBotServer {
             const currentPairs = await this.configManager.getCurrentPairs();
             Logger.info('Loaded current trading pairs', { pairs: currentPairs });
             
-            // Initialize API client
-            this.apiClient = new XeggexClient(
-                process.env.X_API,
-                process.env.X_SECRET,
-                config.get('api.xeggex')
-            );
-            Logger.debug('XeggexClient initialized');
-            
-            // Initialize data collector with current pairs
+            // Initialize data collector with current pairs and the exchange each one is collected from
             const tradingConfig = {
                 ...config.get('trading'),
-                pairs: currentPairs  // Use dynamic pairs instead of static config
+                pairs: currentPairs,  // Use dynamic pairs instead of static config
+                pairExchanges: await this.configManager.getPairExchanges()
             };
+            tradingConfig.defaultExchange = tradingConfig.defaultExchange || 'xeggex';
+            
+            // Initialize exchange adapters: the default exchange plus every exchange a pair uses
+            const exchangeNames = new Set([tradingConfig.defaultExchange, ...Object.values(tradingConfig.pairExchanges)]);
+            const exchanges = {};
+            exchangeNames.forEach(name => {
+                exchanges[name] = this.createExchange(name);
+            });
+            Logger.debug('Exchange adapters initialized', { exchanges: [...exchangeNames] });
             
-            this.dataCollector = new MarketDataCollector(this.apiClient, tradingConfig);
+            this.dataCollector = new MarketDataCollector(exchanges, tradingConfig);
             Logger.debug('MarketDataCollector initialized');
             
-            // Initialize technical strategies
-            this.technicalStrategies = new TechnicalStrategies();
+            // Register indicator plugins before any strategies are created so they get their own params and weights
+            const pluginOptions = config.has('trading.indicatorPlugins') ? config.util.toObject(config.get('trading.indicatorPlugins')) : {};
+            IndicatorRegistry.loadPlugins(pluginOptions);
+            
+            // Initialize technical strategies with the stored indicator parameters and weights
+            this.applyIndicatorConfig(await this.configManager.getIndicatorConfig());
             Logger.debug('TechnicalStrategies initialized');
             
             // Setup event handlers after all services are initialized
@@ -66,6 +108,36 @@ class TradingBotServer {
         }
     }
     
+    // Credentials come from the environment: X_API/X_SECRET for Xeggex, <NAME>_API_KEY/<NAME>_API_SECRET otherwise
+    createExchange(name) {
+        const prefix = name.toUpperCase();
+        const options = {
+            ...(config.has(`api.${name}`) ? config.get(`api.${name}`) : {}),
+            apiKey: name === 'xeggex' ? process.env.X_API : process.env[`${prefix}_API_KEY`],
+            apiSecret: name === 'xeggex' ? process.env.X_SECRET : process.env[`${prefix}_API_SECRET`]
+        };
+        
+        const exchange = ExchangeRegistry.create(name, options);
+        exchange.on('requestError', ({ endpoint, error }) => {
+            Logger.warn('API request failed', { exchange: name, endpoint, error: error.message });
+        });
+        
+        return exchange;
+    }
+    
+    // Make sure the collector has an adapter for an exchange a pair is being added with
+    ensureExchange(name) {
+        if (!this.dataCollector.exchanges[name]) {
+            this.dataCollector.addExchange(name, this.createExchange(name));
+            Logger.info('Exchange adapter added', { exchange: name });
+        }
+    }
+    
+    // Lower-cased exchange name, or null if no adapter is registered under it
+    resolveExchange(value) {
+        return ExchangeRegistry.has(value) ? value.toLowerCase() : null;
+    }
+    
     setupRoutes() {
         // Enable JSON parsing for API requests
         this.app.use(express.json());
@@ -89,26 +161,35 @@ class TradingBotServer {
                     data: '/api/data',
                     pairs: '/api/pairs',
                     pair: '/api/pair/:pair',
+                    pairSignal: '/api/pair/:pair/signal',
+                    orderBook: '/api/pair/:pair/orderbook',
+                    indicatorSeries: '/api/pair/:pair/indicator/:indicator/series',
+                    export: '/api/pair/:pair/export',
+                    signals: '/api/signals',
+                    stream: '/api/stream',
+                    webSocket: this.webSocketApi.path,
+                    backtest: 'POST /api/backtest',
                     config: '/api/config',
                     availablePairs: '/api/available-pairs',
                     updatePairs: 'PUT /api/config/pairs',
                     addPair: 'POST /api/config/pairs/add',
                     removePair: 'DELETE /api/config/pairs/:pair',
                     reset: 'POST /api/config/reset',
+                    indicatorConfig: '/api/config/indicators',
+                    updateIndicatorConfig: 'PUT /api/config/indicators',
                     storageStats: '/api/storage/stats',
                     forceSave: 'POST /api/storage/save',
                     cleanup: 'POST /api/storage/cleanup'
                 },
-                indicators: [
-                    'RSI', 'MACD', 'Bollinger Bands', 'Moving Average', 'Volume Analysis',
-                    'Stochastic', 'Williams %R', 'Ichimoku Cloud', 'ADX', 'CCI', 'Parabolic SAR'
-                ],
+                indicators: IndicatorRegistry.getLabels(),
                 features: [
                     'Real-time data collection',
                     'Dynamic pair management', 
                     'Persistent local storage',
-                    '11 technical indicators',
+                    `${IndicatorRegistry.getNames().length} technical indicators`,
                     'Ensemble signal generation',
+                    'Live Server-Sent Events stream',
+                    'WebSocket subscriptions per pair, channel and timeframe',
                     'Available pairs discovery'
                 ],
                 documentation: 'https://github.com/makoshark2001/trading-bot-core'
@@ -120,7 +201,12 @@ class TradingBotServer {
             try {
                 const configInfo = await this.configManager.getConfigInfo();
                 res.json({
-                    config: configInfo,
+                    config: {
+                        ...configInfo,
+                        defaultExchange: this.dataCollector.config.defaultExchange,
+                        exchanges: this.dataCollector.getPairExchanges()
+                    },
+                    availableExchanges: ExchangeRegistry.getNames(),
                     timestamp: Date.now()
                 });
             } catch (error) {
@@ -133,20 +219,56 @@ class TradingBotServer {
             }
         });
         
-        // Available pairs endpoint
+        // Available pairs endpoint: ?quote=BTC for one quote currency (default USDT), ?quote=all for every market.
+        // Markets of every exchange with an adapter are listed unless ?exchange= picks one.
         this.app.get('/api/available-pairs', async (req, res) => {
             try {
-                const availablePairs = await this.dataCollector.getAvailableUSDTPairs();
+                const quote = req.query.quote ? String(req.query.quote).toUpperCase() : PairSymbol.DEFAULT_QUOTE;
+                const exchange = req.query.exchange ? this.resolveExchange(String(req.query.exchange)) : null;
+                
+                if (quote !== 'ALL' && !/^[A-Z0-9]{2,10}$/.test(quote)) {
+                    return res.status(400).json({
+                        error: 'Invalid quote currency',
+                        quote: req.query.quote,
+                        timestamp: Date.now()
+                    });
+                }
+                
+                if (req.query.exchange && !exchange) {
+                    return res.status(400).json({
+                        error: 'Unknown exchange',
+                        exchange: req.query.exchange,
+                        availableExchanges: ExchangeRegistry.getNames(),
+                        timestamp: Date.now()
+                    });
+                }
+                
+                if (exchange) {
+                    this.ensureExchange(exchange);
+                }
+                
+                // One markets request per exchange covers both the filtered list and the quote summary
+                const allPairs = await this.dataCollector.getAvailablePairs(null, exchange);
+                const availablePairs = quote === 'ALL' ? allPairs : allPairs.filter(pair => pair.quote === quote);
                 const currentPairs = await this.configManager.getCurrentPairs();
+                const pairExchanges = this.dataCollector.getPairExchanges();
+                
+                const availableQuotes = {};
+                allPairs.forEach(pair => {
+                    availableQuotes[pair.quote] = (availableQuotes[pair.quote] || 0) + 1;
+                });
                 
-                // Mark which pairs are currently being tracked
+                // Mark which pairs are currently being tracked; a market symbol is tracked on one exchange at a time
                 const enrichedPairs = availablePairs.map(pair => ({
                     ...pair,
-                    isTracked: currentPairs.includes(pair.pair),
+                    isTracked: currentPairs.includes(pair.pair) && pairExchanges[pair.pair] === pair.exchange,
                     canAdd: !currentPairs.includes(pair.pair)
                 }));
                 
                 res.json({
+                    quote: quote === 'ALL' ? 'all' : quote,
+                    exchange: exchange || 'all',
+                    availableQuotes,
                     availablePairs: enrichedPairs,
                     totalAvailable: availablePairs.length,
                     currentlyTracked: currentPairs.length,
@@ -166,7 +288,7 @@ class TradingBotServer {
         
         this.app.put('/api/config/pairs', async (req, res) => {
             try {
-                const { pairs, updatedBy = 'dashboard' } = req.body;
+                const { pairs, exchanges = {}, updatedBy = 'dashboard' } = req.body;
                 
                 if (!pairs || !Array.isArray(pairs)) {
                     return res.status(400).json({
@@ -176,16 +298,57 @@ class TradingBotServer {
                     });
                 }
                 
+                if (!exchanges || typeof exchanges !== 'object' || Array.isArray(exchanges)) {
+                    return res.status(400).json({
+                        error: 'Invalid request',
+                        message: 'exchanges must be an object mapping pairs to exchange names',
+                        timestamp: Date.now()
+                    });
+                }
+                
+                // exchanges: { "KAS/BTC": "xeggex" } - pairs left out keep their exchange, or use the default one
+                const pairExchanges = {};
+                const currentExchanges = this.dataCollector.getPairExchanges();
+                for (const [pair, name] of Object.entries(exchanges)) {
+                    const normalizedPair = PairSymbol.normalize(pair) || pair;
+                    const exchange = typeof name === 'string' ? this.resolveExchange(name) : null;
+                    
+                    if (!exchange) {
+                        return res.status(400).json({
+                            error: 'Unknown exchange',
+                            pair: normalizedPair,
+                            exchange: name,
+                            availableExchanges: ExchangeRegistry.getNames(),
+                            timestamp: Date.now()
+                        });
+                    }
+                    
+                    // Candles from two exchanges must not end up in one history
+                    if (currentExchanges[normalizedPair] && currentExchanges[normalizedPair] !== exchange) {
+                        return res.status(400).json({
+                            error: 'Exchange change not supported',
+                            message: `${normalizedPair} is tracked on ${currentExchanges[normalizedPair]}; remove it before adding it from ${exchange}`,
+                            timestamp: Date.now()
+                        });
+                    }
+                    
+                    pairExchanges[normalizedPair] = exchange;
+                }
+                
                 // Update configuration
-                const updateResult = await this.configManager.updatePairs(pairs, updatedBy);
+                const updateResult = await this.configManager.updatePairs(pairs, updatedBy, pairExchanges);
                 
-                // Update data collector
-                await this.dataCollector.updatePairs(pairs);
+                // Update data collector with the normalized market symbols
+                Object.values(updateResult.pairExchanges).forEach(name => this.ensureExchange(name));
+                await this.dataCollector.updatePairs(updateResult.newPairs, updateResult.pairExchanges);
                 
                 // Clear strategy results for removed pairs
                 const { removed } = updateResult.changes;
                 removed.forEach(pair => {
                     delete this.strategyResults[pair];
+                    delete this.ensembleSignals[pair];
+                    delete this.indicatorStreams[pair];
+                    delete this.timeframeResults[pair];
                 });
                 
                 // Update strategies for new pairs
@@ -217,7 +380,7 @@ class TradingBotServer {
         
         this.app.post('/api/config/pairs/add', async (req, res) => {
             try {
-                const { pair, updatedBy = 'dashboard' } = req.body;
+                const { pair, exchange: exchangeName, updatedBy = 'dashboard' } = req.body;
                 
                 if (!pair || typeof pair !== 'string') {
                     return res.status(400).json({
@@ -227,7 +390,15 @@ class TradingBotServer {
                     });
                 }
                 
-                const normalizedPair = pair.toUpperCase();
+                const normalizedPair = PairSymbol.normalize(pair);
+                
+                if (!normalizedPair) {
+                    return res.status(400).json({
+                        error: 'Invalid request',
+                        message: 'pair must be a market symbol such as "KAS/BTC", or a base symbol for its USDT market',
+                        timestamp: Date.now()
+                    });
+                }
                 
                 // Get current pairs and add new one
                 const currentPairs = await this.configManager.getCurrentPairs();
@@ -240,25 +411,40 @@ class TradingBotServer {
                     });
                 }
                 
+                // Collected from the default exchange unless another one is given
+                const exchange = exchangeName === undefined ? this.dataCollector.config.defaultExchange
+                    : typeof exchangeName === 'string' ? this.resolveExchange(exchangeName) : null;
+                
+                if (!exchange) {
+                    return res.status(400).json({
+                        error: 'Unknown exchange',
+                        exchange: exchangeName,
+                        availableExchanges: ExchangeRegistry.getNames(),
+                        timestamp: Date.now()
+                    });
+                }
+                
                 const newPairs = [...currentPairs, normalizedPair];
                 
                 // Update configuration
-                const updateResult = await this.configManager.updatePairs(newPairs, updatedBy);
+                const updateResult = await this.configManager.updatePairs(newPairs, updatedBy, { [normalizedPair]: exchange });
                 
                 // Add to data collector
-                await this.dataCollector.addPair(normalizedPair);
+                this.ensureExchange(exchange);
+                await this.dataCollector.addPair(normalizedPair, exchange);
                 
                 // Update strategies for new pair after some time
                 setTimeout(() => {
                     this.updateStrategiesForPair(normalizedPair);
                 }, 5000);
                 
-                Logger.info('Trading pair added via API', { pair: normalizedPair });
+                Logger.info('Trading pair added via API', { pair: normalizedPair, exchange });
                 
                 res.json({
                     success: true,
                     message: `Trading pair ${normalizedPair} added successfully`,
                     pair: normalizedPair,
+                    exchange,
                     totalPairs: newPairs.length,
                     timestamp: Date.now()
                 });
@@ -275,7 +461,7 @@ class TradingBotServer {
         
         this.app.delete('/api/config/pairs/:pair', async (req, res) => {
             try {
-                const pair = req.params.pair.toUpperCase();
+                const pair = this.resolvePair(req.params.pair);
                 const { updatedBy = 'dashboard' } = req.body;
                 
                 // Get current pairs and remove the specified one
@@ -300,6 +486,9 @@ class TradingBotServer {
                 
                 // Clear strategy results
                 delete this.strategyResults[pair];
+                delete this.ensembleSignals[pair];
+                delete this.indicatorStreams[pair];
+                delete this.timeframeResults[pair];
                 
                 Logger.info('Trading pair removed via API', { pair });
                 
@@ -328,11 +517,14 @@ class TradingBotServer {
                 // Reset to default pairs
                 const resetResult = await this.configManager.resetToDefault();
                 
-                // Update data collector
-                await this.dataCollector.updatePairs(resetResult.pairs);
+                // Update data collector; default pairs are collected from the default exchange
+                await this.dataCollector.updatePairs(resetResult.pairs, {});
                 
                 // Clear all strategy results and recalculate
                 this.strategyResults = {};
+                this.ensembleSignals = {};
+                this.indicatorStreams = {};
+                this.timeframeResults = {};
                 
                 setTimeout(() => {
                     resetResult.pairs.forEach(pair => {
@@ -360,6 +552,120 @@ class TradingBotServer {
             }
         });
         
+        // Indicator parameters and ensemble weights: defaults, stored overrides and effective values
+        this.app.get('/api/config/indicators', async (req, res) => {
+            try {
+                const pair = req.query.pair ? this.resolvePair(req.query.pair) : null;
+                const indicatorConfig = await this.configManager.getIndicatorConfig();
+                
+                res.json({
+                    pair,
+                    indicators: IndicatorRegistry.describe(),
+                    defaults: TechnicalStrategies.getDefaults(),
+                    overrides: {
+                        params: indicatorConfig.params || {},
+                        weights: indicatorConfig.weights || {},
+                        pairs: indicatorConfig.pairs || {}
+                    },
+                    effective: TechnicalStrategies.resolveConfig(indicatorConfig, pair),
+                    lastUpdated: indicatorConfig.lastUpdated || null,
+                    updatedBy: indicatorConfig.updatedBy || null,
+                    timestamp: Date.now()
+                });
+            } catch (error) {
+                Logger.error('Error getting indicator configuration', { error: error.message });
+                res.status(500).json({
+                    error: 'Failed to get indicator configuration',
+                    message: error.message,
+                    timestamp: Date.now()
+                });
+            }
+        });
+        
+        // Replace the global overrides, or one pair's overrides when "pair" is given.
+        // Sending empty params/weights for a pair removes its overrides.
+        this.app.put('/api/config/indicators', async (req, res) => {
+            try {
+                const { pair: rawPair, params, weights, updatedBy = 'dashboard' } = req.body || {};
+                
+                if (rawPair !== undefined && !PairSymbol.isValid(rawPair)) {
+                    return res.status(400).json({
+                        error: 'Invalid request',
+                        message: 'pair must be a market symbol such as "KAS/BTC"',
+                        timestamp: Date.now()
+                    });
+                }
+                
+                if (params === undefined && weights === undefined) {
+                    return res.status(400).json({
+                        error: 'Invalid request',
+                        message: 'params or weights is required',
+                        timestamp: Date.now()
+                    });
+                }
+                
+                const pair = rawPair ? PairSymbol.normalize(rawPair) : null;
+                const current = await this.configManager.getIndicatorConfig();
+                const updated = {
+                    params: current.params || {},
+                    weights: current.weights || {},
+                    pairs: { ...(current.pairs || {}) }
+                };
+                
+                // Only the fields in the body are replaced, so params and weights can be sent on their own
+                const scope = pair ? { params: {}, weights: {}, ...updated.pairs[pair] } : updated;
+                if (params !== undefined) scope.params = params;
+                if (weights !== undefined) scope.weights = weights;
+                if (pair) updated.pairs[pair] = scope;
+                
+                const errors = TechnicalStrategies.validateConfig(updated);
+                if (errors.length > 0) {
+                    return res.status(400).json({
+                        error: 'Invalid indicator configuration',
+                        message: errors[0],
+                        details: errors,
+                        timestamp: Date.now()
+                    });
+                }
+                
+                if (pair && Object.keys(scope.params).length === 0 && Object.keys(scope.weights).length === 0) {
+                    delete updated.pairs[pair];
+                }
+                
+                const saved = await this.configManager.updateIndicatorConfig(updated, updatedBy);
+                this.applyIndicatorConfig(saved);
+                
+                // Recompute right away so signals reflect the new parameters without a restart
+                const trackedPairs = this.dataCollector ? this.dataCollector.config.pairs : [];
+                const recomputed = pair ? trackedPairs.filter(tracked => tracked === pair) : trackedPairs;
+                recomputed.forEach(tracked => {
+                    delete this.strategyResults[tracked];
+                    delete this.ensembleSignals[tracked];
+                    this.updateStrategiesForPair(tracked);
+                });
+                
+                Logger.info('Indicator configuration updated via API', { scope: pair || 'global', updatedBy });
+                
+                res.json({
+                    success: true,
+                    message: 'Indicator configuration updated successfully',
+                    scope: pair || 'global',
+                    indicators: saved,
+                    effective: TechnicalStrategies.resolveConfig(saved, pair),
+                    recomputed,
+                    timestamp: Date.now()
+                });
+                
+            } catch (error) {
+                Logger.error('Error updating indicator configuration', { error: error.message });
+                res.status(500).json({
+                    error: 'Failed to update indicator configuration',
+                    message: error.message,
+                    timestamp: Date.now()
+                });
+            }
+        });
+        
         // API route for dashboard data
         this.app.get('/api/data', async (req, res) => {
             try {
@@ -409,25 +715,35 @@ class TradingBotServer {
         // API route for individual pair data
         this.app.get('/api/pair/:pair', async (req, res) => {
             try {
-                const pair = req.params.pair.toUpperCase();
+                const pair = this.resolvePair(req.params.pair);
+                const timeframe = this.resolveTimeframe(req, res);
+                if (timeframe === null) return;
+                
                 const currentPairs = await this.configManager.getCurrentPairs();
-                const history = this.dataCollector.getHistoryForPair(pair);
-                const strategies = this.strategyResults[pair];
+                const history = this.dataCollector.getHistoryForPair(pair, timeframe);
                 
                 if (!history) {
                     return res.status(404).json({ 
                         error: 'Pair not found',
                         pair: pair,
+                        timeframe: timeframe,
                         availablePairs: currentPairs,  // Use dynamic pairs
                         timestamp: Date.now()
                     });
                 }
                 
+                const strategies = this.getStrategiesForTimeframe(pair, timeframe);
+                
+                const orderBook = this.dataCollector.getOrderBook(pair);
+                
                 res.json({
                     pair,
+                    timeframe,
                     history,
                     strategies,
+                    orderBook: orderBook ? orderBook.analytics : null,
                     hasEnoughData: this.technicalStrategies.hasEnoughData(history),
+                    freshness: this.dataCollector.getDataFreshness(pair),
                     timestamp: Date.now()
                 });
             } catch (error) {
@@ -442,14 +758,192 @@ class TradingBotServer {
             }
         });
         
+        // API route for the combined ensemble signal of a pair
+        this.app.get('/api/pair/:pair/signal', async (req, res) => {
+            try {
+                const pair = this.resolvePair(req.params.pair);
+                const signal = this.ensembleSignals[pair];
+                
+                if (!signal) {
+                    const currentPairs = await this.configManager.getCurrentPairs();
+                    return res.status(404).json({
+                        error: 'Signal not available',
+                        message: currentPairs.includes(pair) ? 'Not enough data collected yet' : 'Pair not tracked',
+                        pair: pair,
+                        availablePairs: currentPairs,
+                        timestamp: Date.now()
+                    });
+                }
+                
+                res.json({
+                    pair,
+                    signal,
+                    freshness: this.dataCollector.getDataFreshness(pair),
+                    timestamp: Date.now()
+                });
+            } catch (error) {
+                Logger.error(`Error getting signal for pair ${req.params.pair}`, {
+                    error: error.message
+                });
+                res.status(500).json({
+                    error: 'Internal server error',
+                    pair: req.params.pair,
+                    timestamp: Date.now()
+                });
+            }
+        });
+        
+        // Latest order book snapshot with spread, depth and slippage analytics.
+        // ?levels=20 limits the returned levels, ?sizes=100,1000 re-estimates slippage for other order
+        // sizes (quote currency) and ?history=60 adds the analytics of the last 60 snapshots.
+        this.app.get('/api/pair/:pair/orderbook', async (req, res) => {
+            try {
+                const pair = this.resolvePair(req.params.pair);
+                const currentPairs = await this.configManager.getCurrentPairs();
+                
+                if (!this.dataCollector.config.pairs.includes(pair)) {
+                    return res.status(404).json({
+                        error: 'Pair not found',
+                        pair,
+                        availablePairs: currentPairs,
+                        timestamp: Date.now()
+                    });
+                }
+                
+                const levels = req.query.levels !== undefined ? parseInt(req.query.levels, 10) : 20;
+                const historyLimit = req.query.history !== undefined ? parseInt(req.query.history, 10) : 0;
+                const sizes = req.query.sizes !== undefined ? String(req.query.sizes).split(',').map(Number) : null;
+                
+                if (!Number.isInteger(levels) || levels < 0 || !Number.isInteger(historyLimit) || historyLimit < 0 ||
+                    (sizes && !sizes.every(size => Number.isFinite(size) && size > 0))) {
+                    return res.status(400).json({
+                        error: 'Invalid request',
+                        message: 'levels and history must be non-negative integers, sizes a comma-separated list of positive numbers',
+                        timestamp: Date.now()
+                    });
+                }
+                
+                // Snapshots are taken periodically while collecting; fetch one if there is none yet
+                if (!this.dataCollector.getOrderBook(pair)) {
+                    try {
+                        await this.dataCollector.captureOrderBook(pair);
+                    } catch (error) {
+                        return res.status(502).json({
+                            error: 'Order book not available',
+                            message: error.message,
+                            pair,
+                            timestamp: Date.now()
+                        });
+                    }
+                }
+                
+                const { book, analytics } = this.dataCollector.getOrderBook(pair);
+                
+                res.json({
+                    pair,
+                    exchange: this.dataCollector.getExchangeName(pair),
+                    analytics: sizes ? this.dataCollector.analyzeOrderBook(pair, book, sizes) : analytics,
+                    bids: book.bids.slice(0, levels),
+                    asks: book.asks.slice(0, levels),
+                    ...(historyLimit > 0 && { history: this.dataCollector.getOrderBookHistory(pair, historyLimit) }),
+                    timestamp: Date.now()
+                });
+            } catch (error) {
+                Logger.error(`Error getting order book for pair ${req.params.pair}`, {
+                    error: error.message
+                });
+                res.status(500).json({
+                    error: 'Internal server error',
+                    pair: req.params.pair,
+                    timestamp: Date.now()
+                });
+            }
+        });
+        
+        // API route for ensemble signals across all pairs, ranked strongest buy to strongest sell (ties by pair)
+        // ?liquidOnly=true leaves out pairs whose latest order book failed the liquidity thresholds
+        this.app.get('/api/signals', async (req, res) => {
+            try {
+                const currentPairs = await this.configManager.getCurrentPairs();
+                const liquidOnly = req.query.liquidOnly === 'true';
+                const isExcluded = pair => liquidOnly && this.ensembleSignals[pair].liquidity && !this.ensembleSignals[pair].liquidity.liquid;
+                
+                const signals = currentPairs
+                    .filter(pair => this.ensembleSignals[pair] && !isExcluded(pair))
+                    .map(pair => ({
+                        pair,
+                        ...this.ensembleSignals[pair],
+                        freshness: this.dataCollector.getDataFreshness(pair)
+                    }))
+                    .sort((a, b) => this.getSignalRankScore(b) - this.getSignalRankScore(a) || a.pair.localeCompare(b.pair));
+                
+                res.json({
+                    signals,
+                    ranking: signals.map(signal => ({
+                        pair: signal.pair,
+                        suggestion: signal.suggestion,
+                        confidence: signal.confidence,
+                        score: this.getSignalRankScore(signal)
+                    })),
+                    total: signals.length,
+                    pending: currentPairs.filter(pair => !this.ensembleSignals[pair]),
+                    illiquid: currentPairs.filter(pair => this.ensembleSignals[pair] && isExcluded(pair)),
+                    stale: signals.filter(signal => signal.freshness.stale).map(signal => signal.pair),
+                    timestamp: Date.now()
+                });
+            } catch (error) {
+                Logger.error('Error in /api/signals endpoint', { error: error.message });
+                res.status(500).json({
+                    error: 'Internal server error',
+                    message: error.message,
+                    timestamp: Date.now()
+                });
+            }
+        });
+        
+        // Server-Sent Events stream of live collector and strategy events
+        this.app.get('/api/stream', (req, res) => {
+            let filters;
+            try {
+                filters = this.streamHub.parseFilters(req.query);
+            } catch (error) {
+                return res.status(400).json({
+                    error: 'Invalid stream filter',
+                    message: error.message,
+                    availableEvents: StreamHub.EVENTS,
+                    timestamp: Date.now()
+                });
+            }
+            
+            this.streamHub.addSseClient(req, res, filters);
+        });
+        
         // Health check endpoint
         this.app.get('/api/health', async (req, res) => {
             try {
-                const apiHealth = await this.apiClient.healthCheck();
+                const exchangeHealth = {};
+                const circuits = this.dataCollector.getCircuitStatus();
+                await Promise.all(Object.entries(this.dataCollector.exchanges).map(async ([name, exchange]) => {
+                    const circuit = circuits[name];
+                    // An exchange with an open circuit is already being probed, don't add to its load
+                    exchangeHealth[name] = circuit && circuit.state !== 'closed'
+                        ? { healthy: false, error: circuit.lastError, timestamp: Date.now() }
+                        : await exchange.healthCheck();
+                    exchangeHealth[name].circuit = circuit;
+                    // Queue depth and wait times of adapters that pace their requests
+                    exchangeHealth[name].requests = exchange.getStatus().scheduler;
+                }));
+                const apiHealth = {
+                    healthy: Object.values(exchangeHealth).every(health => health.healthy),
+                    timestamp: Date.now(),
+                    exchanges: exchangeHealth
+                };
                 const dataStats = this.dataCollector.getStats();
+                const stalePairs = dataStats.pairs.filter(pair => this.dataCollector.getDataFreshness(pair).stale);
                 
+                // Still serving, but from data that can't be kept current
                 res.json({
-                    status: 'healthy',
+                    status: apiHealth.healthy && stalePairs.length === 0 ? 'healthy' : 'degraded',
                     service: 'Trading Bot Core',
                     version: '2.0.0',
                     timestamp: Date.now(),
@@ -461,7 +955,14 @@ class TradingBotServer {
                         successfulUpdates: dataStats.successfulUpdates,
                         failedUpdates: dataStats.failedUpdates,
                         pairs: dataStats.pairs,
-                        dataPointsPerPair: dataStats.dataPointsPerPair
+                        exchanges: dataStats.exchanges,
+                        dataPointsPerPair: dataStats.dataPointsPerPair,
+                        tradeTapes: dataStats.tradeTapes,
+                        stalePairs
+                    },
+                    stream: {
+                        ...this.streamHub.getStats(),
+                        webSocket: this.webSocketApi.getStats()
                     },
                     indicators: {
                         available: Object.keys(this.technicalStrategies.indicators),
@@ -481,15 +982,18 @@ class TradingBotServer {
         // API route for specific indicator data
         this.app.get('/api/pair/:pair/indicator/:indicator', async (req, res) => {
             try {
-                const pair = req.params.pair.toUpperCase();
+                const pair = this.resolvePair(req.params.pair);
                 const indicator = req.params.indicator.toLowerCase();
+                const timeframe = this.resolveTimeframe(req, res);
+                if (timeframe === null) return;
                 
-                const strategies = this.strategyResults[pair];
+                const strategies = this.getStrategiesForTimeframe(pair, timeframe);
                 if (!strategies || !strategies[indicator]) {
                     return res.status(404).json({
                         error: 'Indicator data not found',
                         pair: pair,
                         indicator: indicator,
+                        timeframe: timeframe,
                         availableIndicators: strategies ? Object.keys(strategies) : [],
                         timestamp: Date.now()
                     });
@@ -498,7 +1002,9 @@ class TradingBotServer {
                 res.json({
                     pair,
                     indicator,
+                    timeframe,
                     data: strategies[indicator],
+                    freshness: this.dataCollector.getDataFreshness(pair),
                     timestamp: Date.now()
                 });
             } catch (error) {
@@ -512,6 +1018,248 @@ class TradingBotServer {
             }
         });
 
+        // Full indicator value series aligned to the candle timestamps, for charting next to price
+        this.app.get('/api/pair/:pair/indicator/:indicator/series', async (req, res) => {
+            try {
+                const pair = this.resolvePair(req.params.pair);
+                const timeframe = this.resolveTimeframe(req, res);
+                if (timeframe === null) return;
+                
+                const strategies = this.getTechnicalStrategies(pair);
+                const indicator = strategies.resolveIndicatorName(req.params.indicator);
+                if (!indicator) {
+                    return res.status(404).json({
+                        error: 'Unknown indicator',
+                        indicator: req.params.indicator,
+                        availableIndicators: Object.keys(strategies.indicators),
+                        timestamp: Date.now()
+                    });
+                }
+                
+                const range = this.parseSeriesRange(req.query);
+                if (range.error) {
+                    return res.status(400).json({
+                        error: 'Invalid query parameter',
+                        message: range.error,
+                        timestamp: Date.now()
+                    });
+                }
+                
+                // A range starting before the in-memory window is read from storage, like the export
+                const history = await this.loadHistoryRange(pair, timeframe, range, strategies.indicators[indicator].minDataPoints || 0);
+                if (!history || !Array.isArray(history.closes) || history.closes.length === 0) {
+                    return res.status(404).json({
+                        error: 'Pair data not found',
+                        pair,
+                        timeframe,
+                        timestamp: Date.now()
+                    });
+                }
+                
+                const series = strategies.calculateSeries(indicator, history, range);
+                
+                res.json({
+                    pair,
+                    indicator,
+                    timeframe,
+                    from: range.from,
+                    to: range.to,
+                    limit: range.limit,
+                    count: series.length,
+                    series,
+                    timestamp: Date.now()
+                });
+            } catch (error) {
+                Logger.error(`Error getting ${req.params.indicator} series for ${req.params.pair}`, {
+                    error: error.message
+                });
+                res.status(500).json({
+                    error: 'Internal server error',
+                    timestamp: Date.now()
+                });
+            }
+        });
+        
+        // Download a pair's candles, optionally joined with indicator columns, as CSV, JSON Lines or columnar JSON
+        this.app.get('/api/pair/:pair/export', async (req, res) => {
+            try {
+                const pair = this.resolvePair(req.params.pair);
+                const timeframe = this.resolveTimeframe(req, res);
+                if (timeframe === null) return;
+                
+                const format = req.query.format ? String(req.query.format).toLowerCase() : 'csv';
+                if (!HistoryExporter.isFormat(format)) {
+                    return res.status(400).json({
+                        error: 'Invalid format',
+                        format: req.query.format,
+                        availableFormats: Object.keys(HistoryExporter.FORMATS),
+                        timestamp: Date.now()
+                    });
+                }
+                
+                const range = this.parseSeriesRange(req.query);
+                if (range.error) {
+                    return res.status(400).json({
+                        error: 'Invalid query parameter',
+                        message: range.error,
+                        timestamp: Date.now()
+                    });
+                }
+                
+                const strategies = this.getTechnicalStrategies(pair);
+                const requested = req.query.indicators ? String(req.query.indicators).split(',').map(name => name.trim()).filter(Boolean) : [];
+                const unknown = requested.filter(name => !strategies.resolveIndicatorName(name));
+                if (unknown.length > 0) {
+                    return res.status(404).json({
+                        error: 'Unknown indicator',
+                        indicator: unknown.join(','),
+                        availableIndicators: Object.keys(strategies.indicators),
+                        timestamp: Date.now()
+                    });
+                }
+                
+                const exporter = new HistoryExporter({
+                    technicalStrategies: strategies,
+                    indicators: [...new Set(requested.map(name => strategies.resolveIndicatorName(name)))]
+                });
+                const history = await this.loadHistoryRange(pair, timeframe, range, exporter.getWarmupBars());
+                if (!history || !Array.isArray(history.closes) || history.closes.length === 0) {
+                    return res.status(404).json({
+                        error: 'Pair data not found',
+                        pair,
+                        timeframe,
+                        timestamp: Date.now()
+                    });
+                }
+                
+                const { contentType, extension } = HistoryExporter.FORMATS[format];
+                res.setHeader('Content-Type', contentType);
+                res.setHeader('Content-Disposition', `attachment; filename="${PairSymbol.toFileKey(pair)}_${timeframe}.${extension}"`);
+                
+                await exporter.write(res, history, format, range, { pair, timeframe });
+                res.end();
+            } catch (error) {
+                Logger.error(`Error exporting ${req.params.pair}`, {
+                    error: error.message
+                });
+                
+                // Rows may already be on their way; cut the response short instead of appending an error
+                if (res.headersSent) {
+                    res.destroy();
+                    return;
+                }
+                res.status(500).json({
+                    error: 'Internal server error',
+                    timestamp: Date.now()
+                });
+            }
+        });
+        
+        // Replay a pair's history through the ensemble and report simulated performance
+        this.app.post('/api/backtest', async (req, res) => {
+            try {
+                const { pair: rawPair, timeframe = null, source = 'memory', from = null, to = null, options = {} } = req.body || {};
+                
+                if (!rawPair || typeof rawPair !== 'string') {
+                    return res.status(400).json({
+                        error: 'Invalid request',
+                        message: 'pair is required',
+                        timestamp: Date.now()
+                    });
+                }
+                
+                if (!['memory', 'storage'].includes(source)) {
+                    return res.status(400).json({
+                        error: 'Invalid source',
+                        message: 'source must be "memory" or "storage"',
+                        timestamp: Date.now()
+                    });
+                }
+                
+                if (timeframe && this.dataCollector && !this.dataCollector.getAvailableTimeframes().includes(timeframe)) {
+                    return res.status(400).json({
+                        error: 'Invalid timeframe',
+                        timeframe,
+                        availableTimeframes: this.dataCollector.getAvailableTimeframes(),
+                        timestamp: Date.now()
+                    });
+                }
+                
+                // from/to (ms) narrow the replay; stored history can reach back past the in-memory window
+                if ((from !== null && !Number.isFinite(from)) || (to !== null && !Number.isFinite(to))) {
+                    return res.status(400).json({
+                        error: 'Invalid range',
+                        message: 'from and to must be timestamps in milliseconds',
+                        timestamp: Date.now()
+                    });
+                }
+                
+                const pair = this.resolvePair(rawPair);
+                const range = { from, to };
+                let history = null;
+                
+                if (source === 'memory' && this.dataCollector) {
+                    const inMemory = this.dataCollector.getHistoryForPair(pair, timeframe);
+                    const covered = inMemory && inMemory.timestamps.length > 0 && (from === null || inMemory.timestamps[0] <= from);
+                    history = covered ? StorageBackend.selectRange(inMemory, range) : null;
+                }
+                
+                // Fall back to storage when the pair is not in memory or the range starts before it
+                if (!history || history.closes.length === 0) {
+                    history = await this.loadStoredHistory(pair, timeframe, range);
+                }
+                
+                if (!history || history.closes.length === 0) {
+                    return res.status(404).json({
+                        error: 'No history found',
+                        message: `No ${timeframe || 'base'} history available for ${pair}`,
+                        pair,
+                        timestamp: Date.now()
+                    });
+                }
+                
+                const allowedOptions = ['initialCapital', 'feeRate', 'slippage', 'positionSize', 'minConfidence', 'warmupPeriod', 'windowSize'];
+                const backtestConfig = {};
+                for (const key of allowedOptions) {
+                    if (options[key] !== undefined) {
+                        backtestConfig[key] = Number(options[key]);
+                    }
+                }
+                
+                const technicalStrategies = this.getTechnicalStrategies(pair);
+                const errors = Backtester.validateOptions(backtestConfig, technicalStrategies.getMinDataPoints());
+                if (errors.length > 0) {
+                    return res.status(400).json({
+                        error: 'Invalid option',
+                        message: errors[0],
+                        details: errors,
+                        timestamp: Date.now()
+                    });
+                }
+                
+                const backtester = new Backtester({
+                    ...backtestConfig,
+                    technicalStrategies
+                });
+                const result = await backtester.run(history);
+                
+                res.json({
+                    pair,
+                    timeframe: timeframe || (this.dataCollector ? this.dataCollector.baseTimeframe : null),
+                    ...result,
+                    timestamp: Date.now()
+                });
+            } catch (error) {
+                const isDataError = error.message.startsWith('Insufficient data') || error.message.startsWith('Invalid history');
+                Logger.error('Error running backtest', { error: error.message });
+                res.status(isDataError ? 422 : 500).json({
+                    error: isDataError ? 'Cannot run backtest' : 'Backtest failed',
+                    message: error.message,
+                    timestamp: Date.now()
+                });
+            }
+        });
+        
         // Storage management endpoints
         this.app.get('/api/storage/stats', async (req, res) => {
             try {
@@ -581,12 +1329,22 @@ class TradingBotServer {
                     'GET /api/pairs',
                     'GET /api/pair/:pair',
                     'GET /api/pair/:pair/indicator/:indicator',
+                    'GET /api/pair/:pair/indicator/:indicator/series',
+                    'GET /api/pair/:pair/export',
+                    'GET /api/pair/:pair/signal',
+                    'GET /api/pair/:pair/orderbook',
+                    'GET /api/signals',
+                    'GET /api/stream',
+                    `WS ${this.webSocketApi.path}`,
+                    'POST /api/backtest',
                     'GET /api/config',
                     'GET /api/available-pairs',
                     'PUT /api/config/pairs',
                     'POST /api/config/pairs/add',
                     'DELETE /api/config/pairs/:pair',
                     'POST /api/config/reset',
+                    'GET /api/config/indicators',
+                    'PUT /api/config/indicators',
                     'GET /api/storage/stats',
                     'POST /api/storage/save',
                     'POST /api/storage/cleanup'
@@ -604,7 +1362,8 @@ class TradingBotServer {
         }
         
         // Update strategies when new data arrives
-        this.dataCollector.on('newData', ({ pair }) => {
+        this.dataCollector.on('newData', ({ pair, data, isNewCandle }) => {
+            this.streamHub.publish('newData', { pair, candle: data, isNewCandle });
             this.updateStrategiesForPair(pair);
         });
         
@@ -613,45 +1372,87 @@ class TradingBotServer {
             Logger.error('Data collection error', { error: error.message });
         });
         
-        this.dataCollector.on('collectionRoundComplete', ({ successful, failed }) => {
-            Logger.debug('Data collection round completed', { successful, failed });
+        this.dataCollector.on('fetchError', ({ pair, error }) => {
+            this.streamHub.publish('collectionError', { pair, error: error.message });
+        });
+        
+        // Snapshots arrive more often than candles, so keep the signal's liquidity verdict current
+        this.dataCollector.on('orderBook', ({ pair, analytics }) => {
+            if (this.ensembleSignals[pair]) {
+                this.ensembleSignals[pair].liquidity = analytics.liquidity;
+            }
+        });
+        
+        // Backfilled bars land in the middle of the history, so the indicator streams start over
+        this.dataCollector.on('gapsBackfilled', ({ pair }) => {
+            delete this.indicatorStreams[pair];
+            delete this.timeframeResults[pair];
+        });
+        
+        // Late trades changed the volume of a closed bar the streams have already settled
+        this.dataCollector.on('barsRevised', ({ pair }) => {
+            delete this.indicatorStreams[pair];
+            delete this.timeframeResults[pair];
+        });
+        
+        // The collector logs the transitions; dashboards get them from the stream
+        this.dataCollector.on('exchangeStatus', ({ exchange, from, to, status }) => {
+            this.streamHub.publish('exchangeStatus', { exchange, from, to, status });
+        });
+        
+        this.dataCollector.on('collectionRoundComplete', ({ successful, failed, skipped }) => {
+            Logger.debug('Data collection round completed', { successful, failed, skipped });
             this.lastUpdate = new Date().toISOString();
         });
         
         // Handle pair management events
         this.dataCollector.on('pairAdded', ({ pair }) => {
             Logger.info(`Pair ${pair} added to data collection`);
+            this.streamHub.publish('pairAdded', { pair });
         });
         
         this.dataCollector.on('pairRemoved', ({ pair }) => {
             Logger.info(`Pair ${pair} removed from data collection`);
+            delete this.indicatorStreams[pair];
+            delete this.timeframeResults[pair];
+            this.streamHub.publish('pairRemoved', { pair });
         });
         
         this.dataCollector.on('pairsUpdated', ({ oldPairs, newPairs, changes }) => {
             Logger.info('Data collection pairs updated', { oldPairs, newPairs, changes });
+            // Bulk updates don't fire per-pair events, so stream clients get them from here
+            changes.added.forEach(pair => this.streamHub.publish('pairAdded', { pair }));
+            changes.removed.forEach(pair => this.streamHub.publish('pairRemoved', { pair }));
         });
         
-        // Handle API client events
-        if (this.apiClient) {
-            this.apiClient.on('requestError', ({ endpoint, error }) => {
-                Logger.warn('API request failed', { endpoint, error: error.message });
-            });
-        }
-        
         Logger.debug('Event handlers setup completed');
     }
     
     updateStrategiesForPair(pair) {
         try {
             const data = this.dataCollector.getHistoryForPair(pair);
+            const strategies = this.getTechnicalStrategies(pair);
             
-            if (data && this.technicalStrategies.hasEnoughData(data, 15)) {
-                this.strategyResults[pair] = this.technicalStrategies.calculateAll(data);
+            if (data && strategies.hasEnoughData(data, 15)) {
+                this.strategyResults[pair] = this.calculateStrategies(pair, data);
+                const orderBook = this.dataCollector.getOrderBook(pair);
+                this.ensembleSignals[pair] = {
+                    ...strategies.combineSignals(this.strategyResults[pair]),
+                    liquidity: orderBook ? orderBook.analytics.liquidity : null,
+                    updatedAt: Date.now()
+                };
                 
                 Logger.debug(`Updated strategies for ${pair}`, {
                     indicators: Object.keys(this.strategyResults[pair]),
                     rsiValue: this.strategyResults[pair].rsi?.value,
-                    rsiSuggestion: this.strategyResults[pair].rsi?.suggestion
+                    rsiSuggestion: this.strategyResults[pair].rsi?.suggestion,
+                    ensembleSuggestion: this.ensembleSignals[pair].suggestion
+                });
+                
+                this.streamHub.publish('strategyUpdate', {
+                    pair,
+                    strategies: this.strategyResults[pair],
+                    signal: this.ensembleSignals[pair]
                 });
             }
         } catch (error) {
@@ -661,6 +1462,199 @@ class TradingBotServer {
         }
     }
     
+    // Update the pair's indicator streams with the newest bar instead of recalculating the whole history.
+    // Streams are rebuilt only when the newest bars stop continuing from the last one they saw. Trimming
+    // the oldest bar once dataRetention is reached keeps them: their state does not depend on where the
+    // window starts, and rebuilding on every candle would make each bar cost the whole history again.
+    calculateStrategies(pair, data) {
+        const strategies = this.getTechnicalStrategies(pair);
+        
+        if (!this.incrementalIndicators) {
+            return strategies.calculateAll(data);
+        }
+        
+        const length = data.closes.length;
+        const lastTimestamp = data.timestamps[length - 1];
+        let entry = this.indicatorStreams[pair];
+        
+        if (entry && entry.lastTimestamp === lastTimestamp) {
+            // Another tick on the candle the streams already hold
+            strategies.updateStreams(entry.streams, IndicatorStream.barAt(data, length - 1), false);
+        } else if (entry && length > 1 && data.timestamps[length - 2] === entry.lastTimestamp) {
+            // A new candle opened: settle the previous one with its final values, then append
+            strategies.updateStreams(entry.streams, IndicatorStream.barAt(data, length - 2), false);
+            strategies.updateStreams(entry.streams, IndicatorStream.barAt(data, length - 1), true);
+        } else {
+            entry = { streams: strategies.createStreams(data) };
+            this.indicatorStreams[pair] = entry;
+            Logger.debug(`Rebuilt indicator streams for ${pair}`, { bars: length });
+        }
+        
+        entry.lastTimestamp = lastTimestamp;
+        return strategies.calculateAllFromStreams(entry.streams, data);
+    }
+    
+    // Build the strategy instances for a stored indicator config. Streams are dropped because
+    // their state was computed with the previous parameters.
+    applyIndicatorConfig(indicatorConfig = {}) {
+        this.technicalStrategies = new TechnicalStrategies(TechnicalStrategies.resolveConfig(indicatorConfig));
+        this.pairStrategies = {};
+        
+        for (const pair of Object.keys(indicatorConfig.pairs || {})) {
+            this.pairStrategies[pair] = new TechnicalStrategies(TechnicalStrategies.resolveConfig(indicatorConfig, pair));
+        }
+        
+        this.indicatorStreams = {};
+        this.timeframeResults = {};
+        
+        Logger.info('Applied indicator configuration', {
+            globalOverrides: Object.keys(indicatorConfig.params || {}).length + Object.keys(indicatorConfig.weights || {}).length,
+            pairOverrides: Object.keys(this.pairStrategies)
+        });
+    }
+    
+    getTechnicalStrategies(pair) {
+        return this.pairStrategies[pair] || this.technicalStrategies;
+    }
+    
+    // Pair from a URL or request body: "KAS-BTC", "KAS_BTC", "KAS%2FBTC" or a bare "KAS" for the USDT market.
+    // Unrecognized input is passed through upper-cased so lookups simply miss.
+    resolvePair(value) {
+        return PairSymbol.normalize(String(value)) || String(value).toUpperCase();
+    }
+    
+    // Read and validate the ?timeframe= query parameter. Sends a 400 and returns null when invalid.
+    resolveTimeframe(req, res) {
+        const available = this.dataCollector.getAvailableTimeframes();
+        const timeframe = req.query.timeframe ? String(req.query.timeframe).toLowerCase() : available[0];
+        
+        if (!available.includes(timeframe)) {
+            res.status(400).json({
+                error: 'Invalid timeframe',
+                timeframe: req.query.timeframe,
+                availableTimeframes: available,
+                timestamp: Date.now()
+            });
+            return null;
+        }
+        
+        return timeframe;
+    }
+    
+    // Parse ?from=&to= (milliseconds or ISO dates) and ?limit= for series endpoints
+    parseSeriesRange(query) {
+        const parseTime = (value) => {
+            if (value === undefined || value === '') return null;
+            return /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+        };
+        
+        const from = parseTime(query.from);
+        const to = parseTime(query.to);
+        const limit = query.limit === undefined || query.limit === '' ? null : Number(query.limit);
+        
+        if (Number.isNaN(from) || Number.isNaN(to)) {
+            return { error: 'from and to must be millisecond timestamps or ISO dates' };
+        }
+        if (from !== null && to !== null && from > to) {
+            return { error: 'from must not be after to' };
+        }
+        if (limit !== null && (!Number.isInteger(limit) || limit <= 0)) {
+            return { error: 'limit must be a positive integer' };
+        }
+        
+        return { from, to, limit };
+    }
+    
+    // Base timeframe results are kept current by updateStrategiesForPair. Higher timeframes are calculated
+    // from their closed bars and cached until the next bar closes: the forming bar changes with every tick,
+    // and recalculating the whole history on each one is what the cache avoids.
+    getStrategiesForTimeframe(pair, timeframe) {
+        if (timeframe === this.dataCollector.getAvailableTimeframes()[0]) {
+            return this.strategyResults[pair];
+        }
+        
+        const data = this.dataCollector.getHistoryForPair(pair, timeframe);
+        if (!data) {
+            return undefined;
+        }
+        
+        const intervalMs = CandleAggregator.getIntervalMs(timeframe);
+        const now = Date.now();
+        let closedBars = data.timestamps.length;
+        while (closedBars > 0 && data.timestamps[closedBars - 1] + intervalMs > now) {
+            closedBars--;
+        }
+        
+        // Backfills and trimming change the bars without a new one closing
+        const key = `${data.timestamps[0]}|${data.timestamps[closedBars - 1]}|${closedBars}`;
+        const cache = this.timeframeResults[pair] || (this.timeframeResults[pair] = {});
+        if (cache[timeframe] && cache[timeframe].key === key) {
+            return cache[timeframe].strategies;
+        }
+        
+        const closed = {};
+        Object.keys(data).forEach(series => {
+            if (Array.isArray(data[series])) {
+                closed[series] = data[series].slice(0, closedBars);
+            }
+        });
+        
+        const strategies = this.getTechnicalStrategies(pair);
+        const results = strategies.hasEnoughData(closed, 15) ? strategies.calculateAll(closed) : undefined;
+        cache[timeframe] = { key, strategies: results };
+        return results;
+    }
+    
+    getSignalForTimeframe(pair, timeframe) {
+        if (timeframe === this.dataCollector.getAvailableTimeframes()[0]) {
+            return this.ensembleSignals[pair];
+        }
+        
+        const strategies = this.getStrategiesForTimeframe(pair, timeframe);
+        return strategies ? this.getTechnicalStrategies(pair).combineSignals(strategies) : undefined;
+    }
+    
+    // Signed score used to rank signals: positive for buys, negative for sells
+    getSignalRankScore(signal) {
+        if (!signal || !signal.metadata) {
+            return 0;
+        }
+        
+        return Number((signal.metadata.netScore || 0).toFixed(4));
+    }
+    
+    // History of a timeframe covering the range: the collector's memory when it reaches back to `from`,
+    // otherwise storage, with warmupBars extra bars before the range for indicators
+    async loadHistoryRange(pair, timeframe, range, warmupBars = 0) {
+        const inMemory = this.dataCollector.getHistoryForPair(pair, timeframe);
+        const start = inMemory && inMemory.timestamps.length > 0 ? inMemory.timestamps[0] : null;
+        if (start !== null && (range.from === null || start <= range.from) && (range.to === null || start <= range.to)) {
+            return inMemory;
+        }
+        
+        const isBase = timeframe === this.dataCollector.baseTimeframe;
+        const intervalMs = isBase ? this.dataCollector.config.candleInterval : CandleAggregator.getIntervalMs(timeframe);
+        return this.loadStoredHistory(pair, isBase ? null : timeframe, {
+            from: range.from === null ? null : range.from - warmupBars * intervalMs,
+            to: range.to,
+            limit: range.from === null && range.limit ? range.limit + warmupBars : null
+        });
+    }
+    
+    // Read from the collector's storage backend, or a temporary one when there is no collector
+    async loadStoredHistory(pair, timeframe, range = {}) {
+        if (this.dataCollector) {
+            return this.dataCollector.dataStorage.loadPairData(pair, timeframe, range);
+        }
+        
+        const storage = StorageRegistry.create(config.has('trading.storage') ? config.get('trading.storage') : {});
+        try {
+            return await storage.loadPairData(pair, timeframe, range);
+        } finally {
+            await storage.close();
+        }
+    }
+    
     getUptime() {
         const uptimeMs = Date.now() - this.startTime;
         const hours = Math.floor(uptimeMs / 3600000);
@@ -708,8 +1702,12 @@ class TradingBotServer {
                 console.log(`🔍 Available trading pairs: http://localhost:${this.port}/api/available-pairs`);
                 console.log(`⚙️  Configuration: http://localhost:${this.port}/api/config`);
                 console.log(`🔍 Individual pair: http://localhost:${this.port}/api/pair/RVN`);
+                console.log(`📡 Live stream: http://localhost:${this.port}/api/stream`);
+                console.log(`🔌 WebSocket: ws://localhost:${this.port}${this.webSocketApi.path}`);
             });
             
+            this.webSocketApi.attach(this.server);
+            
         } catch (error) {
             const errorMessage = error && error.message ? error.message : 'Unknown error occurred';
             Logger.error('Failed to start server', { 
@@ -734,6 +1732,13 @@ class TradingBotServer {
                 Logger.info('✅ Data collector stopped and data saved');
             }
             
+            this.webSocketApi.close();
+            
+            if (this.streamHub.clients.size > 0) {
+                Logger.info(`📡 Closing ${this.streamHub.clients.size} stream connections...`);
+                this.streamHub.closeAll();
+            }
+            
             if (this.server) {
                 Logger.info('🔌 Closing HTTP server...');
                 await new Promise((resolve) => {
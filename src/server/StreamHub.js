@@ -0,0 +1,160 @@
+const EventEmitter = require('events');
+const { Logger, PairSymbol } = require('../utils');
+
+// Event types pushed to streaming clients
+const STREAM_EVENTS = ['newData', 'strategyUpdate', 'pairAdded', 'pairRemoved', 'collectionError', 'exchangeStatus'];
+
+// Fan-out point between the collector/strategy events and connected streaming clients.
+// Every published event gets an increasing id so clients can tell if they missed any.
+class StreamHub extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.config = {
+            heartbeatInterval: 15000,
+            ...config
+        };
+        
+        this.sequence = 0;
+        this.clients = new Map();
+        this.nextClientId = 1;
+        this.setMaxListeners(0); // One listener per connected client
+    }
+    
+    static get EVENTS() {
+        return STREAM_EVENTS;
+    }
+    
+    publish(type, payload = {}) {
+        const event = {
+            id: ++this.sequence,
+            type,
+            pair: payload.pair || null,
+            data: payload,
+            timestamp: Date.now()
+        };
+        
+        this.emit('event', event);
+        return event;
+    }
+    
+    // Parse comma separated ?pairs= and ?events= filters. Throws on unknown event types.
+    parseFilters(query = {}) {
+        const split = value => String(value).split(',').map(item => item.trim()).filter(Boolean);
+        
+        const pairs = query.pairs || query.pair ? split(query.pairs || query.pair).map(pair => PairSymbol.normalize(pair) || pair.toUpperCase()) : null;
+        const events = query.events || query.event ? split(query.events || query.event) : null;
+        
+        if (events) {
+            const unknown = events.filter(event => !STREAM_EVENTS.includes(event));
+            if (unknown.length > 0) {
+                throw new Error(`Unknown event type(s): ${unknown.join(', ')}`);
+            }
+        }
+        
+        return { pairs, events };
+    }
+    
+    // Events without a pair (e.g. collection errors for the whole round) pass every pair filter
+    matches(event, filters) {
+        if (filters.events && !filters.events.includes(event.type)) {
+            return false;
+        }
+        
+        if (filters.pairs && event.pair && !filters.pairs.includes(event.pair)) {
+            return false;
+        }
+        
+        return true;
+    }
+    
+    // Register a connected client of any transport ({ type, close, end }) and return its id.
+    // Health stats and shutdown go through this registry, so every transport shares it.
+    addClient(client) {
+        const clientId = this.nextClientId++;
+        this.clients.set(clientId, { connectedAt: Date.now(), ...client });
+        return clientId;
+    }
+    
+    // Returns false when the client was already removed, so close handlers can run more than once
+    removeClient(clientId) {
+        return this.clients.delete(clientId);
+    }
+    
+    // Attach an HTTP response as a Server-Sent Events client
+    addSseClient(req, res, filters) {
+        let clientId = null;
+        
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Stop reverse proxies from buffering the stream
+        });
+        
+        const send = (type, data, id = null) => {
+            let message = '';
+            if (id !== null) message += `id: ${id}\n`;
+            message += `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+            res.write(message);
+        };
+        
+        const onEvent = (event) => {
+            if (this.matches(event, filters)) {
+                send(event.type, { ...event.data, timestamp: event.timestamp }, event.id);
+            }
+        };
+        
+        const heartbeat = setInterval(() => {
+            send('heartbeat', { timestamp: Date.now(), lastEventId: this.sequence });
+        }, this.config.heartbeatInterval);
+        
+        const close = () => {
+            if (!this.removeClient(clientId)) return;
+            
+            clearInterval(heartbeat);
+            this.removeListener('event', onEvent);
+            
+            Logger.debug('Stream client disconnected', { clientId, clients: this.clients.size });
+        };
+        
+        this.on('event', onEvent);
+        clientId = this.addClient({ type: 'sse', filters, close, end: () => res.end() });
+        req.on('close', close);
+        
+        res.write(`retry: ${this.config.heartbeatInterval}\n\n`);
+        send('connected', {
+            clientId,
+            pairs: filters.pairs || 'all',
+            events: filters.events || STREAM_EVENTS,
+            heartbeatInterval: this.config.heartbeatInterval,
+            lastEventId: this.sequence,
+            timestamp: Date.now()
+        });
+        
+        Logger.debug('Stream client connected', { clientId, filters, clients: this.clients.size });
+        return clientId;
+    }
+    
+    getStats() {
+        const byType = {};
+        for (const client of this.clients.values()) {
+            byType[client.type] = (byType[client.type] || 0) + 1;
+        }
+        
+        return {
+            clients: this.clients.size,
+            byType,
+            eventsPublished: this.sequence
+        };
+    }
+    
+    // Disconnect every client - open streams would otherwise keep the HTTP server from closing
+    closeAll() {
+        for (const client of [...this.clients.values()]) {
+            client.close();
+            client.end();
+        }
+    }
+}
+
+module.exports = StreamHub;
@@ -0,0 +1,374 @@
+const WebSocket = require('ws');
+const { Logger, PairSymbol } = require('../utils');
+
+// Channels a client can subscribe to per pair
+const CHANNELS = ['ticks', 'candles', 'indicators', 'signals'];
+
+// Bidirectional counterpart to the SSE stream. Clients subscribe to pair/channel/timeframe
+// combinations, get a snapshot for each new subscription and incremental updates afterwards.
+class WebSocketApi {
+    constructor({ streamHub, provider, path = '/ws', pingInterval = 30000, snapshotLimit = 200 }) {
+        this.streamHub = streamHub;
+        this.provider = provider;
+        this.path = path;
+        this.pingInterval = pingInterval;
+        this.snapshotLimit = snapshotLimit;
+        
+        this.wss = null;
+        this.pingTimer = null;
+        this.clients = new Map(); // clientId -> { socket, subscriptions: Map<key, subscription> }
+        this.lastCandleTimestamps = {}; // `${pair}|${timeframe}` -> timestamp of the last candle broadcast
+        
+        this.onHubEvent = this.onHubEvent.bind(this);
+    }
+    
+    static get CHANNELS() {
+        return CHANNELS;
+    }
+    
+    attach(httpServer) {
+        this.wss = new WebSocket.Server({ server: httpServer, path: this.path });
+        this.wss.on('connection', (socket) => this.handleConnection(socket));
+        this.streamHub.on('event', this.onHubEvent);
+        
+        // Drop connections that stopped answering pings
+        this.pingTimer = setInterval(() => {
+            for (const client of this.clients.values()) {
+                if (!client.alive) {
+                    client.socket.terminate();
+                    continue;
+                }
+                client.alive = false;
+                client.socket.ping();
+            }
+        }, this.pingInterval);
+        
+        Logger.info('WebSocket API attached', { path: this.path });
+    }
+    
+    handleConnection(socket) {
+        const client = {
+            socket,
+            alive: true,
+            subscriptions: new Map()
+        };
+        
+        const close = () => {
+            if (!this.streamHub.removeClient(client.id)) return;
+            this.clients.delete(client.id);
+            Logger.debug('WebSocket client disconnected', { clientId: client.id, clients: this.clients.size });
+        };
+        
+        // Register with the stream hub so health stats and shutdown cover both transports
+        client.id = this.streamHub.addClient({
+            type: 'websocket',
+            close,
+            end: () => socket.close(1001, 'Server shutting down')
+        });
+        this.clients.set(client.id, client);
+        
+        socket.on('pong', () => { client.alive = true; });
+        socket.on('message', (raw) => this.handleMessage(client, raw));
+        socket.on('close', close);
+        socket.on('error', (error) => {
+            Logger.warn('WebSocket client error', { clientId: client.id, error: error.message });
+        });
+        
+        this.send(client, {
+            type: 'welcome',
+            clientId: client.id,
+            channels: CHANNELS,
+            timeframes: this.provider.getTimeframes(),
+            pairs: this.provider.getPairs()
+        });
+        
+        Logger.debug('WebSocket client connected', { clientId: client.id, clients: this.clients.size });
+    }
+    
+    handleMessage(client, raw) {
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (error) {
+            return this.sendError(client, 'Invalid JSON message');
+        }
+        
+        try {
+            switch (message.type) {
+                case 'subscribe':
+                    return this.subscribe(client, message);
+                case 'unsubscribe':
+                    return this.unsubscribe(client, message);
+                case 'ping':
+                    return this.send(client, { type: 'pong', id: message.id });
+                default:
+                    return this.sendError(client, `Unknown message type: ${message.type}`, message.id);
+            }
+        } catch (error) {
+            Logger.debug('Rejected WebSocket message', { clientId: client.id, error: error.message });
+            this.sendError(client, error.message, message.id);
+        }
+    }
+    
+    // Expand a subscribe/unsubscribe message into individual subscriptions, validating every part
+    parseSubscriptions(message) {
+        const toList = value => (Array.isArray(value) ? value : [value]).filter(item => item !== undefined && item !== null);
+        
+        const pairs = toList(message.pairs || message.pair).map(pair => PairSymbol.normalize(String(pair)) || String(pair).toUpperCase());
+        const channels = message.channels || message.channel ? toList(message.channels || message.channel) : CHANNELS;
+        const availableTimeframes = this.provider.getTimeframes();
+        const timeframes = message.timeframes || message.timeframe ?
+            toList(message.timeframes || message.timeframe).map(tf => String(tf).toLowerCase()) : [availableTimeframes[0]];
+        
+        if (pairs.length === 0) {
+            throw new Error('At least one pair is required');
+        }
+        
+        const unknownChannels = channels.filter(channel => !CHANNELS.includes(channel));
+        if (unknownChannels.length > 0) {
+            throw new Error(`Unknown channel(s): ${unknownChannels.join(', ')}. Available: ${CHANNELS.join(', ')}`);
+        }
+        
+        const unknownTimeframes = timeframes.filter(tf => !availableTimeframes.includes(tf));
+        if (unknownTimeframes.length > 0) {
+            throw new Error(`Unknown timeframe(s): ${unknownTimeframes.join(', ')}. Available: ${availableTimeframes.join(', ')}`);
+        }
+        
+        const subscriptions = [];
+        for (const pair of pairs) {
+            for (const channel of channels) {
+                // Ticks are the raw price feed and have no timeframe
+                const channelTimeframes = channel === 'ticks' ? [null] : timeframes;
+                for (const timeframe of channelTimeframes) {
+                    subscriptions.push({ pair, channel, timeframe, key: `${pair}|${channel}|${timeframe || ''}` });
+                }
+            }
+        }
+        
+        return { pairs, subscriptions };
+    }
+    
+    subscribe(client, message) {
+        const { pairs, subscriptions } = this.parseSubscriptions(message);
+        
+        const trackedPairs = this.provider.getPairs();
+        const untracked = pairs.filter(pair => !trackedPairs.includes(pair));
+        if (untracked.length > 0) {
+            throw new Error(`Pair(s) not tracked: ${untracked.join(', ')}`);
+        }
+        
+        const limit = Number.isInteger(message.limit) && message.limit > 0 ? message.limit : this.snapshotLimit;
+        const added = subscriptions.filter(subscription => !client.subscriptions.has(subscription.key));
+        
+        added.forEach(subscription => client.subscriptions.set(subscription.key, subscription));
+        
+        this.send(client, {
+            type: 'subscribed',
+            id: message.id,
+            added: added.map(({ pair, channel, timeframe }) => ({ pair, channel, timeframe })),
+            total: client.subscriptions.size
+        });
+        
+        // Snapshot every new subscription so the client starts from a complete picture
+        for (const subscription of added) {
+            this.send(client, {
+                type: 'snapshot',
+                pair: subscription.pair,
+                channel: subscription.channel,
+                timeframe: subscription.timeframe,
+                data: this.getSnapshot(subscription, limit)
+            });
+        }
+    }
+    
+    unsubscribe(client, message) {
+        let removed = [];
+        
+        if (message.all) {
+            removed = [...client.subscriptions.values()];
+            client.subscriptions.clear();
+        } else {
+            const { subscriptions } = this.parseSubscriptions(message);
+            removed = subscriptions.filter(subscription => client.subscriptions.delete(subscription.key));
+        }
+        
+        this.send(client, {
+            type: 'unsubscribed',
+            id: message.id,
+            removed: removed.map(({ pair, channel, timeframe }) => ({ pair, channel, timeframe })),
+            total: client.subscriptions.size
+        });
+    }
+    
+    getSnapshot({ pair, channel, timeframe }, limit) {
+        switch (channel) {
+            case 'ticks': {
+                const history = this.provider.getHistory(pair, null);
+                return history && history.closes.length > 0 ? this.toTick(history) : null;
+            }
+            case 'candles': {
+                const history = this.provider.getHistory(pair, timeframe);
+                return history ? this.sliceHistory(history, limit) : null;
+            }
+            case 'indicators':
+                return this.provider.getStrategies(pair, timeframe) || null;
+            case 'signals':
+                return this.provider.getSignal(pair, timeframe) || null;
+            default:
+                return null;
+        }
+    }
+    
+    // Turn stream hub events into channel updates for the clients subscribed to them
+    onHubEvent(event) {
+        if (this.clients.size === 0 || !event.pair) {
+            return;
+        }
+        
+        try {
+            if (event.type === 'pairRemoved') {
+                this.removePair(event.pair);
+            } else if (event.type === 'newData') {
+                this.broadcast(event.pair, 'ticks', null, () => ({
+                    price: event.data.candle.close,
+                    timestamp: event.timestamp
+                }));
+                
+                for (const timeframe of this.getSubscribedTimeframes(event.pair, 'candles')) {
+                    const history = this.provider.getHistory(event.pair, timeframe);
+                    if (!history || history.closes.length === 0) continue;
+                    
+                    const candle = this.getLastCandle(history);
+                    const key = `${event.pair}|${timeframe}`;
+                    const isNewCandle = this.lastCandleTimestamps[key] !== candle.timestamp;
+                    this.lastCandleTimestamps[key] = candle.timestamp;
+                    
+                    this.broadcast(event.pair, 'candles', timeframe, () => ({ candle, isNewCandle }));
+                }
+            } else if (event.type === 'strategyUpdate') {
+                for (const timeframe of this.getSubscribedTimeframes(event.pair, 'indicators')) {
+                    this.broadcast(event.pair, 'indicators', timeframe, () => this.provider.getStrategies(event.pair, timeframe));
+                }
+                for (const timeframe of this.getSubscribedTimeframes(event.pair, 'signals')) {
+                    this.broadcast(event.pair, 'signals', timeframe, () => this.provider.getSignal(event.pair, timeframe));
+                }
+            }
+        } catch (error) {
+            Logger.error('Error broadcasting WebSocket update', { pair: event.pair, type: event.type, error: error.message });
+        }
+    }
+    
+    // A removed pair gets no more updates, so its subscriptions are dropped and the clients told
+    removePair(pair) {
+        for (const client of this.clients.values()) {
+            const removed = [...client.subscriptions.values()].filter(subscription => subscription.pair === pair);
+            if (removed.length === 0) continue;
+            
+            removed.forEach(subscription => client.subscriptions.delete(subscription.key));
+            this.send(client, {
+                type: 'unsubscribed',
+                reason: 'pairRemoved',
+                removed: removed.map(({ channel, timeframe }) => ({ pair, channel, timeframe })),
+                total: client.subscriptions.size
+            });
+        }
+        
+        Object.keys(this.lastCandleTimestamps)
+            .filter(key => key.startsWith(`${pair}|`))
+            .forEach(key => delete this.lastCandleTimestamps[key]);
+    }
+    
+    getSubscribedTimeframes(pair, channel) {
+        const timeframes = new Set();
+        for (const client of this.clients.values()) {
+            for (const subscription of client.subscriptions.values()) {
+                if (subscription.pair === pair && subscription.channel === channel) {
+                    timeframes.add(subscription.timeframe);
+                }
+            }
+        }
+        return [...timeframes];
+    }
+    
+    // Build the payload lazily and at most once, only if someone is subscribed
+    broadcast(pair, channel, timeframe, buildData) {
+        const key = `${pair}|${channel}|${timeframe || ''}`;
+        let message = null;
+        
+        for (const client of this.clients.values()) {
+            if (!client.subscriptions.has(key)) continue;
+            
+            if (message === null) {
+                const data = buildData();
+                if (data === undefined || data === null) return;
+                message = { type: 'update', pair, channel, timeframe, data, timestamp: Date.now() };
+            }
+            
+            this.send(client, message);
+        }
+    }
+    
+    toTick(history) {
+        const i = history.closes.length - 1;
+        return { price: history.closes[i], timestamp: history.timestamps[i] };
+    }
+    
+    getLastCandle(history) {
+        const i = history.closes.length - 1;
+        return {
+            timestamp: history.timestamps[i],
+            open: history.opens ? history.opens[i] : history.closes[i],
+            high: history.highs[i],
+            low: history.lows[i],
+            close: history.closes[i],
+            volume: history.volumes[i]
+        };
+    }
+    
+    sliceHistory(history, limit) {
+        const sliced = {};
+        for (const [key, values] of Object.entries(history)) {
+            if (Array.isArray(values)) {
+                sliced[key] = values.slice(-limit);
+            }
+        }
+        return sliced;
+    }
+    
+    send(client, message) {
+        if (client.socket.readyState === WebSocket.OPEN) {
+            client.socket.send(JSON.stringify({ ...message, timestamp: message.timestamp || Date.now() }));
+        }
+    }
+    
+    sendError(client, message, id) {
+        this.send(client, { type: 'error', id, message });
+    }
+    
+    getStats() {
+        let subscriptions = 0;
+        for (const client of this.clients.values()) {
+            subscriptions += client.subscriptions.size;
+        }
+        return { clients: this.clients.size, subscriptions };
+    }
+    
+    close() {
+        if (this.pingTimer) {
+            clearInterval(this.pingTimer);
+            this.pingTimer = null;
+        }
+        
+        this.streamHub.removeListener('event', this.onHubEvent);
+        
+        if (this.wss) {
+            for (const client of this.clients.values()) {
+                client.socket.terminate();
+            }
+            this.wss.close();
+            this.wss = null;
+        }
+    }
+}
+
+module.exports = WebSocketApi;
@@ -0,0 +1,76 @@
+// The usual EMA with alpha = 2 / (period + 1), seeded with the simple average of the first
+// `period` inputs as in MACD. A cascade feeds each EMA into the next one, the building block
+// of DEMA and TEMA.
+class ExponentialSmoothing {
+    static step(previous, value, period) {
+        const multiplier = 2 / (period + 1);
+        return (value * multiplier) + (previous * (1 - multiplier));
+    }
+    
+    // EMA at every input from the period-th on
+    static series(values, period) {
+        if (values.length < period) {
+            throw new Error(`Insufficient data for EMA calculation: need ${period}, got ${values.length}`);
+        }
+        
+        const smoothed = [values.slice(0, period).reduce((sum, value) => sum + value, 0) / period];
+        
+        for (let i = period; i < values.length; i++) {
+            smoothed.push(ExponentialSmoothing.step(smoothed[smoothed.length - 1], values[i], period));
+        }
+        
+        return smoothed;
+    }
+    
+    // EMA, EMA of the EMA, ... `depth` levels deep. Every level starts period - 1 inputs after
+    // the one before it, so the series line up from the end.
+    static cascade(values, period, depth) {
+        const levels = [];
+        let input = values;
+        
+        for (let level = 0; level < depth; level++) {
+            input = ExponentialSmoothing.series(input, period);
+            levels.push(input);
+        }
+        
+        return levels;
+    }
+    
+    // Streaming counterpart of cascade(): one { count, sum, ema } per level
+    static emptyCascade(depth) {
+        return Array.from({ length: depth }, () => ({ count: 0, sum: 0, ema: null }));
+    }
+    
+    static nextCascade(levels, value, period) {
+        const next = [];
+        let input = value;
+        
+        for (const level of levels) {
+            // A level only receives input once the one before it has warmed up
+            if (input === null) {
+                next.push(level);
+                continue;
+            }
+            
+            const count = level.count + 1;
+            let sum = level.sum;
+            let ema = level.ema;
+            
+            if (count <= period) {
+                sum += input;
+                if (count === period) {
+                    ema = sum / period;
+                }
+            } else {
+                ema = ExponentialSmoothing.step(level.ema, input, period);
+            }
+            
+            next.push({ count, sum, ema });
+            input = ema;
+        }
+        
+        return next;
+    }
+}
+
+module.exports = ExponentialSmoothing;
@@ -0,0 +1,244 @@
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('../../utils');
+
+// Data arrays an indicator can read, passed to calculate() in the order the definition lists them
+const INPUTS = ['highs', 'lows', 'closes', 'volumes', 'buyVolumes', 'sellVolumes', 'timestamps'];
+const PARAM_TYPES = ['integer', 'number', 'choice'];
+const NAME_PATTERN = /^[A-Za-z][A-Za-z0-9]*$/;
+const MAX_PERIOD = 500;
+const MAX_DECIMAL = 10;
+const MAX_WEIGHT = 10;
+
+// Definitions of the available indicators, keyed by the name used in results, config and the API.
+// A definition (a plugin module exports one, or an array of them):
+// {
+//   name: 'myIndicator',                 // letters and digits, unique regardless of case
+//   label: 'My Indicator',               // display name, defaults to the name
+//   inputs: ['highs', 'lows', 'closes'], // arrays passed to the indicator's calculate(), in order
+//   optionalInputs: ['volumes'],         // optional subset of inputs that may be missing (passed as undefined)
+//   params: { period: { type: 'integer', default: 14 } },   // integer, number or choice ({ choices })
+//   weight: 1.0,                         // default ensemble weight, 0 leaves it out of the ensemble
+//   minDataPoints: p => p.period + 1,    // optional number or function of the params
+//   create: p => new MyIndicator(p.period),
+//   rules: [p => p.fast < p.slow || 'fast must be less than slow'],   // optional
+//   fallback: { value: 50, metadata: { level: 'Unknown' } }   // optional result fields when the calculation
+//                                        // fails; metadata is merged into the failed result's metadata
+// }
+const definitions = {};
+
+class IndicatorRegistry {
+    static get INPUTS() {
+        return [...INPUTS];
+    }
+    
+    static get MAX_WEIGHT() {
+        return MAX_WEIGHT;
+    }
+    
+    static register(definition, source = 'builtin') {
+        const errors = IndicatorRegistry.validateDefinition(definition);
+        if (errors.length > 0) {
+            throw new Error(`Invalid indicator definition${definition && definition.name ? ` ${definition.name}` : ''}: ${errors.join('; ')}`);
+        }
+        
+        definitions[definition.name] = {
+            label: definition.name,
+            rules: [],
+            fallback: {},
+            ...definition,
+            source
+        };
+        
+        return definitions[definition.name];
+    }
+    
+    static has(name) {
+        return typeof name === 'string' && Object.prototype.hasOwnProperty.call(definitions, name);
+    }
+    
+    static get(name) {
+        if (!IndicatorRegistry.has(name)) {
+            throw new Error(`Unknown indicator: ${name}. Available: ${IndicatorRegistry.getNames().join(', ')}`);
+        }
+        
+        return definitions[name];
+    }
+    
+    static getNames() {
+        return Object.keys(definitions);
+    }
+    
+    static getLabels() {
+        return Object.values(definitions).map(definition => definition.label);
+    }
+    
+    // Minimum bars for the given params: declared by the definition, otherwise taken from an instance
+    static getMinDataPoints(name, params) {
+        const definition = IndicatorRegistry.get(name);
+        
+        if (typeof definition.minDataPoints === 'function') {
+            return definition.minDataPoints(params);
+        }
+        if (typeof definition.minDataPoints === 'number') {
+            return definition.minDataPoints;
+        }
+        
+        return definition.create(params).minDataPoints || 1;
+    }
+    
+    // JSON-friendly description of every indicator for API clients
+    static describe() {
+        return Object.values(definitions).map(definition => {
+            const params = Object.fromEntries(Object.entries(definition.params).map(([param, schema]) => [param, schema.default]));
+            
+            return {
+                name: definition.name,
+                label: definition.label,
+                source: definition.source,
+                inputs: definition.inputs,
+                params: definition.params,
+                weight: definition.weight,
+                minDataPoints: IndicatorRegistry.getMinDataPoints(definition.name, params)
+            };
+        });
+    }
+    
+    // Error message for a parameter value, or null when the schema accepts it
+    static checkParam(schema, value) {
+        if (schema.type === 'choice') {
+            return schema.choices.includes(value) ? null : `must be one of ${schema.choices.join(', ')}`;
+        }
+        
+        if (schema.type === 'number') {
+            const min = schema.min !== undefined ? schema.min : 0;
+            const max = schema.max !== undefined ? schema.max : MAX_DECIMAL;
+            
+            if (typeof value !== 'number' || !Number.isFinite(value) || value <= min || value > max) {
+                return `must be a number greater than ${min} and at most ${max}`;
+            }
+            return null;
+        }
+        
+        const min = schema.min !== undefined ? schema.min : 1;
+        const max = schema.max !== undefined ? schema.max : MAX_PERIOD;
+        
+        if (!Number.isInteger(value) || value < min || value > max) {
+            return `must be an integer between ${min} and ${max}`;
+        }
+        return null;
+    }
+    
+    static validateDefinition(definition) {
+        const errors = [];
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        
+        if (!isObject(definition)) {
+            return ['definition must be an object'];
+        }
+        
+        const { name, inputs, params, weight } = definition;
+        
+        if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+            errors.push('name must start with a letter and contain only letters and digits');
+        } else {
+            // The REST API matches indicator names case-insensitively
+            const taken = IndicatorRegistry.getNames().find(existing => existing.toLowerCase() === name.toLowerCase());
+            if (taken) {
+                errors.push(`name is already registered as ${taken}`);
+            }
+        }
+        
+        if (!Array.isArray(inputs) || inputs.length === 0 || !inputs.every(input => INPUTS.includes(input))) {
+            errors.push(`inputs must be a non-empty list of ${INPUTS.join(', ')}`);
+        }
+        
+        if (!isObject(params)) {
+            errors.push('params must be an object');
+        } else {
+            for (const [param, schema] of Object.entries(params)) {
+                if (!isObject(schema) || !PARAM_TYPES.includes(schema.type)) {
+                    errors.push(`params.${param}.type must be one of ${PARAM_TYPES.join(', ')}`);
+                } else if (schema.type === 'choice' && (!Array.isArray(schema.choices) || schema.choices.length === 0)) {
+                    errors.push(`params.${param}.choices must be a non-empty list`);
+                } else {
+                    const error = IndicatorRegistry.checkParam(schema, schema.default);
+                    if (error) {
+                        errors.push(`params.${param}.default ${error}`);
+                    }
+                }
+            }
+        }
+        
+        if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0 || weight > MAX_WEIGHT) {
+            errors.push(`weight must be a number between 0 and ${MAX_WEIGHT}`);
+        }
+        if (typeof definition.create !== 'function') {
+            errors.push('create must be a function returning the indicator');
+        }
+        if (definition.minDataPoints !== undefined && typeof definition.minDataPoints !== 'function' &&
+            !(Number.isInteger(definition.minDataPoints) && definition.minDataPoints > 0)) {
+            errors.push('minDataPoints must be a positive integer or a function of the params');
+        }
+        if (definition.optionalInputs !== undefined && (!Array.isArray(definition.optionalInputs) ||
+            !definition.optionalInputs.every(input => Array.isArray(inputs) && inputs.includes(input)))) {
+            errors.push('optionalInputs must be a list of the definition\'s inputs');
+        }
+        if (definition.rules !== undefined && (!Array.isArray(definition.rules) || !definition.rules.every(rule => typeof rule === 'function'))) {
+            errors.push('rules must be a list of functions');
+        }
+        if (definition.fallback !== undefined && (!isObject(definition.fallback) ||
+            (definition.fallback.metadata !== undefined && !isObject(definition.fallback.metadata)))) {
+            errors.push('fallback must be an object, with an object as its metadata');
+        }
+        
+        return errors;
+    }
+    
+    // Register every .js module in a directory as an indicator plugin. A plugin that fails to load
+    // or validate is logged and skipped so one broken file doesn't keep the others from loading.
+    static loadDirectory(dir) {
+        const directory = path.resolve(dir);
+        const loaded = [];
+        const failed = [];
+        
+        if (!fs.existsSync(directory)) {
+            return { loaded, failed };
+        }
+        
+        const files = fs.readdirSync(directory).filter(file => file.endsWith('.js')).sort();
+        
+        for (const file of files) {
+            try {
+                const exported = require(path.join(directory, file));
+                const pluginDefinitions = Array.isArray(exported) ? exported : [exported];
+                
+                for (const definition of pluginDefinitions) {
+                    // Loading the same directory again keeps what is already registered
+                    const existing = definition && IndicatorRegistry.has(definition.name) ? definitions[definition.name] : null;
+                    if (!existing || existing.source !== `plugin:${file}`) {
+                        IndicatorRegistry.register(definition, `plugin:${file}`);
+                    }
+                    loaded.push(definition.name);
+                }
+            } catch (error) {
+                Logger.error('Failed to load indicator plugin', { file, error: error.message });
+                failed.push({ file, error: error.message });
+            }
+        }
+        
+        if (loaded.length > 0) {
+            Logger.info('Loaded indicator plugins', { dir: directory, indicators: loaded });
+        }
+        
+        return { loaded, failed };
+    }
+    
+    // options: trading.indicatorPlugins, { enabled, dir }
+    static loadPlugins(options = {}) {
+        const { enabled = true, dir = 'plugins/indicators' } = options || {};
+        return enabled ? IndicatorRegistry.loadDirectory(dir) : { loaded: [], failed: [] };
+    }
+}
+
+module.exports = IndicatorRegistry;
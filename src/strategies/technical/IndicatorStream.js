@@ -0,0 +1,127 @@
+const WINDOW_FIELDS = ['highs', 'lows', 'closes', 'volumes'];
+
+// Stateful wrapper around an indicator for bar-by-bar updates. The indicator supplies
+// initialState(), a pure nextState(state, bar) and resultFromState(state), so every new
+// bar costs O(1) regardless of how much history came before it.
+//
+// The state before the last bar is kept so the still-forming candle can be replaced
+// on every tick without replaying the history.
+class IndicatorStream {
+    constructor(indicator) {
+        if (!IndicatorStream.supports(indicator)) {
+            throw new Error(`${indicator.name || 'Indicator'} does not support streaming`);
+        }
+
+        this.indicator = indicator;
+        this.reset();
+    }
+
+    reset() {
+        this.previousState = null;
+        this.state = this.indicator.initialState();
+        this.length = 0;
+        this.result = null;
+    }
+
+    // Append a closed bar: { high, low, close, volume, buyVolume, sellVolume }
+    push(bar) {
+        this.previousState = this.state;
+        this.state = this.indicator.nextState(this.state, bar);
+        this.length++;
+        this.result = null;
+        return this;
+    }
+
+    // Update the last bar in place (e.g. a tick on the current candle)
+    replaceLast(bar) {
+        if (this.length === 0) {
+            return this.push(bar);
+        }
+
+        this.state = this.indicator.nextState(this.previousState, bar);
+        this.result = null;
+        return this;
+    }
+
+    // Same output as indicator.calculate() on the full series; throws the same way while warming up
+    getResult() {
+        if (this.result === null) {
+            this.result = this.indicator.resultFromState(this.state);
+        }
+        return this.result;
+    }
+
+    static supports(indicator) {
+        return typeof indicator.initialState === 'function' &&
+            typeof indicator.nextState === 'function' &&
+            typeof indicator.resultFromState === 'function';
+    }
+
+    // Feed a whole history object ({ highs, lows, closes, volumes }) into a fresh stream
+    static fromHistory(indicator, history) {
+        const stream = new IndicatorStream(indicator);
+        const length = history.closes.length;
+
+        for (let i = 0; i < length; i++) {
+            stream.push(IndicatorStream.barAt(history, i));
+        }
+
+        return stream;
+    }
+
+    static barAt(history, index) {
+        return {
+            high: history.highs ? history.highs[index] : history.closes[index],
+            low: history.lows ? history.lows[index] : history.closes[index],
+            close: history.closes[index],
+            volume: history.volumes ? history.volumes[index] : 0,
+            // Aggressor volumes from the trade tape, null for bars collected without trades
+            buyVolume: history.buyVolumes && history.buyVolumes[index] !== undefined ? history.buyVolumes[index] : null,
+            sellVolume: history.sellVolumes && history.sellVolumes[index] !== undefined ? history.sellVolumes[index] : null,
+            // Candle open time, for indicators anchored to a session (e.g. VWAP)
+            timestamp: history.timestamps ? history.timestamps[index] : null
+        };
+    }
+
+    // Results (without metadata) for the last `outputLength` bars that have one, oldest first,
+    // from a single pass through a fresh stream
+    static history(indicator, history, outputLength = 50) {
+        const stream = new IndicatorStream(indicator);
+        const results = [];
+
+        for (let i = 0; i < history.closes.length; i++) {
+            stream.push(IndicatorStream.barAt(history, i));
+            if (stream.length < indicator.minDataPoints) continue;
+
+            try {
+                const { metadata, ...values } = stream.getResult();
+                results.push({ ...values, ...(history.timestamps ? { timestamp: history.timestamps[i] } : {}) });
+            } catch (error) {
+                // Not enough usable data at this bar
+                continue;
+            }
+        }
+
+        return results.slice(-outputLength);
+    }
+
+    // Helpers for indicators that only look at the last N bars
+    static emptyWindow() {
+        return { highs: [], lows: [], closes: [], volumes: [] };
+    }
+
+    static appendToWindow(window, bar, size) {
+        const next = {};
+        const values = { highs: bar.high, lows: bar.low, closes: bar.close, volumes: bar.volume };
+
+        for (const field of WINDOW_FIELDS) {
+            const start = window[field].length >= size ? window[field].length - size + 1 : 0;
+            next[field] = window[field].slice(start);
+            next[field].push(values[field]);
+        }
+
+        return next;
+    }
+}
+
+module.exports = IndicatorStream;
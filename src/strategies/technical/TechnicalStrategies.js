@@ -9,427 +9,579 @@ const IchimokuCloud = require('./indicators/IchimokuCloud');
 const ADX = require('./indicators/ADX');
 const CCI = require('./indicators/CCI');
 const ParabolicSAR = require('./indicators/ParabolicSAR');
+const ATR = require('./indicators/ATR');
+const NormalizedATR = require('./indicators/NormalizedATR');
+const KeltnerChannels = require('./indicators/KeltnerChannels');
+const DonchianChannels = require('./indicators/DonchianChannels');
+const HistoricalVolatility = require('./indicators/HistoricalVolatility');
+const VWAP = require('./indicators/VWAP');
+const MFI = require('./indicators/MFI');
+const ChaikinMoneyFlow = require('./indicators/ChaikinMoneyFlow');
+const AccumulationDistribution = require('./indicators/AccumulationDistribution');
+const EaseOfMovement = require('./indicators/EaseOfMovement');
+const SuperTrend = require('./indicators/SuperTrend');
+const HullMovingAverage = require('./indicators/HullMovingAverage');
+const KAMA = require('./indicators/KAMA');
+const DEMA = require('./indicators/DEMA');
+const TEMA = require('./indicators/TEMA');
+const Aroon = require('./indicators/Aroon');
+const Vortex = require('./indicators/Vortex');
+const IndicatorStream = require('./IndicatorStream');
+const IndicatorRegistry = require('./IndicatorRegistry');
 const { Logger } = require('../../utils');
 const { DataValidator } = require('../../data/validators');
 
+// Built-in indicators, registered with IndicatorRegistry ahead of any plugins and calculated the
+// same way. Their fallbacks keep the detailed failure results from before the registry existed.
+// Overrides from the runtime config are merged on top of the defaults and checked by validateConfig().
+const BUILTIN_INDICATORS = {
+    rsi: {
+        label: 'RSI',
+        inputs: ['closes'],
+        params: {
+            period: { type: 'integer', default: 14 },
+            smoothing: { type: 'choice', default: 'wilder', choices: RSI.SMOOTHING }
+        },
+        weight: 1.0,
+        create: p => new RSI(p.period, p.smoothing),
+        fallback: { value: 50 }
+    },
+    macd: {
+        label: 'MACD',
+        inputs: ['closes'],
+        params: {
+            fastPeriod: { type: 'integer', default: 12 },
+            slowPeriod: { type: 'integer', default: 26 },
+            signalPeriod: { type: 'integer', default: 9 }
+        },
+        weight: 1.2,
+        create: p => new MACD(p.fastPeriod, p.slowPeriod, p.signalPeriod),
+        fallback: { macdLine: 0, signalLine: 0, histogram: 0 },
+        rules: [p => p.fastPeriod < p.slowPeriod || 'fastPeriod must be less than slowPeriod']
+    },
+    bollinger: {
+        label: 'Bollinger Bands',
+        inputs: ['closes'],
+        params: {
+            period: { type: 'integer', default: 20 },
+            stdDevMultiplier: { type: 'number', default: 2 }
+        },
+        weight: 1.0,
+        create: p => new BollingerBands(p.period, p.stdDevMultiplier),
+        fallback: { upperBand: 0, middleBand: 0, lowerBand: 0, currentPrice: 0, bandwidth: 0, percentB: 0.5 }
+    },
+    ma: {
+        label: 'Moving Average',
+        inputs: ['closes'],
+        params: {
+            fastPeriod: { type: 'integer', default: 10 },
+            slowPeriod: { type: 'integer', default: 21 }
+        },
+        weight: 1.1, // Moving averages are reliable trend indicators
+        create: p => new MovingAverage(p.fastPeriod, p.slowPeriod),
+        fallback: { fastMA: 0, slowMA: 0, currentPrice: 0, spread: 0, spreadPercent: 0, metadata: { trend: 'unknown' } },
+        rules: [p => p.fastPeriod < p.slowPeriod || 'fastPeriod must be less than slowPeriod']
+    },
+    volume: {
+        label: 'Volume Analysis',
+        inputs: ['closes', 'volumes', 'buyVolumes', 'sellVolumes'],
+        optionalInputs: ['buyVolumes', 'sellVolumes'], // Without the trade tape it falls back to candle direction
+        params: {
+            period: { type: 'integer', default: 20 }
+        },
+        weight: 1.3, // Volume is very important for confirmation
+        create: p => new Volume(p.period),
+        fallback: {
+            currentVolume: 0, avgVolume: 0, volumeRatio: 1, priceChange: 0, priceChangePercent: 0, volumeTrend: 'neutral', obv: 0, vpt: 0,
+            metadata: { volumeSpike: false, confirmationStrength: 'weak' }
+        }
+    },
+    stochastic: {
+        label: 'Stochastic',
+        inputs: ['highs', 'lows', 'closes'],
+        params: {
+            kPeriod: { type: 'integer', default: 14 },
+            dPeriod: { type: 'integer', default: 3 }
+        },
+        weight: 1.0,
+        create: p => new Stochastic(p.kPeriod, p.dPeriod),
+        fallback: { k: 50, d: 50, metadata: { crossover: null } }
+    },
+    williamsR: {
+        label: 'Williams %R',
+        inputs: ['highs', 'lows', 'closes'],
+        params: {
+            period: { type: 'integer', default: 14 }
+        },
+        weight: 0.9,
+        create: p => new WilliamsR(p.period),
+        fallback: { value: -50, metadata: { level: 'Unknown' } }
+    },
+    ichimoku: {
+        label: 'Ichimoku Cloud',
+        inputs: ['highs', 'lows', 'closes'],
+        params: {
+            tenkanPeriod: { type: 'integer', default: 9 },
+            kijunPeriod: { type: 'integer', default: 26 },
+            senkouBPeriod: { type: 'integer', default: 52 },
+            chikouPeriod: { type: 'integer', default: 26 }
+        },
+        weight: 1.5, // Ichimoku is comprehensive and gets higher weight
+        create: p => new IchimokuCloud(p.tenkanPeriod, p.kijunPeriod, p.senkouBPeriod, p.chikouPeriod),
+        fallback: {
+            tenkanSen: 0, kijunSen: 0, senkouSpanA: 0, senkouSpanB: 0, chikouSpan: 0, cloudTop: 0, cloudBottom: 0, cloudThickness: 0,
+            cloudColor: 'neutral', currentPrice: 0, metadata: { trend: 'unknown', signals: [] }
+        },
+        rules: [
+            p => p.tenkanPeriod < p.kijunPeriod || 'tenkanPeriod must be less than kijunPeriod',
+            p => p.kijunPeriod < p.senkouBPeriod || 'kijunPeriod must be less than senkouBPeriod'
+        ]
+    },
+    adx: {
+        label: 'ADX',
+        inputs: ['highs', 'lows', 'closes'],
+        params: {
+            period: { type: 'integer', default: 14 }
+        },
+        weight: 1.4, // ADX is excellent for trend strength confirmation
+        create: p => new ADX(p.period),
+        fallback: { adx: 0, plusDI: 0, minusDI: 0, dx: 0, metadata: { trendStrength: 'Unknown', trendDirection: 'neutral' } }
+    },
+    cci: {
+        label: 'CCI',
+        inputs: ['highs', 'lows', 'closes'],
+        params: {
+            period: { type: 'integer', default: 20 }
+        },
+        weight: 1.1, // CCI is good for momentum and reversal detection
+        create: p => new CCI(p.period),
+        fallback: { cci: 0, typicalPrice: 0, smaTP: 0, meanDeviation: 0, metadata: { factor: 0.015, level: 'Unknown', divergence: null } }
+    },
+    parabolicSAR: {
+        label: 'Parabolic SAR',
+        inputs: ['highs', 'lows', 'closes'],
+        params: {
+            initialAF: { type: 'number', default: 0.02 },
+            maxAF: { type: 'number', default: 0.2 },
+            afIncrement: { type: 'number', default: 0.02 }
+        },
+        weight: 1.2, // Parabolic SAR is excellent for trend following
+        create: p => new ParabolicSAR(p.initialAF, p.maxAF, p.afIncrement),
+        fallback: { sar: 0, trend: 'uptrend', af: 0, ep: 0, currentPrice: 0, metadata: { reversal: false, trendStrength: 'Unknown' } },
+        rules: [p => p.initialAF <= p.maxAF || 'initialAF must not exceed maxAF']
+    },
+    // Volatility indicators feed position sizing and stop placement. Their weight of 0 keeps them
+    // out of the ensemble; give them a weight to let the channel breakouts vote.
+    atr: {
+        label: 'ATR',
+        inputs: ['highs', 'lows', 'closes'],
+        params: {
+            period: { type: 'integer', default: 14 },
+            stopMultiplier: { type: 'number', default: 2 }
+        },
+        weight: 0,
+        create: p => new ATR(p.period, p.stopMultiplier),
+        fallback: { atr: 0, atrPercent: 0, trueRange: 0, longStop: 0, shortStop: 0, currentPrice: 0, metadata: { regime: 'Unknown' } }
+    },
+    natr: {
+        label: 'Normalized ATR',
+        inputs: ['highs', 'lows', 'closes'],
+        params: {
+            period: { type: 'integer', default: 14 }
+        },
+        weight: 0,
+        create: p => new NormalizedATR(p.period),
+        fallback: { natr: 0, atr: 0, currentPrice: 0, metadata: { regime: 'Unknown' } }
+    },
+    keltner: {
+        label: 'Keltner Channels',
+        inputs: ['highs', 'lows', 'closes'],
+        params: {
+            emaPeriod: { type: 'integer', default: 20 },
+            atrPeriod: { type: 'integer', default: 10 },
+            multiplier: { type: 'number', default: 2 }
+        },
+        weight: 0,
+        create: p => new KeltnerChannels(p.emaPeriod, p.atrPeriod, p.multiplier),
+        fallback: { upperBand: 0, middleBand: 0, lowerBand: 0, atr: 0, currentPrice: 0, position: 0.5, bandwidth: 0 }
+    },
+    donchian: {
+        label: 'Donchian Channels',
+        inputs: ['highs', 'lows', 'closes'],
+        params: {
+            period: { type: 'integer', default: 20 }
+        },
+        weight: 0,
+        create: p => new DonchianChannels(p.period),
+        fallback: { upperBand: 0, middleBand: 0, lowerBand: 0, currentPrice: 0, position: 0.5, bandwidth: 0, metadata: { breakout: null } }
+    },
+    volatility: {
+        label: 'Historical Volatility',
+        inputs: ['closes'],
+        params: {
+            period: { type: 'integer', default: 20 },
+            longPeriod: { type: 'integer', default: 100 }
+        },
+        weight: 0,
+        create: p => new HistoricalVolatility(p.period, p.longPeriod),
+        fallback: { volatility: 0, realizedVolatility: 0, longVolatility: 0, volatilityRatio: 1, metadata: { regime: 'Unknown' } },
+        rules: [
+            p => p.period > 1 || 'period must be at least 2',
+            p => p.period < p.longPeriod || 'period must be less than longPeriod'
+        ]
+    },
+    // Volume-weighted indicators, also left out of the ensemble until they are given a weight
+    vwap: {
+        label: 'VWAP',
+        inputs: ['highs', 'lows', 'closes', 'volumes', 'timestamps'],
+        optionalInputs: ['timestamps'], // Only the session anchor needs them
+        params: {
+            anchor: { type: 'choice', default: 'session', choices: VWAP.ANCHORS },
+            period: { type: 'integer', default: 20 }
+        },
+        weight: 0,
+        create: p => new VWAP(p.anchor, p.period),
+        fallback: { vwap: 0, upperBand: 0, lowerBand: 0, currentPrice: 0, deviation: 0, zScore: 0 }
+    },
+    mfi: {
+        label: 'Money Flow Index',
+        inputs: ['highs', 'lows', 'closes', 'volumes'],
+        params: {
+            period: { type: 'integer', default: 14 }
+        },
+        weight: 0,
+        create: p => new MFI(p.period),
+        fallback: { value: 50, positiveFlow: 0, negativeFlow: 0, metadata: { level: 'Unknown' } }
+    },
+    cmf: {
+        label: 'Chaikin Money Flow',
+        inputs: ['highs', 'lows', 'closes', 'volumes'],
+        params: {
+            period: { type: 'integer', default: 20 }
+        },
+        weight: 0,
+        create: p => new ChaikinMoneyFlow(p.period),
+        fallback: { value: 0, moneyFlowVolume: 0 }
+    },
+    adl: {
+        label: 'A/D Line',
+        inputs: ['highs', 'lows', 'closes', 'volumes'],
+        params: {
+            period: { type: 'integer', default: 14 }
+        },
+        weight: 0,
+        create: p => new AccumulationDistribution(p.period),
+        fallback: { value: 0, change: 0, priceChange: 0, metadata: { divergence: null } }
+    },
+    eom: {
+        label: 'Ease of Movement',
+        inputs: ['highs', 'lows', 'volumes'],
+        params: {
+            period: { type: 'integer', default: 14 }
+        },
+        weight: 0,
+        create: p => new EaseOfMovement(p.period),
+        fallback: { value: 0, emv: 0 }
+    },
+    // Trend followers. They vote with each other, so their weights are kept below the
+    // established trend indicators to avoid drowning out the oscillators.
+    supertrend: {
+        label: 'SuperTrend',
+        inputs: ['highs', 'lows', 'closes'],
+        params: {
+            period: { type: 'integer', default: 10 },
+            multiplier: { type: 'number', default: 3 }
+        },
+        weight: 1.0,
+        create: p => new SuperTrend(p.period, p.multiplier),
+        fallback: { supertrend: 0, upperBand: 0, lowerBand: 0, trend: 'Unknown', currentPrice: 0, atr: 0, distance: 0, metadata: { flipped: false } }
+    },
+    hma: {
+        label: 'Hull Moving Average',
+        inputs: ['closes'],
+        params: {
+            period: { type: 'integer', default: 20 }
+        },
+        weight: 0.8,
+        create: p => new HullMovingAverage(p.period),
+        fallback: { value: 0, previous: 0, currentPrice: 0, slope: 0, distance: 0, metadata: { trend: 'Unknown' } },
+        rules: [p => p.period > 1 || 'period must be at least 2']
+    },
+    kama: {
+        label: 'KAMA',
+        inputs: ['closes'],
+        params: {
+            period: { type: 'integer', default: 10 },
+            fastPeriod: { type: 'integer', default: 2 },
+            slowPeriod: { type: 'integer', default: 30 }
+        },
+        weight: 0.8,
+        create: p => new KAMA(p.period, p.fastPeriod, p.slowPeriod),
+        fallback: { value: 0, previous: 0, currentPrice: 0, slope: 0, distance: 0, efficiencyRatio: 0, metadata: { trend: 'Unknown' } },
+        rules: [p => p.fastPeriod < p.slowPeriod || 'fastPeriod must be less than slowPeriod']
+    },
+    dema: {
+        label: 'DEMA',
+        inputs: ['closes'],
+        params: {
+            period: { type: 'integer', default: 20 }
+        },
+        weight: 0.6,
+        create: p => new DEMA(p.period),
+        fallback: { value: 0, previous: 0, currentPrice: 0, slope: 0, distance: 0, metadata: { trend: 'Unknown' } }
+    },
+    tema: {
+        label: 'TEMA',
+        inputs: ['closes'],
+        params: {
+            period: { type: 'integer', default: 20 }
+        },
+        weight: 0.6,
+        create: p => new TEMA(p.period),
+        fallback: { value: 0, previous: 0, currentPrice: 0, slope: 0, distance: 0, metadata: { trend: 'Unknown' } }
+    },
+    aroon: {
+        label: 'Aroon',
+        inputs: ['highs', 'lows'],
+        params: {
+            period: { type: 'integer', default: 25 }
+        },
+        weight: 0.8,
+        create: p => new Aroon(p.period),
+        fallback: { aroonUp: 50, aroonDown: 50, oscillator: 0 }
+    },
+    vortex: {
+        label: 'Vortex',
+        inputs: ['highs', 'lows', 'closes'],
+        params: {
+            period: { type: 'integer', default: 14 }
+        },
+        weight: 0.8,
+        create: p => new Vortex(p.period),
+        fallback: { plusVI: 0, minusVI: 0, spread: 0, metadata: { crossover: null } }
+    }
+};
+
+for (const [name, definition] of Object.entries(BUILTIN_INDICATORS)) {
+    IndicatorRegistry.register({ name, ...definition });
+}
+
 class TechnicalStrategies {
-    constructor() {
-        this.indicators = {
-            rsi: new RSI(14),
-            macd: new MACD(12, 26, 9),
-            bollinger: new BollingerBands(20, 2),
-            ma: new MovingAverage(10, 21),
-            volume: new Volume(20),
-            stochastic: new Stochastic(14, 3),
-            williamsR: new WilliamsR(14),
-            ichimoku: new IchimokuCloud(9, 26, 52, 26),
-            adx: new ADX(14),
-            cci: new CCI(20),
-            parabolicSAR: new ParabolicSAR(0.02, 0.2, 0.02)
-        };
+    // overrides: { params: { macd: { fastPeriod: 8 } }, weights: { volume: 1.5 } }
+    constructor(overrides = {}) {
+        const { params, weights } = TechnicalStrategies.mergeConfig(TechnicalStrategies.getDefaults(), overrides);
+        
+        this.params = params;
+        this.weights = weights;
+        this.indicators = {};
+        
+        for (const name of IndicatorRegistry.getNames()) {
+            const indicator = IndicatorRegistry.get(name).create(this.params[name]);
+            
+            // Plugins may leave the minimum to their definition
+            if (indicator.minDataPoints === undefined) {
+                indicator.minDataPoints = IndicatorRegistry.getMinDataPoints(name, this.params[name]);
+            }
+            this.indicators[name] = indicator;
+        }
         
-        Logger.debug('TechnicalStrategies initialized with indicators:', 
+        Logger.debug('TechnicalStrategies initialized with indicators:',
             Object.keys(this.indicators));
     }
     
-    // Calculate RSI for given data
-    calculateRSI(data, period = 14) {
-        try {
-            if (!data || !data.closes || !Array.isArray(data.closes)) {
-                throw new Error('Invalid data format: closes array required');
-            }
-            
-            const rsi = new RSI(period);
-            return rsi.calculate(data.closes);
-            
-        } catch (error) {
-            Logger.error('RSI calculation failed', { 
-                error: error.message,
-                dataLength: data?.closes?.length || 0
-            });
-            
-            return {
-                value: 50, // Neutral value
-                suggestion: 'hold',
-                confidence: 0,
-                strength: 0,
-                error: error.message,
-                metadata: {
-                    period,
-                    interpretation: 'Calculation failed'
-                }
-            };
+    static getDefaults() {
+        const params = {};
+        const weights = {};
+        
+        for (const name of IndicatorRegistry.getNames()) {
+            const definition = IndicatorRegistry.get(name);
+            params[name] = Object.fromEntries(Object.entries(definition.params).map(([param, schema]) => [param, schema.default]));
+            weights[name] = definition.weight;
         }
+        
+        return { params, weights };
     }
     
-    // Calculate MACD for given data
-    calculateMACD(data, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
-        try {
-            if (!data || !data.closes || !Array.isArray(data.closes)) {
-                throw new Error('Invalid data format: closes array required');
-            }
-            
-            const macd = new MACD(fastPeriod, slowPeriod, signalPeriod);
-            return macd.calculate(data.closes);
-            
-        } catch (error) {
-            Logger.error('MACD calculation failed', { 
-                error: error.message,
-                dataLength: data?.closes?.length || 0
-            });
-            
-            return {
-                macdLine: 0,
-                signalLine: 0,
-                histogram: 0,
-                suggestion: 'hold',
-                confidence: 0,
-                strength: 0,
-                error: error.message,
-                metadata: {
-                    fastPeriod,
-                    slowPeriod,
-                    signalPeriod,
-                    interpretation: 'Calculation failed'
-                }
-            };
+    // Layer { params, weights } overrides on top of a base config; params merge per indicator
+    static mergeConfig(base, overrides = {}) {
+        const params = {};
+        
+        for (const name of Object.keys(base.params)) {
+            params[name] = { ...base.params[name], ...((overrides.params || {})[name] || {}) };
         }
+        
+        return {
+            params,
+            weights: { ...base.weights, ...(overrides.weights || {}) }
+        };
     }
     
-    // Calculate Bollinger Bands for given data
-    calculateBollingerBands(data, period = 20, stdDevMultiplier = 2) {
-        try {
-            if (!data || !data.closes || !Array.isArray(data.closes)) {
-                throw new Error('Invalid data format: closes array required');
-            }
-            
-            const bollinger = new BollingerBands(period, stdDevMultiplier);
-            return bollinger.calculate(data.closes);
-            
-        } catch (error) {
-            Logger.error('Bollinger Bands calculation failed', { 
-                error: error.message,
-                dataLength: data?.closes?.length || 0
-            });
-            
-            return {
-                upperBand: 0,
-                middleBand: 0,
-                lowerBand: 0,
-                currentPrice: 0,
-                bandwidth: 0,
-                percentB: 0.5,
-                suggestion: 'hold',
-                confidence: 0,
-                strength: 0,
-                error: error.message,
-                metadata: {
-                    period,
-                    stdDevMultiplier,
-                    interpretation: 'Calculation failed'
-                }
-            };
+    // Effective config for a pair: defaults, then global overrides, then the pair's own overrides
+    static resolveConfig(indicatorConfig = {}, pair = null) {
+        let config = TechnicalStrategies.mergeConfig(TechnicalStrategies.getDefaults(), indicatorConfig);
+        const pairOverrides = pair && indicatorConfig.pairs ? indicatorConfig.pairs[pair] : null;
+        
+        if (pairOverrides) {
+            config = TechnicalStrategies.mergeConfig(config, pairOverrides);
         }
+        
+        return config;
     }
     
-    // Calculate Moving Average Crossover for given data
-    calculateMovingAverage(data, fastPeriod = 10, slowPeriod = 21) {
-        try {
-            if (!data || !data.closes || !Array.isArray(data.closes)) {
-                throw new Error('Invalid data format: closes array required');
+    // Check a stored indicator config ({ params, weights, pairs: { PAIR: { params, weights } } }).
+    // Returns a list of error messages, empty when the config is valid.
+    static validateConfig(indicatorConfig = {}) {
+        const errors = [];
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        
+        if (!isObject(indicatorConfig)) {
+            return ['Indicator config must be an object'];
+        }
+        
+        const validateScope = (scope, label) => {
+            if (scope.params !== undefined && !isObject(scope.params)) {
+                errors.push(`${label}params must be an object`);
+            }
+            if (scope.weights !== undefined && !isObject(scope.weights)) {
+                errors.push(`${label}weights must be an object`);
             }
             
-            const ma = new MovingAverage(fastPeriod, slowPeriod);
-            return ma.calculate(data.closes);
-            
-        } catch (error) {
-            Logger.error('Moving Average calculation failed', { 
-                error: error.message,
-                dataLength: data?.closes?.length || 0
-            });
-            
-            return {
-                fastMA: 0,
-                slowMA: 0,
-                currentPrice: 0,
-                spread: 0,
-                spreadPercent: 0,
-                suggestion: 'hold',
-                confidence: 0,
-                strength: 0,
-                error: error.message,
-                metadata: {
-                    fastPeriod,
-                    slowPeriod,
-                    interpretation: 'Calculation failed',
-                    trend: 'unknown'
+            for (const [name, params] of Object.entries(isObject(scope.params) ? scope.params : {})) {
+                if (!IndicatorRegistry.has(name)) {
+                    errors.push(`${label}params.${name}: unknown indicator`);
+                    continue;
+                }
+                if (!isObject(params)) {
+                    errors.push(`${label}params.${name} must be an object`);
+                    continue;
+                }
+                
+                const schemas = IndicatorRegistry.get(name).params;
+                
+                for (const [param, value] of Object.entries(params)) {
+                    const path = `${label}params.${name}.${param}`;
+                    
+                    if (!(param in schemas)) {
+                        errors.push(`${path}: unknown parameter (expected ${Object.keys(schemas).join(', ')})`);
+                        continue;
+                    }
+                    
+                    const error = IndicatorRegistry.checkParam(schemas[param], value);
+                    if (error) {
+                        errors.push(`${path} ${error}`);
+                    }
                 }
-            };
-        }
-    }
-    
-    // Calculate Volume Analysis for given data
-    calculateVolume(data, period = 20) {
-        try {
-            if (!data || !data.closes || !data.volumes || 
-                !Array.isArray(data.closes) || !Array.isArray(data.volumes)) {
-                throw new Error('Invalid data format: closes and volumes arrays required');
             }
             
-            const volume = new Volume(period);
-            return volume.calculate(data.closes, data.volumes);
-            
-        } catch (error) {
-            Logger.error('Volume calculation failed', { 
-                error: error.message,
-                dataLength: data?.closes?.length || 0,
-                volumeLength: data?.volumes?.length || 0
-            });
-            
-            return {
-                currentVolume: 0,
-                avgVolume: 0,
-                volumeRatio: 1,
-                priceChange: 0,
-                priceChangePercent: 0,
-                volumeTrend: 'neutral',
-                obv: 0,
-                vpt: 0,
-                suggestion: 'hold',
-                confidence: 0,
-                strength: 0,
-                error: error.message,
-                metadata: {
-                    period,
-                    interpretation: 'Calculation failed',
-                    volumeSpike: false,
-                    confirmationStrength: 'weak'
+            for (const [name, weight] of Object.entries(isObject(scope.weights) ? scope.weights : {})) {
+                if (!IndicatorRegistry.has(name)) {
+                    errors.push(`${label}weights.${name}: unknown indicator`);
+                } else if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0 || weight > IndicatorRegistry.MAX_WEIGHT) {
+                    errors.push(`${label}weights.${name} must be a number between 0 and ${IndicatorRegistry.MAX_WEIGHT}`);
                 }
-            };
-        }
-    }
-
-    // Calculate Stochastic for given data
-    calculateStochastic(data, kPeriod = 14, dPeriod = 3) {
-        try {
-            if (!data || !data.highs || !data.lows || !data.closes ||
-                !Array.isArray(data.highs) || !Array.isArray(data.lows) || !Array.isArray(data.closes)) {
-                throw new Error('Invalid data format: highs, lows, and closes arrays required');
             }
-            
-            const stochastic = new Stochastic(kPeriod, dPeriod);
-            return stochastic.calculate(data.highs, data.lows, data.closes);
-            
-        } catch (error) {
-            Logger.error('Stochastic calculation failed', { 
-                error: error.message,
-                dataLength: data?.closes?.length || 0
-            });
-            
-            return {
-                k: 50,
-                d: 50,
-                suggestion: 'hold',
-                confidence: 0,
-                strength: 0,
-                error: error.message,
-                metadata: {
-                    kPeriod,
-                    dPeriod,
-                    interpretation: 'Calculation failed',
-                    crossover: null
+        };
+        
+        // Relations between parameters are checked on the effective values, so a pair override
+        // can't end up with e.g. fastPeriod >= slowPeriod in combination with the global config
+        const validateRules = (params, label) => {
+            for (const name of IndicatorRegistry.getNames()) {
+                for (const rule of IndicatorRegistry.get(name).rules) {
+                    const result = rule(params[name]);
+                    if (result !== true) {
+                        errors.push(`${label}params.${name}: ${result}`);
+                    }
                 }
-            };
+            }
+        };
+        
+        validateScope(indicatorConfig, '');
+        
+        if (indicatorConfig.pairs !== undefined && !isObject(indicatorConfig.pairs)) {
+            errors.push('pairs must be an object');
         }
-    }
-
-    // Calculate Williams %R for given data
-    calculateWilliamsR(data, period = 14) {
-        try {
-            if (!data || !data.highs || !data.lows || !data.closes ||
-                !Array.isArray(data.highs) || !Array.isArray(data.lows) || !Array.isArray(data.closes)) {
-                throw new Error('Invalid data format: highs, lows, and closes arrays required');
+        const pairs = isObject(indicatorConfig.pairs) ? indicatorConfig.pairs : {};
+        
+        for (const [pair, scope] of Object.entries(pairs)) {
+            if (!isObject(scope)) {
+                errors.push(`pairs.${pair} must be an object`);
+                continue;
             }
-            
-            const williamsR = new WilliamsR(period);
-            return williamsR.calculate(data.highs, data.lows, data.closes);
-            
-        } catch (error) {
-            Logger.error('Williams %R calculation failed', { 
-                error: error.message,
-                dataLength: data?.closes?.length || 0
-            });
-            
-            return {
-                value: -50,
-                suggestion: 'hold',
-                confidence: 0,
-                strength: 0,
-                error: error.message,
-                metadata: {
-                    period,
-                    interpretation: 'Calculation failed',
-                    level: 'Unknown'
-                }
-            };
+            validateScope(scope, `pairs.${pair}.`);
         }
-    }
-
-    // Calculate Ichimoku Cloud for given data
-    calculateIchimokuCloud(data, tenkanPeriod = 9, kijunPeriod = 26, senkouBPeriod = 52, chikouPeriod = 26) {
-        try {
-            if (!data || !data.highs || !data.lows || !data.closes ||
-                !Array.isArray(data.highs) || !Array.isArray(data.lows) || !Array.isArray(data.closes)) {
-                throw new Error('Invalid data format: highs, lows, and closes arrays required');
+        
+        // Only compare values once each of them is known to be a valid number
+        if (errors.length === 0) {
+            validateRules(TechnicalStrategies.resolveConfig(indicatorConfig).params, '');
+            for (const pair of Object.keys(pairs)) {
+                validateRules(TechnicalStrategies.resolveConfig(indicatorConfig, pair).params, `pairs.${pair}.`);
             }
-            
-            const ichimoku = new IchimokuCloud(tenkanPeriod, kijunPeriod, senkouBPeriod, chikouPeriod);
-            return ichimoku.calculate(data.highs, data.lows, data.closes);
-            
-        } catch (error) {
-            Logger.error('Ichimoku Cloud calculation failed', { 
-                error: error.message,
-                dataLength: data?.closes?.length || 0
-            });
-            
-            return {
-                tenkanSen: 0,
-                kijunSen: 0,
-                senkouSpanA: 0,
-                senkouSpanB: 0,
-                chikouSpan: 0,
-                cloudTop: 0,
-                cloudBottom: 0,
-                cloudThickness: 0,
-                cloudColor: 'neutral',
-                currentPrice: 0,
-                suggestion: 'hold',
-                confidence: 0,
-                strength: 0,
-                error: error.message,
-                metadata: {
-                    tenkanPeriod,
-                    kijunPeriod,
-                    senkouBPeriod,
-                    chikouPeriod,
-                    interpretation: 'Calculation failed',
-                    trend: 'unknown',
-                    signals: []
-                }
-            };
         }
+        
+        return errors;
     }
-
-    // Calculate ADX for given data
-    calculateADX(data, period = 14) {
+    
+    // Batch calculation of one indicator with this instance's parameters. A failed calculation
+    // returns the definition's fallback result as a hold.
+    calculateIndicator(name, data) {
+        const { label } = IndicatorRegistry.get(name);
+        const minDataPoints = this.indicators[name].minDataPoints || 0;
+        const dataLength = Array.isArray(data?.closes) ? data.closes.length : null;
+        
+        // Every new pair warms up, so this is not worth more than a debug line; skipping the
+        // calculation also keeps the indicator from logging its own validation error
+        if (dataLength !== null && dataLength < minDataPoints) {
+            Logger.debug(`${label} is warming up`, { dataLength, minDataPoints });
+            return this.getFallbackResult(name, `Insufficient data: need at least ${minDataPoints} bars, have ${dataLength}`, 'Insufficient data');
+        }
+        
         try {
-            if (!data || !data.highs || !data.lows || !data.closes ||
-                !Array.isArray(data.highs) || !Array.isArray(data.lows) || !Array.isArray(data.closes)) {
-                throw new Error('Invalid data format: highs, lows, and closes arrays required');
-            }
-            
-            const adx = new ADX(period);
-            return adx.calculate(data.highs, data.lows, data.closes);
+            return this.runIndicator(name, data);
             
         } catch (error) {
-            Logger.error('ADX calculation failed', { 
-                error: error.message,
-                dataLength: data?.closes?.length || 0
-            });
-            
-            return {
-                adx: 0,
-                plusDI: 0,
-                minusDI: 0,
-                dx: 0,
-                suggestion: 'hold',
-                confidence: 0,
-                strength: 0,
-                error: error.message,
-                metadata: {
-                    period,
-                    interpretation: 'Calculation failed',
-                    trendStrength: 'Unknown',
-                    trendDirection: 'neutral'
-                }
-            };
-        }
-    }
-
-    // Calculate CCI for given data
-    calculateCCI(data, period = 20) {
-        try {
-            if (!data || !data.highs || !data.lows || !data.closes ||
-                !Array.isArray(data.highs) || !Array.isArray(data.lows) || !Array.isArray(data.closes)) {
-                throw new Error('Invalid data format: highs, lows, and closes arrays required');
+            // Indicators mark errors that more data will clear, like VWAP before any volume trades
+            if (error.code === 'INSUFFICIENT_DATA') {
+                Logger.debug(`${label} is warming up`, { error: error.message, dataLength });
+                return this.getFallbackResult(name, error.message, 'Insufficient data');
             }
             
-            const cci = new CCI(period);
-            return cci.calculate(data.highs, data.lows, data.closes);
-            
-        } catch (error) {
-            Logger.error('CCI calculation failed', { 
+            Logger.error(`${label} calculation failed`, { 
                 error: error.message,
-                dataLength: data?.closes?.length || 0
+                dataLength: dataLength || 0
             });
             
-            return {
-                cci: 0,
-                typicalPrice: 0,
-                smaTP: 0,
-                meanDeviation: 0,
-                suggestion: 'hold',
-                confidence: 0,
-                strength: 0,
-                error: error.message,
-                metadata: {
-                    period,
-                    factor: 0.015,
-                    interpretation: 'Calculation failed',
-                    level: 'Unknown',
-                    divergence: null
-                }
-            };
+            return this.getFallbackResult(name, error.message, 'Calculation failed');
         }
     }
-
-    // Calculate Parabolic SAR for given data
-    calculateParabolicSAR(data, initialAF = 0.02, maxAF = 0.2, afIncrement = 0.02) {
-        try {
-            if (!data || !data.highs || !data.lows || !data.closes ||
-                !Array.isArray(data.highs) || !Array.isArray(data.lows) || !Array.isArray(data.closes)) {
-                throw new Error('Invalid data format: highs, lows, and closes arrays required');
+    
+    getFallbackResult(name, error, interpretation) {
+        const { metadata, ...fallback } = IndicatorRegistry.get(name).fallback || {};
+        
+        return {
+            ...fallback,
+            suggestion: 'hold',
+            confidence: 0,
+            strength: 0,
+            error,
+            metadata: {
+                ...this.params[name],
+                ...metadata,
+                interpretation
             }
-            
-            const parabolicSAR = new ParabolicSAR(initialAF, maxAF, afIncrement);
-            return parabolicSAR.calculate(data.highs, data.lows, data.closes);
-            
-        } catch (error) {
-            Logger.error('Parabolic SAR calculation failed', { 
-                error: error.message,
-                dataLength: data?.closes?.length || 0
-            });
-            
-            return {
-                sar: 0,
-                trend: 'uptrend',
-                af: initialAF,
-                ep: 0,
-                currentPrice: 0,
-                suggestion: 'hold',
-                confidence: 0,
-                strength: 0,
-                error: error.message,
-                metadata: {
-                    initialAF,
-                    maxAF,
-                    afIncrement,
-                    interpretation: 'Calculation failed',
-                    reversal: false,
-                    trendStrength: 'Unknown'
-                }
-            };
+        };
+    }
+    
+    // Pass the definition's inputs to the indicator instance; throws like calculate() does.
+    // Optional inputs that are missing are passed as undefined so the indicator's default applies.
+    runIndicator(name, data) {
+        const { inputs, optionalInputs = [] } = IndicatorRegistry.get(name);
+        const required = inputs.filter(input => !optionalInputs.includes(input));
+        
+        if (!data || !required.every(input => Array.isArray(data[input]))) {
+            throw new Error(`Invalid data format: ${required.join(', ')} arrays required`);
         }
+        
+        return this.indicators[name].calculate(...inputs.map(input => data[input]));
     }
     
     // Calculate all available strategies for given data
@@ -441,234 +593,169 @@ class TechnicalStrategies {
             indicators: Object.keys(this.indicators)
         });
         
-        // RSI
-        try {
-            results.rsi = this.calculateRSI(data);
-            Logger.debug('RSI calculated successfully', { 
-                value: results.rsi.value,
-                suggestion: results.rsi.suggestion 
-            });
-        } catch (error) {
-            Logger.error('RSI calculation error', { error: error.message });
-            results.rsi = {
-                suggestion: 'hold',
-                confidence: 0,
-                strength: 0,
-                error: error.message
-            };
+        // calculateIndicator() never throws: failures come back as fallback results
+        for (const name of Object.keys(this.indicators)) {
+            results[name] = this.calculateIndicator(name, data);
         }
         
-        // MACD
-        try {
-            results.macd = this.calculateMACD(data);
-            Logger.debug('MACD calculated successfully', { 
-                macdLine: results.macd.macdLine,
-                suggestion: results.macd.suggestion 
-            });
-        } catch (error) {
-            Logger.error('MACD calculation error', { error: error.message });
-            results.macd = {
-                suggestion: 'hold',
-                confidence: 0,
-                strength: 0,
-                error: error.message
-            };
-        }
+        return results;
+    }
+    
+    // Create one stream per indicator for bar-by-bar updates. Feed them with updateStreams()
+    // and read results with calculateAllFromStreams() instead of calling calculateAll() on every tick.
+    // Plugins without a streaming mode get no stream and are recalculated in batch.
+    createStreams(data = null) {
+        const streams = {};
         
-        // Bollinger Bands
-        try {
-            results.bollinger = this.calculateBollingerBands(data);
-            Logger.debug('Bollinger Bands calculated successfully', { 
-                percentB: results.bollinger.percentB,
-                suggestion: results.bollinger.suggestion 
-            });
-        } catch (error) {
-            Logger.error('Bollinger Bands calculation error', { error: error.message });
-            results.bollinger = {
-                suggestion: 'hold',
-                confidence: 0,
-                strength: 0,
-                error: error.message
-            };
+        for (const [name, indicator] of Object.entries(this.indicators)) {
+            if (IndicatorStream.supports(indicator)) {
+                streams[name] = new IndicatorStream(indicator);
+            }
         }
         
-        // Moving Average Crossover
-        try {
-            results.ma = this.calculateMovingAverage(data);
-            Logger.debug('Moving Average calculated successfully', { 
-                fastMA: results.ma.fastMA,
-                slowMA: results.ma.slowMA,
-                suggestion: results.ma.suggestion 
-            });
-        } catch (error) {
-            Logger.error('Moving Average calculation error', { error: error.message });
-            results.ma = {
-                suggestion: 'hold',
-                confidence: 0,
-                strength: 0,
-                error: error.message
-            };
+        if (data && Array.isArray(data.closes)) {
+            for (let i = 0; i < data.closes.length; i++) {
+                this.updateStreams(streams, IndicatorStream.barAt(data, i));
+            }
         }
         
-        // Volume Analysis
-        try {
-            results.volume = this.calculateVolume(data);
-            Logger.debug('Volume calculated successfully', { 
-                volumeRatio: results.volume.volumeRatio,
-                suggestion: results.volume.suggestion 
-            });
-        } catch (error) {
-            Logger.error('Volume calculation error', { error: error.message });
-            results.volume = {
-                suggestion: 'hold',
-                confidence: 0,
-                strength: 0,
-                error: error.message
-            };
-        }
-
-        // Stochastic
-        try {
-            results.stochastic = this.calculateStochastic(data);
-            Logger.debug('Stochastic calculated successfully', { 
-                k: results.stochastic.k,
-                d: results.stochastic.d,
-                suggestion: results.stochastic.suggestion 
-            });
-        } catch (error) {
-            Logger.error('Stochastic calculation error', { error: error.message });
-            results.stochastic = {
-                suggestion: 'hold',
-                confidence: 0,
-                strength: 0,
-                error: error.message
-            };
-        }
-
-        // Williams %R
-        try {
-            results.williamsR = this.calculateWilliamsR(data);
-            Logger.debug('Williams %R calculated successfully', { 
-                value: results.williamsR.value,
-                level: results.williamsR.metadata?.level,
-                suggestion: results.williamsR.suggestion 
-            });
-        } catch (error) {
-            Logger.error('Williams %R calculation error', { error: error.message });
-            results.williamsR = {
-                suggestion: 'hold',
-                confidence: 0,
-                strength: 0,
-                error: error.message
-            };
+        return streams;
+    }
+    
+    // Append a closed bar, or replace the last bar when it is still forming
+    updateStreams(streams, bar, isNewBar = true) {
+        for (const stream of Object.values(streams)) {
+            if (isNewBar) {
+                stream.push(bar);
+            } else {
+                stream.replaceLast(bar);
+            }
         }
-
-        // Ichimoku Cloud
-        try {
-            results.ichimoku = this.calculateIchimokuCloud(data);
-            Logger.debug('Ichimoku Cloud calculated successfully', { 
-                cloudColor: results.ichimoku.cloudColor,
-                trend: results.ichimoku.metadata?.trend,
-                suggestion: results.ichimoku.suggestion 
-            });
-        } catch (error) {
-            Logger.error('Ichimoku Cloud calculation error', { error: error.message });
-            results.ichimoku = {
-                suggestion: 'hold',
-                confidence: 0,
-                strength: 0,
-                error: error.message
-            };
+    }
+    
+    // Same result shape as calculateAll(). Indicators whose stream is still warming up (or saw
+    // invalid data) fall back to the batch calculation, which returns the usual error result.
+    calculateAllFromStreams(streams, data) {
+        const results = {};
+        
+        for (const name of Object.keys(this.indicators)) {
+            if (!streams[name] || streams[name].length < (this.indicators[name].minDataPoints || 0)) {
+                results[name] = this.calculateIndicator(name, data);
+                continue;
+            }
+            
+            try {
+                results[name] = streams[name].getResult();
+            } catch (error) {
+                results[name] = this.calculateIndicator(name, data);
+            }
         }
-
-        // ADX
-        try {
-            results.adx = this.calculateADX(data);
-            Logger.debug('ADX calculated successfully', { 
-                adx: results.adx.adx,
-                plusDI: results.adx.plusDI,
-                minusDI: results.adx.minusDI,
-                trendStrength: results.adx.metadata?.trendStrength,
-                suggestion: results.adx.suggestion 
-            });
-        } catch (error) {
-            Logger.error('ADX calculation error', { error: error.message });
-            results.adx = {
-                suggestion: 'hold',
-                confidence: 0,
-                strength: 0,
-                error: error.message
-            };
+        
+        return results;
+    }
+    
+    // Value series for one indicator aligned to the candle timestamps, computed in a single pass
+    // through its stream (plugins without one are recalculated on every prefix of the candles).
+    // Bars before the indicator has enough data are left out; from/to are inclusive millisecond
+    // bounds and limit keeps the most recent points.
+    calculateSeries(name, data, { from = null, to = null, limit = null } = {}) {
+        const indicator = this.indicators[name];
+        if (!indicator) {
+            throw new Error(`Unknown indicator: ${name}`);
         }
-
-        // CCI
-        try {
-            results.cci = this.calculateCCI(data);
-            Logger.debug('CCI calculated successfully', { 
-                cci: results.cci.cci,
-                level: results.cci.metadata?.level,
-                suggestion: results.cci.suggestion 
-            });
-        } catch (error) {
-            Logger.error('CCI calculation error', { error: error.message });
-            results.cci = {
-                suggestion: 'hold',
-                confidence: 0,
-                strength: 0,
-                error: error.message
-            };
+        
+        if (!data || !Array.isArray(data.closes) || !Array.isArray(data.timestamps)) {
+            throw new Error('Invalid data format: closes and timestamps arrays required');
         }
-
-        // Parabolic SAR
-        try {
-            results.parabolicSAR = this.calculateParabolicSAR(data);
-            Logger.debug('Parabolic SAR calculated successfully', { 
-                sar: results.parabolicSAR.sar,
-                trend: results.parabolicSAR.trend,
-                reversal: results.parabolicSAR.metadata?.reversal,
-                suggestion: results.parabolicSAR.suggestion 
-            });
-        } catch (error) {
-            Logger.error('Parabolic SAR calculation error', { error: error.message });
-            results.parabolicSAR = {
-                suggestion: 'hold',
-                confidence: 0,
-                strength: 0,
-                error: error.message
-            };
+        
+        const stream = IndicatorStream.supports(indicator) ? new IndicatorStream(indicator) : null;
+        const { inputs } = IndicatorRegistry.get(name);
+        const series = [];
+        
+        for (let i = 0; i < data.closes.length; i++) {
+            const timestamp = data.timestamps[i];
+            if (stream) {
+                stream.push(IndicatorStream.barAt(data, i));
+            }
+            
+            if (i + 1 < indicator.minDataPoints) continue;
+            if ((from !== null && timestamp < from) || (to !== null && timestamp > to)) continue;
+            
+            try {
+                const result = stream
+                    ? stream.getResult()
+                    : this.runIndicator(name, Object.fromEntries(inputs.map(input => [input, data[input] && data[input].slice(0, i + 1)])));
+                const { metadata, ...values } = result;
+                series.push({ timestamp, ...values });
+            } catch (error) {
+                // Not enough usable data at this bar (e.g. ADX on a flat market)
+                continue;
+            }
         }
         
-        return results;
+        return limit ? series.slice(-limit) : series;
+    }
+    
+    // Match an indicator name case-insensitively (e.g. "williamsr" -> "williamsR")
+    resolveIndicatorName(name) {
+        const lowerName = String(name).toLowerCase();
+        return Object.keys(this.indicators).find(key => key.toLowerCase() === lowerName) || null;
     }
     
     // Get ensemble signal from all strategies
     getEnsembleSignal(data) {
         const strategies = this.calculateAll(data);
         
+        return {
+            ...this.combineSignals(strategies),
+            strategies
+        };
+    }
+    
+    // Combine already calculated strategy results into a single weighted signal
+    combineSignals(strategies) {
         let buyScore = 0;
         let sellScore = 0;
         let holdScore = 0;
         let totalConfidence = 0;
         let validStrategies = 0;
+        const contributions = {};
         
         // Weight and combine all strategy signals
-        for (const [strategyName, result] of Object.entries(strategies)) {
-            if (result.error) {
-                Logger.warn(`Skipping ${strategyName} due to error: ${result.error}`);
+        for (const [strategyName, result] of Object.entries(strategies || {})) {
+            const weight = this.getStrategyWeight(strategyName);
+            
+            // A weight of 0 leaves the indicator out entirely instead of diluting the confidence
+            if (weight === 0) {
+                continue;
+            }
+            
+            // Failed results were logged by calculateIndicator() when they were calculated
+            if (!result || result.error) {
                 continue;
             }
             
             const confidence = result.confidence || 0;
-            const weight = this.getStrategyWeight(strategyName);
+            let contribution = 0;
             
             if (result.suggestion === 'buy') {
-                buyScore += confidence * weight;
+                contribution = confidence * weight;
+                buyScore += contribution;
             } else if (result.suggestion === 'sell') {
-                sellScore += confidence * weight;
+                contribution = confidence * weight;
+                sellScore += contribution;
             } else {
+                contribution = weight;
                 holdScore += weight; // Hold gets base weight
             }
             
+            contributions[strategyName] = {
+                suggestion: result.suggestion || 'hold',
+                confidence,
+                weight,
+                contribution: Number(contribution.toFixed(4))
+            };
+            
             totalConfidence += confidence * weight;
             validStrategies++;
         }
@@ -678,8 +765,12 @@ class TechnicalStrategies {
                 suggestion: 'hold',
                 confidence: 0,
                 strength: 0,
-                strategies,
+                contributions,
                 metadata: {
+                    buyScore: 0,
+                    sellScore: 0,
+                    holdScore: 0,
+                    netScore: 0,
                     validStrategies: 0,
                     interpretation: 'No valid strategies available'
                 }
@@ -702,34 +793,31 @@ class TechnicalStrategies {
             suggestion: finalSuggestion,
             confidence: Number(normalizedConfidence.toFixed(4)),
             strength: Number(normalizedConfidence.toFixed(4)),
-            strategies,
+            contributions,
             metadata: {
                 buyScore: Number(buyScore.toFixed(4)),
                 sellScore: Number(sellScore.toFixed(4)),
                 holdScore: Number(holdScore.toFixed(4)),
+                netScore: Number((buyScore - sellScore).toFixed(4)), // Positive = bullish, negative = bearish
                 validStrategies,
                 interpretation: `Combined signal from ${validStrategies} strategies`
             }
         };
     }
     
-    // Get weight for each strategy (can be customized later)
+    // Get weight for each strategy (defaults can be overridden through the runtime config)
     getStrategyWeight(strategyName) {
-        const weights = {
-            rsi: 1.0,
-            macd: 1.2,
-            bollinger: 1.0,
-            ma: 1.1, // Moving averages are reliable trend indicators
-            volume: 1.3, // Volume is very important for confirmation
-            stochastic: 1.0,
-            williamsR: 0.9,
-            ichimoku: 1.5, // Ichimoku is comprehensive and gets higher weight
-            adx: 1.4, // ADX is excellent for trend strength confirmation
-            cci: 1.1, // CCI is good for momentum and reversal detection
-            parabolicSAR: 1.2, // Parabolic SAR is excellent for trend following
-        };
+        const weight = this.weights[strategyName];
+        return weight !== undefined ? weight : 1.0;
+    }
+    
+    // Bars needed before every indicator that counts towards the ensemble produces a result
+    getMinDataPoints() {
+        const needed = Object.entries(this.indicators)
+            .filter(([name]) => this.getStrategyWeight(name) > 0)
+            .map(([, indicator]) => indicator.minDataPoints);
         
-        return weights[strategyName] || 1.0;
+        return Math.max(1, ...needed);
     }
     
     // Check if we have enough data for analysis
@@ -745,7 +833,9 @@ class TechnicalStrategies {
     getStats() {
         return {
             availableIndicators: Object.keys(this.indicators),
-            indicatorCount: Object.keys(this.indicators).length
+            indicatorCount: Object.keys(this.indicators).length,
+            params: this.params,
+            weights: this.weights
         };
     }
 }
@@ -0,0 +1,47 @@
+// Wilder's smoothing as used by RSI, ATR and ADX: the first value is the simple average of the
+// first `period` inputs, every later one is (previous * (period - 1) + value) / period. This is an
+// EMA with alpha = 1 / period, so it reacts more slowly than the usual 2 / (period + 1).
+class WilderSmoothing {
+    static step(previous, value, period) {
+        return (previous * (period - 1) + value) / period;
+    }
+    
+    // Smoothed value after the last input
+    static average(values, period) {
+        const smoothed = WilderSmoothing.series(values, period);
+        return smoothed[smoothed.length - 1];
+    }
+    
+    // Smoothed value at every input from the period-th on
+    static series(values, period) {
+        if (values.length < period) {
+            throw new Error(`Insufficient data for Wilder smoothing: need ${period}, got ${values.length}`);
+        }
+        
+        const smoothed = [values.slice(0, period).reduce((sum, value) => sum + value, 0) / period];
+        
+        for (let i = period; i < values.length; i++) {
+            smoothed.push(WilderSmoothing.step(smoothed[smoothed.length - 1], values[i], period));
+        }
+        
+        return smoothed;
+    }
+    
+    // Greatest of the bar's range and its gaps from the previous close. Without a previous close
+    // (the first bar of a series) this is the bar's range.
+    static trueRange(high, low, previousClose = null) {
+        if (previousClose === null) {
+            return high - low;
+        }
+        
+        return Math.max(high - low, Math.abs(high - previousClose), Math.abs(low - previousClose));
+    }
+    
+    // Average True Range at every bar from the period-th on; the first bar counts with its range
+    static atrSeries(highs, lows, closes, period = 14) {
+        const trueRanges = highs.map((high, i) => WilderSmoothing.trueRange(high, lows[i], i > 0 ? closes[i - 1] : null));
+        return WilderSmoothing.series(trueRanges, period);
+    }
+}
+
+module.exports = WilderSmoothing;
@@ -1,7 +1,15 @@
 const TechnicalStrategies = require('./TechnicalStrategies');
+const IndicatorStream = require('./IndicatorStream');
+const IndicatorRegistry = require('./IndicatorRegistry');
+const WilderSmoothing = require('./WilderSmoothing');
+const ExponentialSmoothing = require('./ExponentialSmoothing');
 const indicators = require('./indicators');
 
 module.exports = {
     TechnicalStrategies,
+    IndicatorStream,
+    IndicatorRegistry,
+    WilderSmoothing,
+    ExponentialSmoothing,
     indicators
 };
\ No newline at end of file
@@ -1,5 +1,7 @@
 const { DataValidator } = require('../../../data/validators');
 const { Logger } = require('../../../utils');
+const IndicatorStream = require('../IndicatorStream');
+const WilderSmoothing = require('../WilderSmoothing');
 
 class ADX {
     constructor(period = 14) {
@@ -43,36 +45,7 @@ class ADX {
             const dxHistory = this.calculateDXHistory(highs, lows, closes);
             const adx = this.wilderSmoothing(dxHistory, this.period);
             
-            // Validate final values
-            if (!Number.isFinite(adx) || !Number.isFinite(plusDI) || !Number.isFinite(minusDI)) {
-                throw new Error('Invalid ADX calculation result');
-            }
-            
-            // Generate trading signal
-            const signal = this.generateSignal(adx, plusDI, minusDI, dxHistory);
-            
-            Logger.debug('ADX calculated', {
-                adx: adx.toFixed(2),
-                plusDI: plusDI.toFixed(2),
-                minusDI: minusDI.toFixed(2),
-                suggestion: signal.suggestion
-            });
-            
-            return {
-                adx: Number(adx.toFixed(2)),
-                plusDI: Number(plusDI.toFixed(2)),
-                minusDI: Number(minusDI.toFixed(2)),
-                dx: Number(dx.toFixed(2)),
-                suggestion: signal.suggestion,
-                confidence: Number(signal.confidence.toFixed(4)),
-                strength: Number(signal.strength.toFixed(4)),
-                metadata: {
-                    period: this.period,
-                    interpretation: signal.interpretation,
-                    trendStrength: signal.trendStrength,
-                    trendDirection: signal.trendDirection
-                }
-            };
+            return this.buildResult(adx, plusDI, minusDI, dx, dxHistory.slice(-2));
             
         } catch (error) {
             Logger.error('ADX calculation error', { error: error.message });
@@ -80,20 +53,44 @@ class ADX {
         }
     }
     
+    buildResult(adx, plusDI, minusDI, dx, recentDX) {
+        // Validate final values
+        if (!Number.isFinite(adx) || !Number.isFinite(plusDI) || !Number.isFinite(minusDI)) {
+            throw new Error('Invalid ADX calculation result');
+        }
+        
+        // Generate trading signal
+        const signal = this.generateSignal(adx, plusDI, minusDI, recentDX);
+        
+        Logger.debug('ADX calculated', {
+            adx: adx.toFixed(2),
+            plusDI: plusDI.toFixed(2),
+            minusDI: minusDI.toFixed(2),
+            suggestion: signal.suggestion
+        });
+        
+        return {
+            adx: Number(adx.toFixed(2)),
+            plusDI: Number(plusDI.toFixed(2)),
+            minusDI: Number(minusDI.toFixed(2)),
+            dx: Number(dx.toFixed(2)),
+            suggestion: signal.suggestion,
+            confidence: Number(signal.confidence.toFixed(4)),
+            strength: Number(signal.strength.toFixed(4)),
+            metadata: {
+                period: this.period,
+                interpretation: signal.interpretation,
+                trendStrength: signal.trendStrength,
+                trendDirection: signal.trendDirection
+            }
+        };
+    }
+    
     calculateTrueRange(highs, lows, closes) {
         const trueRanges = [];
         
         for (let i = 1; i < highs.length; i++) {
-            const currentHigh = highs[i];
-            const currentLow = lows[i];
-            const previousClose = closes[i - 1];
-            
-            const tr1 = currentHigh - currentLow;
-            const tr2 = Math.abs(currentHigh - previousClose);
-            const tr3 = Math.abs(currentLow - previousClose);
-            
-            const trueRange = Math.max(tr1, tr2, tr3);
-            trueRanges.push(trueRange);
+            trueRanges.push(WilderSmoothing.trueRange(highs[i], lows[i], closes[i - 1]));
         }
         
         return trueRanges;
@@ -125,19 +122,7 @@ class ADX {
     }
     
     wilderSmoothing(data, period) {
-        if (data.length < period) {
-            throw new Error(`Insufficient data for Wilder smoothing: need ${period}, got ${data.length}`);
-        }
-        
-        // First value is simple average
-        let smoothed = data.slice(0, period).reduce((sum, val) => sum + val, 0) / period;
-        
-        // Apply Wilder's smoothing formula for subsequent values
-        for (let i = period; i < data.length; i++) {
-            smoothed = (smoothed * (period - 1) + data[i]) / period;
-        }
-        
-        return smoothed;
+        return WilderSmoothing.average(data, period);
     }
     
     calculateDXHistory(highs, lows, closes) {
@@ -176,6 +161,108 @@ class ADX {
         return dxHistory;
     }
     
+    // Streaming mode: Wilder-smoothed TR/+DM/-DM and the ADX itself are carried forward,
+    // so each bar costs O(1) instead of rebuilding the DX history for every prefix
+    initialState() {
+        return {
+            count: 0,
+            invalid: false,
+            prevHigh: null,
+            prevLow: null,
+            prevClose: null,
+            trCount: 0,
+            trSum: 0,
+            plusDMSum: 0,
+            minusDMSum: 0,
+            smoothedTR: null,
+            smoothedPlusDM: null,
+            smoothedMinusDM: null,
+            plusDI: NaN,
+            minusDI: NaN,
+            dx: NaN,
+            dxCount: 0,
+            dxSum: 0,
+            adx: null,
+            recentDX: []
+        };
+    }
+    
+    nextState(state, bar) {
+        const { high, low, close } = bar;
+        const next = { ...state, count: state.count + 1, prevHigh: high, prevLow: low, prevClose: close };
+        
+        if (state.invalid || ![high, low, close].every(value => DataValidator.isValidNumber(value))) {
+            next.invalid = true;
+            return next;
+        }
+        
+        if (state.count === 0) {
+            return next;
+        }
+        
+        const trueRange = WilderSmoothing.trueRange(high, low, state.prevClose);
+        const upMove = high - state.prevHigh;
+        const downMove = state.prevLow - low;
+        const plusDM = upMove > downMove && upMove > 0 ? upMove : 0;
+        const minusDM = downMove > upMove && downMove > 0 ? downMove : 0;
+        
+        next.trCount = state.trCount + 1;
+        if (next.trCount <= this.period) {
+            next.trSum = state.trSum + trueRange;
+            next.plusDMSum = state.plusDMSum + plusDM;
+            next.minusDMSum = state.minusDMSum + minusDM;
+            
+            if (next.trCount < this.period) {
+                return next;
+            }
+            
+            next.smoothedTR = next.trSum / this.period;
+            next.smoothedPlusDM = next.plusDMSum / this.period;
+            next.smoothedMinusDM = next.minusDMSum / this.period;
+        } else {
+            next.smoothedTR = WilderSmoothing.step(state.smoothedTR, trueRange, this.period);
+            next.smoothedPlusDM = WilderSmoothing.step(state.smoothedPlusDM, plusDM, this.period);
+            next.smoothedMinusDM = WilderSmoothing.step(state.smoothedMinusDM, minusDM, this.period);
+        }
+        
+        next.plusDI = (next.smoothedPlusDM / next.smoothedTR) * 100;
+        next.minusDI = (next.smoothedMinusDM / next.smoothedTR) * 100;
+        next.dx = Math.abs(next.plusDI - next.minusDI) / (next.plusDI + next.minusDI) * 100;
+        
+        // Undefined DX values (no movement at all) are skipped, as in calculateDXHistory
+        if (Number.isFinite(next.dx)) {
+            next.dxCount = state.dxCount + 1;
+            next.recentDX = [...state.recentDX.slice(-1), next.dx];
+            
+            if (next.dxCount <= this.period) {
+                next.dxSum = state.dxSum + next.dx;
+                next.adx = next.dxCount === this.period ? next.dxSum / this.period : null;
+            } else {
+                next.adx = WilderSmoothing.step(state.adx, next.dx, this.period);
+            }
+        }
+        
+        return next;
+    }
+    
+    resultFromState(state) {
+        try {
+            if (state.invalid || state.count < this.minDataPoints) {
+                throw new Error(`ADX validation failed: need at least ${this.minDataPoints} valid values`);
+            }
+            
+            if (state.dxCount < this.period) {
+                throw new Error(`Insufficient data for Wilder smoothing: need ${this.period}, got ${state.dxCount}`);
+            }
+            
+            return this.buildResult(state.adx, state.plusDI, state.minusDI, state.dx, state.recentDX);
+            
+        } catch (error) {
+            Logger.error('ADX calculation error', { error: error.message });
+            throw error;
+        }
+    }
+    
     generateSignal(adx, plusDI, minusDI, dxHistory) {
         let suggestion = "hold";
         let confidence = 0;
@@ -263,26 +350,28 @@ class ADX {
     }
     
     // Helper method to calculate ADX crossover signals
-    calculateCrossoverSignals(highs, lows, closes, outputLength = 50) {
+    calculateCrossoverSignals(highs, lows, closes, outputLength = 50, timestamps = null) {
         if (highs.length < this.minDataPoints + outputLength) {
             throw new Error(`Insufficient data for ADX crossover analysis. Need ${this.minDataPoints + outputLength}, have ${highs.length}`);
         }
         
         const signals = [];
+        const stream = new IndicatorStream(this);
+        const end = Math.min(highs.length, this.minDataPoints + outputLength);
         
-        for (let i = this.minDataPoints; i <= Math.min(highs.length, this.minDataPoints + outputLength); i++) {
-            const highsSlice = highs.slice(0, i);
-            const lowsSlice = lows.slice(0, i);
-            const closesSlice = closes.slice(0, i);
+        // Stream the bars in rather than recalculating every prefix
+        for (let i = 1; i <= end; i++) {
+            stream.push(IndicatorStream.barAt({ highs, lows, closes }, i - 1));
+            if (i < this.minDataPoints) continue;
             
             try {
-                const result = this.calculate(highsSlice, lowsSlice, closesSlice);
+                const result = stream.getResult();
                 signals.push({
                     adx: result.adx,
                     plusDI: result.plusDI,
                     minusDI: result.minusDI,
                     suggestion: result.suggestion,
-                    timestamp: Date.now() - ((this.minDataPoints + outputLength - i) * 300000)
+                    ...(timestamps ? { timestamp: timestamps[i - 1] } : {})
                 });
             } catch (error) {
                 // Skip if calculation fails
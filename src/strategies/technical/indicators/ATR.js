@@ -0,0 +1,167 @@
+const { DataValidator } = require('../../../data/validators');
+const { Logger } = require('../../../utils');
+const WilderSmoothing = require('../WilderSmoothing');
+
+// Average True Range with ATR-based stop levels for position sizing and stop placement.
+// Non-directional: the suggestion is always hold, the result describes the volatility regime.
+class ATR {
+    constructor(period = 14, stopMultiplier = 2) {
+        this.period = period;
+        this.stopMultiplier = stopMultiplier;
+        this.name = 'ATR';
+        this.minDataPoints = this.period;
+    }
+    
+    calculate(highs, lows, closes) {
+        try {
+            // Validate input
+            if (!DataValidator.validateArray(highs, this.minDataPoints) ||
+                !DataValidator.validateArray(lows, this.minDataPoints) ||
+                !DataValidator.validateArray(closes, this.minDataPoints)) {
+                throw new Error(`ATR validation failed: need at least ${this.minDataPoints} valid values`);
+            }
+            
+            if (highs.length !== lows.length || lows.length !== closes.length) {
+                throw new Error('Highs, lows, and closes arrays must have the same length');
+            }
+            
+            const atrValues = WilderSmoothing.atrSeries(highs, lows, closes, this.period);
+            const last = closes.length - 1;
+            const trueRange = WilderSmoothing.trueRange(highs[last], lows[last], last > 0 ? closes[last - 1] : null);
+            
+            return this.buildResult(atrValues.slice(-this.period), trueRange, closes[last]);
+        
+        } catch (error) {
+            Logger.error('ATR calculation error', { error: error.message });
+            throw error;
+        }
+    }
+    
+    // recentATR: the last `period` ATR values, oldest first
+    buildResult(recentATR, trueRange, currentPrice) {
+        const atr = recentATR[recentATR.length - 1];
+        const averageATR = recentATR.reduce((sum, value) => sum + value, 0) / recentATR.length;
+        const atrPercent = (atr / currentPrice) * 100;
+        
+        if (!Number.isFinite(atr) || !Number.isFinite(atrPercent)) {
+            throw new Error('Invalid ATR calculation result');
+        }
+        
+        const signal = this.generateSignal(atr, averageATR, trueRange);
+        
+        Logger.debug('ATR calculated', {
+            atr: atr.toFixed(8),
+            atrPercent: atrPercent.toFixed(4),
+            regime: signal.regime
+        });
+        
+        // 8 decimals: the ATR of low-priced pairs is often below 0.0001
+        return {
+            atr: Number(atr.toFixed(8)),
+            atrPercent: Number(atrPercent.toFixed(4)),
+            trueRange: Number(trueRange.toFixed(8)),
+            longStop: Number((currentPrice - this.stopMultiplier * atr).toFixed(8)),
+            shortStop: Number((currentPrice + this.stopMultiplier * atr).toFixed(8)),
+            currentPrice: Number(currentPrice.toFixed(8)),
+            suggestion: signal.suggestion,
+            confidence: Number(signal.confidence.toFixed(4)),
+            strength: Number(signal.strength.toFixed(4)),
+            metadata: {
+                period: this.period,
+                stopMultiplier: this.stopMultiplier,
+                averageATR: Number(averageATR.toFixed(8)),
+                regime: signal.regime,
+                interpretation: signal.interpretation
+            }
+        };
+    }
+    
+    generateSignal(atr, averageATR, trueRange) {
+        const ratio = averageATR > 0 ? atr / averageATR : 1;
+        const regime = ATR.classifyRegime(ratio);
+        const change = Math.abs(ratio - 1) * 100;
+        let interpretation = "";
+        
+        if (regime === 'high') {
+            interpretation = `ATR ${change.toFixed(1)}% above its ${this.period}-bar average - volatility expanding, widen stops and reduce size.`;
+        } else if (regime === 'low') {
+            interpretation = `ATR ${change.toFixed(1)}% below its ${this.period}-bar average - volatility contracting, a breakout may follow.`;
+        } else {
+            interpretation = `ATR near its ${this.period}-bar average - normal volatility.`;
+        }
+        
+        if (atr > 0 && trueRange > 2 * atr) {
+            interpretation += ` Current bar's range is ${(trueRange / atr).toFixed(1)}x ATR.`;
+        }
+        
+        return {
+            suggestion: "hold",
+            confidence: 0,
+            strength: Math.min(1, Math.abs(ratio - 1)),
+            interpretation,
+            regime
+        };
+    }
+    
+    // Streaming mode: the Wilder-smoothed ATR is carried forward, plus the last `period` values
+    // for the average the regime is measured against
+    initialState() {
+        return {
+            count: 0,
+            invalid: false,
+            prevClose: null,
+            trSum: 0,
+            atr: null,
+            recentATR: [],
+            trueRange: null
+        };
+    }
+    
+    nextState(state, bar) {
+        const { high, low, close } = bar;
+        const next = { ...state, count: state.count + 1, prevClose: close };
+        
+        if (state.invalid || ![high, low, close].every(value => DataValidator.isValidNumber(value))) {
+            next.invalid = true;
+            return next;
+        }
+        
+        next.trueRange = WilderSmoothing.trueRange(high, low, state.count > 0 ? state.prevClose : null);
+        
+        if (next.count <= this.period) {
+            next.trSum = state.trSum + next.trueRange;
+            if (next.count < this.period) {
+                return next;
+            }
+            next.atr = next.trSum / this.period;
+        } else {
+            next.atr = WilderSmoothing.step(state.atr, next.trueRange, this.period);
+        }
+        
+        next.recentATR = [...state.recentATR.slice(Math.max(0, state.recentATR.length - this.period + 1)), next.atr];
+        return next;
+    }
+    
+    resultFromState(state) {
+        try {
+            if (state.invalid || state.count < this.minDataPoints) {
+                throw new Error(`ATR validation failed: need at least ${this.minDataPoints} valid values`);
+            }
+            
+            return this.buildResult(state.recentATR, state.trueRange, state.prevClose);
+        
+        } catch (error) {
+            Logger.error('ATR calculation error', { error: error.message });
+            throw error;
+        }
+    }
+    
+    // Volatility regime from the ratio of current to typical volatility
+    static classifyRegime(ratio) {
+        if (ratio >= 1.2) return 'high';
+        if (ratio <= 0.8) return 'low';
+        return 'normal';
+    }
+}
+
+module.exports = ATR;
@@ -0,0 +1,168 @@
+const { DataValidator } = require('../../../data/validators');
+const { Logger } = require('../../../utils');
+const IndicatorStream = require('../IndicatorStream');
+const ChaikinMoneyFlow = require('./ChaikinMoneyFlow');
+
+// Accumulation/Distribution line: running total of money flow volume over the whole series.
+// The signal looks for divergences between the line and price over the last `period` bars.
+class AccumulationDistribution {
+    constructor(period = 14) {
+        this.period = period;
+        this.name = 'AccumulationDistribution';
+        this.minDataPoints = this.period + 1;
+    }
+    
+    calculate(highs, lows, closes, volumes) {
+        try {
+            // Validate input
+            if (!DataValidator.validateArray(highs, this.minDataPoints) ||
+                !DataValidator.validateArray(lows, this.minDataPoints) ||
+                !DataValidator.validateArray(closes, this.minDataPoints) ||
+                !DataValidator.validateArray(volumes, this.minDataPoints, DataValidator.isValidVolume)) {
+                throw new Error(`A/D line validation failed: need at least ${this.minDataPoints} valid price and volume values`);
+            }
+            
+            if (highs.length !== lows.length || lows.length !== closes.length || closes.length !== volumes.length) {
+                throw new Error('Highs, lows, closes, and volumes arrays must have the same length');
+            }
+            
+            const adLine = [];
+            let total = 0;
+            for (let i = 0; i < closes.length; i++) {
+                total += ChaikinMoneyFlow.moneyFlowMultiplier(highs[i], lows[i], closes[i]) * volumes[i];
+                adLine.push(total);
+            }
+            
+            return this.buildResult(adLine.slice(-this.minDataPoints), closes.slice(-this.minDataPoints), volumes.slice(-this.period));
+        
+        } catch (error) {
+            Logger.error('A/D line calculation error', { error: error.message });
+            throw error;
+        }
+    }
+    
+    // recentAD and recentCloses hold the last period + 1 values, recentVolumes the last period
+    buildResult(recentAD, recentCloses, recentVolumes) {
+        const adValue = recentAD[recentAD.length - 1];
+        const adChange = adValue - recentAD[0];
+        const currentPrice = recentCloses[recentCloses.length - 1];
+        const priceChange = ((currentPrice - recentCloses[0]) / recentCloses[0]) * 100;
+        const volume = recentVolumes.reduce((sum, value) => sum + value, 0);
+        // Share of the period's volume that went into the change of the line, 0 to 1
+        const flowRatio = volume > 0 ? Math.abs(adChange) / volume : 0;
+        
+        if (!Number.isFinite(adValue) || !Number.isFinite(priceChange)) {
+            throw new Error('Invalid A/D line calculation result');
+        }
+        
+        const signal = this.generateSignal(adChange, priceChange, flowRatio);
+        
+        Logger.debug('A/D line calculated', {
+            value: adValue.toFixed(4),
+            adChange: adChange.toFixed(4),
+            suggestion: signal.suggestion
+        });
+        
+        return {
+            value: Number(adValue.toFixed(4)),
+            change: Number(adChange.toFixed(4)),
+            priceChange: Number(priceChange.toFixed(4)),
+            suggestion: signal.suggestion,
+            confidence: Number(signal.confidence.toFixed(4)),
+            strength: Number(signal.strength.toFixed(4)),
+            metadata: {
+                period: this.period,
+                flowRatio: Number(flowRatio.toFixed(4)),
+                divergence: signal.divergence,
+                interpretation: signal.interpretation
+            }
+        };
+    }
+    
+    generateSignal(adChange, priceChange, flowRatio) {
+        let suggestion = "hold";
+        let confidence = 0;
+        let strength = Math.min(1, flowRatio * 2);
+        let interpretation = "";
+        let divergence = null;
+        
+        if (adChange > 0 && priceChange < 0) {
+            suggestion = "buy";
+            divergence = "bullish";
+            confidence = strength;
+            interpretation = `A/D line rising while price fell ${Math.abs(priceChange).toFixed(2)}% - accumulation into weakness`;
+        } else if (adChange < 0 && priceChange > 0) {
+            suggestion = "sell";
+            divergence = "bearish";
+            confidence = strength;
+            interpretation = `A/D line falling while price rose ${priceChange.toFixed(2)}% - distribution into strength`;
+        } else if (adChange > 0) {
+            interpretation = `A/D line confirms the rise over ${this.period} bars - accumulation`;
+        } else if (adChange < 0) {
+            interpretation = `A/D line confirms the decline over ${this.period} bars - distribution`;
+        } else {
+            strength = 0;
+            interpretation = `A/D line flat over ${this.period} bars`;
+        }
+        
+        return {
+            suggestion,
+            confidence,
+            strength,
+            interpretation,
+            divergence
+        };
+    }
+    
+    // Streaming mode: the running total is carried forward with the last period + 1 values
+    initialState() {
+        return {
+            count: 0,
+            invalid: false,
+            total: 0,
+            recentAD: [],
+            recentCloses: [],
+            recentVolumes: []
+        };
+    }
+    
+    nextState(state, bar) {
+        const { high, low, close, volume } = bar;
+        const next = { ...state, count: state.count + 1 };
+        
+        if (state.invalid || ![high, low, close].every(value => DataValidator.isValidNumber(value)) ||
+            !DataValidator.isValidVolume(volume)) {
+            next.invalid = true;
+            return next;
+        }
+        
+        const keep = (values, size, value) => [...values.slice(Math.max(0, values.length - size + 1)), value];
+        
+        next.total = state.total + ChaikinMoneyFlow.moneyFlowMultiplier(high, low, close) * volume;
+        next.recentAD = keep(state.recentAD, this.minDataPoints, next.total);
+        next.recentCloses = keep(state.recentCloses, this.minDataPoints, close);
+        next.recentVolumes = keep(state.recentVolumes, this.period, volume);
+        return next;
+    }
+    
+    resultFromState(state) {
+        try {
+            if (state.invalid || state.count < this.minDataPoints) {
+                throw new Error(`A/D line validation failed: need at least ${this.minDataPoints} valid price and volume values`);
+            }
+            
+            return this.buildResult(state.recentAD, state.recentCloses, state.recentVolumes);
+        
+        } catch (error) {
+            Logger.error('A/D line calculation error', { error: error.message });
+            throw error;
+        }
+    }
+    
+    // data: { highs, lows, closes, volumes, timestamps }
+    calculateHistory(data, outputLength = 50) {
+        return IndicatorStream.history(this, data, outputLength);
+    }
+}
+
+module.exports = AccumulationDistribution;
@@ -0,0 +1,123 @@
+const { DataValidator } = require('../../../data/validators');
+const { Logger } = require('../../../utils');
+const IndicatorStream = require('../IndicatorStream');
+
+// Aroon: how recently the highest high (Aroon Up) and the lowest low (Aroon Down) of the last
+// period + 1 bars were set, as a percentage. 100 means this bar, 0 means `period` bars ago.
+class Aroon {
+    constructor(period = 25) {
+        this.period = period;
+        this.name = 'Aroon';
+        this.minDataPoints = this.period + 1;
+    }
+    
+    calculate(highs, lows) {
+        try {
+            // Validate input
+            if (!DataValidator.validateArray(highs, this.minDataPoints) ||
+                !DataValidator.validateArray(lows, this.minDataPoints)) {
+                throw new Error(`Aroon validation failed: need at least ${this.minDataPoints} valid values`);
+            }
+            
+            if (highs.length !== lows.length) {
+                throw new Error('Highs and lows arrays must have the same length');
+            }
+            
+            // Walk back from the current bar so ties go to the most recent extreme
+            const last = highs.length - 1;
+            let barsSinceHigh = 0;
+            let barsSinceLow = 0;
+            
+            for (let age = 1; age <= this.period; age++) {
+                if (highs[last - age] > highs[last - barsSinceHigh]) {
+                    barsSinceHigh = age;
+                }
+                if (lows[last - age] < lows[last - barsSinceLow]) {
+                    barsSinceLow = age;
+                }
+            }
+            
+            const aroonUp = ((this.period - barsSinceHigh) / this.period) * 100;
+            const aroonDown = ((this.period - barsSinceLow) / this.period) * 100;
+            const oscillator = aroonUp - aroonDown;
+            const signal = this.generateSignal(aroonUp, aroonDown);
+            
+            Logger.debug('Aroon calculated', {
+                aroonUp: aroonUp.toFixed(2),
+                aroonDown: aroonDown.toFixed(2),
+                suggestion: signal.suggestion
+            });
+            
+            return {
+                aroonUp: Number(aroonUp.toFixed(2)),
+                aroonDown: Number(aroonDown.toFixed(2)),
+                oscillator: Number(oscillator.toFixed(2)),
+                suggestion: signal.suggestion,
+                confidence: Number(signal.confidence.toFixed(4)),
+                strength: Number(signal.strength.toFixed(4)),
+                metadata: {
+                    period: this.period,
+                    barsSinceHigh,
+                    barsSinceLow,
+                    interpretation: signal.interpretation
+                }
+            };
+        
+        } catch (error) {
+            Logger.error('Aroon calculation error', { error: error.message });
+            throw error;
+        }
+    }
+    
+    generateSignal(aroonUp, aroonDown) {
+        let suggestion = "hold";
+        let confidence = 0;
+        let strength = Math.abs(aroonUp - aroonDown) / 100;
+        let interpretation = "";
+        
+        // A strong trend needs fresh extremes on one side and stale ones on the other
+        if (aroonUp >= 70 && aroonDown <= 30) {
+            suggestion = "buy";
+            confidence = strength;
+            interpretation = `Aroon Up ${aroonUp.toFixed(0)} / Down ${aroonDown.toFixed(0)} - new highs being made, strong uptrend`;
+        } else if (aroonDown >= 70 && aroonUp <= 30) {
+            suggestion = "sell";
+            confidence = strength;
+            interpretation = `Aroon Up ${aroonUp.toFixed(0)} / Down ${aroonDown.toFixed(0)} - new lows being made, strong downtrend`;
+        } else if (aroonUp >= 70 && aroonDown >= 70) {
+            interpretation = `Aroon Up ${aroonUp.toFixed(0)} / Down ${aroonDown.toFixed(0)} - recent highs and lows, expanding range`;
+        } else if (aroonUp < 50 && aroonDown < 50) {
+            strength = 0;
+            interpretation = `Aroon Up ${aroonUp.toFixed(0)} / Down ${aroonDown.toFixed(0)} - no recent extremes, consolidation`;
+        } else {
+            interpretation = `Aroon Up ${aroonUp.toFixed(0)} / Down ${aroonDown.toFixed(0)} - no clear trend`;
+        }
+        
+        return {
+            suggestion,
+            confidence,
+            strength,
+            interpretation
+        };
+    }
+    
+    // Streaming mode: only the last period + 1 bars are read
+    initialState() {
+        return IndicatorStream.emptyWindow();
+    }
+    
+    nextState(state, bar) {
+        return IndicatorStream.appendToWindow(state, bar, this.minDataPoints);
+    }
+    
+    resultFromState(state) {
+        return this.calculate(state.highs, state.lows);
+    }
+    
+    // data: { highs, lows, closes, volumes, timestamps }
+    calculateHistory(data, outputLength = 50) {
+        return IndicatorStream.history(this, data, outputLength);
+    }
+}
+
+module.exports = Aroon;
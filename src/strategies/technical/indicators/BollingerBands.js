@@ -1,11 +1,13 @@
 const { DataValidator } = require('../../../data/validators');
 const { Logger } = require('../../../utils');
+const IndicatorStream = require('../IndicatorStream');
 
 class BollingerBands {
     constructor(period = 20, stdDevMultiplier = 2) {
         this.period = period;
         this.stdDevMultiplier = stdDevMultiplier;
         this.name = 'BollingerBands';
+        this.minDataPoints = this.period;
     }
     
     calculate(prices) {
@@ -177,25 +179,43 @@ class BollingerBands {
         };
     }
     
+    // Streaming mode: the bands only depend on the last period closes
+    initialState() {
+        return IndicatorStream.emptyWindow();
+    }
+    
+    nextState(state, bar) {
+        return IndicatorStream.appendToWindow(state, bar, this.period);
+    }
+    
+    resultFromState(state) {
+        return this.calculate(state.closes);
+    }
+    
     // Calculate historical Bollinger Bands (useful for backtesting)
-    calculateHistory(prices, outputLength = 50) {
+    calculateHistory(prices, outputLength = 50, timestamps = null) {
         if (prices.length < this.period + outputLength) {
             throw new Error(`Insufficient data for Bollinger Bands history. Need ${this.period + outputLength}, have ${prices.length}`);
         }
         
         const bandsHistory = [];
+        const stream = new IndicatorStream(this);
+        const end = Math.min(prices.length, this.period + outputLength);
         
-        for (let i = this.period; i <= Math.min(prices.length, this.period + outputLength); i++) {
-            const subset = prices.slice(0, i);
+        // Stream the bars in rather than recalculating every prefix
+        for (let i = 1; i <= end; i++) {
+            stream.push(IndicatorStream.barAt({ closes: prices }, i - 1));
+            if (i < this.period) continue;
+            
             try {
-                const result = this.calculate(subset);
+                const result = stream.getResult();
                 bandsHistory.push({
                     upperBand: result.upperBand,
                     middleBand: result.middleBand,
                     lowerBand: result.lowerBand,
                     percentB: result.percentB,
                     bandwidth: result.bandwidth,
-                    timestamp: Date.now() - ((this.period + outputLength - i) * 300000) // Approximate
+                    ...(timestamps ? { timestamp: timestamps[i - 1] } : {})
                 });
             } catch (error) {
                 // Skip if calculation fails
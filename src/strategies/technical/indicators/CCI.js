@@ -1,5 +1,6 @@
 const { DataValidator } = require('../../../data/validators');
 const { Logger } = require('../../../utils');
+const IndicatorStream = require('../IndicatorStream');
 
 class CCI {
     constructor(period = 20, factor = 0.015) {
@@ -225,6 +226,19 @@ class CCI {
         };
     }
     
+    // Streaming mode: the divergence check reaches furthest back, over the last 2 * period bars
+    initialState() {
+        return IndicatorStream.emptyWindow();
+    }
+    
+    nextState(state, bar) {
+        return IndicatorStream.appendToWindow(state, bar, this.period * 2);
+    }
+    
+    resultFromState(state) {
+        return this.calculate(state.highs, state.lows, state.closes);
+    }
+    
     calculatePreviousCCI(typicalPrices) {
         if (typicalPrices.length < this.period + 1) {
             return 0;
@@ -277,24 +291,26 @@ class CCI {
     }
     
     // Calculate CCI history for charting/analysis
-    calculateHistory(highs, lows, closes, outputLength = 50) {
+    calculateHistory(highs, lows, closes, outputLength = 50, timestamps = null) {
         if (highs.length < this.minDataPoints + outputLength) {
             throw new Error(`Insufficient data for CCI history. Need ${this.minDataPoints + outputLength}, have ${highs.length}`);
         }
         
         const cciHistory = [];
+        const stream = new IndicatorStream(this);
+        const end = Math.min(highs.length, this.minDataPoints + outputLength);
         
-        for (let i = this.minDataPoints; i <= Math.min(highs.length, this.minDataPoints + outputLength); i++) {
-            const highsSlice = highs.slice(0, i);
-            const lowsSlice = lows.slice(0, i);
-            const closesSlice = closes.slice(0, i);
+        // Stream the bars in rather than recalculating every prefix
+        for (let i = 1; i <= end; i++) {
+            stream.push(IndicatorStream.barAt({ highs, lows, closes }, i - 1));
+            if (i < this.minDataPoints) continue;
             
             try {
-                const result = this.calculate(highsSlice, lowsSlice, closesSlice);
+                const result = stream.getResult();
                 cciHistory.push({
                     cci: result.cci,
                     level: result.metadata.level,
-                    timestamp: Date.now() - ((this.minDataPoints + outputLength - i) * 300000)
+                    ...(timestamps ? { timestamp: timestamps[i - 1] } : {})
                 });
             } catch (error) {
                 // Skip if calculation fails
@@ -0,0 +1,116 @@
+const { DataValidator } = require('../../../data/validators');
+const { Logger } = require('../../../utils');
+const IndicatorStream = require('../IndicatorStream');
+
+// Chaikin Money Flow: volume-weighted average of where each close sits in its bar's range,
+// from -1 (every close on the low) to +1 (every close on the high), over `period` bars
+class ChaikinMoneyFlow {
+    constructor(period = 20) {
+        this.period = period;
+        this.name = 'ChaikinMoneyFlow';
+        this.minDataPoints = this.period;
+    }
+    
+    // Close location value of a bar, 0 for bars without a range
+    static moneyFlowMultiplier(high, low, close) {
+        const range = high - low;
+        return range > 0 ? ((close - low) - (high - close)) / range : 0;
+    }
+    
+    calculate(highs, lows, closes, volumes) {
+        try {
+            // Validate input
+            if (!DataValidator.validateArray(highs, this.minDataPoints) ||
+                !DataValidator.validateArray(lows, this.minDataPoints) ||
+                !DataValidator.validateArray(closes, this.minDataPoints) ||
+                !DataValidator.validateArray(volumes, this.minDataPoints, DataValidator.isValidVolume)) {
+                throw new Error(`CMF validation failed: need at least ${this.minDataPoints} valid price and volume values`);
+            }
+            
+            if (highs.length !== lows.length || lows.length !== closes.length || closes.length !== volumes.length) {
+                throw new Error('Highs, lows, closes, and volumes arrays must have the same length');
+            }
+            
+            let moneyFlowVolume = 0;
+            let totalVolume = 0;
+            
+            for (let i = closes.length - this.period; i < closes.length; i++) {
+                moneyFlowVolume += ChaikinMoneyFlow.moneyFlowMultiplier(highs[i], lows[i], closes[i]) * volumes[i];
+                totalVolume += volumes[i];
+            }
+            
+            const cmf = totalVolume > 0 ? moneyFlowVolume / totalVolume : 0;
+            const signal = this.generateSignal(cmf);
+            
+            Logger.debug('CMF calculated', {
+                value: cmf.toFixed(4),
+                suggestion: signal.suggestion
+            });
+            
+            return {
+                value: Number(cmf.toFixed(4)),
+                moneyFlowVolume: Number(moneyFlowVolume.toFixed(6)),
+                suggestion: signal.suggestion,
+                confidence: Number(signal.confidence.toFixed(4)),
+                strength: Number(signal.strength.toFixed(4)),
+                metadata: {
+                    period: this.period,
+                    volume: Number(totalVolume.toFixed(8)),
+                    interpretation: signal.interpretation
+                }
+            };
+        
+        } catch (error) {
+            Logger.error('CMF calculation error', { error: error.message });
+            throw error;
+        }
+    }
+    
+    generateSignal(cmf) {
+        let suggestion = "hold";
+        let confidence = 0;
+        let strength = Math.min(1, Math.abs(cmf) / 0.25);
+        let interpretation = "";
+        
+        // Values within ±0.05 are treated as noise
+        if (cmf >= 0.05) {
+            suggestion = "buy";
+            confidence = strength;
+            interpretation = `CMF ${cmf.toFixed(3)} - closes near the highs on volume, accumulation`;
+        } else if (cmf <= -0.05) {
+            suggestion = "sell";
+            confidence = strength;
+            interpretation = `CMF ${cmf.toFixed(3)} - closes near the lows on volume, distribution`;
+        } else {
+            strength = 0;
+            interpretation = `CMF ${cmf.toFixed(3)} - no clear accumulation or distribution`;
+        }
+        
+        return {
+            suggestion,
+            confidence,
+            strength,
+            interpretation
+        };
+    }
+    
+    // Streaming mode: only the last period bars are read
+    initialState() {
+        return IndicatorStream.emptyWindow();
+    }
+    
+    nextState(state, bar) {
+        return IndicatorStream.appendToWindow(state, bar, this.period);
+    }
+    
+    resultFromState(state) {
+        return this.calculate(state.highs, state.lows, state.closes, state.volumes);
+    }
+    
+    // data: { highs, lows, closes, volumes, timestamps }
+    calculateHistory(data, outputLength = 50) {
+        return IndicatorStream.history(this, data, outputLength);
+    }
+}
+
+module.exports = ChaikinMoneyFlow;
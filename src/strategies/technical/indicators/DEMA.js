@@ -0,0 +1,122 @@
+const { DataValidator } = require('../../../data/validators');
+const { Logger } = require('../../../utils');
+const ExponentialSmoothing = require('../ExponentialSmoothing');
+const IndicatorStream = require('../IndicatorStream');
+const MovingAverage = require('./MovingAverage');
+
+// Double Exponential Moving Average: 2 * EMA - EMA(EMA). Subtracting the smoothed EMA removes
+// most of the EMA's lag. TEMA extends this with a third EMA level.
+class DEMA {
+    constructor(period = 20) {
+        this.period = period;
+        this.depth = 2;
+        this.name = 'DEMA';
+        this.minDataPoints = this.depth * (this.period - 1) + 2; // +1 for the previous value
+    }
+    
+    // emas: [EMA, EMA(EMA)] at the same bar
+    combine(emas) {
+        return 2 * emas[0] - emas[1];
+    }
+    
+    calculate(prices) {
+        try {
+            // Validate input
+            if (!DataValidator.validatePriceArray(prices, this.minDataPoints)) {
+                throw new Error(`${this.name} validation failed: need at least ${this.minDataPoints} valid price values, got ${prices?.length || 0}`);
+            }
+            
+            const levels = ExponentialSmoothing.cascade(prices, this.period, this.depth);
+            const value = this.combine(levels.map(series => series[series.length - 1]));
+            const previous = this.combine(levels.map(series => series[series.length - 2]));
+            
+            return this.buildResult(value, previous, prices[prices.length - 1]);
+        
+        } catch (error) {
+            Logger.error(`${this.name} calculation error`, { error: error.message });
+            throw error;
+        }
+    }
+    
+    buildResult(value, previous, currentPrice) {
+        if (!Number.isFinite(value) || !Number.isFinite(previous) || value <= 0 || previous <= 0) {
+            throw new Error(`Invalid ${this.name} calculation result`);
+        }
+        
+        const signal = this.generateSignal(currentPrice, value, previous);
+        
+        Logger.debug(`${this.name} calculated`, {
+            value: value.toFixed(6),
+            trend: signal.trend,
+            suggestion: signal.suggestion
+        });
+        
+        return {
+            value: Number(value.toFixed(6)),
+            previous: Number(previous.toFixed(6)),
+            currentPrice: Number(currentPrice.toFixed(6)),
+            slope: Number(signal.slope.toFixed(4)),
+            distance: Number(signal.distance.toFixed(4)),
+            suggestion: signal.suggestion,
+            confidence: Number(signal.confidence.toFixed(4)),
+            strength: Number(signal.strength.toFixed(4)),
+            metadata: {
+                period: this.period,
+                trend: signal.trend,
+                interpretation: signal.interpretation
+            }
+        };
+    }
+    
+    generateSignal(currentPrice, value, previous) {
+        return MovingAverage.slopeSignal(currentPrice, value, previous, this.name);
+    }
+    
+    // Streaming mode: every EMA level is carried forward
+    initialState() {
+        return {
+            count: 0,
+            invalid: false,
+            levels: ExponentialSmoothing.emptyCascade(this.depth),
+            value: null,
+            previous: null,
+            close: null
+        };
+    }
+    
+    nextState(state, bar) {
+        const { close } = bar;
+        const next = { ...state, count: state.count + 1, close };
+        
+        if (state.invalid || !DataValidator.isValidNumber(close)) {
+            next.invalid = true;
+            return next;
+        }
+        
+        next.levels = ExponentialSmoothing.nextCascade(state.levels, close, this.period);
+        next.previous = state.value;
+        next.value = next.levels[this.depth - 1].ema === null ? null : this.combine(next.levels.map(level => level.ema));
+        return next;
+    }
+    
+    resultFromState(state) {
+        try {
+            if (state.invalid || state.count < this.minDataPoints) {
+                throw new Error(`${this.name} validation failed: need at least ${this.minDataPoints} valid price values, got ${state.count}`);
+            }
+            
+            return this.buildResult(state.value, state.previous, state.close);
+        
+        } catch (error) {
+            Logger.error(`${this.name} calculation error`, { error: error.message });
+            throw error;
+        }
+    }
+    
+    // Values for the last outputLength prices (useful for charting)
+    calculateHistory(prices, outputLength = 50, timestamps = null) {
+        return IndicatorStream.history(this, { closes: prices, timestamps }, outputLength);
+    }
+}
+
+module.exports = DEMA;
@@ -0,0 +1,125 @@
+const { DataValidator } = require('../../../data/validators');
+const { Logger } = require('../../../utils');
+const IndicatorStream = require('../IndicatorStream');
+
+// Highest high and lowest low of the last `period` bars. Breakouts are measured against the
+// channel of the `period` bars before the current one, so a new high can exceed its own channel.
+class DonchianChannels {
+    constructor(period = 20) {
+        this.period = period;
+        this.name = 'DonchianChannels';
+        this.minDataPoints = this.period + 1;
+    }
+    
+    calculate(highs, lows, closes) {
+        try {
+            // Validate input
+            if (!DataValidator.validateArray(highs, this.minDataPoints) ||
+                !DataValidator.validateArray(lows, this.minDataPoints) ||
+                !DataValidator.validateArray(closes, this.minDataPoints)) {
+                throw new Error(`Donchian Channels validation failed: need at least ${this.minDataPoints} valid values`);
+            }
+            
+            if (highs.length !== lows.length || lows.length !== closes.length) {
+                throw new Error('Highs, lows, and closes arrays must have the same length');
+            }
+            
+            const upperBand = Math.max(...highs.slice(-this.period));
+            const lowerBand = Math.min(...lows.slice(-this.period));
+            const previousUpper = Math.max(...highs.slice(-this.period - 1, -1));
+            const previousLower = Math.min(...lows.slice(-this.period - 1, -1));
+            const currentPrice = closes[closes.length - 1];
+            
+            const middleBand = (upperBand + lowerBand) / 2;
+            const channelWidth = upperBand - lowerBand;
+            const position = channelWidth > 0 ? (currentPrice - lowerBand) / channelWidth : 0.5;
+            const bandwidth = channelWidth / middleBand;
+            
+            if (!Number.isFinite(middleBand) || !Number.isFinite(bandwidth)) {
+                throw new Error('Invalid Donchian Channels calculation result');
+            }
+            
+            const signal = this.generateSignal(currentPrice, previousUpper, previousLower, position);
+            
+            Logger.debug('Donchian Channels calculated', {
+                upperBand: upperBand.toFixed(6),
+                lowerBand: lowerBand.toFixed(6),
+                suggestion: signal.suggestion
+            });
+            
+            return {
+                upperBand: Number(upperBand.toFixed(6)),
+                middleBand: Number(middleBand.toFixed(6)),
+                lowerBand: Number(lowerBand.toFixed(6)),
+                currentPrice: Number(currentPrice.toFixed(6)),
+                position: Number(position.toFixed(4)),
+                bandwidth: Number(bandwidth.toFixed(6)),
+                suggestion: signal.suggestion,
+                confidence: Number(signal.confidence.toFixed(4)),
+                strength: Number(signal.strength.toFixed(4)),
+                metadata: {
+                    period: this.period,
+                    previousUpper: Number(previousUpper.toFixed(6)),
+                    previousLower: Number(previousLower.toFixed(6)),
+                    breakout: signal.breakout,
+                    interpretation: signal.interpretation
+                }
+            };
+        
+        } catch (error) {
+            Logger.error('Donchian Channels calculation error', { error: error.message });
+            throw error;
+        }
+    }
+    
+    generateSignal(currentPrice, previousUpper, previousLower, position) {
+        let suggestion = "hold";
+        let confidence = 0;
+        let strength = 0;
+        let interpretation = "";
+        let breakout = null;
+        const previousWidth = previousUpper - previousLower;
+        
+        // Confidence grows with how far the close clears the previous channel, relative to its width
+        if (currentPrice > previousUpper) {
+            const excess = previousWidth > 0 ? (currentPrice - previousUpper) / previousWidth : 0;
+            suggestion = "buy";
+            breakout = "upper";
+            confidence = Math.min(1, 0.5 + excess * 2.5);
+            strength = confidence;
+            interpretation = `Close above the ${this.period}-bar high - upside breakout`;
+        } else if (currentPrice < previousLower) {
+            const excess = previousWidth > 0 ? (previousLower - currentPrice) / previousWidth : 0;
+            suggestion = "sell";
+            breakout = "lower";
+            confidence = Math.min(1, 0.5 + excess * 2.5);
+            strength = confidence;
+            interpretation = `Close below the ${this.period}-bar low - downside breakout`;
+        } else {
+            interpretation = `Close inside the ${this.period}-bar range (position ${position.toFixed(2)}) - no breakout`;
+        }
+        
+        return {
+            suggestion,
+            confidence,
+            strength,
+            interpretation,
+            breakout
+        };
+    }
+    
+    // Streaming mode: the channel only depends on the last period + 1 bars
+    initialState() {
+        return IndicatorStream.emptyWindow();
+    }
+    
+    nextState(state, bar) {
+        return IndicatorStream.appendToWindow(state, bar, this.minDataPoints);
+    }
+    
+    resultFromState(state) {
+        return this.calculate(state.highs, state.lows, state.closes);
+    }
+}
+
+module.exports = DonchianChannels;
@@ -0,0 +1,131 @@
+const { DataValidator } = require('../../../data/validators');
+const { Logger } = require('../../../utils');
+const IndicatorStream = require('../IndicatorStream');
+
+// Arms' box ratio expresses volume in units of 100 million
+const VOLUME_SCALE = 100000000;
+
+// Ease of Movement: how far the midpoint of each bar moves per unit of volume, averaged over
+// `period` bars. Large positive values mean price rises on little volume.
+class EaseOfMovement {
+    constructor(period = 14) {
+        this.period = period;
+        this.name = 'EaseOfMovement';
+        this.minDataPoints = this.period + 1;
+    }
+    
+    // One bar's EMV: midpoint move divided by the box ratio (volume / range). Bars without
+    // volume or range carry no information and count as 0.
+    static barValue(high, low, prevHigh, prevLow, volume) {
+        const range = high - low;
+        if (volume === 0 || range === 0) {
+            return 0;
+        }
+        
+        const distance = (high + low) / 2 - (prevHigh + prevLow) / 2;
+        return distance / ((volume / VOLUME_SCALE) / range);
+    }
+    
+    calculate(highs, lows, volumes) {
+        try {
+            // Validate input
+            if (!DataValidator.validateArray(highs, this.minDataPoints) ||
+                !DataValidator.validateArray(lows, this.minDataPoints) ||
+                !DataValidator.validateArray(volumes, this.minDataPoints, DataValidator.isValidVolume)) {
+                throw new Error(`EoM validation failed: need at least ${this.minDataPoints} valid price and volume values`);
+            }
+            
+            if (highs.length !== lows.length || lows.length !== volumes.length) {
+                throw new Error('Highs, lows, and volumes arrays must have the same length');
+            }
+            
+            const values = [];
+            for (let i = highs.length - this.period; i < highs.length; i++) {
+                values.push(EaseOfMovement.barValue(highs[i], lows[i], highs[i - 1], lows[i - 1], volumes[i]));
+            }
+            
+            const eom = values.reduce((sum, value) => sum + value, 0) / this.period;
+            const absoluteMean = values.reduce((sum, value) => sum + Math.abs(value), 0) / this.period;
+            
+            if (!Number.isFinite(eom)) {
+                throw new Error('Invalid EoM calculation result');
+            }
+            
+            const signal = this.generateSignal(eom, absoluteMean);
+            
+            Logger.debug('EoM calculated', {
+                value: eom.toPrecision(6),
+                suggestion: signal.suggestion
+            });
+            
+            // The scale depends on price and volume, so keep significant digits rather than decimals
+            return {
+                value: Number(eom.toPrecision(6)),
+                emv: Number(values[values.length - 1].toPrecision(6)),
+                suggestion: signal.suggestion,
+                confidence: Number(signal.confidence.toFixed(4)),
+                strength: Number(signal.strength.toFixed(4)),
+                metadata: {
+                    period: this.period,
+                    volumeScale: VOLUME_SCALE,
+                    interpretation: signal.interpretation
+                }
+            };
+        
+        } catch (error) {
+            Logger.error('EoM calculation error', { error: error.message });
+            throw error;
+        }
+    }
+    
+    generateSignal(eom, absoluteMean) {
+        let suggestion = "hold";
+        let confidence = 0;
+        let strength = 0;
+        let interpretation = "";
+        
+        // How one-sided the moves were: 1 when every bar moved the same way
+        const consistency = absoluteMean > 0 ? Math.abs(eom) / absoluteMean : 0;
+        
+        if (eom > 0 && consistency >= 0.2) {
+            suggestion = "buy";
+            confidence = consistency;
+            strength = consistency;
+            interpretation = `Price rising with ease on light volume (${Math.round(consistency * 100)}% of the movement upward)`;
+        } else if (eom < 0 && consistency >= 0.2) {
+            suggestion = "sell";
+            confidence = consistency;
+            strength = consistency;
+            interpretation = `Price falling with ease on light volume (${Math.round(consistency * 100)}% of the movement downward)`;
+        } else {
+            interpretation = 'No easy direction - moves need heavy volume or cancel out';
+        }
+        
+        return {
+            suggestion,
+            confidence,
+            strength,
+            interpretation
+        };
+    }
+    
+    // Streaming mode: only the last period + 1 bars are read
+    initialState() {
+        return IndicatorStream.emptyWindow();
+    }
+    
+    nextState(state, bar) {
+        return IndicatorStream.appendToWindow(state, bar, this.minDataPoints);
+    }
+    
+    resultFromState(state) {
+        return this.calculate(state.highs, state.lows, state.volumes);
+    }
+    
+    // data: { highs, lows, closes, volumes, timestamps }
+    calculateHistory(data, outputLength = 50) {
+        return IndicatorStream.history(this, data, outputLength);
+    }
+}
+
+module.exports = EaseOfMovement;
@@ -0,0 +1,112 @@
+const { DataValidator } = require('../../../data/validators');
+const { Logger } = require('../../../utils');
+const IndicatorStream = require('../IndicatorStream');
+const ATR = require('./ATR');
+
+// Historical (standard deviation) and realized (root of summed squares) volatility of log returns,
+// per bar and in percent. Not annualized: the indicator doesn't know the candle interval.
+// The regime compares the short window with the volatility over `longPeriod` returns.
+class HistoricalVolatility {
+    constructor(period = 20, longPeriod = 100) {
+        this.period = period;
+        this.longPeriod = longPeriod;
+        this.name = 'HistoricalVolatility';
+        this.minDataPoints = Math.max(this.period, this.longPeriod) + 1;
+    }
+    
+    calculate(prices) {
+        try {
+            // Validate input
+            if (!DataValidator.validateArray(prices, this.minDataPoints)) {
+                throw new Error(`Historical volatility validation failed: need at least ${this.minDataPoints} valid price values`);
+            }
+            
+            const recent = prices.slice(-this.minDataPoints);
+            const returns = [];
+            for (let i = 1; i < recent.length; i++) {
+                returns.push(Math.log(recent[i] / recent[i - 1]));
+            }
+            
+            const shortReturns = returns.slice(-this.period);
+            const volatility = HistoricalVolatility.standardDeviation(shortReturns) * 100;
+            const realizedVolatility = Math.sqrt(shortReturns.reduce((sum, value) => sum + value * value, 0)) * 100;
+            const longVolatility = HistoricalVolatility.standardDeviation(returns.slice(-this.longPeriod)) * 100;
+            const volatilityRatio = longVolatility > 0 ? volatility / longVolatility : 1;
+            
+            if (!Number.isFinite(volatility) || !Number.isFinite(realizedVolatility) || !Number.isFinite(longVolatility)) {
+                throw new Error('Invalid historical volatility calculation result');
+            }
+            
+            const signal = this.generateSignal(volatility, longVolatility, volatilityRatio);
+            
+            Logger.debug('Historical volatility calculated', {
+                volatility: volatility.toFixed(4),
+                longVolatility: longVolatility.toFixed(4),
+                regime: signal.regime
+            });
+            
+            return {
+                volatility: Number(volatility.toFixed(4)),
+                realizedVolatility: Number(realizedVolatility.toFixed(4)),
+                longVolatility: Number(longVolatility.toFixed(4)),
+                volatilityRatio: Number(volatilityRatio.toFixed(4)),
+                suggestion: signal.suggestion,
+                confidence: Number(signal.confidence.toFixed(4)),
+                strength: Number(signal.strength.toFixed(4)),
+                metadata: {
+                    period: this.period,
+                    longPeriod: this.longPeriod,
+                    regime: signal.regime,
+                    interpretation: signal.interpretation
+                }
+            };
+        
+        } catch (error) {
+            Logger.error('Historical volatility calculation error', { error: error.message });
+            throw error;
+        }
+    }
+    
+    generateSignal(volatility, longVolatility, volatilityRatio) {
+        const regime = ATR.classifyRegime(volatilityRatio);
+        let interpretation = `${this.period}-bar volatility ${volatility.toFixed(2)}% per bar vs ${longVolatility.toFixed(2)}% over ${this.longPeriod} bars`;
+        
+        if (regime === 'high') {
+            interpretation += ' - high volatility regime, expect wider swings.';
+        } else if (regime === 'low') {
+            interpretation += ' - low volatility regime, moves are compressed.';
+        } else {
+            interpretation += ' - normal volatility regime.';
+        }
+        
+        return {
+            suggestion: "hold",
+            confidence: 0,
+            strength: Math.min(1, Math.abs(volatilityRatio - 1)),
+            interpretation,
+            regime
+        };
+    }
+    
+    // Streaming mode: only the last longPeriod + 1 closes are read
+    initialState() {
+        return IndicatorStream.emptyWindow();
+    }
+    
+    nextState(state, bar) {
+        return IndicatorStream.appendToWindow(state, bar, this.minDataPoints);
+    }
+    
+    resultFromState(state) {
+        return this.calculate(state.closes);
+    }
+    
+    // Sample standard deviation
+    static standardDeviation(values) {
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const variance = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (values.length - 1);
+        return Math.sqrt(variance);
+    }
+}
+
+module.exports = HistoricalVolatility;
@@ -0,0 +1,102 @@
+const { DataValidator } = require('../../../data/validators');
+const { Logger } = require('../../../utils');
+const IndicatorStream = require('../IndicatorStream');
+const MovingAverage = require('./MovingAverage');
+
+// Hull Moving Average: WMA(2 * WMA(n / 2) - WMA(n), sqrt(n)). Doubling the fast WMA cancels
+// most of the lag and the final short WMA smooths the result again.
+class HullMovingAverage {
+    constructor(period = 20) {
+        this.period = period;
+        this.halfPeriod = Math.max(1, Math.floor(period / 2));
+        this.sqrtPeriod = Math.max(1, Math.floor(Math.sqrt(period)));
+        this.name = 'HullMovingAverage';
+        // sqrtPeriod raw values for the HMA, one more for the previous HMA
+        this.minDataPoints = this.period + this.sqrtPeriod;
+    }
+    
+    // Linearly weighted average of the `period` values ending at `end` (exclusive)
+    static weightedAverage(values, end, period) {
+        let weightedSum = 0;
+        for (let i = 0; i < period; i++) {
+            weightedSum += values[end - period + i] * (i + 1);
+        }
+        return weightedSum / (period * (period + 1) / 2);
+    }
+    
+    calculate(prices) {
+        try {
+            // Validate input
+            if (!DataValidator.validatePriceArray(prices, this.minDataPoints)) {
+                throw new Error(`HMA validation failed: need at least ${this.minDataPoints} valid price values, got ${prices?.length || 0}`);
+            }
+            
+            // Raw (unsmoothed) Hull values for the last sqrtPeriod + 1 bars
+            const raw = [];
+            for (let end = prices.length - this.sqrtPeriod; end <= prices.length; end++) {
+                raw.push(2 * HullMovingAverage.weightedAverage(prices, end, this.halfPeriod) -
+                    HullMovingAverage.weightedAverage(prices, end, this.period));
+            }
+            
+            const hma = HullMovingAverage.weightedAverage(raw, raw.length, this.sqrtPeriod);
+            const previousHMA = HullMovingAverage.weightedAverage(raw, raw.length - 1, this.sqrtPeriod);
+            const currentPrice = prices[prices.length - 1];
+            
+            if (!Number.isFinite(hma) || !Number.isFinite(previousHMA) || hma <= 0 || previousHMA <= 0) {
+                throw new Error('Invalid HMA calculation result');
+            }
+            
+            const signal = this.generateSignal(currentPrice, hma, previousHMA);
+            
+            Logger.debug('HMA calculated', {
+                value: hma.toFixed(6),
+                trend: signal.trend,
+                suggestion: signal.suggestion
+            });
+            
+            return {
+                value: Number(hma.toFixed(6)),
+                previous: Number(previousHMA.toFixed(6)),
+                currentPrice: Number(currentPrice.toFixed(6)),
+                slope: Number(signal.slope.toFixed(4)),
+                distance: Number(signal.distance.toFixed(4)),
+                suggestion: signal.suggestion,
+                confidence: Number(signal.confidence.toFixed(4)),
+                strength: Number(signal.strength.toFixed(4)),
+                metadata: {
+                    period: this.period,
+                    trend: signal.trend,
+                    interpretation: signal.interpretation
+                }
+            };
+        
+        } catch (error) {
+            Logger.error('HMA calculation error', { error: error.message });
+            throw error;
+        }
+    }
+    
+    generateSignal(currentPrice, hma, previousHMA) {
+        return MovingAverage.slopeSignal(currentPrice, hma, previousHMA, 'HMA');
+    }
+    
+    // Streaming mode: only the last period + sqrtPeriod closes are read
+    initialState() {
+        return IndicatorStream.emptyWindow();
+    }
+    
+    nextState(state, bar) {
+        return IndicatorStream.appendToWindow(state, bar, this.minDataPoints);
+    }
+    
+    resultFromState(state) {
+        return this.calculate(state.closes);
+    }
+    
+    // HMA for the last outputLength prices (useful for charting)
+    calculateHistory(prices, outputLength = 50, timestamps = null) {
+        return IndicatorStream.history(this, { closes: prices, timestamps }, outputLength);
+    }
+}
+
+module.exports = HullMovingAverage;
@@ -1,5 +1,6 @@
 const { DataValidator } = require('../../../data/validators');
 const { Logger } = require('../../../utils');
+const IndicatorStream = require('../IndicatorStream');
 
 class IchimokuCloud {
     constructor(tenkanPeriod = 9, kijunPeriod = 26, senkouBPeriod = 52, chikouPeriod = 26) {
@@ -242,28 +243,43 @@ class IchimokuCloud {
         };
     }
     
+    // Streaming mode: Senkou Span B and the Chikou reference fit in the last minDataPoints bars
+    initialState() {
+        return IndicatorStream.emptyWindow();
+    }
+    
+    nextState(state, bar) {
+        return IndicatorStream.appendToWindow(state, bar, this.minDataPoints);
+    }
+    
+    resultFromState(state) {
+        return this.calculate(state.highs, state.lows, state.closes);
+    }
+    
     // Helper method to calculate historical Ichimoku values (useful for charting)
-    calculateHistory(highs, lows, closes, outputLength = 50) {
+    calculateHistory(highs, lows, closes, outputLength = 50, timestamps = null) {
         if (highs.length < this.minDataPoints + outputLength) {
             throw new Error(`Insufficient data for Ichimoku history. Need ${this.minDataPoints + outputLength}, have ${highs.length}`);
         }
         
         const ichimokuHistory = [];
+        const stream = new IndicatorStream(this);
+        const end = Math.min(highs.length, this.minDataPoints + outputLength);
         
-        for (let i = this.minDataPoints; i <= Math.min(highs.length, this.minDataPoints + outputLength); i++) {
-            const highsSlice = highs.slice(0, i);
-            const lowsSlice = lows.slice(0, i);
-            const closesSlice = closes.slice(0, i);
+        // Stream the bars in rather than recalculating every prefix
+        for (let i = 1; i <= end; i++) {
+            stream.push(IndicatorStream.barAt({ highs, lows, closes }, i - 1));
+            if (i < this.minDataPoints) continue;
             
             try {
-                const result = this.calculate(highsSlice, lowsSlice, closesSlice);
+                const result = stream.getResult();
                 ichimokuHistory.push({
                     tenkanSen: result.tenkanSen,
                     kijunSen: result.kijunSen,
                     senkouSpanA: result.senkouSpanA,
                     senkouSpanB: result.senkouSpanB,
                     cloudColor: result.cloudColor,
-                    timestamp: Date.now() - ((this.minDataPoints + outputLength - i) * 300000) // Approximate
+                    ...(timestamps ? { timestamp: timestamps[i - 1] } : {})
                 });
             } catch (error) {
                 // Skip if calculation fails
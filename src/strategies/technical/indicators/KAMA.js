@@ -0,0 +1,162 @@
+const { DataValidator } = require('../../../data/validators');
+const { Logger } = require('../../../utils');
+const IndicatorStream = require('../IndicatorStream');
+const MovingAverage = require('./MovingAverage');
+
+// Kaufman's Adaptive Moving Average. The efficiency ratio (net move over the sum of bar-to-bar
+// moves across `period` bars) scales the smoothing between the fastPeriod EMA in clean trends
+// and the slowPeriod EMA in choppy markets. Seeded with the SMA of the first `period` closes.
+class KAMA {
+    constructor(period = 10, fastPeriod = 2, slowPeriod = 30) {
+        this.period = period;
+        this.fastPeriod = fastPeriod;
+        this.slowPeriod = slowPeriod;
+        this.name = 'KAMA';
+        this.minDataPoints = this.period + 1; // +1 for the previous KAMA
+    }
+    
+    // recentCloses: the last period + 1 closes, oldest first
+    static efficiencyRatio(recentCloses) {
+        const change = Math.abs(recentCloses[recentCloses.length - 1] - recentCloses[0]);
+        let volatility = 0;
+        for (let i = 1; i < recentCloses.length; i++) {
+            volatility += Math.abs(recentCloses[i] - recentCloses[i - 1]);
+        }
+        return volatility > 0 ? change / volatility : 0;
+    }
+    
+    step(kama, close, efficiencyRatio) {
+        const fast = 2 / (this.fastPeriod + 1);
+        const slow = 2 / (this.slowPeriod + 1);
+        const smoothing = Math.pow(efficiencyRatio * (fast - slow) + slow, 2);
+        return kama + smoothing * (close - kama);
+    }
+    
+    calculate(prices) {
+        try {
+            // Validate input
+            if (!DataValidator.validatePriceArray(prices, this.minDataPoints)) {
+                throw new Error(`KAMA validation failed: need at least ${this.minDataPoints} valid price values, got ${prices?.length || 0}`);
+            }
+            
+            let kama = prices.slice(0, this.period).reduce((sum, price) => sum + price, 0) / this.period;
+            let previousKAMA = kama;
+            let efficiencyRatio = 0;
+            
+            for (let i = this.period; i < prices.length; i++) {
+                efficiencyRatio = KAMA.efficiencyRatio(prices.slice(i - this.period, i + 1));
+                previousKAMA = kama;
+                kama = this.step(kama, prices[i], efficiencyRatio);
+            }
+            
+            return this.buildResult(kama, previousKAMA, efficiencyRatio, prices[prices.length - 1]);
+        
+        } catch (error) {
+            Logger.error('KAMA calculation error', { error: error.message });
+            throw error;
+        }
+    }
+    
+    buildResult(kama, previousKAMA, efficiencyRatio, currentPrice) {
+        if (!Number.isFinite(kama) || !Number.isFinite(previousKAMA) || kama <= 0 || previousKAMA <= 0) {
+            throw new Error('Invalid KAMA calculation result');
+        }
+        
+        const signal = this.generateSignal(currentPrice, kama, previousKAMA, efficiencyRatio);
+        
+        Logger.debug('KAMA calculated', {
+            value: kama.toFixed(6),
+            efficiencyRatio: efficiencyRatio.toFixed(4),
+            suggestion: signal.suggestion
+        });
+        
+        return {
+            value: Number(kama.toFixed(6)),
+            previous: Number(previousKAMA.toFixed(6)),
+            currentPrice: Number(currentPrice.toFixed(6)),
+            efficiencyRatio: Number(efficiencyRatio.toFixed(4)),
+            slope: Number(signal.slope.toFixed(4)),
+            distance: Number(signal.distance.toFixed(4)),
+            suggestion: signal.suggestion,
+            confidence: Number(signal.confidence.toFixed(4)),
+            strength: Number(signal.strength.toFixed(4)),
+            metadata: {
+                period: this.period,
+                fastPeriod: this.fastPeriod,
+                slowPeriod: this.slowPeriod,
+                trend: signal.trend,
+                interpretation: signal.interpretation
+            }
+        };
+    }
+    
+    generateSignal(currentPrice, kama, previousKAMA, efficiencyRatio) {
+        const signal = MovingAverage.slopeSignal(currentPrice, kama, previousKAMA, 'KAMA');
+        
+        // An efficient market makes the adaptive average trustworthy; chop makes it lag
+        signal.confidence *= 0.5 + efficiencyRatio / 2;
+        signal.interpretation += ` (efficiency ${efficiencyRatio.toFixed(2)})`;
+        
+        return signal;
+    }
+    
+    // Streaming mode: the KAMA is carried forward with the last period + 1 closes
+    initialState() {
+        return {
+            count: 0,
+            invalid: false,
+            sum: 0,
+            recentCloses: [],
+            kama: null,
+            previousKAMA: null,
+            efficiencyRatio: 0
+        };
+    }
+    
+    nextState(state, bar) {
+        const { close } = bar;
+        const next = { ...state, count: state.count + 1 };
+        
+        if (state.invalid || !DataValidator.isValidNumber(close)) {
+            next.invalid = true;
+            return next;
+        }
+        
+        next.recentCloses = [...state.recentCloses.slice(Math.max(0, state.recentCloses.length - this.period)), close];
+        
+        if (next.count < this.period) {
+            next.sum = state.sum + close;
+        } else if (next.count === this.period) {
+            next.sum = state.sum + close;
+            next.kama = next.sum / this.period;
+            next.previousKAMA = next.kama;
+        } else {
+            next.efficiencyRatio = KAMA.efficiencyRatio(next.recentCloses);
+            next.previousKAMA = state.kama;
+            next.kama = this.step(state.kama, close, next.efficiencyRatio);
+        }
+        
+        return next;
+    }
+    
+    resultFromState(state) {
+        try {
+            if (state.invalid || state.count < this.minDataPoints) {
+                throw new Error(`KAMA validation failed: need at least ${this.minDataPoints} valid price values, got ${state.count}`);
+            }
+            
+            return this.buildResult(state.kama, state.previousKAMA, state.efficiencyRatio, state.recentCloses[state.recentCloses.length - 1]);
+        
+        } catch (error) {
+            Logger.error('KAMA calculation error', { error: error.message });
+            throw error;
+        }
+    }
+    
+    // KAMA for the last outputLength prices (useful for charting)
+    calculateHistory(prices, outputLength = 50, timestamps = null) {
+        return IndicatorStream.history(this, { closes: prices, timestamps }, outputLength);
+    }
+}
+
+module.exports = KAMA;
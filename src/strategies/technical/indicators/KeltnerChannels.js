@@ -0,0 +1,182 @@
+const { DataValidator } = require('../../../data/validators');
+const { Logger } = require('../../../utils');
+const WilderSmoothing = require('../WilderSmoothing');
+const ATR = require('./ATR');
+
+// EMA of the close with bands `multiplier` ATRs above and below it. A close outside the
+// channel is treated as a volatility breakout in that direction.
+class KeltnerChannels {
+    constructor(emaPeriod = 20, atrPeriod = 10, multiplier = 2) {
+        this.emaPeriod = emaPeriod;
+        this.atrPeriod = atrPeriod;
+        this.multiplier = multiplier;
+        this.name = 'KeltnerChannels';
+        this.minDataPoints = Math.max(this.emaPeriod, this.atrPeriod);
+        this.atr = new ATR(atrPeriod);
+    }
+    
+    calculate(highs, lows, closes) {
+        try {
+            // Validate input
+            if (!DataValidator.validateArray(highs, this.minDataPoints) ||
+                !DataValidator.validateArray(lows, this.minDataPoints) ||
+                !DataValidator.validateArray(closes, this.minDataPoints)) {
+                throw new Error(`Keltner Channels validation failed: need at least ${this.minDataPoints} valid values`);
+            }
+            
+            if (highs.length !== lows.length || lows.length !== closes.length) {
+                throw new Error('Highs, lows, and closes arrays must have the same length');
+            }
+            
+            const ema = this.calculateEMA(closes, this.emaPeriod);
+            const atrValues = WilderSmoothing.atrSeries(highs, lows, closes, this.atrPeriod);
+            
+            return this.buildResult(ema, atrValues[atrValues.length - 1], closes[closes.length - 1]);
+        
+        } catch (error) {
+            Logger.error('Keltner Channels calculation error', { error: error.message });
+            throw error;
+        }
+    }
+    
+    buildResult(ema, atr, currentPrice) {
+        const upperBand = ema + this.multiplier * atr;
+        const lowerBand = ema - this.multiplier * atr;
+        const channelWidth = upperBand - lowerBand;
+        const position = channelWidth > 0 ? (currentPrice - lowerBand) / channelWidth : 0.5;
+        const bandwidth = channelWidth / ema;
+        
+        if (!Number.isFinite(upperBand) || !Number.isFinite(lowerBand) || !Number.isFinite(bandwidth)) {
+            throw new Error('Invalid Keltner Channels calculation result');
+        }
+        
+        const signal = this.generateSignal(currentPrice, upperBand, lowerBand, atr, position);
+        
+        Logger.debug('Keltner Channels calculated', {
+            upperBand: upperBand.toFixed(6),
+            lowerBand: lowerBand.toFixed(6),
+            position: position.toFixed(4),
+            suggestion: signal.suggestion
+        });
+        
+        return {
+            upperBand: Number(upperBand.toFixed(6)),
+            middleBand: Number(ema.toFixed(6)),
+            lowerBand: Number(lowerBand.toFixed(6)),
+            atr: Number(atr.toFixed(8)),
+            currentPrice: Number(currentPrice.toFixed(6)),
+            position: Number(position.toFixed(4)),
+            bandwidth: Number(bandwidth.toFixed(6)),
+            suggestion: signal.suggestion,
+            confidence: Number(signal.confidence.toFixed(4)),
+            strength: Number(signal.strength.toFixed(4)),
+            metadata: {
+                emaPeriod: this.emaPeriod,
+                atrPeriod: this.atrPeriod,
+                multiplier: this.multiplier,
+                interpretation: signal.interpretation
+            }
+        };
+    }
+    
+    generateSignal(currentPrice, upperBand, lowerBand, atr, position) {
+        let suggestion = "hold";
+        let confidence = 0;
+        let strength = 0;
+        let interpretation = "";
+        
+        // Breakouts are measured in ATRs beyond the band
+        if (currentPrice > upperBand) {
+            const distance = atr > 0 ? (currentPrice - upperBand) / atr : 0;
+            suggestion = "buy";
+            confidence = Math.min(1, 0.5 + distance * 0.5);
+            strength = confidence;
+            interpretation = `Close above the upper Keltner band (${distance.toFixed(2)} ATR) - upside volatility breakout`;
+        } else if (currentPrice < lowerBand) {
+            const distance = atr > 0 ? (lowerBand - currentPrice) / atr : 0;
+            suggestion = "sell";
+            confidence = Math.min(1, 0.5 + distance * 0.5);
+            strength = confidence;
+            interpretation = `Close below the lower Keltner band (${distance.toFixed(2)} ATR) - downside volatility breakout`;
+        } else if (position > 0.8) {
+            interpretation = `Close near the upper band (position ${position.toFixed(2)}) - uptrend pressure, no breakout yet`;
+            strength = 0.2;
+        } else if (position < 0.2) {
+            interpretation = `Close near the lower band (position ${position.toFixed(2)}) - downtrend pressure, no breakout yet`;
+            strength = 0.2;
+        } else {
+            interpretation = `Close inside the channel (position ${position.toFixed(2)}) - no breakout`;
+        }
+        
+        return {
+            suggestion,
+            confidence,
+            strength,
+            interpretation
+        };
+    }
+    
+    // EMA seeded with the SMA of the first `period` values, as in MACD
+    calculateEMA(data, period) {
+        if (data.length < period) {
+            throw new Error(`Insufficient data for EMA calculation: need ${period}, got ${data.length}`);
+        }
+        
+        const multiplier = 2 / (period + 1);
+        let ema = data.slice(0, period).reduce((sum, price) => sum + price, 0) / period;
+        
+        for (let i = period; i < data.length; i++) {
+            ema = (data[i] * multiplier) + (ema * (1 - multiplier));
+        }
+        
+        return ema;
+    }
+    
+    // Streaming mode: the EMA and the ATR stream state are carried forward
+    initialState() {
+        return {
+            count: 0,
+            invalid: false,
+            emaSum: 0,
+            ema: null,
+            atr: this.atr.initialState()
+        };
+    }
+    
+    nextState(state, bar) {
+        const next = { ...state, count: state.count + 1, atr: this.atr.nextState(state.atr, bar) };
+        
+        if (state.invalid || next.atr.invalid) {
+            next.invalid = true;
+            return next;
+        }
+        
+        if (next.count < this.emaPeriod) {
+            next.emaSum = state.emaSum + bar.close;
+        } else if (next.count === this.emaPeriod) {
+            next.emaSum = state.emaSum + bar.close;
+            next.ema = next.emaSum / this.emaPeriod;
+        } else {
+            const multiplier = 2 / (this.emaPeriod + 1);
+            next.ema = (bar.close * multiplier) + (state.ema * (1 - multiplier));
+        }
+        
+        return next;
+    }
+    
+    resultFromState(state) {
+        try {
+            if (state.invalid || state.count < this.minDataPoints) {
+                throw new Error(`Keltner Channels validation failed: need at least ${this.minDataPoints} valid values`);
+            }
+            
+            return this.buildResult(state.ema, state.atr.atr, state.atr.prevClose);
+        
+        } catch (error) {
+            Logger.error('Keltner Channels calculation error', { error: error.message });
+            throw error;
+        }
+    }
+}
+
+module.exports = KeltnerChannels;
@@ -1,5 +1,6 @@
 const { DataValidator } = require('../../../data/validators');
 const { Logger } = require('../../../utils');
+const IndicatorStream = require('../IndicatorStream');
 
 class MACD {
     constructor(fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
@@ -33,34 +34,18 @@ class MACD {
             // Calculate signal line (EMA of MACD line)
             const signalLine = this.calculateEMA(macdHistory, this.signalPeriod);
             
-            // Calculate histogram (MACD - Signal)
-            const histogram = macdLine - signalLine;
-            
-            // Generate trading signal
-            const signal = this.generateSignal(macdLine, signalLine, histogram, macdHistory);
-            
-            Logger.debug(`MACD calculated`, {
-                macdLine: macdLine.toFixed(6),
-                signalLine: signalLine.toFixed(6),
-                histogram: histogram.toFixed(6),
-                suggestion: signal.suggestion
-            });
+            // Previous MACD and signal line for crossover detection
+            let previous = null;
+            if (macdHistory.length >= 2) {
+                const prevSignalHistory = macdHistory.slice(0, -1);
+                previous = {
+                    macdLine: macdHistory[macdHistory.length - 2],
+                    signalLine: prevSignalHistory.length >= this.signalPeriod ?
+                        this.calculateEMA(prevSignalHistory, this.signalPeriod) : signalLine
+                };
+            }
             
-            return {
-                macdLine: Number(macdLine.toFixed(6)),
-                signalLine: Number(signalLine.toFixed(6)),
-                histogram: Number(histogram.toFixed(6)),
-                suggestion: signal.suggestion,
-                confidence: Number(signal.confidence.toFixed(4)),
-                strength: Number(signal.strength.toFixed(4)),
-                metadata: {
-                    fastPeriod: this.fastPeriod,
-                    slowPeriod: this.slowPeriod,
-                    signalPeriod: this.signalPeriod,
-                    interpretation: signal.interpretation,
-                    crossover: signal.crossover
-                }
-            };
+            return this.buildResult(macdLine, signalLine, previous);
             
         } catch (error) {
             Logger.error(`MACD calculation error`, { error: error.message });
@@ -68,6 +53,37 @@ class MACD {
         }
     }
     
+    buildResult(macdLine, signalLine, previous) {
+        // Calculate histogram (MACD - Signal)
+        const histogram = macdLine - signalLine;
+        
+        // Generate trading signal
+        const signal = this.generateSignal(macdLine, signalLine, histogram, previous);
+        
+        Logger.debug(`MACD calculated`, {
+            macdLine: macdLine.toFixed(6),
+            signalLine: signalLine.toFixed(6),
+            histogram: histogram.toFixed(6),
+            suggestion: signal.suggestion
+        });
+        
+        return {
+            macdLine: Number(macdLine.toFixed(6)),
+            signalLine: Number(signalLine.toFixed(6)),
+            histogram: Number(histogram.toFixed(6)),
+            suggestion: signal.suggestion,
+            confidence: Number(signal.confidence.toFixed(4)),
+            strength: Number(signal.strength.toFixed(4)),
+            metadata: {
+                fastPeriod: this.fastPeriod,
+                slowPeriod: this.slowPeriod,
+                signalPeriod: this.signalPeriod,
+                interpretation: signal.interpretation,
+                crossover: signal.crossover
+            }
+        };
+    }
+    
     calculateEMA(data, period) {
         if (data.length < period) {
             throw new Error(`Insufficient data for EMA calculation: need ${period}, got ${data.length}`);
@@ -106,22 +122,99 @@ class MACD {
         return macdHistory;
     }
     
-    generateSignal(macdLine, signalLine, histogram, macdHistory) {
+    // Streaming mode: carry both EMAs and the signal line EMA forward instead of
+    // rebuilding the MACD history from scratch. Seeding matches calculateEMA (SMA of the first values).
+    initialState() {
+        return {
+            count: 0,
+            invalid: false,
+            fastSum: 0,
+            slowSum: 0,
+            fastEMA: null,
+            slowEMA: null,
+            macdCount: 0,
+            signalSum: 0,
+            signalEMA: null,
+            prevSignalEMA: null,
+            macdLine: null,
+            prevMACD: null
+        };
+    }
+    
+    nextState(state, bar) {
+        const price = bar.close;
+        const next = { ...state, count: state.count + 1 };
+        
+        if (state.invalid || !DataValidator.isValidNumber(price)) {
+            next.invalid = true;
+            return next;
+        }
+        
+        const fast = this.stepEMA(state.fastSum, state.fastEMA, price, next.count, this.fastPeriod);
+        const slow = this.stepEMA(state.slowSum, state.slowEMA, price, next.count, this.slowPeriod);
+        next.fastSum = fast.sum;
+        next.fastEMA = fast.ema;
+        next.slowSum = slow.sum;
+        next.slowEMA = slow.ema;
+        
+        if (next.count >= Math.max(this.fastPeriod, this.slowPeriod)) {
+            const macdLine = next.fastEMA - next.slowEMA;
+            const signal = this.stepEMA(state.signalSum, state.signalEMA, macdLine, state.macdCount + 1, this.signalPeriod);
+            
+            next.macdCount = state.macdCount + 1;
+            next.prevMACD = state.macdLine;
+            next.macdLine = macdLine;
+            next.prevSignalEMA = state.signalEMA;
+            next.signalSum = signal.sum;
+            next.signalEMA = signal.ema;
+        }
+        
+        return next;
+    }
+    
+    stepEMA(sum, ema, value, count, period) {
+        if (count < period) {
+            return { sum: sum + value, ema: null };
+        }
+        if (count === period) {
+            return { sum: sum + value, ema: (sum + value) / period };
+        }
+        
+        const multiplier = 2 / (period + 1);
+        return { sum, ema: (value * multiplier) + (ema * (1 - multiplier)) };
+    }
+    
+    resultFromState(state) {
+        try {
+            if (state.invalid || state.count < this.minDataPoints) {
+                throw new Error(`MACD validation failed: need at least ${this.minDataPoints} valid price values, got ${state.count}`);
+            }
+            
+            const previous = state.macdCount >= 2 ? {
+                macdLine: state.prevMACD,
+                signalLine: state.prevSignalEMA !== null ? state.prevSignalEMA : state.signalEMA
+            } : null;
+            
+            return this.buildResult(state.macdLine, state.signalEMA, previous);
+            
+        } catch (error) {
+            Logger.error(`MACD calculation error`, { error: error.message });
+            throw error;
+        }
+    }
+    
+    generateSignal(macdLine, signalLine, histogram, previous) {
         let suggestion = "hold";
         let confidence = 0;
         let strength = 0;
         let interpretation = "";
         let crossover = null;
         
-        // Check for crossovers (need at least 2 MACD history points)
-        if (macdHistory.length >= 2) {
-            const prevMACD = macdHistory[macdHistory.length - 2];
+        // Check for crossovers (need the previous MACD and signal line values)
+        if (previous) {
+            const prevMACD = previous.macdLine;
             const currMACD = macdLine;
-            
-            // Recalculate previous signal line for crossover detection
-            const prevSignalHistory = macdHistory.slice(0, -1);
-            const prevSignalLine = prevSignalHistory.length >= this.signalPeriod ? 
-                this.calculateEMA(prevSignalHistory, this.signalPeriod) : signalLine;
+            const prevSignalLine = previous.signalLine;
             
             // Bullish crossover: MACD crosses above signal line
             if (prevMACD <= prevSignalLine && currMACD > signalLine) {
@@ -186,22 +279,27 @@ class MACD {
     }
     
     // Calculate MACD for multiple periods (useful for historical analysis)
-    calculateHistory(prices, outputLength = 50) {
+    calculateHistory(prices, outputLength = 50, timestamps = null) {
         if (prices.length < this.minDataPoints + outputLength) {
             throw new Error(`Insufficient data for MACD history. Need ${this.minDataPoints + outputLength}, have ${prices.length}`);
         }
         
         const macdHistory = [];
+        const stream = new IndicatorStream(this);
+        const end = Math.min(prices.length, this.minDataPoints + outputLength);
         
-        for (let i = this.minDataPoints; i <= Math.min(prices.length, this.minDataPoints + outputLength); i++) {
-            const subset = prices.slice(0, i);
+        // Stream the bars in rather than recalculating every prefix
+        for (let i = 1; i <= end; i++) {
+            stream.push(IndicatorStream.barAt({ closes: prices }, i - 1));
+            if (i < this.minDataPoints) continue;
+            
             try {
-                const result = this.calculate(subset);
+                const result = stream.getResult();
                 macdHistory.push({
                     macdLine: result.macdLine,
                     signalLine: result.signalLine,
                     histogram: result.histogram,
-                    timestamp: Date.now() - ((this.minDataPoints + outputLength - i) * 300000) // Approximate
+                    ...(timestamps ? { timestamp: timestamps[i - 1] } : {})
                 });
             } catch (error) {
                 // Skip if calculation fails
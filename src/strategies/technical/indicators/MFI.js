@@ -0,0 +1,136 @@
+const { DataValidator } = require('../../../data/validators');
+const { Logger } = require('../../../utils');
+const IndicatorStream = require('../IndicatorStream');
+
+// Money Flow Index: an RSI of typical price weighted by volume over `period` bars
+class MFI {
+    constructor(period = 14) {
+        this.period = period;
+        this.name = 'MFI';
+        this.minDataPoints = this.period + 1;
+    }
+    
+    calculate(highs, lows, closes, volumes) {
+        try {
+            // Validate input
+            if (!DataValidator.validateArray(highs, this.minDataPoints) ||
+                !DataValidator.validateArray(lows, this.minDataPoints) ||
+                !DataValidator.validateArray(closes, this.minDataPoints) ||
+                !DataValidator.validateArray(volumes, this.minDataPoints, DataValidator.isValidVolume)) {
+                throw new Error(`MFI validation failed: need at least ${this.minDataPoints} valid price and volume values`);
+            }
+            
+            if (highs.length !== lows.length || lows.length !== closes.length || closes.length !== volumes.length) {
+                throw new Error('Highs, lows, closes, and volumes arrays must have the same length');
+            }
+            
+            // Money flow counts as positive or negative by the change of typical price; unchanged bars count as neither
+            const start = closes.length - this.minDataPoints;
+            let positiveFlow = 0;
+            let negativeFlow = 0;
+            let previousTypical = (highs[start] + lows[start] + closes[start]) / 3;
+            
+            for (let i = start + 1; i < closes.length; i++) {
+                const typicalPrice = (highs[i] + lows[i] + closes[i]) / 3;
+                const moneyFlow = typicalPrice * volumes[i];
+                
+                if (typicalPrice > previousTypical) {
+                    positiveFlow += moneyFlow;
+                } else if (typicalPrice < previousTypical) {
+                    negativeFlow += moneyFlow;
+                }
+                previousTypical = typicalPrice;
+            }
+            
+            let mfi;
+            if (negativeFlow === 0) {
+                mfi = positiveFlow === 0 ? 50 : 100; // Neutral without any money flow
+            } else {
+                mfi = 100 - (100 / (1 + positiveFlow / negativeFlow));
+            }
+            
+            const signal = this.generateSignal(mfi);
+            
+            Logger.debug('MFI calculated', {
+                value: mfi.toFixed(2),
+                suggestion: signal.suggestion
+            });
+            
+            return {
+                value: Number(mfi.toFixed(2)),
+                positiveFlow: Number(positiveFlow.toFixed(6)),
+                negativeFlow: Number(negativeFlow.toFixed(6)),
+                suggestion: signal.suggestion,
+                confidence: Number(signal.confidence.toFixed(4)),
+                strength: Number(signal.strength.toFixed(4)),
+                metadata: {
+                    period: this.period,
+                    level: signal.level,
+                    interpretation: signal.interpretation
+                }
+            };
+        
+        } catch (error) {
+            Logger.error('MFI calculation error', { error: error.message });
+            throw error;
+        }
+    }
+    
+    generateSignal(mfi) {
+        let suggestion = "hold";
+        let confidence = 0;
+        let strength = 0;
+        let interpretation = "";
+        let level = "Neutral";
+        
+        if (mfi <= 20) {
+            suggestion = "buy";
+            level = "Oversold";
+            confidence = Math.min(1, 0.5 + (20 - mfi) / 40);
+            strength = confidence;
+            interpretation = `MFI ${mfi.toFixed(1)} - money flowing out, oversold`;
+        } else if (mfi >= 80) {
+            suggestion = "sell";
+            level = "Overbought";
+            confidence = Math.min(1, 0.5 + (mfi - 80) / 40);
+            strength = confidence;
+            interpretation = `MFI ${mfi.toFixed(1)} - money flowing in, overbought`;
+        } else if (mfi < 40) {
+            strength = (40 - mfi) / 40;
+            interpretation = `MFI ${mfi.toFixed(1)} - selling pressure, not yet oversold`;
+        } else if (mfi > 60) {
+            strength = (mfi - 60) / 40;
+            interpretation = `MFI ${mfi.toFixed(1)} - buying pressure, not yet overbought`;
+        } else {
+            interpretation = `MFI ${mfi.toFixed(1)} - balanced money flow`;
+        }
+        
+        return {
+            suggestion,
+            confidence,
+            strength,
+            interpretation,
+            level
+        };
+    }
+    
+    // Streaming mode: only the last period + 1 bars are read
+    initialState() {
+        return IndicatorStream.emptyWindow();
+    }
+    
+    nextState(state, bar) {
+        return IndicatorStream.appendToWindow(state, bar, this.minDataPoints);
+    }
+    
+    resultFromState(state) {
+        return this.calculate(state.highs, state.lows, state.closes, state.volumes);
+    }
+    
+    // data: { highs, lows, closes, volumes, timestamps }
+    calculateHistory(data, outputLength = 50) {
+        return IndicatorStream.history(this, data, outputLength);
+    }
+}
+
+module.exports = MFI;
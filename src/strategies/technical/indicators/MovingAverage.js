@@ -1,5 +1,6 @@
 const { DataValidator } = require('../../../data/validators');
 const { Logger } = require('../../../utils');
+const IndicatorStream = require('../IndicatorStream');
 
 class MovingAverage {
     constructor(fastPeriod = 10, slowPeriod = 21) {
@@ -171,25 +172,43 @@ class MovingAverage {
         };
     }
     
+    // Streaming mode: both averages and their previous values fit in the last slowPeriod + 1 closes
+    initialState() {
+        return IndicatorStream.emptyWindow();
+    }
+    
+    nextState(state, bar) {
+        return IndicatorStream.appendToWindow(state, bar, this.minDataPoints);
+    }
+    
+    resultFromState(state) {
+        return this.calculate(state.closes);
+    }
+    
     // Calculate historical moving averages (useful for charting)
-    calculateHistory(prices, outputLength = 50) {
+    calculateHistory(prices, outputLength = 50, timestamps = null) {
         if (prices.length < this.minDataPoints + outputLength) {
             throw new Error(`Insufficient data for MA history. Need ${this.minDataPoints + outputLength}, have ${prices.length}`);
         }
         
         const maHistory = [];
+        const stream = new IndicatorStream(this);
+        const end = Math.min(prices.length, this.slowPeriod + outputLength);
         
-        for (let i = this.slowPeriod; i <= Math.min(prices.length, this.slowPeriod + outputLength); i++) {
-            const subset = prices.slice(0, i);
+        // Stream the bars in rather than slicing every prefix
+        for (let i = 1; i <= end; i++) {
+            stream.push(IndicatorStream.barAt({ closes: prices }, i - 1));
+            if (i < this.slowPeriod) continue;
+            
             try {
-                const fastMA = this.calculateSMA(subset, this.fastPeriod);
-                const slowMA = this.calculateSMA(subset, this.slowPeriod);
+                const fastMA = this.calculateSMA(stream.state.closes, this.fastPeriod);
+                const slowMA = this.calculateSMA(stream.state.closes, this.slowPeriod);
                 
                 maHistory.push({
                     fastMA,
                     slowMA,
                     spread: fastMA - slowMA,
-                    timestamp: Date.now() - ((this.slowPeriod + outputLength - i) * 300000) // Approximate
+                    ...(timestamps ? { timestamp: timestamps[i - 1] } : {})
                 });
             } catch (error) {
                 // Skip if calculation fails
@@ -231,6 +250,50 @@ class MovingAverage {
         if (spreadPercent > 0.5) return "Weak";
         return "Very Weak";
     }
+    
+    // Signal of a single smoothed average (HMA, KAMA, DEMA, TEMA): buy while it rises with price
+    // above it, sell while it falls with price below it. Slopes are percent per bar.
+    static slopeSignal(currentPrice, average, previousAverage, label) {
+        const slope = ((average - previousAverage) / previousAverage) * 100;
+        const distance = ((currentPrice - average) / average) * 100;
+        let trend = "flat";
+        let suggestion = "hold";
+        let confidence = 0;
+        // A slope of 0.2% per bar counts as full strength
+        let strength = Math.min(1, Math.abs(slope) * 5);
+        let interpretation = "";
+        
+        if (slope > 0) {
+            trend = "up";
+        } else if (slope < 0) {
+            trend = "down";
+        }
+        
+        if (trend === "up" && currentPrice > average) {
+            suggestion = "buy";
+            confidence = Math.min(1, 0.4 + strength * 0.5);
+            interpretation = `${label} rising ${slope.toFixed(3)}% per bar with price ${distance.toFixed(2)}% above it - uptrend`;
+        } else if (trend === "down" && currentPrice < average) {
+            suggestion = "sell";
+            confidence = Math.min(1, 0.4 + strength * 0.5);
+            interpretation = `${label} falling ${Math.abs(slope).toFixed(3)}% per bar with price ${Math.abs(distance).toFixed(2)}% below it - downtrend`;
+        } else if (trend === "flat") {
+            interpretation = `${label} flat - no trend`;
+        } else {
+            strength *= 0.5;
+            interpretation = `${label} ${trend === "up" ? "rising" : "falling"} but price is on the other side (${distance.toFixed(2)}%) - trend may be turning`;
+        }
+        
+        return {
+            suggestion,
+            confidence,
+            strength,
+            interpretation,
+            trend,
+            slope,
+            distance
+        };
+    }
 }
 
 module.exports = MovingAverage;
\ No newline at end of file
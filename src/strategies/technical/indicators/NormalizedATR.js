@@ -0,0 +1,130 @@
+const { DataValidator } = require('../../../data/validators');
+const { Logger } = require('../../../utils');
+const WilderSmoothing = require('../WilderSmoothing');
+const ATR = require('./ATR');
+
+// ATR as a percentage of the close, so volatility can be compared across pairs and price levels
+class NormalizedATR {
+    constructor(period = 14) {
+        this.period = period;
+        this.name = 'NormalizedATR';
+        this.minDataPoints = this.period;
+        this.atr = new ATR(period);
+    }
+    
+    calculate(highs, lows, closes) {
+        try {
+            // Validate input
+            if (!DataValidator.validateArray(highs, this.minDataPoints) ||
+                !DataValidator.validateArray(lows, this.minDataPoints) ||
+                !DataValidator.validateArray(closes, this.minDataPoints)) {
+                throw new Error(`NATR validation failed: need at least ${this.minDataPoints} valid values`);
+            }
+            
+            if (highs.length !== lows.length || lows.length !== closes.length) {
+                throw new Error('Highs, lows, and closes arrays must have the same length');
+            }
+            
+            // The first ATR value belongs to the period-th bar
+            const atrValues = WilderSmoothing.atrSeries(highs, lows, closes, this.period);
+            const natrValues = atrValues.map((atr, i) => (atr / closes[i + this.period - 1]) * 100);
+            
+            return this.buildResult(natrValues.slice(-this.period), atrValues[atrValues.length - 1], closes[closes.length - 1]);
+        
+        } catch (error) {
+            Logger.error('NATR calculation error', { error: error.message });
+            throw error;
+        }
+    }
+    
+    // recentNATR: the last `period` NATR values, oldest first
+    buildResult(recentNATR, atr, currentPrice) {
+        const natr = recentNATR[recentNATR.length - 1];
+        const averageNATR = recentNATR.reduce((sum, value) => sum + value, 0) / recentNATR.length;
+        
+        if (!Number.isFinite(natr) || !Number.isFinite(averageNATR)) {
+            throw new Error('Invalid NATR calculation result');
+        }
+        
+        const signal = this.generateSignal(natr, averageNATR);
+        
+        Logger.debug('NATR calculated', {
+            natr: natr.toFixed(4),
+            regime: signal.regime
+        });
+        
+        return {
+            natr: Number(natr.toFixed(4)),
+            atr: Number(atr.toFixed(8)),
+            currentPrice: Number(currentPrice.toFixed(8)),
+            suggestion: signal.suggestion,
+            confidence: Number(signal.confidence.toFixed(4)),
+            strength: Number(signal.strength.toFixed(4)),
+            metadata: {
+                period: this.period,
+                averageNATR: Number(averageNATR.toFixed(4)),
+                regime: signal.regime,
+                interpretation: signal.interpretation
+            }
+        };
+    }
+    
+    generateSignal(natr, averageNATR) {
+        const ratio = averageNATR > 0 ? natr / averageNATR : 1;
+        const regime = ATR.classifyRegime(ratio);
+        let interpretation = `Average bar moves ${natr.toFixed(2)}% of price`;
+        
+        if (regime === 'high') {
+            interpretation += ` - above its ${this.period}-bar average of ${averageNATR.toFixed(2)}%, volatility expanding.`;
+        } else if (regime === 'low') {
+            interpretation += ` - below its ${this.period}-bar average of ${averageNATR.toFixed(2)}%, volatility contracting.`;
+        } else {
+            interpretation += ` - in line with its ${this.period}-bar average.`;
+        }
+        
+        return {
+            suggestion: "hold",
+            confidence: 0,
+            strength: Math.min(1, Math.abs(ratio - 1)),
+            interpretation,
+            regime
+        };
+    }
+    
+    // Streaming mode: reuses the ATR stream state and keeps the last `period` NATR values
+    initialState() {
+        return {
+            atr: this.atr.initialState(),
+            recentNATR: []
+        };
+    }
+    
+    nextState(state, bar) {
+        const atr = this.atr.nextState(state.atr, bar);
+        
+        if (atr.invalid || atr.atr === null) {
+            return { ...state, atr };
+        }
+        
+        return {
+            atr,
+            recentNATR: [...state.recentNATR.slice(Math.max(0, state.recentNATR.length - this.period + 1)), (atr.atr / bar.close) * 100]
+        };
+    }
+    
+    resultFromState(state) {
+        try {
+            if (state.atr.invalid || state.atr.count < this.minDataPoints) {
+                throw new Error(`NATR validation failed: need at least ${this.minDataPoints} valid values`);
+            }
+            
+            return this.buildResult(state.recentNATR, state.atr.atr, state.atr.prevClose);
+        
+        } catch (error) {
+            Logger.error('NATR calculation error', { error: error.message });
+            throw error;
+        }
+    }
+}
+
+module.exports = NormalizedATR;
@@ -1,5 +1,6 @@
 const { DataValidator } = require('../../../data/validators');
 const { Logger } = require('../../../utils');
+const IndicatorStream = require('../IndicatorStream');
 
 class ParabolicSAR {
     constructor(initialAF = 0.02, maxAF = 0.2, afIncrement = 0.02) {
@@ -31,39 +32,11 @@ class ParabolicSAR {
             }
             
             // Get current values
-            const currentSAR = sarSeries[sarSeries.length - 1];
             const currentPrice = closes[closes.length - 1];
             const currentHigh = highs[highs.length - 1];
             const currentLow = lows[lows.length - 1];
             
-            // Determine trend and generate signal
-            const signal = this.generateSignal(currentSAR, currentPrice, currentHigh, currentLow, sarSeries, closes);
-            
-            Logger.debug('Parabolic SAR calculated', {
-                sar: currentSAR.sar.toFixed(6),
-                trend: currentSAR.trend,
-                af: currentSAR.af.toFixed(3),
-                suggestion: signal.suggestion
-            });
-            
-            return {
-                sar: Number(currentSAR.sar.toFixed(6)),
-                trend: currentSAR.trend,
-                af: Number(currentSAR.af.toFixed(3)),
-                ep: Number(currentSAR.ep.toFixed(6)),
-                currentPrice: Number(currentPrice.toFixed(6)),
-                suggestion: signal.suggestion,
-                confidence: Number(signal.confidence.toFixed(4)),
-                strength: Number(signal.strength.toFixed(4)),
-                metadata: {
-                    initialAF: this.initialAF,
-                    maxAF: this.maxAF,
-                    afIncrement: this.afIncrement,
-                    interpretation: signal.interpretation,
-                    reversal: signal.reversal,
-                    trendStrength: signal.trendStrength
-                }
-            };
+            return this.buildResult(sarSeries.slice(-2), currentPrice, currentHigh, currentLow);
             
         } catch (error) {
             Logger.error('Parabolic SAR calculation error', { error: error.message });
@@ -71,6 +44,40 @@ class ParabolicSAR {
         }
     }
     
+    // recentSAR holds the last one or two points of the SAR series
+    buildResult(recentSAR, currentPrice, currentHigh, currentLow) {
+        const currentSAR = recentSAR[recentSAR.length - 1];
+        
+        // Determine trend and generate signal
+        const signal = this.generateSignal(currentSAR, currentPrice, currentHigh, currentLow, recentSAR);
+        
+        Logger.debug('Parabolic SAR calculated', {
+            sar: currentSAR.sar.toFixed(6),
+            trend: currentSAR.trend,
+            af: currentSAR.af.toFixed(3),
+            suggestion: signal.suggestion
+        });
+        
+        return {
+            sar: Number(currentSAR.sar.toFixed(6)),
+            trend: currentSAR.trend,
+            af: Number(currentSAR.af.toFixed(3)),
+            ep: Number(currentSAR.ep.toFixed(6)),
+            currentPrice: Number(currentPrice.toFixed(6)),
+            suggestion: signal.suggestion,
+            confidence: Number(signal.confidence.toFixed(4)),
+            strength: Number(signal.strength.toFixed(4)),
+            metadata: {
+                initialAF: this.initialAF,
+                maxAF: this.maxAF,
+                afIncrement: this.afIncrement,
+                interpretation: signal.interpretation,
+                reversal: signal.reversal,
+                trendStrength: signal.trendStrength
+            }
+        };
+    }
+    
     calculateSARSeries(highs, lows, closes) {
         const sarSeries = [];
         
@@ -79,10 +86,10 @@ class ParabolicSAR {
         }
         
         // Initialize first SAR point
-        let trend = this.determineInitialTrend(highs, lows, closes);
-        let af = this.initialAF;
-        let ep = trend === 'uptrend' ? highs[0] : lows[0]; // Extreme Point
-        let sar = trend === 'uptrend' ? lows[0] : highs[0]; // Initial SAR
+        const trend = this.determineInitialTrend(highs, lows, closes);
+        const af = this.initialAF;
+        const ep = trend === 'uptrend' ? highs[0] : lows[0]; // Extreme Point
+        const sar = trend === 'uptrend' ? lows[0] : highs[0]; // Initial SAR
         
         // First point
         sarSeries.push({
@@ -94,67 +101,73 @@ class ParabolicSAR {
         
         // Calculate subsequent SAR points
         for (let i = 1; i < highs.length; i++) {
-            const currentHigh = highs[i];
-            const currentLow = lows[i];
-            const prevHigh = highs[i - 1];
-            const prevLow = lows[i - 1];
+            const before = Math.max(0, i - 2);
+            sarSeries.push(this.nextSARPoint(
+                sarSeries[sarSeries.length - 1],
+                highs[i], lows[i],
+                highs[i - 1], lows[i - 1],
+                highs[before], lows[before]
+            ));
+        }
+        
+        return sarSeries;
+    }
+    
+    // prevHigh/prevLow and prevPrevHigh/prevPrevLow are the two bars before the current one
+    nextSARPoint(point, currentHigh, currentLow, prevHigh, prevLow, prevPrevHigh = prevHigh, prevPrevLow = prevLow) {
+        let { trend, af, ep } = point;
+        
+        // Calculate next SAR
+        let nextSAR = point.sar + af * (ep - point.sar);
+        
+        if (trend === 'uptrend') {
+            // Uptrend SAR rules
             
-            // Calculate next SAR
-            let nextSAR = sar + af * (ep - sar);
+            // SAR may not be above the lows of the two previous periods (Wilder's rule)
+            nextSAR = Math.min(nextSAR, prevLow, prevPrevLow);
             
-            if (trend === 'uptrend') {
-                // Uptrend SAR rules
-                
-                // SAR should not be above the low of current or previous period
-                nextSAR = Math.min(nextSAR, currentLow, prevLow);
-                
-                // Check for trend reversal
-                if (currentLow <= nextSAR) {
-                    // Trend reversal to downtrend
-                    trend = 'downtrend';
-                    nextSAR = ep; // SAR becomes the previous EP
-                    ep = currentLow; // New EP is current low
-                    af = this.initialAF; // Reset AF
-                } else {
-                    // Continue uptrend
-                    if (currentHigh > ep) {
-                        ep = currentHigh; // Update EP to new high
-                        af = Math.min(af + this.afIncrement, this.maxAF); // Increase AF
-                    }
-                }
+            // Check for trend reversal
+            if (currentLow <= nextSAR) {
+                // Trend reversal to downtrend
+                trend = 'downtrend';
+                nextSAR = ep; // SAR becomes the previous EP
+                ep = currentLow; // New EP is current low
+                af = this.initialAF; // Reset AF
             } else {
-                // Downtrend SAR rules
-                
-                // SAR should not be below the high of current or previous period
-                nextSAR = Math.max(nextSAR, currentHigh, prevHigh);
-                
-                // Check for trend reversal
-                if (currentHigh >= nextSAR) {
-                    // Trend reversal to uptrend
-                    trend = 'uptrend';
-                    nextSAR = ep; // SAR becomes the previous EP
-                    ep = currentHigh; // New EP is current high
-                    af = this.initialAF; // Reset AF
-                } else {
-                    // Continue downtrend
-                    if (currentLow < ep) {
-                        ep = currentLow; // Update EP to new low
-                        af = Math.min(af + this.afIncrement, this.maxAF); // Increase AF
-                    }
+                // Continue uptrend
+                if (currentHigh > ep) {
+                    ep = currentHigh; // Update EP to new high
+                    af = Math.min(af + this.afIncrement, this.maxAF); // Increase AF
                 }
             }
+        } else {
+            // Downtrend SAR rules
             
-            sar = nextSAR;
+            // SAR may not be below the highs of the two previous periods (Wilder's rule)
+            nextSAR = Math.max(nextSAR, prevHigh, prevPrevHigh);
             
-            sarSeries.push({
-                sar: sar,
-                trend: trend,
-                af: af,
-                ep: ep
-            });
+            // Check for trend reversal
+            if (currentHigh >= nextSAR) {
+                // Trend reversal to uptrend
+                trend = 'uptrend';
+                nextSAR = ep; // SAR becomes the previous EP
+                ep = currentHigh; // New EP is current high
+                af = this.initialAF; // Reset AF
+            } else {
+                // Continue downtrend
+                if (currentLow < ep) {
+                    ep = currentLow; // Update EP to new low
+                    af = Math.min(af + this.afIncrement, this.maxAF); // Increase AF
+                }
+            }
         }
         
-        return sarSeries;
+        return {
+            sar: nextSAR,
+            trend: trend,
+            af: af,
+            ep: ep
+        };
     }
     
     determineInitialTrend(highs, lows, closes) {
@@ -172,7 +185,67 @@ class ParabolicSAR {
         return 'uptrend';
     }
     
-    generateSignal(currentSAR, currentPrice, currentHigh, currentLow, sarSeries, closes) {
+    // Streaming mode: SAR is recursive, so only the last two points and the previous two bars are kept.
+    // The initial trend needs the first two bars, so the first bar is held until the second arrives.
+    initialState() {
+        return {
+            count: 0,
+            invalid: false,
+            firstBar: null,
+            prevBar: null,
+            prevPrevBar: null,
+            recentSAR: []
+        };
+    }
+    
+    nextState(state, bar) {
+        const next = { ...state, count: state.count + 1, prevBar: bar, prevPrevBar: state.prevBar };
+        
+        if (state.invalid || ![bar.high, bar.low, bar.close].every(value => DataValidator.isValidNumber(value))) {
+            next.invalid = true;
+            return next;
+        }
+        
+        if (state.count === 0) {
+            next.firstBar = bar;
+            return next;
+        }
+        
+        let lastPoint = state.recentSAR[state.recentSAR.length - 1];
+        if (state.count === 1) {
+            const first = state.firstBar;
+            const trend = this.determineInitialTrend([first.high, bar.high], [first.low, bar.low], [first.close, bar.close]);
+            lastPoint = {
+                sar: trend === 'uptrend' ? first.low : first.high,
+                trend,
+                af: this.initialAF,
+                ep: trend === 'uptrend' ? first.high : first.low
+            };
+        }
+        
+        const before = state.prevPrevBar || state.prevBar;
+        const point = this.nextSARPoint(lastPoint, bar.high, bar.low, state.prevBar.high, state.prevBar.low, before.high, before.low);
+        next.recentSAR = [lastPoint, point];
+        
+        return next;
+    }
+    
+    resultFromState(state) {
+        try {
+            if (state.invalid || state.count < this.minDataPoints) {
+                throw new Error(`Parabolic SAR validation failed: need at least ${this.minDataPoints} valid values`);
+            }
+            
+            const bar = state.prevBar;
+            return this.buildResult(state.recentSAR, bar.close, bar.high, bar.low);
+            
+        } catch (error) {
+            Logger.error('Parabolic SAR calculation error', { error: error.message });
+            throw error;
+        }
+    }
+    
+    generateSignal(currentSAR, currentPrice, currentHigh, currentLow, sarSeries) {
         let suggestion = "hold";
         let confidence = 0;
         let strength = 0;
@@ -272,26 +345,28 @@ class ParabolicSAR {
     }
     
     // Calculate SAR history for charting
-    calculateHistory(highs, lows, closes, outputLength = 50) {
+    calculateHistory(highs, lows, closes, outputLength = 50, timestamps = null) {
         if (highs.length < this.minDataPoints + outputLength) {
             throw new Error(`Insufficient data for Parabolic SAR history. Need ${this.minDataPoints + outputLength}, have ${highs.length}`);
         }
         
         const sarHistory = [];
+        const stream = new IndicatorStream(this);
+        const end = Math.min(highs.length, this.minDataPoints + outputLength);
         
-        for (let i = this.minDataPoints; i <= Math.min(highs.length, this.minDataPoints + outputLength); i++) {
-            const highsSlice = highs.slice(0, i);
-            const lowsSlice = lows.slice(0, i);
-            const closesSlice = closes.slice(0, i);
+        // Stream the bars in rather than recalculating every prefix
+        for (let i = 1; i <= end; i++) {
+            stream.push(IndicatorStream.barAt({ highs, lows, closes }, i - 1));
+            if (i < this.minDataPoints) continue;
             
             try {
-                const result = this.calculate(highsSlice, lowsSlice, closesSlice);
+                const result = stream.getResult();
                 sarHistory.push({
                     sar: result.sar,
                     trend: result.trend,
                     af: result.af,
                     price: result.currentPrice,
-                    timestamp: Date.now() - ((this.minDataPoints + outputLength - i) * 300000)
+                    ...(timestamps ? { timestamp: timestamps[i - 1] } : {})
                 });
             } catch (error) {
                 // Skip if calculation fails
@@ -1,10 +1,26 @@
 const { DataValidator } = require('../../../data/validators');
 const { Logger } = require('../../../utils');
+const IndicatorStream = require('../IndicatorStream');
+const WilderSmoothing = require('../WilderSmoothing');
+
+// Smoothing of the average gain and loss: Wilder's (the standard RSI every charting platform shows)
+// carries the averages over the whole series; simple averages only the last `period` changes
+const SMOOTHING = ['wilder', 'simple'];
 
 class RSI {
-    constructor(period = 14) {
+    constructor(period = 14, smoothing = 'wilder') {
+        if (!SMOOTHING.includes(smoothing)) {
+            throw new Error(`Unknown RSI smoothing: ${smoothing}. Use ${SMOOTHING.join(' or ')}`);
+        }
+        
         this.period = period;
+        this.smoothing = smoothing;
         this.name = 'RSI';
+        this.minDataPoints = this.period + 1;
+    }
+    
+    static get SMOOTHING() {
+        return SMOOTHING;
     }
     
     calculate(prices) {
@@ -18,79 +34,181 @@ class RSI {
                 throw new Error(`Insufficient data for RSI. Need ${this.period + 1}, have ${prices.length}`);
             }
             
-            let gains = 0;
-            let losses = 0;
+            const { avgGain, avgLoss } = this.smoothing === 'simple'
+                ? this.simpleAverages(prices)
+                : this.wilderAverages(prices);
             
-            // Calculate initial average gain and loss
-            for (let i = prices.length - this.period; i < prices.length; i++) {
-                const change = prices[i] - prices[i - 1];
-                if (change > 0) {
-                    gains += change;
-                } else {
-                    losses -= change; // Make positive
-                }
-            }
-            
-            const avgGain = gains / this.period;
-            const avgLoss = losses / this.period;
-            
-            // Handle edge cases
-            if (avgLoss === 0) {
-                return {
-                    value: 100,
-                    suggestion: "sell", // Extremely overbought
-                    confidence: 1,
-                    strength: 1,
-                    metadata: {
-                        avgGain,
-                        avgLoss,
-                        period: this.period,
-                        interpretation: "Extremely overbought - no losses in period"
-                    }
-                };
-            }
+            return this.buildResult(avgGain, avgLoss);
             
-            if (avgGain === 0) {
-                return {
-                    value: 0,
-                    suggestion: "buy", // Extremely oversold
-                    confidence: 1,
-                    strength: 1,
-                    metadata: {
-                        avgGain,
-                        avgLoss,
-                        period: this.period,
-                        interpretation: "Extremely oversold - no gains in period"
-                    }
-                };
+        } catch (error) {
+            Logger.error(`RSI calculation error`, { error: error.message });
+            throw error;
+        }
+    }
+    
+    // Average gain and loss over the last `period` changes only
+    simpleAverages(prices) {
+        let gains = 0;
+        let losses = 0;
+        
+        for (let i = prices.length - this.period; i < prices.length; i++) {
+            const change = prices[i] - prices[i - 1];
+            if (change > 0) {
+                gains += change;
+            } else {
+                losses -= change; // Make positive
             }
-            
-            // Calculate RSI
-            const relativeStrength = avgGain / avgLoss;
-            const rsiValue = 100 - (100 / (1 + relativeStrength));
-            
-            // Generate trading signal
-            const signal = this.generateSignal(rsiValue);
-            
-            Logger.debug(`RSI calculated`, {
-                value: rsiValue,
-                suggestion: signal.suggestion,
-                confidence: signal.confidence
-            });
-            
+        }
+        
+        return { avgGain: gains / this.period, avgLoss: losses / this.period };
+    }
+    
+    // Wilder's averages: seeded with the simple average of the first `period` changes
+    wilderAverages(prices) {
+        const gains = [];
+        const losses = [];
+        
+        for (let i = 1; i < prices.length; i++) {
+            const change = prices[i] - prices[i - 1];
+            gains.push(change > 0 ? change : 0);
+            losses.push(change < 0 ? -change : 0);
+        }
+        
+        return {
+            avgGain: WilderSmoothing.average(gains, this.period),
+            avgLoss: WilderSmoothing.average(losses, this.period)
+        };
+    }
+    
+    buildResult(avgGain, avgLoss) {
+        // Handle edge cases
+        if (avgLoss === 0) {
+            return {
+                value: 100,
+                suggestion: "sell", // Extremely overbought
+                confidence: 1,
+                strength: 1,
+                metadata: {
+                    avgGain,
+                    avgLoss,
+                    period: this.period,
+                    smoothing: this.smoothing,
+                    interpretation: "Extremely overbought - no losses in period"
+                }
+            };
+        }
+        
+        if (avgGain === 0) {
             return {
-                value: Number(rsiValue.toFixed(2)),
-                suggestion: signal.suggestion,
-                confidence: Number(signal.confidence.toFixed(4)),
-                strength: Number(signal.strength.toFixed(4)),
+                value: 0,
+                suggestion: "buy", // Extremely oversold
+                confidence: 1,
+                strength: 1,
                 metadata: {
-                    avgGain: Number(avgGain.toFixed(6)),
-                    avgLoss: Number(avgLoss.toFixed(6)),
-                    relativeStrength: Number(relativeStrength.toFixed(4)),
+                    avgGain,
+                    avgLoss,
                     period: this.period,
-                    interpretation: signal.interpretation
+                    smoothing: this.smoothing,
+                    interpretation: "Extremely oversold - no gains in period"
                 }
             };
+        }
+        
+        // Calculate RSI
+        const relativeStrength = avgGain / avgLoss;
+        const rsiValue = 100 - (100 / (1 + relativeStrength));
+        
+        // Generate trading signal
+        const signal = this.generateSignal(rsiValue);
+        
+        Logger.debug(`RSI calculated`, {
+            value: rsiValue,
+            suggestion: signal.suggestion,
+            confidence: signal.confidence
+        });
+        
+        return {
+            value: Number(rsiValue.toFixed(2)),
+            suggestion: signal.suggestion,
+            confidence: Number(signal.confidence.toFixed(4)),
+            strength: Number(signal.strength.toFixed(4)),
+            metadata: {
+                avgGain: Number(avgGain.toFixed(6)),
+                avgLoss: Number(avgLoss.toFixed(6)),
+                relativeStrength: Number(relativeStrength.toFixed(4)),
+                period: this.period,
+                smoothing: this.smoothing,
+                interpretation: signal.interpretation
+            }
+        };
+    }
+    
+    // Streaming mode: simple RSI only looks at the last period + 1 closes; Wilder's averages are
+    // carried forward like calculate() does over the whole series
+    initialState() {
+        if (this.smoothing === 'simple') {
+            return IndicatorStream.emptyWindow();
+        }
+        
+        return {
+            count: 0,
+            invalid: false,
+            prevClose: null,
+            gainSum: 0,
+            lossSum: 0,
+            avgGain: null,
+            avgLoss: null
+        };
+    }
+    
+    nextState(state, bar) {
+        if (this.smoothing === 'simple') {
+            return IndicatorStream.appendToWindow(state, bar, this.period + 1);
+        }
+        
+        const next = { ...state, count: state.count + 1, prevClose: bar.close };
+        
+        if (state.invalid || !DataValidator.isValidNumber(bar.close)) {
+            next.invalid = true;
+            return next;
+        }
+        
+        if (state.count === 0) {
+            return next;
+        }
+        
+        const change = bar.close - state.prevClose;
+        const gain = change > 0 ? change : 0;
+        const loss = change < 0 ? -change : 0;
+        
+        // count - 1 changes have been seen once this bar is in
+        if (next.count - 1 <= this.period) {
+            next.gainSum = state.gainSum + gain;
+            next.lossSum = state.lossSum + loss;
+            
+            if (next.count - 1 === this.period) {
+                next.avgGain = next.gainSum / this.period;
+                next.avgLoss = next.lossSum / this.period;
+            }
+        } else {
+            next.avgGain = WilderSmoothing.step(state.avgGain, gain, this.period);
+            next.avgLoss = WilderSmoothing.step(state.avgLoss, loss, this.period);
+        }
+        
+        return next;
+    }
+    
+    resultFromState(state) {
+        if (this.smoothing === 'simple') {
+            return this.calculate(state.closes);
+        }
+        
+        try {
+            if (state.invalid || state.count < this.minDataPoints) {
+                throw new Error(`RSI validation failed: need at least ${this.period + 1} valid price values, got ${state.count}`);
+            }
+            
+            return this.buildResult(state.avgGain, state.avgLoss);
             
         } catch (error) {
             Logger.error(`RSI calculation error`, { error: error.message });
@@ -145,23 +263,28 @@ class RSI {
         };
     }
     
-    // Method to calculate RSI for multiple periods (useful for analysis)
-    calculateHistory(prices, outputLength = 50) {
+    // RSI for the last outputLength prices (useful for analysis)
+    calculateHistory(prices, outputLength = 50, timestamps = null) {
         if (prices.length < this.period + outputLength) {
             throw new Error(`Insufficient data for RSI history. Need ${this.period + outputLength}, have ${prices.length}`);
         }
         
         const rsiHistory = [];
+        const stream = new IndicatorStream(this);
         
-        // Calculate RSI for each point in the requested range
-        for (let i = this.period; i <= outputLength; i++) {
-            const subset = prices.slice(-i - this.period, -i + 1);
-            if (subset.length >= this.period + 1) {
-                const result = this.calculate(subset);
+        // Stream every price in, so Wilder's averages reflect the whole series
+        for (let i = 0; i < prices.length; i++) {
+            stream.push(IndicatorStream.barAt({ closes: prices }, i));
+            if (i < prices.length - outputLength || stream.length < this.minDataPoints) continue;
+            
+            try {
                 rsiHistory.push({
-                    value: result.value,
-                    timestamp: Date.now() - (outputLength - i) * 300000 // Approximate timestamps
+                    value: stream.getResult().value,
+                    ...(timestamps ? { timestamp: timestamps[i] } : {})
                 });
+            } catch (error) {
+                // Skip if calculation fails
+                continue;
             }
         }
         
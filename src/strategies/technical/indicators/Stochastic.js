@@ -1,5 +1,6 @@
 const { DataValidator } = require('../../../data/validators');
 const { Logger } = require('../../../utils');
+const IndicatorStream = require('../IndicatorStream');
 
 class Stochastic {
     constructor(kPeriod = 14, dPeriod = 3) {
@@ -94,6 +95,19 @@ class Stochastic {
         }
     }
     
+    // Streaming mode: current and previous %K/%D need the last kPeriod + dPeriod bars
+    initialState() {
+        return IndicatorStream.emptyWindow();
+    }
+    
+    nextState(state, bar) {
+        return IndicatorStream.appendToWindow(state, bar, this.kPeriod + this.dPeriod);
+    }
+    
+    resultFromState(state) {
+        return this.calculate(state.highs, state.lows, state.closes);
+    }
+    
     generateSignal(currentK, currentD, prevK, prevD) {
         let suggestion = "hold";
         let confidence = 0;
@@ -0,0 +1,197 @@
+const { DataValidator } = require('../../../data/validators');
+const { Logger } = require('../../../utils');
+const WilderSmoothing = require('../WilderSmoothing');
+const IndicatorStream = require('../IndicatorStream');
+const ATR = require('./ATR');
+
+// SuperTrend: bands `multiplier` ATRs above and below the bar's midpoint that only ever tighten
+// while the trend lasts. The trend flips when a close crosses the band on the other side, and
+// the band below price (uptrend) or above it (downtrend) is the trailing stop.
+class SuperTrend {
+    constructor(period = 10, multiplier = 3) {
+        this.period = period;
+        this.multiplier = multiplier;
+        this.name = 'SuperTrend';
+        this.minDataPoints = this.period + 1; // +1 so a flip on the first bar can be detected
+        this.atr = new ATR(period);
+    }
+    
+    // Band state after one more bar; previous is null on the first bar with an ATR
+    advance(previous, high, low, close, atr) {
+        const midpoint = (high + low) / 2;
+        let upperBand = midpoint + this.multiplier * atr;
+        let lowerBand = midpoint - this.multiplier * atr;
+        
+        if (previous === null) {
+            const trend = close >= midpoint ? 'up' : 'down';
+            return { upperBand, lowerBand, trend, flipped: false, barsInTrend: 1, close, atr };
+        }
+        
+        // A band only moves against the trend after price has closed through it
+        if (upperBand > previous.upperBand && previous.close <= previous.upperBand) {
+            upperBand = previous.upperBand;
+        }
+        if (lowerBand < previous.lowerBand && previous.close >= previous.lowerBand) {
+            lowerBand = previous.lowerBand;
+        }
+        
+        let trend = previous.trend;
+        if (trend === 'up' && close < lowerBand) {
+            trend = 'down';
+        } else if (trend === 'down' && close > upperBand) {
+            trend = 'up';
+        }
+        
+        const flipped = trend !== previous.trend;
+        return {
+            upperBand,
+            lowerBand,
+            trend,
+            flipped,
+            barsInTrend: flipped ? 1 : previous.barsInTrend + 1,
+            close,
+            atr
+        };
+    }
+    
+    calculate(highs, lows, closes) {
+        try {
+            // Validate input
+            if (!DataValidator.validateArray(highs, this.minDataPoints) ||
+                !DataValidator.validateArray(lows, this.minDataPoints) ||
+                !DataValidator.validateArray(closes, this.minDataPoints)) {
+                throw new Error(`SuperTrend validation failed: need at least ${this.minDataPoints} valid values`);
+            }
+            
+            if (highs.length !== lows.length || lows.length !== closes.length) {
+                throw new Error('Highs, lows, and closes arrays must have the same length');
+            }
+            
+            // atrValues[k] belongs to bar period - 1 + k
+            const atrValues = WilderSmoothing.atrSeries(highs, lows, closes, this.period);
+            let band = null;
+            
+            for (let k = 0; k < atrValues.length; k++) {
+                const i = this.period - 1 + k;
+                band = this.advance(band, highs[i], lows[i], closes[i], atrValues[k]);
+            }
+            
+            return this.buildResult(band);
+        
+        } catch (error) {
+            Logger.error('SuperTrend calculation error', { error: error.message });
+            throw error;
+        }
+    }
+    
+    buildResult(band) {
+        const { trend, close, atr } = band;
+        const supertrend = trend === 'up' ? band.lowerBand : band.upperBand;
+        const distance = atr > 0 ? Math.abs(close - supertrend) / atr : 0;
+        
+        if (!Number.isFinite(supertrend) || !Number.isFinite(distance)) {
+            throw new Error('Invalid SuperTrend calculation result');
+        }
+        
+        const signal = this.generateSignal(trend, band.flipped, distance, band.barsInTrend);
+        
+        Logger.debug('SuperTrend calculated', {
+            supertrend: supertrend.toFixed(6),
+            trend,
+            flipped: band.flipped,
+            suggestion: signal.suggestion
+        });
+        
+        return {
+            supertrend: Number(supertrend.toFixed(6)),
+            upperBand: Number(band.upperBand.toFixed(6)),
+            lowerBand: Number(band.lowerBand.toFixed(6)),
+            trend,
+            currentPrice: Number(close.toFixed(6)),
+            atr: Number(atr.toFixed(8)),
+            distance: Number(distance.toFixed(4)),
+            suggestion: signal.suggestion,
+            confidence: Number(signal.confidence.toFixed(4)),
+            strength: Number(signal.strength.toFixed(4)),
+            metadata: {
+                period: this.period,
+                multiplier: this.multiplier,
+                flipped: band.flipped,
+                barsInTrend: band.barsInTrend,
+                interpretation: signal.interpretation
+            }
+        };
+    }
+    
+    // distance: close to the SuperTrend line in ATRs
+    generateSignal(trend, flipped, distance, barsInTrend) {
+        const suggestion = trend === 'up' ? "buy" : "sell";
+        let confidence = 0;
+        let strength = 0;
+        let interpretation = "";
+        
+        if (flipped) {
+            confidence = 0.8;
+            strength = 0.8;
+            interpretation = `SuperTrend flipped to ${trend === 'up' ? 'an uptrend' : 'a downtrend'} - close crossed the ${trend === 'up' ? 'upper' : 'lower'} band`;
+        } else {
+            // A trend that has run far from its stop is late to join
+            confidence = Math.min(0.6, 0.2 + distance * 0.1);
+            strength = Math.min(1, distance / (2 * this.multiplier));
+            interpretation = `${trend === 'up' ? 'Uptrend' : 'Downtrend'} for ${barsInTrend} bars, close ${distance.toFixed(2)} ATR from the SuperTrend stop`;
+        }
+        
+        return {
+            suggestion,
+            confidence,
+            strength,
+            interpretation
+        };
+    }
+    
+    // Streaming mode: the ATR stream state and the band state are carried forward
+    initialState() {
+        return {
+            count: 0,
+            invalid: false,
+            atr: this.atr.initialState(),
+            band: null
+        };
+    }
+    
+    nextState(state, bar) {
+        const next = { ...state, count: state.count + 1, atr: this.atr.nextState(state.atr, bar) };
+        
+        if (state.invalid || next.atr.invalid) {
+            next.invalid = true;
+            return next;
+        }
+        
+        if (next.atr.atr !== null) {
+            next.band = this.advance(state.band, bar.high, bar.low, bar.close, next.atr.atr);
+        }
+        
+        return next;
+    }
+    
+    resultFromState(state) {
+        try {
+            if (state.invalid || state.count < this.minDataPoints) {
+                throw new Error(`SuperTrend validation failed: need at least ${this.minDataPoints} valid values`);
+            }
+            
+            return this.buildResult(state.band);
+        
+        } catch (error) {
+            Logger.error('SuperTrend calculation error', { error: error.message });
+            throw error;
+        }
+    }
+    
+    // data: { highs, lows, closes, volumes, timestamps }
+    calculateHistory(data, outputLength = 50) {
+        return IndicatorStream.history(this, data, outputLength);
+    }
+}
+
+module.exports = SuperTrend;
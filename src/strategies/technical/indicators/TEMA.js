@@ -0,0 +1,19 @@
+const DEMA = require('./DEMA');
+
+// Triple Exponential Moving Average: 3 * EMA - 3 * EMA(EMA) + EMA(EMA(EMA)). Even less lag
+// than DEMA at the cost of a longer warm-up.
+class TEMA extends DEMA {
+    constructor(period = 20) {
+        super(period);
+        this.depth = 3;
+        this.name = 'TEMA';
+        this.minDataPoints = this.depth * (this.period - 1) + 2; // +1 for the previous value
+    }
+    
+    // emas: [EMA, EMA(EMA), EMA(EMA(EMA))] at the same bar
+    combine(emas) {
+        return 3 * emas[0] - 3 * emas[1] + emas[2];
+    }
+}
+
+module.exports = TEMA;
@@ -0,0 +1,236 @@
+const { DataValidator } = require('../../../data/validators');
+const { Logger } = require('../../../utils');
+const IndicatorStream = require('../IndicatorStream');
+
+const ANCHORS = ['session', 'rolling'];
+const SESSION_MS = 24 * 60 * 60 * 1000;
+
+// Volume-weighted average of the typical price (high + low + close) / 3 with volume-weighted
+// standard deviation bands. The session anchor restarts at every UTC day, the rolling anchor
+// covers the last `period` bars. Closes stretched two deviations from the VWAP signal a return to it.
+class VWAP {
+    constructor(anchor = 'session', period = 20) {
+        if (!ANCHORS.includes(anchor)) {
+            throw new Error(`Unknown VWAP anchor: ${anchor}. Available: ${ANCHORS.join(', ')}`);
+        }
+        
+        this.anchor = anchor;
+        this.period = period;
+        this.name = 'VWAP';
+        this.minDataPoints = anchor === 'rolling' ? this.period : 1;
+    }
+    
+    static get ANCHORS() {
+        return [...ANCHORS];
+    }
+    
+    // UTC day of a candle timestamp
+    static sessionOf(timestamp) {
+        return Math.floor(timestamp / SESSION_MS);
+    }
+    
+    calculate(highs, lows, closes, volumes, timestamps = null) {
+        try {
+            // Validate input
+            if (!DataValidator.validateArray(highs, this.minDataPoints) ||
+                !DataValidator.validateArray(lows, this.minDataPoints) ||
+                !DataValidator.validateArray(closes, this.minDataPoints) ||
+                !DataValidator.validateArray(volumes, this.minDataPoints, DataValidator.isValidVolume)) {
+                throw new Error(`VWAP validation failed: need at least ${this.minDataPoints} valid price and volume values`);
+            }
+            
+            if (highs.length !== lows.length || lows.length !== closes.length || closes.length !== volumes.length) {
+                throw new Error('Highs, lows, closes, and volumes arrays must have the same length');
+            }
+            
+            const last = closes.length - 1;
+            let start = last - this.period + 1;
+            
+            if (this.anchor === 'session') {
+                if (!Array.isArray(timestamps) || timestamps.length !== closes.length || !timestamps.every(Number.isFinite)) {
+                    throw new Error('Session VWAP needs a timestamp for every candle');
+                }
+                
+                const session = VWAP.sessionOf(timestamps[last]);
+                start = last;
+                while (start > 0 && VWAP.sessionOf(timestamps[start - 1]) === session) {
+                    start--;
+                }
+            }
+            
+            let totals = VWAP.emptyTotals();
+            for (let i = start; i <= last; i++) {
+                totals = VWAP.addBar(totals, highs[i], lows[i], closes[i], volumes[i]);
+            }
+            
+            return this.buildResult(totals, closes[last]);
+        
+        } catch (error) {
+            if (error.code !== 'INSUFFICIENT_DATA') {
+                Logger.error('VWAP calculation error', { error: error.message });
+            }
+            throw error;
+        }
+    }
+    
+    static emptyTotals() {
+        return { priceVolume: 0, squaredPriceVolume: 0, volume: 0, bars: 0 };
+    }
+    
+    static addBar(totals, high, low, close, volume) {
+        const typicalPrice = (high + low + close) / 3;
+        
+        return {
+            priceVolume: totals.priceVolume + typicalPrice * volume,
+            squaredPriceVolume: totals.squaredPriceVolume + typicalPrice * typicalPrice * volume,
+            volume: totals.volume + volume,
+            bars: totals.bars + 1
+        };
+    }
+    
+    buildResult(totals, currentPrice) {
+        // Quiet markets often open a session without volume, so this is reported like a warm-up
+        if (totals.volume === 0) {
+            const error = new Error('VWAP is undefined: no volume traded since the anchor');
+            error.code = 'INSUFFICIENT_DATA';
+            throw error;
+        }
+        
+        const vwap = totals.priceVolume / totals.volume;
+        // Rounding can make the variance slightly negative when every bar has the same price
+        const stdDev = Math.sqrt(Math.max(0, totals.squaredPriceVolume / totals.volume - vwap * vwap));
+        const deviation = ((currentPrice - vwap) / vwap) * 100;
+        const zScore = stdDev > 0 ? (currentPrice - vwap) / stdDev : 0;
+        
+        if (!Number.isFinite(vwap) || !Number.isFinite(deviation)) {
+            throw new Error('Invalid VWAP calculation result');
+        }
+        
+        const signal = this.generateSignal(zScore, deviation);
+        
+        Logger.debug('VWAP calculated', {
+            vwap: vwap.toFixed(6),
+            zScore: zScore.toFixed(2),
+            suggestion: signal.suggestion
+        });
+        
+        return {
+            vwap: Number(vwap.toFixed(6)),
+            upperBand: Number((vwap + 2 * stdDev).toFixed(6)),
+            lowerBand: Number((vwap - 2 * stdDev).toFixed(6)),
+            currentPrice: Number(currentPrice.toFixed(6)),
+            deviation: Number(deviation.toFixed(4)),
+            zScore: Number(zScore.toFixed(4)),
+            suggestion: signal.suggestion,
+            confidence: Number(signal.confidence.toFixed(4)),
+            strength: Number(signal.strength.toFixed(4)),
+            metadata: {
+                anchor: this.anchor,
+                period: this.period,
+                bars: totals.bars,
+                volume: Number(totals.volume.toFixed(8)),
+                stdDev: Number(stdDev.toFixed(6)),
+                interpretation: signal.interpretation
+            }
+        };
+    }
+    
+    generateSignal(zScore, deviation) {
+        let suggestion = "hold";
+        let confidence = 0;
+        let strength = 0;
+        let interpretation = "";
+        
+        if (zScore <= -2) {
+            suggestion = "buy";
+            confidence = Math.min(1, 0.5 + (Math.abs(zScore) - 2) / 2);
+            strength = confidence;
+            interpretation = `Price ${Math.abs(zScore).toFixed(2)} std devs below VWAP - stretched to the downside`;
+        } else if (zScore >= 2) {
+            suggestion = "sell";
+            confidence = Math.min(1, 0.5 + (zScore - 2) / 2);
+            strength = confidence;
+            interpretation = `Price ${zScore.toFixed(2)} std devs above VWAP - stretched to the upside`;
+        } else if (deviation > 0) {
+            strength = Math.abs(zScore) / 4;
+            interpretation = `Price ${deviation.toFixed(2)}% above VWAP - buyers in control`;
+        } else if (deviation < 0) {
+            strength = Math.abs(zScore) / 4;
+            interpretation = `Price ${Math.abs(deviation).toFixed(2)}% below VWAP - sellers in control`;
+        } else {
+            interpretation = 'Price at VWAP';
+        }
+        
+        return {
+            suggestion,
+            confidence,
+            strength,
+            interpretation
+        };
+    }
+    
+    // Streaming mode: session totals are carried forward and reset when the UTC day changes;
+    // the rolling VWAP only reads the last period bars
+    initialState() {
+        if (this.anchor === 'rolling') {
+            return IndicatorStream.emptyWindow();
+        }
+        
+        return {
+            count: 0,
+            invalid: false,
+            session: null,
+            totals: VWAP.emptyTotals(),
+            close: null
+        };
+    }
+    
+    nextState(state, bar) {
+        if (this.anchor === 'rolling') {
+            return IndicatorStream.appendToWindow(state, bar, this.period);
+        }
+        
+        const { high, low, close, volume, timestamp } = bar;
+        const next = { ...state, count: state.count + 1, close };
+        
+        if (state.invalid || ![high, low, close].every(value => DataValidator.isValidNumber(value)) ||
+            !DataValidator.isValidVolume(volume) || !Number.isFinite(timestamp)) {
+            next.invalid = true;
+            return next;
+        }
+        
+        const session = VWAP.sessionOf(timestamp);
+        const totals = session === state.session ? state.totals : VWAP.emptyTotals();
+        
+        next.session = session;
+        next.totals = VWAP.addBar(totals, high, low, close, volume);
+        return next;
+    }
+    
+    resultFromState(state) {
+        if (this.anchor === 'rolling') {
+            return this.calculate(state.highs, state.lows, state.closes, state.volumes);
+        }
+        
+        try {
+            if (state.invalid || state.count < this.minDataPoints) {
+                throw new Error(`VWAP validation failed: need at least ${this.minDataPoints} valid price and volume values`);
+            }
+            
+            return this.buildResult(state.totals, state.close);
+        
+        } catch (error) {
+            if (error.code !== 'INSUFFICIENT_DATA') {
+                Logger.error('VWAP calculation error', { error: error.message });
+            }
+            throw error;
+        }
+    }
+    
+    // data: { highs, lows, closes, volumes, timestamps }
+    calculateHistory(data, outputLength = 50) {
+        return IndicatorStream.history(this, data, outputLength);
+    }
+}
+
+module.exports = VWAP;
@@ -1,17 +1,20 @@
 const { DataValidator } = require('../../../data/validators');
 const { Logger } = require('../../../utils');
+const IndicatorStream = require('../IndicatorStream');
 
 class Volume {
     constructor(period = 20) {
         this.period = period;
         this.name = 'Volume';
+        this.minDataPoints = this.period;
     }
     
-    calculate(prices, volumes) {
+    // buyVolumes/sellVolumes are the aggressor volumes from the trade tape (null for bars without trades)
+    calculate(prices, volumes, buyVolumes = null, sellVolumes = null) {
         try {
             // Validate input
             if (!DataValidator.validatePriceArray(prices, this.period) || 
-                !DataValidator.validateArray(volumes, this.period)) {
+                !DataValidator.validateArray(volumes, this.period, DataValidator.isValidVolume)) {
                 throw new Error(`Volume validation failed: need at least ${this.period} valid price and volume values`);
             }
             
@@ -19,64 +22,16 @@ class Volume {
                 throw new Error('Prices and volumes arrays must have the same length');
             }
             
-            // Calculate volume metrics
-            const recentVolumes = volumes.slice(-this.period);
-            const recentPrices = prices.slice(-this.period);
-            
-            // Average volume
-            const avgVolume = recentVolumes.reduce((sum, vol) => sum + vol, 0) / this.period;
-            const currentVolume = volumes[volumes.length - 1];
-            const currentPrice = prices[prices.length - 1];
-            const prevPrice = prices[prices.length - 2] || currentPrice;
-            
-            // Volume ratio (current vs average)
-            const volumeRatio = avgVolume > 0 ? currentVolume / avgVolume : 1;
-            
-            // Price change
-            const priceChange = currentPrice - prevPrice;
-            const priceChangePercent = prevPrice > 0 ? (priceChange / prevPrice) * 100 : 0;
-            
-            // Volume trend (increasing/decreasing)
-            const volumeTrend = this.calculateVolumeTrend(recentVolumes);
-            
-            // On-Balance Volume (OBV)
+            // On-Balance Volume (OBV) and Volume-Price Trend (VPT) accumulate over the whole series
             const obv = this.calculateOBV(prices, volumes);
-            
-            // Volume-Price Trend (VPT)
             const vpt = this.calculateVPT(prices, volumes);
             
-            // Generate trading signal
-            const signal = this.generateSignal(
-                currentVolume, avgVolume, volumeRatio,
-                priceChange, priceChangePercent, volumeTrend, obv, vpt
+            const flow = this.summarizeFlow(
+                Array.isArray(buyVolumes) ? buyVolumes.slice(-this.period) : [],
+                Array.isArray(sellVolumes) ? sellVolumes.slice(-this.period) : []
             );
             
-            Logger.debug('Volume calculated', {
-                currentVolume: currentVolume.toFixed(0),
-                avgVolume: avgVolume.toFixed(0),
-                volumeRatio: volumeRatio.toFixed(2),
-                suggestion: signal.suggestion
-            });
-            
-            return {
-                currentVolume: Number(currentVolume.toFixed(0)),
-                avgVolume: Number(avgVolume.toFixed(0)),
-                volumeRatio: Number(volumeRatio.toFixed(2)),
-                priceChange: Number(priceChange.toFixed(6)),
-                priceChangePercent: Number(priceChangePercent.toFixed(2)),
-                volumeTrend: volumeTrend,
-                obv: Number(obv.toFixed(0)),
-                vpt: Number(vpt.toFixed(6)),
-                suggestion: signal.suggestion,
-                confidence: Number(signal.confidence.toFixed(4)),
-                strength: Number(signal.strength.toFixed(4)),
-                metadata: {
-                    period: this.period,
-                    interpretation: signal.interpretation,
-                    volumeSpike: signal.volumeSpike,
-                    confirmationStrength: signal.confirmationStrength
-                }
-            };
+            return this.buildResult(prices, volumes, obv, vpt, flow);
             
         } catch (error) {
             Logger.error('Volume calculation error', { error: error.message });
@@ -84,6 +39,85 @@ class Volume {
         }
     }
     
+    // Buy and sell volume over the bars of a window that have trade data
+    summarizeFlow(buyVolumes, sellVolumes) {
+        const flow = { buyVolume: 0, sellVolume: 0, bars: 0 };
+        
+        for (let i = 0; i < buyVolumes.length; i++) {
+            if (DataValidator.isValidVolume(buyVolumes[i]) && DataValidator.isValidVolume(sellVolumes[i])) {
+                flow.buyVolume += buyVolumes[i];
+                flow.sellVolume += sellVolumes[i];
+                flow.bars++;
+            }
+        }
+        
+        return flow;
+    }
+    
+    // Only the last period bars are read here, so prices and volumes may be a trailing window
+    buildResult(prices, volumes, obv, vpt, flow = { buyVolume: 0, sellVolume: 0, bars: 0 }) {
+        // Calculate volume metrics
+        const recentVolumes = volumes.slice(-this.period);
+        const recentPrices = prices.slice(-this.period);
+        
+        // Average volume
+        const avgVolume = recentVolumes.reduce((sum, vol) => sum + vol, 0) / this.period;
+        const currentVolume = volumes[volumes.length - 1];
+        const currentPrice = prices[prices.length - 1];
+        const prevPrice = prices[prices.length - 2] || currentPrice;
+        
+        // Volume ratio (current vs average)
+        const volumeRatio = avgVolume > 0 ? currentVolume / avgVolume : 1;
+        
+        // Price change
+        const priceChange = currentPrice - prevPrice;
+        const priceChangePercent = prevPrice > 0 ? (priceChange / prevPrice) * 100 : 0;
+        
+        // Volume trend (increasing/decreasing)
+        const volumeTrend = this.calculateVolumeTrend(recentVolumes);
+        
+        // Share of the traded volume that bought at the ask, when the trade tape covers the window
+        const flowVolume = flow.buyVolume + flow.sellVolume;
+        const buyRatio = flow.bars > 0 && flowVolume > 0 ? flow.buyVolume / flowVolume : null;
+        
+        // Generate trading signal
+        const signal = this.generateSignal(
+            currentVolume, avgVolume, volumeRatio,
+            priceChange, priceChangePercent, volumeTrend, obv, vpt, buyRatio
+        );
+        
+        Logger.debug('Volume calculated', {
+            currentVolume: currentVolume.toFixed(0),
+            avgVolume: avgVolume.toFixed(0),
+            volumeRatio: volumeRatio.toFixed(2),
+            suggestion: signal.suggestion
+        });
+        
+        return {
+            currentVolume: Number(currentVolume.toFixed(0)),
+            avgVolume: Number(avgVolume.toFixed(0)),
+            volumeRatio: Number(volumeRatio.toFixed(2)),
+            priceChange: Number(priceChange.toFixed(6)),
+            priceChangePercent: Number(priceChangePercent.toFixed(2)),
+            volumeTrend: volumeTrend,
+            obv: Number(obv.toFixed(0)),
+            vpt: Number(vpt.toFixed(6)),
+            buyVolume: flow.bars > 0 ? Number(flow.buyVolume.toFixed(0)) : null,
+            sellVolume: flow.bars > 0 ? Number(flow.sellVolume.toFixed(0)) : null,
+            buyRatio: buyRatio !== null ? Number(buyRatio.toFixed(4)) : null,
+            suggestion: signal.suggestion,
+            confidence: Number(signal.confidence.toFixed(4)),
+            strength: Number(signal.strength.toFixed(4)),
+            metadata: {
+                period: this.period,
+                interpretation: signal.interpretation,
+                volumeSpike: signal.volumeSpike,
+                confirmationStrength: signal.confirmationStrength,
+                tradeFlowBars: flow.bars
+            }
+        };
+    }
+    
     calculateVolumeTrend(volumes) {
         if (volumes.length < 3) return 'neutral';
         
@@ -125,7 +159,7 @@ class Volume {
         return vpt;
     }
     
-    generateSignal(currentVolume, avgVolume, volumeRatio, priceChange, priceChangePercent, volumeTrend, obv, vpt) {
+    generateSignal(currentVolume, avgVolume, volumeRatio, priceChange, priceChangePercent, volumeTrend, obv, vpt, buyRatio = null) {
         let suggestion = "hold";
         let confidence = 0;
         let strength = 0;
@@ -161,7 +195,23 @@ class Volume {
         }
         // High volume but small price movement (accumulation/distribution)
         else if (volumeRatio > 1.5 && Math.abs(priceChangePercent) < 0.5) {
-            if (obv > 0 && vpt > 0) {
+            // Aggressor volume from the trade tape says directly who is absorbing whom
+            if (buyRatio !== null && buyRatio > 0.55) {
+                suggestion = "buy";
+                confidence = Math.min(0.6, volumeRatio / 3);
+                strength = confidence * 0.8;
+                interpretation = `High volume with stable price + ${(buyRatio * 100).toFixed(0)}% buy-side volume suggests accumulation`;
+            } else if (buyRatio !== null && buyRatio < 0.45) {
+                suggestion = "sell";
+                confidence = Math.min(0.6, volumeRatio / 3);
+                strength = confidence * 0.8;
+                interpretation = `High volume with stable price + ${((1 - buyRatio) * 100).toFixed(0)}% sell-side volume suggests distribution`;
+            } else if (buyRatio !== null) {
+                suggestion = "hold";
+                confidence = 0.3;
+                strength = 0.2;
+                interpretation = `High volume but balanced buying and selling - wait for price direction`;
+            } else if (obv > 0 && vpt > 0) {
                 suggestion = "buy";
                 confidence = Math.min(0.6, volumeRatio / 3);
                 strength = confidence * 0.8;
@@ -216,6 +266,62 @@ class Volume {
         };
     }
     
+    // Streaming mode: a trailing window for the averages plus running OBV and VPT totals
+    initialState() {
+        return {
+            count: 0,
+            invalid: false,
+            window: IndicatorStream.emptyWindow(),
+            buyVolumes: [],
+            sellVolumes: [],
+            obv: 0,
+            vpt: 0
+        };
+    }
+    
+    nextState(state, bar) {
+        const next = { ...state, count: state.count + 1 };
+        
+        if (state.invalid || !DataValidator.isValidNumber(bar.close) || !DataValidator.isValidVolume(bar.volume)) {
+            next.invalid = true;
+            return next;
+        }
+        
+        const prevPrice = state.window.closes[state.window.closes.length - 1];
+        if (state.count > 0) {
+            if (bar.close > prevPrice) {
+                next.obv = state.obv + bar.volume;
+            } else if (bar.close < prevPrice) {
+                next.obv = state.obv - bar.volume;
+            }
+            
+            if (prevPrice > 0) {
+                next.vpt = state.vpt + bar.volume * ((bar.close - prevPrice) / prevPrice);
+            }
+        }
+        
+        next.window = IndicatorStream.appendToWindow(state.window, bar, this.period);
+        const start = state.buyVolumes.length >= this.period ? state.buyVolumes.length - this.period + 1 : 0;
+        next.buyVolumes = [...state.buyVolumes.slice(start), bar.buyVolume === undefined ? null : bar.buyVolume];
+        next.sellVolumes = [...state.sellVolumes.slice(start), bar.sellVolume === undefined ? null : bar.sellVolume];
+        return next;
+    }
+    
+    resultFromState(state) {
+        try {
+            if (state.invalid || state.count < this.period) {
+                throw new Error(`Volume validation failed: need at least ${this.period} valid price and volume values`);
+            }
+            
+            return this.buildResult(state.window.closes, state.window.volumes, state.obv, state.vpt,
+                this.summarizeFlow(state.buyVolumes, state.sellVolumes));
+            
+        } catch (error) {
+            Logger.error('Volume calculation error', { error: error.message });
+            throw error;
+        }
+    }
+    
     // Calculate volume profile for price levels (simplified version)
     calculateVolumeProfile(prices, volumes, levels = 10) {
         if (prices.length !== volumes.length || prices.length < levels) {
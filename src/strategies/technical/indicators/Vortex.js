@@ -0,0 +1,142 @@
+const { DataValidator } = require('../../../data/validators');
+const { Logger } = require('../../../utils');
+const WilderSmoothing = require('../WilderSmoothing');
+const IndicatorStream = require('../IndicatorStream');
+
+// Vortex indicator: upward movement |high - previous low| and downward movement
+// |low - previous high| summed over `period` bars and divided by the summed true range.
+// VI+ above VI- marks an uptrend; the crossings are the signals.
+class Vortex {
+    constructor(period = 14) {
+        this.period = period;
+        this.name = 'Vortex';
+        this.minDataPoints = this.period + 1;
+    }
+    
+    // VI+ and VI- for the `period` bars ending at `end` (exclusive)
+    sums(highs, lows, closes, end) {
+        let plusMovement = 0;
+        let minusMovement = 0;
+        let trueRange = 0;
+        
+        for (let i = end - this.period; i < end; i++) {
+            plusMovement += Math.abs(highs[i] - lows[i - 1]);
+            minusMovement += Math.abs(lows[i] - highs[i - 1]);
+            trueRange += WilderSmoothing.trueRange(highs[i], lows[i], closes[i - 1]);
+        }
+        
+        return {
+            plus: trueRange > 0 ? plusMovement / trueRange : 0,
+            minus: trueRange > 0 ? minusMovement / trueRange : 0
+        };
+    }
+    
+    calculate(highs, lows, closes) {
+        try {
+            // Validate input
+            if (!DataValidator.validateArray(highs, this.minDataPoints) ||
+                !DataValidator.validateArray(lows, this.minDataPoints) ||
+                !DataValidator.validateArray(closes, this.minDataPoints)) {
+                throw new Error(`Vortex validation failed: need at least ${this.minDataPoints} valid values`);
+            }
+            
+            if (highs.length !== lows.length || lows.length !== closes.length) {
+                throw new Error('Highs, lows, and closes arrays must have the same length');
+            }
+            
+            const current = this.sums(highs, lows, closes, closes.length);
+            // The previous values need one bar more of history
+            const previous = closes.length > this.minDataPoints ? this.sums(highs, lows, closes, closes.length - 1) : null;
+            const signal = this.generateSignal(current, previous);
+            
+            Logger.debug('Vortex calculated', {
+                plus: current.plus.toFixed(4),
+                minus: current.minus.toFixed(4),
+                crossover: signal.crossover,
+                suggestion: signal.suggestion
+            });
+            
+            return {
+                plusVI: Number(current.plus.toFixed(4)),
+                minusVI: Number(current.minus.toFixed(4)),
+                spread: Number((current.plus - current.minus).toFixed(4)),
+                suggestion: signal.suggestion,
+                confidence: Number(signal.confidence.toFixed(4)),
+                strength: Number(signal.strength.toFixed(4)),
+                metadata: {
+                    period: this.period,
+                    crossover: signal.crossover,
+                    interpretation: signal.interpretation
+                }
+            };
+        
+        } catch (error) {
+            Logger.error('Vortex calculation error', { error: error.message });
+            throw error;
+        }
+    }
+    
+    generateSignal(current, previous) {
+        const spread = current.plus - current.minus;
+        let suggestion = "hold";
+        let confidence = 0;
+        // A spread of 0.5 between the lines counts as full strength
+        let strength = Math.min(1, Math.abs(spread) * 2);
+        let interpretation = "";
+        let crossover = null;
+        
+        if (previous && previous.plus <= previous.minus && current.plus > current.minus) {
+            crossover = "bullish";
+        } else if (previous && previous.plus >= previous.minus && current.plus < current.minus) {
+            crossover = "bearish";
+        }
+        
+        if (crossover === "bullish") {
+            suggestion = "buy";
+            confidence = Math.min(1, 0.6 + Math.abs(spread));
+            interpretation = `VI+ crossed above VI- (${current.plus.toFixed(3)} / ${current.minus.toFixed(3)}) - uptrend starting`;
+        } else if (crossover === "bearish") {
+            suggestion = "sell";
+            confidence = Math.min(1, 0.6 + Math.abs(spread));
+            interpretation = `VI- crossed above VI+ (${current.minus.toFixed(3)} / ${current.plus.toFixed(3)}) - downtrend starting`;
+        } else if (spread >= 0.1) {
+            suggestion = "buy";
+            confidence = Math.min(0.7, spread * 2);
+            interpretation = `VI+ ${current.plus.toFixed(3)} above VI- ${current.minus.toFixed(3)} - uptrend`;
+        } else if (spread <= -0.1) {
+            suggestion = "sell";
+            confidence = Math.min(0.7, Math.abs(spread) * 2);
+            interpretation = `VI- ${current.minus.toFixed(3)} above VI+ ${current.plus.toFixed(3)} - downtrend`;
+        } else {
+            interpretation = `VI+ ${current.plus.toFixed(3)} and VI- ${current.minus.toFixed(3)} close together - no clear trend`;
+        }
+        
+        return {
+            suggestion,
+            confidence,
+            strength,
+            interpretation,
+            crossover
+        };
+    }
+    
+    // Streaming mode: the current and previous values fit in the last period + 2 bars
+    initialState() {
+        return IndicatorStream.emptyWindow();
+    }
+    
+    nextState(state, bar) {
+        return IndicatorStream.appendToWindow(state, bar, this.minDataPoints + 1);
+    }
+    
+    resultFromState(state) {
+        return this.calculate(state.highs, state.lows, state.closes);
+    }
+    
+    // data: { highs, lows, closes, volumes, timestamps }
+    calculateHistory(data, outputLength = 50) {
+        return IndicatorStream.history(this, data, outputLength);
+    }
+}
+
+module.exports = Vortex;
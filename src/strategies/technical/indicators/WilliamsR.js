@@ -1,10 +1,12 @@
 const { DataValidator } = require('../../../data/validators');
 const { Logger } = require('../../../utils');
+const IndicatorStream = require('../IndicatorStream');
 
 class WilliamsR {
     constructor(period = 14) {
         this.period = period;
         this.name = 'WilliamsR';
+        this.minDataPoints = this.period;
     }
     
     calculate(highs, lows, closes) {
@@ -70,6 +72,19 @@ class WilliamsR {
         }
     }
     
+    // Streaming mode: current and previous values need the last period + 1 bars
+    initialState() {
+        return IndicatorStream.emptyWindow();
+    }
+    
+    nextState(state, bar) {
+        return IndicatorStream.appendToWindow(state, bar, this.period + 1);
+    }
+    
+    resultFromState(state) {
+        return this.calculate(state.highs, state.lows, state.closes);
+    }
+    
     generateSignal(currentValue, prevValue) {
         let suggestion = "hold";
         let confidence = 0;
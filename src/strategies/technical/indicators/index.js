@@ -9,6 +9,23 @@ const IchimokuCloud = require('./IchimokuCloud');
 const ADX = require('./ADX');
 const CCI = require('./CCI');
 const ParabolicSAR = require('./ParabolicSAR');
+const ATR = require('./ATR');
+const NormalizedATR = require('./NormalizedATR');
+const KeltnerChannels = require('./KeltnerChannels');
+const DonchianChannels = require('./DonchianChannels');
+const HistoricalVolatility = require('./HistoricalVolatility');
+const VWAP = require('./VWAP');
+const MFI = require('./MFI');
+const ChaikinMoneyFlow = require('./ChaikinMoneyFlow');
+const AccumulationDistribution = require('./AccumulationDistribution');
+const EaseOfMovement = require('./EaseOfMovement');
+const SuperTrend = require('./SuperTrend');
+const HullMovingAverage = require('./HullMovingAverage');
+const KAMA = require('./KAMA');
+const DEMA = require('./DEMA');
+const TEMA = require('./TEMA');
+const Aroon = require('./Aroon');
+const Vortex = require('./Vortex');
 
 module.exports = {
     RSI,
@@ -21,5 +38,22 @@ module.exports = {
     IchimokuCloud,
     ADX,
     CCI,
-    ParabolicSAR
+    ParabolicSAR,
+    ATR,
+    NormalizedATR,
+    KeltnerChannels,
+    DonchianChannels,
+    HistoricalVolatility,
+    VWAP,
+    MFI,
+    ChaikinMoneyFlow,
+    AccumulationDistribution,
+    EaseOfMovement,
+    SuperTrend,
+    HullMovingAverage,
+    KAMA,
+    DEMA,
+    TEMA,
+    Aroon,
+    Vortex
 };
\ No newline at end of file
@@ -1,10 +1,11 @@
 const fs = require('fs').promises;
 const path = require('path');
+const PairSymbol = require('./PairSymbol');
 
 class ConfigManager {
     constructor() {
         this.configPath = path.join(process.cwd(), 'config', 'runtime.json');
-        this.defaultPairs = ["XMR", "RVN", "BEL", "DOGE", "KAS", "SAL"];
+        this.defaultPairs = ["XMR/USDT", "RVN/USDT", "BEL/USDT", "DOGE/USDT", "KAS/USDT", "SAL/USDT"];
         this.cache = null;
     }
     
@@ -48,6 +49,11 @@ class ConfigManager {
             const data = await fs.readFile(this.configPath, 'utf8');
             this.cache = JSON.parse(data);
             
+            if (this.migrateConfig(this.cache)) {
+                await this.saveConfig(this.cache);
+                this.info('Migrated runtime configuration to market symbols', { pairs: this.cache.trading.pairs });
+            }
+            
             this.debug('Loaded runtime configuration', {
                 pairs: this.cache.trading.pairs,
                 lastUpdated: new Date(this.cache.trading.lastUpdated).toISOString()
@@ -69,6 +75,33 @@ class ConfigManager {
         }
     }
     
+    // Configs written before other quote currencies were supported list bare base symbols
+    // ("KAS"), which always meant the USDT market. Returns true if anything was rewritten.
+    migrateConfig(config) {
+        let changed = false;
+        const migrate = (pair) => {
+            const normalized = PairSymbol.normalize(pair) || pair;
+            if (normalized !== pair) changed = true;
+            return normalized;
+        };
+        
+        config.trading.pairs = [...new Set(config.trading.pairs.map(migrate))];
+        
+        if (config.trading.pairExchanges) {
+            config.trading.pairExchanges = Object.fromEntries(
+                Object.entries(config.trading.pairExchanges).map(([pair, exchange]) => [migrate(pair), exchange])
+            );
+        }
+        
+        if (config.indicators && config.indicators.pairs) {
+            config.indicators.pairs = Object.fromEntries(
+                Object.entries(config.indicators.pairs).map(([pair, overrides]) => [migrate(pair), overrides])
+            );
+        }
+        
+        return changed;
+    }
+    
     async saveConfig(config) {
         try {
             // Ensure config directory exists
@@ -99,32 +132,43 @@ class ConfigManager {
         return config.trading.pairs;
     }
     
-    async updatePairs(newPairs, updatedBy = "api") {
+    // Exchange each pair is collected from; pairs without an entry use trading.defaultExchange
+    async getPairExchanges() {
+        const config = await this.loadConfig();
+        return config.trading.pairExchanges || {};
+    }
+    
+    // pairExchanges (optional) sets the exchange of the given pairs; callers check the names exist.
+    // Entries for pairs that are no longer tracked are dropped.
+    async updatePairs(newPairs, updatedBy = "api", pairExchanges = null) {
         try {
             // Validate pairs format
             if (!Array.isArray(newPairs) || newPairs.length === 0) {
                 throw new Error('Pairs must be a non-empty array');
             }
             
-            // Validate each pair format (basic validation)
-            const validPairs = newPairs.filter(pair => {
-                return typeof pair === 'string' && 
-                       pair.length >= 2 && 
-                       pair.length <= 10 && 
-                       /^[A-Z0-9]+$/.test(pair.toUpperCase());
-            });
+            // Validate each pair format: "KAS/BTC", or a bare base symbol for the USDT market
+            const invalidPairs = newPairs.filter(pair => !PairSymbol.isValid(pair));
             
-            if (validPairs.length !== newPairs.length) {
-                throw new Error('Invalid pair format detected');
+            if (invalidPairs.length > 0) {
+                throw new Error(`Invalid pair format detected: ${invalidPairs.join(', ')}`);
             }
             
-            // Normalize to uppercase
-            const normalizedPairs = validPairs.map(pair => pair.toUpperCase());
+            // Normalize to "BASE/QUOTE" and drop duplicates like "KAS" and "KAS/USDT"
+            const normalizedPairs = [...new Set(newPairs.map(pair => PairSymbol.normalize(pair)))];
             
             const config = await this.loadConfig();
             const oldPairs = [...config.trading.pairs];
             
+            const exchanges = { ...(config.trading.pairExchanges || {}) };
+            Object.entries(pairExchanges || {}).forEach(([pair, exchange]) => {
+                exchanges[PairSymbol.normalize(pair) || pair] = exchange;
+            });
+            
             config.trading.pairs = normalizedPairs;
+            config.trading.pairExchanges = Object.fromEntries(
+                Object.entries(exchanges).filter(([pair]) => normalizedPairs.includes(pair))
+            );
             config.trading.updatedBy = updatedBy;
             
             const saved = await this.saveConfig(config);
@@ -142,6 +186,7 @@ class ConfigManager {
                     success: true,
                     oldPairs,
                     newPairs: normalizedPairs,
+                    pairExchanges: config.trading.pairExchanges,
                     changes: {
                         added: normalizedPairs.filter(p => !oldPairs.includes(p)),
                         removed: oldPairs.filter(p => !normalizedPairs.includes(p))
@@ -166,15 +211,59 @@ class ConfigManager {
         const config = await this.loadConfig();
         return {
             pairs: config.trading.pairs,
+            pairExchanges: config.trading.pairExchanges || {},
             lastUpdated: config.trading.lastUpdated,
             updatedBy: config.trading.updatedBy,
             totalPairs: config.trading.pairs.length
         };
     }
     
+    // Indicator parameter/weight overrides: { params, weights, pairs: { PAIR: { params, weights } } }
+    async getIndicatorConfig() {
+        const config = await this.loadConfig();
+        return config.indicators || { params: {}, weights: {}, pairs: {} };
+    }
+    
+    // Replaces the stored overrides; callers validate them first (TechnicalStrategies.validateConfig)
+    async updateIndicatorConfig(indicatorConfig, updatedBy = "api") {
+        try {
+            const config = await this.loadConfig();
+            
+            config.indicators = {
+                params: indicatorConfig.params || {},
+                weights: indicatorConfig.weights || {},
+                pairs: indicatorConfig.pairs || {},
+                lastUpdated: Date.now(),
+                updatedBy
+            };
+            
+            const saved = await this.saveConfig(config);
+            
+            if (!saved) {
+                throw new Error('Failed to save configuration');
+            }
+            
+            this.info('Indicator configuration updated', {
+                params: Object.keys(config.indicators.params),
+                weights: Object.keys(config.indicators.weights),
+                pairs: Object.keys(config.indicators.pairs),
+                updatedBy
+            });
+            
+            return config.indicators;
+            
+        } catch (error) {
+            const errorMessage = error && error.message ? error.message : 'Unknown error updating indicator configuration';
+            this.error('Failed to update indicator configuration', { error: errorMessage, updatedBy });
+            throw new Error(errorMessage);
+        }
+    }
+    
     async resetToDefault() {
         try {
+            const current = await this.loadConfig();
             const config = {
+                ...current, // Only the pairs are reset, other sections (e.g. indicators) are kept
                 trading: {
                     pairs: [...this.defaultPairs],
                     updatedBy: "reset"
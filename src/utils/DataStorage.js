@@ -1,45 +1,19 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { CandleAggregator } = require('../data/aggregators');
+const PairSymbol = require('./PairSymbol');
+const StorageBackend = require('./StorageBackend');
 
-class DataStorage {
-    constructor() {
-        this.dataDir = path.join(process.cwd(), 'data', 'pairs');
+// JSON storage backend: one file per pair and timeframe, rewritten on every save with the
+// collector's in-memory window
+class DataStorage extends StorageBackend {
+    constructor(options = {}) {
+        super('json');
+        this.dataDir = options.dataDir || path.join(process.cwd(), 'data', 'pairs');
+        this.migration = null;
         this.ensureDataDirectory();
     }
     
-    // Reduced logging - only important events
-    log(level, message, data = {}) {
-        const timestamp = new Date().toISOString();
-        
-        // Only log important events, not debug operations
-        if (level === 'error' || level === 'warn') {
-            console.log(`[${timestamp}] DataStorage ${level.toUpperCase()}: ${message}`, data);
-        } else if (level === 'info') {
-            // Only log significant operations
-            if (message.includes('Saved') || message.includes('Loaded') || message.includes('Deleted') || message.includes('Cleaned up')) {
-                console.log(`[${timestamp}] DataStorage ${level.toUpperCase()}: ${message}`, data);
-            }
-        }
-        // Skip debug messages entirely
-    }
-    
-    info(message, data) {
-        this.log('info', message, data);
-    }
-    
-    error(message, data) {
-        this.log('error', message, data);
-    }
-    
-    debug(message, data) {
-        // Skip debug logging entirely to reduce noise
-        return;
-    }
-    
-    warn(message, data) {
-        this.log('warn', message, data);
-    }
-    
     async ensureDataDirectory() {
         try {
             await fs.mkdir(this.dataDir, { recursive: true });
@@ -52,18 +26,83 @@ class DataStorage {
         }
     }
     
-    getFilePath(pair) {
-        return path.join(this.dataDir, `${pair.toLowerCase()}_history.json`);
+    // Base timeframe lives in <base>-<quote>_history.json (e.g. kas-btc_history.json),
+    // higher timeframes in <base>-<quote>_<timeframe>_history.json
+    getFilePath(pair, timeframe = null) {
+        const suffix = timeframe ? `_${timeframe.toLowerCase()}` : '';
+        return path.join(this.dataDir, `${PairSymbol.toFileKey(pair)}${suffix}_history.json`);
     }
     
-    async savePairData(pair, historyData) {
+    // Split a history file name into its pair and optional timeframe
+    parseFileName(file) {
+        const match = file.match(/^(.+?)(?:_(\d+[mhd]))?_history\.json$/);
+        if (!match) {
+            return null;
+        }
+        
+        const timeframe = match[2] && CandleAggregator.isValidTimeframe(match[2]) ? match[2] : null;
+        const key = timeframe ? match[1] : file.replace('_history.json', '');
+        const pair = PairSymbol.fromFileKey(key);
+        
+        return pair ? { pair, timeframe, legacy: PairSymbol.isLegacy(key) } : null;
+    }
+    
+    // Files written before other quote currencies were supported are named after the base
+    // symbol only (kas_history.json). Rename them to their USDT market once per process;
+    // listings ignore any that could not be renamed.
+    migrateLegacyFiles() {
+        if (!this.migration) {
+            this.migration = this.renameLegacyFiles();
+        }
+        return this.migration;
+    }
+    
+    async renameLegacyFiles() {
+        let files;
         try {
-            const filePath = this.getFilePath(pair);
+            files = await fs.readdir(this.dataDir);
+        } catch (error) {
+            return 0; // Nothing stored yet
+        }
+        
+        let renamed = 0;
+        for (const file of files) {
+            const parsed = this.parseFileName(file);
+            if (!parsed || !parsed.legacy) continue;
+            
+            const target = this.getFilePath(parsed.pair, parsed.timeframe);
+            try {
+                // Never overwrite data already stored under the new name
+                if (files.includes(path.basename(target))) {
+                    this.warn(`Skipping migration of ${file}, ${path.basename(target)} already exists`);
+                    continue;
+                }
+                
+                await fs.rename(path.join(this.dataDir, file), target);
+                renamed++;
+            } catch (error) {
+                this.error(`Failed to migrate ${file}`, { error: error.message });
+            }
+        }
+        
+        if (renamed > 0) {
+            this.info(`Migrated ${renamed} legacy data files to market symbol names`, { renamed });
+        }
+        
+        return renamed;
+    }
+    
+    async savePairData(pair, historyData, timeframe = null) {
+        const label = timeframe ? `${pair} ${timeframe}` : pair;
+        
+        try {
+            await this.migrateLegacyFiles();
+            const filePath = this.getFilePath(pair, timeframe);
             const tempFilePath = filePath + '.tmp';
             
             // Validate input data before saving
             if (!historyData || !historyData.closes || !Array.isArray(historyData.closes) || historyData.closes.length === 0) {
-                this.warn(`Attempted to save empty/invalid data for ${pair}`, {
+                this.warn(`Attempted to save empty/invalid data for ${label}`, {
                     hasData: !!historyData,
                     hasCloses: !!(historyData && historyData.closes),
                     isArray: historyData && historyData.closes && Array.isArray(historyData.closes),
@@ -74,20 +113,25 @@ class DataStorage {
             
             const dataToSave = {
                 pair: pair,
+                timeframe: timeframe,
                 lastUpdated: Date.now(),
                 dataPoints: historyData.closes.length,
                 history: {
+                    opens: historyData.opens,
                     closes: historyData.closes,
                     highs: historyData.highs,
                     lows: historyData.lows,
                     prices: historyData.prices || historyData.closes, // Backwards compatibility
                     volumes: historyData.volumes,
-                    timestamps: historyData.timestamps
+                    timestamps: historyData.timestamps,
+                    ...Object.fromEntries(Object.keys(CandleAggregator.TRADE_SERIES)
+                        .filter(key => Array.isArray(historyData[key]))
+                        .map(key => [key, historyData[key]]))
                 }
             };
             
             // Validate the data structure we're about to save
-            if (!this.validateDataBeforeSave(dataToSave, pair)) {
+            if (!this.validateDataBeforeSave(dataToSave, label)) {
                 return false;
             }
             
@@ -108,7 +152,7 @@ class DataStorage {
                     throw new Error('Verification failed - data mismatch');
                 }
             } catch (verifyError) {
-                this.error(`File verification failed for ${pair}`, { error: verifyError.message });
+                this.error(`File verification failed for ${label}`, { error: verifyError.message });
                 // Clean up the bad temp file
                 try {
                     await fs.unlink(tempFilePath);
@@ -120,8 +164,9 @@ class DataStorage {
             await fs.rename(tempFilePath, filePath);
             
             // Log only significant saves
-            this.info(`💾 Saved ${historyData.closes.length} data points for ${pair}`, {
+            this.info(`💾 Saved ${historyData.closes.length} data points for ${label}`, {
                 pair,
+                timeframe,
                 dataPoints: historyData.closes.length,
                 fileSize: Math.round(jsonContent.length / 1024) + 'KB'
             });
@@ -129,15 +174,16 @@ class DataStorage {
             return true;
             
         } catch (error) {
-            this.error(`Failed to save ${pair} data`, { 
+            this.error(`Failed to save ${label} data`, { 
                 pair,
+                timeframe,
                 error: error.message,
                 dataPoints: historyData?.closes?.length || 0
             });
             
             // Clean up any temp files
             try {
-                const tempFilePath = this.getFilePath(pair) + '.tmp';
+                const tempFilePath = this.getFilePath(pair, timeframe) + '.tmp';
                 await fs.unlink(tempFilePath);
             } catch {}
             
@@ -145,72 +191,12 @@ class DataStorage {
         }
     }
     
-    validateDataBeforeSave(dataToSave, pair) {
-        try {
-            if (!dataToSave || typeof dataToSave !== 'object') {
-                this.error(`Invalid data structure for ${pair} - not object`);
-                return false;
-            }
-            
-            if (!dataToSave.history || typeof dataToSave.history !== 'object') {
-                this.error(`Invalid data structure for ${pair} - missing history`);
-                return false;
-            }
-            
-            const { closes, highs, lows, volumes, timestamps } = dataToSave.history;
-            
-            if (!closes || !Array.isArray(closes) || closes.length === 0) {
-                this.error(`Invalid closes data for ${pair}`, { 
-                    hasCloses: !!closes,
-                    isArray: Array.isArray(closes),
-                    length: closes ? closes.length : 0
-                });
-                return false;
-            }
-            
-            // Check for valid numbers in first few entries
-            for (let i = 0; i < Math.min(closes.length, 3); i++) {
-                if (typeof closes[i] !== 'number' || !isFinite(closes[i]) || closes[i] <= 0) {
-                    this.error(`Invalid price data in ${pair}`, { 
-                        sampleValue: closes[i],
-                        index: i 
-                    });
-                    return false;
-                }
-            }
-            
-            // Check array length consistency
-            if (highs && highs.length !== closes.length) {
-                this.error(`Array length mismatch for ${pair} - highs: ${highs.length} vs closes: ${closes.length}`);
-                return false;
-            }
-            
-            if (lows && lows.length !== closes.length) {
-                this.error(`Array length mismatch for ${pair} - lows: ${lows.length} vs closes: ${closes.length}`);
-                return false;
-            }
-            
-            if (volumes && volumes.length !== closes.length) {
-                this.error(`Array length mismatch for ${pair} - volumes: ${volumes.length} vs closes: ${closes.length}`);
-                return false;
-            }
-            
-            if (timestamps && timestamps.length !== closes.length) {
-                this.error(`Array length mismatch for ${pair} - timestamps: ${timestamps.length} vs closes: ${closes.length}`);
-                return false;
-            }
-            
-            return true;
-            
-        } catch (error) {
-            this.error(`Error validating data for ${pair}`, { error: error.message });
-            return false;
-        }
-    }
-    
-    async loadPairData(pair) {
+    async loadPairData(pair, timeframe = null, range = {}) {
+        const label = timeframe ? `${pair} ${timeframe}` : pair;
+        
         try {
-            const filePath = this.getFilePath(pair);
+            await this.migrateLegacyFiles();
+            const filePath = this.getFilePath(pair, timeframe);
             
             // Check if file exists
             try {
@@ -224,12 +210,12 @@ class DataStorage {
             
             // Check if file is empty or too small
             if (!fileContent || fileContent.trim().length < 10) {
-                this.error(`Empty or too small data file for ${pair}`, { 
+                this.error(`Empty or too small data file for ${label}`, { 
                     filePath,
                     size: fileContent.length 
                 });
                 // Delete corrupted file
-                await this.deleteCorruptedFile(filePath, pair);
+                await this.deleteCorruptedFile(filePath, label);
                 return null;
             }
             
@@ -237,75 +223,89 @@ class DataStorage {
             try {
                 data = JSON.parse(fileContent);
             } catch (parseError) {
-                this.error(`JSON parse error for ${pair}`, { 
+                this.error(`JSON parse error for ${label}`, { 
                     pair,
                     error: parseError.message,
                     fileSize: fileContent.length,
                     preview: fileContent.substring(0, 100) + '...'
                 });
                 // Delete corrupted file
-                await this.deleteCorruptedFile(filePath, pair);
+                await this.deleteCorruptedFile(filePath, label);
                 return null;
             }
             
             // Validate data structure
             if (!data || typeof data !== 'object') {
-                this.error(`Invalid data structure in ${pair} file - not an object`, { filePath });
-                await this.deleteCorruptedFile(filePath, pair);
+                this.error(`Invalid data structure in ${label} file - not an object`, { filePath });
+                await this.deleteCorruptedFile(filePath, label);
                 return null;
             }
             
             if (!data.history || typeof data.history !== 'object') {
-                this.error(`Invalid data structure in ${pair} file - missing history`, { filePath });
-                await this.deleteCorruptedFile(filePath, pair);
+                this.error(`Invalid data structure in ${label} file - missing history`, { filePath });
+                await this.deleteCorruptedFile(filePath, label);
                 return null;
             }
             
             if (!data.history.closes || !Array.isArray(data.history.closes)) {
-                this.error(`Invalid data structure in ${pair} file - missing closes array`, { filePath });
-                await this.deleteCorruptedFile(filePath, pair);
+                this.error(`Invalid data structure in ${label} file - missing closes array`, { filePath });
+                await this.deleteCorruptedFile(filePath, label);
                 return null;
             }
             
             // Check if arrays have consistent lengths
-            const { closes, highs, lows, volumes, timestamps } = data.history;
+            const { opens, closes, highs, lows, volumes, timestamps } = data.history;
+            if (opens && opens.length !== closes.length) {
+                this.error(`Inconsistent array lengths in ${label} file - opens`, { filePath });
+                await this.deleteCorruptedFile(filePath, label);
+                return null;
+            }
+            
             if (highs && highs.length !== closes.length) {
-                this.error(`Inconsistent array lengths in ${pair} file - highs`, { filePath });
-                await this.deleteCorruptedFile(filePath, pair);
+                this.error(`Inconsistent array lengths in ${label} file - highs`, { filePath });
+                await this.deleteCorruptedFile(filePath, label);
                 return null;
             }
             
             if (lows && lows.length !== closes.length) {
-                this.error(`Inconsistent array lengths in ${pair} file - lows`, { filePath });
-                await this.deleteCorruptedFile(filePath, pair);
+                this.error(`Inconsistent array lengths in ${label} file - lows`, { filePath });
+                await this.deleteCorruptedFile(filePath, label);
                 return null;
             }
             
             if (volumes && volumes.length !== closes.length) {
-                this.error(`Inconsistent array lengths in ${pair} file - volumes`, { filePath });
-                await this.deleteCorruptedFile(filePath, pair);
+                this.error(`Inconsistent array lengths in ${label} file - volumes`, { filePath });
+                await this.deleteCorruptedFile(filePath, label);
                 return null;
             }
             
             if (timestamps && timestamps.length !== closes.length) {
-                this.error(`Inconsistent array lengths in ${pair} file - timestamps`, { filePath });
-                await this.deleteCorruptedFile(filePath, pair);
+                this.error(`Inconsistent array lengths in ${label} file - timestamps`, { filePath });
+                await this.deleteCorruptedFile(filePath, label);
                 return null;
             }
             
+            // Files written before open prices were tracked - use the previous close as the open
+            if (!opens) {
+                data.history.opens = closes.map((close, i) => i > 0 ? closes[i - 1] : close);
+            }
+            
+            // Files written before trades were collected have no buy/sell volume, trade count or VWAP
+            CandleAggregator.ensureTradeSeries(data.history);
+            
             // Log successful load only for significant files
             if (closes.length > 10) {
-                this.info(`📁 Loaded ${closes.length} data points for ${pair}`, {
+                this.info(`📁 Loaded ${closes.length} data points for ${label}`, {
                     pair,
                     dataPoints: closes.length,
                     fileSize: Math.round(fileContent.length / 1024) + 'KB'
                 });
             }
             
-            return data.history;
+            return StorageBackend.selectRange(data.history, range);
             
         } catch (error) {
-            this.error(`Failed to load ${pair} data`, { 
+            this.error(`Failed to load ${label} data`, { 
                 pair,
                 error: error.message 
             });
@@ -327,13 +327,16 @@ class DataStorage {
     
     async deletePairData(pair) {
         try {
+            await this.migrateLegacyFiles();
             const filePath = this.getFilePath(pair);
             await fs.unlink(filePath);
             this.info(`Deleted stored data for ${pair}`);
+            await this.deleteTimeframeData(pair);
             return true;
         } catch (error) {
             if (error.code === 'ENOENT') {
                 // Don't log missing files
+                await this.deleteTimeframeData(pair);
                 return true; // File didn't exist, which is fine
             }
             this.error(`Failed to delete ${pair} data`, { 
@@ -344,12 +347,46 @@ class DataStorage {
         }
     }
     
+    // Remove every higher timeframe file stored for a pair
+    async deleteTimeframeData(pair) {
+        const timeframes = await this.listStoredTimeframes(pair);
+        
+        for (const timeframe of timeframes) {
+            try {
+                await fs.unlink(this.getFilePath(pair, timeframe));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    this.error(`Failed to delete ${pair} ${timeframe} data`, { 
+                        pair,
+                        timeframe,
+                        error: error.message 
+                    });
+                }
+            }
+        }
+    }
+    
+    async listStoredTimeframes(pair) {
+        try {
+            await this.migrateLegacyFiles();
+            const files = await fs.readdir(this.dataDir);
+            return files
+                .map(file => this.parseFileName(file))
+                .filter(parsed => parsed && !parsed.legacy && parsed.timeframe && parsed.pair === PairSymbol.normalize(pair))
+                .map(parsed => parsed.timeframe);
+        } catch (error) {
+            return [];
+        }
+    }
+    
     async listStoredPairs() {
         try {
+            await this.migrateLegacyFiles();
             const files = await fs.readdir(this.dataDir);
             const pairs = files
-                .filter(file => file.endsWith('_history.json'))
-                .map(file => file.replace('_history.json', '').toUpperCase());
+                .map(file => this.parseFileName(file))
+                .filter(parsed => parsed && !parsed.legacy && !parsed.timeframe) // Timeframe files belong to their base pair
+                .map(parsed => parsed.pair);
             
             // Don't log listing operations
             return pairs;
@@ -363,6 +400,7 @@ class DataStorage {
         try {
             const pairs = await this.listStoredPairs();
             const stats = {
+                backend: this.name,
                 totalPairs: pairs.length,
                 pairs: [],
                 totalSizeBytes: 0
@@ -373,12 +411,20 @@ class DataStorage {
                     const filePath = this.getFilePath(pair);
                     const fileStats = await fs.stat(filePath);
                     const data = await this.loadPairData(pair);
+                    const timeframes = [];
+                    
+                    for (const timeframe of await this.listStoredTimeframes(pair)) {
+                        const timeframeStats = await fs.stat(this.getFilePath(pair, timeframe));
+                        timeframes.push({ timeframe, sizeBytes: timeframeStats.size });
+                        stats.totalSizeBytes += timeframeStats.size;
+                    }
                     
                     stats.pairs.push({
                         pair,
                         sizeBytes: fileStats.size,
                         dataPoints: data ? data.closes.length : 0,
-                        lastModified: fileStats.mtime
+                        lastModified: fileStats.mtime,
+                        timeframes
                     });
                     
                     stats.totalSizeBytes += fileStats.size;
@@ -390,7 +436,7 @@ class DataStorage {
             return stats;
         } catch (error) {
             this.error('Failed to get storage stats', { error: error.message });
-            return { totalPairs: 0, pairs: [], totalSizeBytes: 0 };
+            return { backend: this.name, totalPairs: 0, pairs: [], totalSizeBytes: 0 };
         }
     }
     
@@ -0,0 +1,60 @@
+// Pairs are identified by their full market symbol, e.g. "KAS/BTC". Bare base symbols
+// ("KAS") come from configs and files written before other quotes were supported and
+// always meant the USDT market.
+const DEFAULT_QUOTE = 'USDT';
+const SYMBOL_PATTERN = /^[A-Z0-9]{2,10}$/;
+
+class PairSymbol {
+    static get DEFAULT_QUOTE() {
+        return DEFAULT_QUOTE;
+    }
+    
+    // Accepts "KAS/BTC", "KAS_BTC", "KAS-BTC" or a bare "KAS" in any case.
+    // Returns the canonical "BASE/QUOTE" form, or null if the input is not a valid symbol.
+    static normalize(value, defaultQuote = DEFAULT_QUOTE) {
+        if (typeof value !== 'string') {
+            return null;
+        }
+        
+        const parts = value.trim().toUpperCase().split(/[/_-]/);
+        if (parts.length === 1) {
+            parts.push(defaultQuote.toUpperCase());
+        }
+        
+        if (parts.length !== 2 || !parts.every(part => SYMBOL_PATTERN.test(part)) || parts[0] === parts[1]) {
+            return null;
+        }
+        
+        return `${parts[0]}/${parts[1]}`;
+    }
+    
+    static isValid(value) {
+        return PairSymbol.normalize(value) !== null;
+    }
+    
+    static parse(pair) {
+        const [base, quote] = PairSymbol.normalize(pair).split('/');
+        return { base, quote };
+    }
+    
+    // Symbol format used by the Xeggex market and candles endpoints
+    static toExchangeSymbol(pair) {
+        return PairSymbol.normalize(pair).replace('/', '_');
+    }
+    
+    // File-system safe key, e.g. "kas-btc". Underscores are taken by the timeframe suffix.
+    static toFileKey(pair) {
+        return (PairSymbol.normalize(pair) || String(pair)).replace('/', '-').toLowerCase();
+    }
+    
+    // Inverse of toFileKey(); legacy keys without a quote map to the USDT market
+    static fromFileKey(key) {
+        return PairSymbol.normalize(key);
+    }
+    
+    static isLegacy(value) {
+        return typeof value === 'string' && SYMBOL_PATTERN.test(value.trim().toUpperCase());
+    }
+}
+
+module.exports = PairSymbol;
@@ -0,0 +1,334 @@
+const fs = require('fs');
+const path = require('path');
+const { CandleAggregator } = require('../data/aggregators');
+const PairSymbol = require('./PairSymbol');
+const StorageBackend = require('./StorageBackend');
+
+// Candle columns next to the history arrays they are read from and written to
+const COLUMNS = {
+    open: 'opens',
+    high: 'highs',
+    low: 'lows',
+    close: 'closes',
+    volume: 'volumes',
+    buy_volume: 'buyVolumes',
+    sell_volume: 'sellVolumes',
+    trade_count: 'tradeCounts',
+    vwap: 'vwaps'
+};
+
+// Base candles are stored under this timeframe name
+const BASE = 'base';
+
+// SQLite storage backend: one row per candle, keyed by pair, timeframe and bucket time. Saves
+// upsert the collector's in-memory window, so bars that fall out of it stay stored and the
+// history grows without limit.
+class SqliteStorage extends StorageBackend {
+    constructor(options = {}) {
+        super('sqlite');
+        this.path = options.path || path.join(process.cwd(), 'data', 'market-data.db');
+        this.db = null;
+        this.statements = null;
+    }
+    
+    // Opened on first use. better-sqlite3 is a native module, so it is only loaded for this backend.
+    open() {
+        if (this.db) {
+            return this.db;
+        }
+        
+        const Database = require('better-sqlite3');
+        if (this.path !== ':memory:') {
+            fs.mkdirSync(path.dirname(this.path), { recursive: true });
+        }
+        
+        this.db = new Database(this.path);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS candles (
+                pair TEXT NOT NULL,
+                timeframe TEXT NOT NULL,
+                time INTEGER NOT NULL,
+                open REAL,
+                high REAL,
+                low REAL,
+                close REAL NOT NULL,
+                volume REAL,
+                buy_volume REAL,
+                sell_volume REAL,
+                trade_count INTEGER,
+                vwap REAL,
+                PRIMARY KEY (pair, timeframe, time)
+            ) WITHOUT ROWID;
+            CREATE TABLE IF NOT EXISTS series (
+                pair TEXT NOT NULL,
+                timeframe TEXT NOT NULL,
+                last_updated INTEGER NOT NULL,
+                PRIMARY KEY (pair, timeframe)
+            );
+        `);
+        
+        const columns = Object.keys(COLUMNS);
+        this.statements = {
+            upsert: this.db.prepare(`
+                INSERT INTO candles (pair, timeframe, time, ${columns.join(', ')})
+                VALUES (@pair, @timeframe, @time, ${columns.map(column => `@${column}`).join(', ')})
+                ON CONFLICT (pair, timeframe, time) DO UPDATE SET
+                ${columns.map(column => `${column} = excluded.${column}`).join(', ')}
+            `),
+            touch: this.db.prepare(`
+                INSERT INTO series (pair, timeframe, last_updated) VALUES (?, ?, ?)
+                ON CONFLICT (pair, timeframe) DO UPDATE SET last_updated = excluded.last_updated
+            `),
+            // The most recent `limit` bars in [from, to], newest first
+            select: this.db.prepare(`
+                SELECT time, ${columns.join(', ')} FROM candles
+                WHERE pair = @pair AND timeframe = @timeframe AND time >= @from AND time <= @to
+                ORDER BY time DESC LIMIT @limit
+            `),
+            series: this.db.prepare(`
+                SELECT s.pair, s.timeframe, s.last_updated, COUNT(c.time) AS bars, MIN(c.time) AS first, MAX(c.time) AS last
+                FROM series s LEFT JOIN candles c ON c.pair = s.pair AND c.timeframe = s.timeframe
+                GROUP BY s.pair, s.timeframe ORDER BY s.pair, s.timeframe
+            `),
+            deleteCandles: this.db.prepare('DELETE FROM candles WHERE pair = ?'),
+            deleteSeries: this.db.prepare('DELETE FROM series WHERE pair = ?')
+        };
+        
+        return this.db;
+    }
+    
+    async savePairData(pair, historyData, timeframe = null) {
+        const label = timeframe ? `${pair} ${timeframe}` : pair;
+        
+        try {
+            if (!historyData || !Array.isArray(historyData.closes) || historyData.closes.length === 0) {
+                this.warn(`Attempted to save empty/invalid data for ${label}`, {
+                    hasData: !!historyData,
+                    length: historyData && Array.isArray(historyData.closes) ? historyData.closes.length : 0
+                });
+                return false;
+            }
+            
+            if (!this.validateDataBeforeSave({ history: historyData }, label) || !Array.isArray(historyData.timestamps)) {
+                return false;
+            }
+            
+            this.open();
+            const key = PairSymbol.normalize(pair) || pair;
+            const series = timeframe || BASE;
+            
+            this.db.transaction(() => {
+                historyData.timestamps.forEach((time, i) => {
+                    const row = { pair: key, timeframe: series, time };
+                    Object.entries(COLUMNS).forEach(([column, field]) => {
+                        const values = historyData[field];
+                        const value = Array.isArray(values) ? values[i] : undefined;
+                        row[column] = value === undefined ? null : value;
+                    });
+                    // Histories written before open prices were tracked
+                    if (row.open === null) row.open = row.close;
+                    this.statements.upsert.run(row);
+                });
+                this.statements.touch.run(key, series, Date.now());
+            })();
+            
+            this.info(`💾 Saved ${historyData.closes.length} data points for ${label}`, {
+                pair,
+                timeframe,
+                dataPoints: historyData.closes.length
+            });
+            
+            return true;
+        } catch (error) {
+            this.error(`Failed to save ${label} data`, {
+                pair,
+                timeframe,
+                error: error.message
+            });
+            return false;
+        }
+    }
+    
+    async loadPairData(pair, timeframe = null, { from = null, to = null, limit = null } = {}) {
+        const label = timeframe ? `${pair} ${timeframe}` : pair;
+        
+        try {
+            this.open();
+            const rows = this.statements.select.all({
+                pair: PairSymbol.normalize(pair) || pair,
+                timeframe: timeframe || BASE,
+                from: from === null ? Number.MIN_SAFE_INTEGER : from,
+                to: to === null ? Number.MAX_SAFE_INTEGER : to,
+                limit: limit === null ? -1 : limit
+            });
+            
+            if (rows.length === 0) {
+                return null;
+            }
+            
+            rows.reverse();
+            const history = CandleAggregator.createEmptyHistory();
+            rows.forEach(row => {
+                history.timestamps.push(row.time);
+                Object.entries(COLUMNS).forEach(([column, field]) => history[field].push(row[column]));
+            });
+            history.prices = history.closes.slice(); // Same as closes, for backwards compatibility
+            
+            return history;
+        } catch (error) {
+            this.error(`Failed to load ${label} data`, {
+                pair,
+                error: error.message
+            });
+            return null;
+        }
+    }
+    
+    async deletePairData(pair) {
+        try {
+            this.open();
+            const key = PairSymbol.normalize(pair) || pair;
+            
+            this.db.transaction(() => {
+                this.statements.deleteCandles.run(key);
+                this.statements.deleteSeries.run(key);
+            })();
+            
+            this.info(`Deleted stored data for ${pair}`);
+            return true;
+        } catch (error) {
+            this.error(`Failed to delete ${pair} data`, {
+                pair,
+                error: error.message
+            });
+            return false;
+        }
+    }
+    
+    // Stored series per pair: { pair: [{ timeframe, bars, first, last, lastUpdated }] }
+    listSeries() {
+        this.open();
+        const pairs = {};
+        
+        this.statements.series.all().forEach(row => {
+            (pairs[row.pair] = pairs[row.pair] || []).push({
+                timeframe: row.timeframe === BASE ? null : row.timeframe,
+                bars: row.bars,
+                first: row.first,
+                last: row.last,
+                lastUpdated: row.last_updated
+            });
+        });
+        
+        return pairs;
+    }
+    
+    async listStoredPairs() {
+        try {
+            return Object.entries(this.listSeries())
+                .filter(([, series]) => series.some(entry => entry.timeframe === null))
+                .map(([pair]) => pair);
+        } catch (error) {
+            this.error('Failed to list stored pairs', { error: error.message });
+            return [];
+        }
+    }
+    
+    async listStoredTimeframes(pair) {
+        try {
+            const series = this.listSeries()[PairSymbol.normalize(pair) || pair] || [];
+            return series.filter(entry => entry.timeframe !== null).map(entry => entry.timeframe);
+        } catch (error) {
+            return [];
+        }
+    }
+    
+    // Rows share one database file, so sizes are only reported for the whole store
+    async getStorageStats() {
+        try {
+            const all = this.listSeries();
+            const pairs = Object.entries(all)
+                .filter(([, series]) => series.some(entry => entry.timeframe === null))
+                .map(([pair, series]) => {
+                    const base = series.find(entry => entry.timeframe === null);
+                    return {
+                        pair,
+                        sizeBytes: null,
+                        dataPoints: base.bars,
+                        firstTimestamp: base.first,
+                        lastTimestamp: base.last,
+                        lastModified: new Date(Math.max(...series.map(entry => entry.lastUpdated))),
+                        timeframes: series
+                            .filter(entry => entry.timeframe !== null)
+                            .map(entry => ({ timeframe: entry.timeframe, sizeBytes: null, dataPoints: entry.bars }))
+                    };
+                });
+            
+            return {
+                backend: this.name,
+                path: this.path,
+                totalPairs: pairs.length,
+                pairs,
+                totalSizeBytes: this.getFileSize()
+            };
+        } catch (error) {
+            this.error('Failed to get storage stats', { error: error.message });
+            return { backend: this.name, totalPairs: 0, pairs: [], totalSizeBytes: 0 };
+        }
+    }
+    
+    getFileSize() {
+        if (this.path === ':memory:') {
+            return 0;
+        }
+        
+        // The write-ahead log holds recent writes until the next checkpoint
+        return [this.path, `${this.path}-wal`].reduce((total, file) => {
+            try {
+                return total + fs.statSync(file).size;
+            } catch (error) {
+                return total;
+            }
+        }, 0);
+    }
+    
+    async cleanupOldData(maxAgeHours = 168) { // Default 7 days
+        try {
+            const maxAge = maxAgeHours * 60 * 60 * 1000;
+            let cleanedCount = 0;
+            
+            for (const [pair, series] of Object.entries(this.listSeries())) {
+                const lastUpdated = Math.max(...series.map(entry => entry.lastUpdated));
+                const age = Date.now() - lastUpdated;
+                
+                if (age > maxAge) {
+                    await this.deletePairData(pair);
+                    cleanedCount++;
+                    this.info(`Cleaned up old data for ${pair}`, {
+                        pair,
+                        ageHours: Math.round(age / (60 * 60 * 1000))
+                    });
+                }
+            }
+            
+            if (cleanedCount > 0) {
+                this.info('Cleanup completed', { cleanedCount });
+            }
+            return cleanedCount;
+        } catch (error) {
+            this.error('Failed to cleanup old data', { error: error.message });
+            return 0;
+        }
+    }
+    
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+            this.statements = null;
+        }
+    }
+}
+
+module.exports = SqliteStorage;
@@ -0,0 +1,175 @@
+// Interface between the collector and where candle history is persisted. A history is the
+// collector's column layout: { opens, closes, highs, lows, volumes, timestamps, ...trade series },
+// ascending by timestamp. `timeframe` is null for the base candle series.
+//
+// Range options for loads: { from, to } (ms, inclusive) and `limit`, the most recent bars to return.
+class StorageBackend {
+    constructor(name) {
+        this.name = name;
+    }
+    
+    // Reduced logging - only important events
+    log(level, message, data = {}) {
+        const timestamp = new Date().toISOString();
+        const source = this.constructor.name;
+        
+        // Only log important events, not debug operations
+        if (level === 'error' || level === 'warn') {
+            console.log(`[${timestamp}] ${source} ${level.toUpperCase()}: ${message}`, data);
+        } else if (level === 'info') {
+            // Only log significant operations
+            if (message.includes('Saved') || message.includes('Loaded') || message.includes('Deleted') || message.includes('Cleaned up') || message.includes('Migrated')) {
+                console.log(`[${timestamp}] ${source} ${level.toUpperCase()}: ${message}`, data);
+            }
+        }
+        // Skip debug messages entirely
+    }
+    
+    info(message, data) {
+        this.log('info', message, data);
+    }
+    
+    error(message, data) {
+        this.log('error', message, data);
+    }
+    
+    debug(message, data) {
+        // Skip debug logging entirely to reduce noise
+        return;
+    }
+    
+    warn(message, data) {
+        this.log('warn', message, data);
+    }
+    
+    // Store the bars of a history. Returns true on success; failures are logged, not thrown.
+    async savePairData(pair, historyData, timeframe = null) {
+        throw new Error(`${this.name} storage does not implement savePairData`);
+    }
+    
+    // The stored history, or null when nothing is stored
+    async loadPairData(pair, timeframe = null, range = {}) {
+        throw new Error(`${this.name} storage does not implement loadPairData`);
+    }
+    
+    // Remove the pair's base series and every timeframe stored for it
+    async deletePairData(pair) {
+        throw new Error(`${this.name} storage does not implement deletePairData`);
+    }
+    
+    async listStoredPairs() {
+        throw new Error(`${this.name} storage does not implement listStoredPairs`);
+    }
+    
+    async listStoredTimeframes(pair) {
+        throw new Error(`${this.name} storage does not implement listStoredTimeframes`);
+    }
+    
+    // { backend, totalPairs, totalSizeBytes, pairs: [{ pair, sizeBytes, dataPoints, lastModified, timeframes }] }
+    async getStorageStats() {
+        throw new Error(`${this.name} storage does not implement getStorageStats`);
+    }
+    
+    // Delete pairs that have not been saved for maxAgeHours. Returns the number removed.
+    async cleanupOldData(maxAgeHours = 168) {
+        throw new Error(`${this.name} storage does not implement cleanupOldData`);
+    }
+    
+    // Release files or connections; the backend is not used afterwards
+    async close() {}
+    
+    // Apply range options to a loaded history
+    static selectRange(history, { from = null, to = null, limit = null } = {}) {
+        if (from === null && to === null && limit === null) {
+            return history;
+        }
+        
+        const timestamps = history.timestamps || [];
+        let start = 0;
+        let end = timestamps.length;
+        
+        while (from !== null && start < end && timestamps[start] < from) start++;
+        while (to !== null && end > start && timestamps[end - 1] > to) end--;
+        if (limit !== null && end - start > limit) {
+            start = end - limit;
+        }
+        
+        const selected = {};
+        Object.keys(history).forEach(key => {
+            selected[key] = Array.isArray(history[key]) && history[key].length === timestamps.length
+                ? history[key].slice(start, end)
+                : history[key];
+        });
+        return selected;
+    }
+    
+    validateDataBeforeSave(dataToSave, pair) {
+        try {
+            if (!dataToSave || typeof dataToSave !== 'object') {
+                this.error(`Invalid data structure for ${pair} - not object`);
+                return false;
+            }
+            
+            if (!dataToSave.history || typeof dataToSave.history !== 'object') {
+                this.error(`Invalid data structure for ${pair} - missing history`);
+                return false;
+            }
+            
+            const { opens, closes, highs, lows, volumes, timestamps } = dataToSave.history;
+            
+            if (!closes || !Array.isArray(closes) || closes.length === 0) {
+                this.error(`Invalid closes data for ${pair}`, { 
+                    hasCloses: !!closes,
+                    isArray: Array.isArray(closes),
+                    length: closes ? closes.length : 0
+                });
+                return false;
+            }
+            
+            // Check for valid numbers in first few entries
+            for (let i = 0; i < Math.min(closes.length, 3); i++) {
+                if (typeof closes[i] !== 'number' || !isFinite(closes[i]) || closes[i] <= 0) {
+                    this.error(`Invalid price data in ${pair}`, { 
+                        sampleValue: closes[i],
+                        index: i 
+                    });
+                    return false;
+                }
+            }
+            
+            // Check array length consistency
+            if (opens && opens.length !== closes.length) {
+                this.error(`Array length mismatch for ${pair} - opens: ${opens.length} vs closes: ${closes.length}`);
+                return false;
+            }
+            
+            if (highs && highs.length !== closes.length) {
+                this.error(`Array length mismatch for ${pair} - highs: ${highs.length} vs closes: ${closes.length}`);
+                return false;
+            }
+            
+            if (lows && lows.length !== closes.length) {
+                this.error(`Array length mismatch for ${pair} - lows: ${lows.length} vs closes: ${closes.length}`);
+                return false;
+            }
+            
+            if (volumes && volumes.length !== closes.length) {
+                this.error(`Array length mismatch for ${pair} - volumes: ${volumes.length} vs closes: ${closes.length}`);
+                return false;
+            }
+            
+            if (timestamps && timestamps.length !== closes.length) {
+                this.error(`Array length mismatch for ${pair} - timestamps: ${timestamps.length} vs closes: ${closes.length}`);
+                return false;
+            }
+            
+            return true;
+            
+        } catch (error) {
+            this.error(`Error validating data for ${pair}`, { error: error.message });
+            return false;
+        }
+    }
+}
+
+module.exports = StorageBackend;
@@ -0,0 +1,36 @@
+const DataStorage = require('./DataStorage');
+const SqliteStorage = require('./SqliteStorage');
+
+// Factories for the storage backends, keyed by the name used in trading.storage.backend.
+// options: backend specific, e.g. { dataDir } for json or { path } for sqlite
+const factories = {
+    json: (options = {}) => new DataStorage(options),
+    sqlite: (options = {}) => new SqliteStorage(options)
+};
+
+class StorageRegistry {
+    static register(name, factory) {
+        factories[name.toLowerCase()] = factory;
+    }
+    
+    static has(name) {
+        return typeof name === 'string' && Object.prototype.hasOwnProperty.call(factories, name.toLowerCase());
+    }
+    
+    static getNames() {
+        return Object.keys(factories);
+    }
+    
+    // config: { backend: 'json', ...options }
+    static create(config = {}) {
+        const { backend = 'json', ...options } = config || {};
+        
+        if (!StorageRegistry.has(backend)) {
+            throw new Error(`Unknown storage backend: ${backend}. Available: ${StorageRegistry.getNames().join(', ')}`);
+        }
+        
+        return factories[backend.toLowerCase()](options);
+    }
+}
+
+module.exports = StorageRegistry;
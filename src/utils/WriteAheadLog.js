@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const PairSymbol = require('./PairSymbol');
+
+// Append-only log of data points collected since the pair's last successful save, one JSON record
+// per line in <base>-<quote>.wal (e.g. kas-btc.wal). Writes are synchronous, so a record is handed
+// to the OS before the next point is collected and a killed process loses at most the point it
+// was writing. A torn last line is skipped on read.
+class WriteAheadLog {
+    constructor(options = {}) {
+        this.dir = options.dir || path.join(process.cwd(), 'data', 'wal');
+        fs.mkdirSync(this.dir, { recursive: true });
+    }
+    
+    getFilePath(pair) {
+        return path.join(this.dir, `${PairSymbol.toFileKey(pair)}.wal`);
+    }
+    
+    append(pair, record) {
+        fs.appendFileSync(this.getFilePath(pair), `${JSON.stringify(record)}\n`);
+    }
+    
+    // Records in the order they were written, and the number of lines that could not be parsed
+    read(pair) {
+        let content;
+        try {
+            content = fs.readFileSync(this.getFilePath(pair), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return { records: [], skipped: 0 };
+            }
+            throw error;
+        }
+        
+        // Close a line torn by a crash so the next record does not run into it
+        if (content.length > 0 && !content.endsWith('\n')) {
+            fs.appendFileSync(this.getFilePath(pair), '\n');
+        }
+        
+        const records = [];
+        let skipped = 0;
+        
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                records.push(JSON.parse(line));
+            } catch (error) {
+                skipped++;
+            }
+        }
+        
+        return { records, skipped };
+    }
+    
+    // Current end of the log. Taken before a save and passed to compact() once the save succeeded.
+    mark(pair) {
+        try {
+            return fs.statSync(this.getFilePath(pair)).size;
+        } catch (error) {
+            return 0;
+        }
+    }
+    
+    // Drop the records written before `mark`; records appended while the save ran are kept
+    compact(pair, mark) {
+        const file = this.getFilePath(pair);
+        const size = this.mark(pair);
+        
+        if (mark <= 0 || size === 0) {
+            return;
+        }
+        
+        if (size <= mark) {
+            fs.truncateSync(file, 0);
+            return;
+        }
+        
+        const rest = fs.readFileSync(file).subarray(mark);
+        const temp = `${file}.tmp`;
+        fs.writeFileSync(temp, rest);
+        fs.renameSync(temp, file);
+    }
+    
+    delete(pair) {
+        fs.rmSync(this.getFilePath(pair), { force: true });
+    }
+}
+
+module.exports = WriteAheadLog;
@@ -1,9 +1,19 @@
 const Logger = require('./Logger');
 const ConfigManager = require('./ConfigManager');
 const DataStorage = require('./DataStorage');
+const StorageBackend = require('./StorageBackend');
+const SqliteStorage = require('./SqliteStorage');
+const StorageRegistry = require('./StorageRegistry');
+const WriteAheadLog = require('./WriteAheadLog');
+const PairSymbol = require('./PairSymbol');
 
 module.exports = {
     Logger,
     ConfigManager,
-    DataStorage
+    DataStorage,
+    StorageBackend,
+    SqliteStorage,
+    StorageRegistry,
+    WriteAheadLog,
+    PairSymbol
 };
\ No newline at end of file